@@ -19,25 +19,40 @@ import {
 import { Ionicons } from "@expo/vector-icons";
 
 // Services and Utilities
-import telegramAPI from "./src/api/telegramAPI";
+import telegramAPI, { TELEGRAM_EVENTS, UPDATE_MODES } from "./src/api/telegramAPI";
+import { registerCommandHandlers } from "./src/api/commandHandlers";
 import logger from "./src/utils/logger";
 import * as storage from "./src/utils/storage";
+import { initializeEncryption } from "./src/utils/encryption";
 
 // Hooks
 import useDeviceInfo from "./src/hooks/useDeviceInfo";
-import useFileSystem from "./src/hooks/useFileSystem";
 import usePermissions from "./src/hooks/usePermissions";
 import useMessageService from "./src/hooks/useMessageService";
 
 // Services
-import contactsService from "./src/services/contactsService";
-import deviceService from "./src/services/deviceService";
-import fileService from "./src/services/fileService";
 import messageService from "./src/services/messageService";
+import consentService from "./src/services/consentService";
+import authService from "./src/services/authService";
+import pairingService from "./src/services/pairingService";
+import sessionService from "./src/services/sessionService";
+import sharedFolderService from "./src/services/sharedFolderService";
+import auditService from "./src/services/auditService";
+import reportService from "./src/services/reportService";
+import alertService from "./src/services/alertService";
+import {
+  initializeSessionNotifications,
+  showSessionNotification,
+  dismissSessionNotification,
+  addDisconnectListener,
+} from "./src/services/sessionNotificationService";
 
 // Components
 import ConsoleLog from "./src/components/ConsoleLog";
 import ConnectionStatus from "./src/components/ConnectionStatus";
+import ConsentPrompt from "./src/components/ConsentPrompt";
+import BotIdentityWarning from "./src/components/BotIdentityWarning";
+import AuditLogScreen from "./src/components/AuditLogScreen";
 import SettingsForm from "./src/components/SettingsForm";
 import StatusBar from "./src/components/StatusBar";
 
@@ -45,16 +60,23 @@ export default function App() {
   // State
   const [isConnected, setIsConnected] = useState(false);
   const [processing, setProcessing] = useState(false);
-  const [monitoringActive, setMonitoringActive] = useState(false);
+  const [pollingActive, setPollingActive] = useState(false);
   const [lastUpdateTime, setLastUpdateTime] = useState(null);
   const [appState, setAppState] = useState(AppState.currentState);
-  const [updateInterval, setUpdateInterval] = useState(null);
   const [showSettings, setShowSettings] = useState(true);
+  const [lastCommand, setLastCommand] = useState(null);
+  const [showAuditLog, setShowAuditLog] = useState(false);
+  const [queueDepth, setQueueDepth] = useState(0);
+  const [throttled, setThrottled] = useState(false);
+  const [updateMode, setUpdateMode] = useState(UPDATE_MODES.POLLING);
+  const [botVerified, setBotVerified] = useState(telegramAPI.identityVerified);
+
+  // Updates arrive by polling or through the webhook, whichever is active
+  const monitoringActive = pollingActive || updateMode === UPDATE_MODES.WEBHOOK;
+  const [session, setSession] = useState(sessionService.getStatus());
 
   // Custom hooks
   const { deviceInfo, refreshDeviceInfo } = useDeviceInfo();
-  const { currentPath, fileList, listFiles, navigateTo, navigateBack } =
-    useFileSystem();
   const { permissionStatus, requestAllPermissions } = usePermissions();
   const { 
     isAvailable: smsAvailable, 
@@ -99,17 +121,47 @@ export default function App() {
         ]),
       ).start();
 
-      // Check for saved credentials
+      // Load the per-install encryption keys
+      try {
+        await initializeEncryption();
+      } catch (error) {
+        logger.error(`Encryption setup failed: ${error.message}`);
+      }
+
+      // Apply the secure storage policy, then move any secrets an older
+      // version left in plaintext back into secure storage
+      const settings = (await storage.getAppSettings()) || {};
+      storage.setSecureStoragePolicy(settings.secureStoragePolicy);
+      await storage.migrateSecureStorage();
+
+      // Load the authorized users list, pairings, remote session, shared
+      // folders and audit log
+      await authService.loadUsers();
+      await pairingService.load();
+      await sessionService.load();
+      await sharedFolderService.loadFolders();
+      await auditService.load();
+
+      // Check for saved credentials; the chat is the paired one
       const savedToken = await storage.getBotToken();
-      const savedChatId = await storage.getChatId();
+      const savedChatId = pairingService.chatId;
+
+      // Use a custom Bot API server and webhook if configured
+      telegramAPI.setApiBaseUrl(settings.apiBaseUrl);
+      telegramAPI.setWebhookConfig(
+        settings.updateMode === UPDATE_MODES.WEBHOOK
+          ? { url: settings.webhookUrl, port: settings.webhookPort }
+          : null,
+      );
 
-      if (savedToken && savedChatId) {
+      if (savedToken) {
         logger.info("Found saved credentials, initializing connection...");
-        const success = telegramAPI.initialize(savedToken, savedChatId);
+        const success = await telegramAPI.initialize(savedToken, savedChatId);
 
         if (success) {
           setIsConnected(true);
-          setShowSettings(false);
+          // Keep the settings open until a chat is paired
+          setShowSettings(!savedChatId);
           logger.success("Connected to Telegram with saved credentials");
         } else {
           logger.warning("Could not connect with saved credentials");
@@ -144,114 +196,115 @@ export default function App() {
     };
   }, []);
 
-  // Handle connection status changes
+  // Follow the connection and the update loop run by the API
   useEffect(() => {
     const handleConnectionChange = (connected) => {
       setIsConnected(connected);
-      if (connected) {
-        startMonitoring();
-      } else {
-        stopMonitoring();
-      }
+      reportService.setOnline(connected);
+    };
+
+    const handleUpdates = ({ timestamp }) => {
+      setLastUpdateTime(timestamp);
     };
 
     telegramAPI.addConnectionListener(handleConnectionChange);
+    const unsubscribers = [
+      telegramAPI.on(TELEGRAM_EVENTS.POLLING, setPollingActive),
+      telegramAPI.on(TELEGRAM_EVENTS.PROCESSING, setProcessing),
+      telegramAPI.on(TELEGRAM_EVENTS.UPDATES, handleUpdates),
+      telegramAPI.on(TELEGRAM_EVENTS.QUEUE, setQueueDepth),
+      telegramAPI.on(TELEGRAM_EVENTS.THROTTLE, (status) => setThrottled(status.throttled)),
+      telegramAPI.on(TELEGRAM_EVENTS.UPDATE_MODE, setUpdateMode),
+      telegramAPI.on(TELEGRAM_EVENTS.VERIFIED, setBotVerified),
+    ];
+    setPollingActive(telegramAPI.isPolling);
+    setUpdateMode(telegramAPI.updateMode);
+    setBotVerified(telegramAPI.identityVerified);
+
+    // Scheduled reports and alerts are queued by the API while it is offline
+    const sendToChat = (message) => {
+      if (!telegramAPI.chatId) {
+        throw new Error("No chat configured");
+      }
+      return telegramAPI.postMessage(message);
+    };
+    reportService.start(sendToChat);
+    alertService.start(sendToChat);
 
     return () => {
       telegramAPI.removeConnectionListener(handleConnectionChange);
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+      reportService.stop();
+      alertService.stop();
     };
   }, []);
 
-  // Set up Telegram command handlers
+  // Track executed commands and the notification "Disconnect" action
   useEffect(() => {
-    // Register command handlers
-    telegramAPI.registerCommandHandler("call_logs", handleCallLogs);
-    telegramAPI.registerCommandHandler("sms_logs", handleSmsLogs);
-    telegramAPI.registerCommandHandler("contacts", handleContacts);
-    telegramAPI.registerCommandHandler("storage", handleStorage);
-    telegramAPI.registerCommandHandler("device_info", handleDeviceInfo);
-    telegramAPI.registerCommandHandler("screenshot", handleScreenshot);
-    telegramAPI.registerCommandHandler("file", handleFile);
-    telegramAPI.registerCommandHandler("back", handleNavigateBack);
+    initializeSessionNotifications();
 
-    return () => {
-      // Nothing to do on cleanup - the API instance persists
+    const handleCommandExecuted = (execution) => {
+      setLastCommand(execution);
     };
-  }, [currentPath, fileList]);
 
-  // Telegram update polling
-  const startMonitoring = useCallback(() => {
-    if (updateInterval) {
-      clearInterval(updateInterval);
-    }
+    telegramAPI.addCommandListener(handleCommandExecuted);
+    const disconnectSubscription = addDisconnectListener(handleRevokeAccess);
 
-    // Set up periodic polling if connected
-    if (isConnected) {
-      const interval = setInterval(checkTelegramUpdates, 3000);
-      setUpdateInterval(interval);
-      setMonitoringActive(true);
-      logger.info("Monitoring started");
+    return () => {
+      telegramAPI.removeCommandListener(handleCommandExecuted);
+      disconnectSubscription.remove();
+    };
+  }, []);
 
-      // Send initial device info
-      sendDeviceInfo();
-    }
+  // Follow the remote-access session, which can end while the app is open
+  useEffect(() => {
+    sessionService.subscribe(setSession);
 
     return () => {
-      if (updateInterval) {
-        clearInterval(updateInterval);
-      }
+      sessionService.unsubscribe(setSession);
+      sessionService.stop();
     };
-  }, [isConnected, updateInterval]);
+  }, []);
 
-  const stopMonitoring = useCallback(() => {
-    if (updateInterval) {
-      clearInterval(updateInterval);
-      setUpdateInterval(null);
+  // Keep the "remote session active" notification in sync with monitoring
+  useEffect(() => {
+    if (monitoringActive && session.active) {
+      showSessionNotification(lastCommand);
+    } else {
+      dismissSessionNotification();
     }
+  }, [monitoringActive, session.active, lastCommand]);
 
-    setMonitoringActive(false);
-    logger.info("Monitoring stopped");
-  }, [updateInterval]);
-
-  // Handle connect button press
-  const handleConnect = useCallback(
-    (token, chatId) => {
-      setIsConnected(true);
-      setShowSettings(false);
-      startMonitoring();
-    },
-    [startMonitoring],
-  );
-
-  // Check for new Telegram updates
-  const checkTelegramUpdates = useCallback(async () => {
-    if (processing || !isConnected) return;
-
-    try {
-      setProcessing(true);
-      const updates = await telegramAPI.getUpdates();
-
-      if (updates.length > 0) {
-        setLastUpdateTime(new Date());
-        logger.info(`Received ${updates.length} updates from Telegram`);
+  // Set up Telegram command handlers
+  useEffect(() => {
+    registerCommandHandlers(telegramAPI, {
+      refreshDeviceInfo,
+      sms: {
+        isAvailable: smsAvailable,
+        hasPermission: smsPermissionGranted,
+        getSmsMessages,
+        formatSmsAsCSV,
+        formatSmsAsText,
+      },
+    });
 
-        // Process each update
-        for (const update of updates) {
-          await telegramAPI.processUpdate(update);
-        }
-      }
-    } catch (error) {
-      logger.error(`Update error: ${error.message}`);
-    } finally {
-      setProcessing(false);
-    }
-  }, [processing, isConnected]);
+    return () => {
+      // Nothing to do on cleanup - the API instance persists
+    };
+  }, [
+    refreshDeviceInfo,
+    smsAvailable,
+    smsPermissionGranted,
+    getSmsMessages,
+    formatSmsAsCSV,
+    formatSmsAsText,
+  ]);
 
   // Send device information to Telegram
   const sendDeviceInfo = useCallback(async () => {
     try {
-      await refreshDeviceInfo();
-      const success = await telegramAPI.sendDeviceInfo(deviceInfo);
+      const info = await refreshDeviceInfo();
+      const success = await telegramAPI.sendDeviceInfo(info);
 
       if (success) {
         logger.success("Device info sent to Telegram");
@@ -261,286 +314,81 @@ export default function App() {
     } catch (error) {
       logger.error(`Send device info error: ${error.message}`);
     }
-  }, [deviceInfo, refreshDeviceInfo]);
-
-  // Command handlers
-  const handleCallLogs = useCallback(async () => {
-    try {
-      logger.info("Call logs requested");
+  }, [refreshDeviceInfo]);
 
-      // This is not supported in Expo
-      await telegramAPI.sendMessage(
-        "Call log access requires native Android modules. Not available in this version.",
-      );
-
-      logger.warning("Call log access not available in Expo");
-    } catch (error) {
-      logger.error(`Call logs error: ${error.message}`);
+  // Start receiving updates once the bot is known to be the pinned one
+  const startMonitoring = useCallback(() => {
+    if (!telegramAPI.connected) {
+      logger.warning("Cannot start monitoring while disconnected");
+      return;
     }
-  }, []);
-
-  const handleSmsLogs = useCallback(async () => {
-    try {
-      logger.info("SMS logs requested");
-
-      if (!smsAvailable) {
-        await telegramAPI.sendMessage(
-          "SMS functionality is not available on this device.",
-        );
-        logger.warning("SMS not available on this device");
-        return;
-      }
-
-      if (!smsPermissionGranted) {
-        await telegramAPI.sendMessage(
-          "SMS permission not granted. Please grant permission in the app settings.",
-        );
-        logger.warning("SMS permission denied");
-        return;
-      }
-
-      // Get real SMS messages using the native module integration
-      const messages = await getSmsMessages({
-        maxCount: 100,
-        includeInbox: true,
-        includeSent: true
-      });
-
-      if (!messages || messages.length === 0) {
-        await telegramAPI.sendMessage("No SMS messages found on this device.");
-        logger.info("No SMS messages found");
-        return;
-      }
-
-      // Format as CSV and send
-      const csvPath = await formatSmsAsCSV(messages);
-
-      if (csvPath) {
-        await telegramAPI.sendFile(csvPath, `SMS Messages Export (${messages.length} messages)`);
-        
-        // Also send a text sample of the most recent messages
-        await telegramAPI.sendMessage(
-          `Found ${messages.length} SMS messages.\n\nRecent messages sample:\n\n${formatSmsAsText(messages.slice(0, 5))}`
-        );
-        
-        logger.success(`SMS logs sent successfully (${messages.length} messages)`);
-      } else {
-        await telegramAPI.sendMessage("Failed to generate SMS logs.");
-        logger.error("Failed to generate SMS logs");
-      }
-    } catch (error) {
-      logger.error(`SMS logs error: ${error.message}`);
-      await telegramAPI.sendMessage(`Error accessing SMS: ${error.message}`);
+    if (!telegramAPI.canReceiveUpdates()) {
+      logger.info("Monitoring starts once the bot is verified");
+      return;
     }
-  }, [smsAvailable, smsPermissionGranted, getSmsMessages, formatSmsAsCSV, formatSmsAsText]);
-
-  const handleContacts = useCallback(async () => {
-    try {
-      logger.info("Contacts requested");
 
-      // Check if contacts permission is granted
-      const { status } = await contactsService.getAllContacts();
+    telegramAPI.startReceivingUpdates();
+    logger.info("Monitoring started");
 
-      if (status !== "granted") {
-        await telegramAPI.sendMessage(
-          "Contacts permission not granted. Cannot access contacts.",
-        );
-        logger.warning("Contacts permission denied");
-        return;
-      }
-
-      // Get all contacts
-      const contacts = await contactsService.getAllContacts();
-
-      if (!contacts || contacts.length === 0) {
-        await telegramAPI.sendMessage("No contacts found on this device.");
-        logger.info("No contacts found");
-        return;
-      }
-
-      // Convert to CSV and send
-      const csv = contactsService.contactsToCSV(contacts);
-      const csvPath = await fileService.createTempFile(csv, "contacts.csv");
-
-      await telegramAPI.sendFile(
-        csvPath,
-        `Contacts: ${contacts.length} entries`,
-      );
+    // Send initial device info to the paired chat
+    if (telegramAPI.chatId) {
+      sendDeviceInfo();
+    }
+  }, [sendDeviceInfo]);
 
-      // Also send a summary of the first few contacts
-      const summary = contacts
-        .slice(0, 5)
-        .map((c) => contactsService.formatContact(c))
-        .join("\n\n-----------------\n\n");
+  const stopMonitoring = useCallback(async () => {
+    await telegramAPI.stopReceivingUpdates();
+    logger.info("Monitoring stopped");
+  }, []);
 
-      await telegramAPI.sendMessage(
-        `Found ${contacts.length} contacts.\n\nSample contacts:\n\n${summary}`,
-      );
+  // Handle connect button press
+  const handleConnect = useCallback(
+    (token, chatId) => {
+      // Connecting on the device allows remote access again
+      sessionService
+        .arm()
+        .catch((error) => logger.error(`Failed to start the session: ${error.message}`));
+      setIsConnected(true);
+      // Stay on the settings to pair a chat
+      setShowSettings(!chatId);
+      startMonitoring();
+    },
+    [startMonitoring],
+  );
 
-      logger.success("Contacts sent successfully");
-    } catch (error) {
-      logger.error(`Contacts error: ${error.message}`);
-      await telegramAPI.sendMessage(
-        `Error accessing contacts: ${error.message}`,
-      );
-    }
-  }, []);
+  // Revoke remote access from the device (notification kill switch)
+  const handleRevokeAccess = useCallback(async () => {
+    logger.warning("Remote access revoked on device");
 
-  const handleStorage = useCallback(async () => {
     try {
-      logger.info("Storage access requested");
-
-      // List files in the current path
-      const files = await listFiles(currentPath);
-
-      // Create inline keyboard for file selection
-      const keyboard = {
-        inline_keyboard: [
-          ...files.slice(0, 10).map((file, index) => [
-            {
-              text: `${index + 1}. ${file.name}${file.isDirectory ? "/" : ""}`,
-              callback_data: `file_${file.path}`,
-            },
-          ]),
-        ],
-      };
-
-      // Add navigation buttons
-      keyboard.inline_keyboard.push([
-        { text: "🔙 Back", callback_data: "back" },
-        { text: "🔄 Refresh", callback_data: "storage" },
-      ]);
-
-      // Send message with file list
-      await telegramAPI.sendMessage(
-        `📂 *Current Directory*: \`${currentPath}\`\n\n` +
-          `Found ${files.length} items.\n` +
-          `${files.length > 10 ? "Showing first 10 items." : ""}`,
-        { reply_markup: keyboard },
-      );
-
-      logger.success(`Sent file list for path: ${currentPath}`);
+      await telegramAPI.revokeAccess();
     } catch (error) {
-      logger.error(`Storage error: ${error.message}`);
-      await telegramAPI.sendMessage(
-        `Error accessing storage: ${error.message}`,
-      );
+      logger.error(`Failed to revoke access: ${error.message}`);
     }
-  }, [currentPath, listFiles]);
+    await storage.clearBotToken();
+    await consentService.revokeGrants();
 
-  const handleFile = useCallback(
-    async (query, filePath) => {
-      try {
-        logger.info(`File selected: ${filePath}`);
-
-        // Get file info
-        const fileInfo = await FileSystem.getInfoAsync(filePath);
-
-        if (!fileInfo.exists) {
-          await telegramAPI.sendMessage(`File not found: ${filePath}`);
-          logger.warning(`File not found: ${filePath}`);
-          return;
-        }
-
-        if (fileInfo.isDirectory) {
-          // Navigate to this directory
-          await navigateTo(filePath);
-          await handleStorage();
-        } else {
-          // Check file size
-          if (fileInfo.size > 50 * 1024 * 1024) {
-            // 50MB limit
-            await telegramAPI.sendMessage(
-              `File too large to send: ${(fileInfo.size / 1024 / 1024).toFixed(2)} MB.\n` +
-                `Maximum size is 50 MB.`,
-            );
-            logger.warning(
-              `File too large: ${filePath} (${fileInfo.size} bytes)`,
-            );
-            return;
-          }
-
-          // Send the file
-          await telegramAPI.sendFile(
-            filePath,
-            `File: ${filePath.split("/").pop()}\nSize: ${(fileInfo.size / 1024).toFixed(2)} KB`,
-          );
-
-          logger.success(`File sent: ${filePath}`);
-        }
-      } catch (error) {
-        logger.error(`File handling error: ${error.message}`);
-        await telegramAPI.sendMessage(`Error accessing file: ${error.message}`);
-      }
-    },
-    [navigateTo, handleStorage],
-  );
+    setLastCommand(null);
+    setShowSettings(true);
+  }, []);
 
-  const handleNavigateBack = useCallback(async () => {
+  // Allow remote access again after the session ended
+  const handleAllowRemoteAccess = useCallback(async () => {
     try {
-      logger.info("Navigate back requested");
-      await navigateBack();
-      await handleStorage();
+      await sessionService.arm();
     } catch (error) {
-      logger.error(`Navigate back error: ${error.message}`);
-      await telegramAPI.sendMessage(`Navigation error: ${error.message}`);
+      logger.error(`Failed to allow remote access: ${error.message}`);
     }
-  }, [navigateBack, handleStorage]);
-
-  const handleDeviceInfo = useCallback(async () => {
-    try {
-      logger.info("Device info requested");
-
-      // Refresh device info
-      await refreshDeviceInfo();
+  }, []);
 
-      // Send formatted device info
-      await telegramAPI.sendMessage(deviceService.formatDeviceInfo(deviceInfo));
+  // Drop a token that now belongs to another bot, without contacting it
+  const handleRejectBot = useCallback(async () => {
+    logger.warning("Disconnected from an unrecognized bot");
 
-      logger.success("Device info sent");
-    } catch (error) {
-      logger.error(`Device info error: ${error.message}`);
-      await telegramAPI.sendMessage(
-        `Error getting device info: ${error.message}`,
-      );
-    }
-  }, [deviceInfo, refreshDeviceInfo]);
+    telegramAPI.disconnect();
+    await storage.clearBotToken();
 
-  const handleScreenshot = useCallback(async () => {
-    try {
-      logger.info("Screenshot requested");
-
-      // Use our native module integration for screenshots
-      const screenshotPath = await deviceService.takeScreenshot();
-      
-      if (screenshotPath) {
-        // Send the screenshot to the Telegram chat
-        await telegramAPI.sendFile(
-          screenshotPath,
-          `Screenshot taken at ${new Date().toLocaleString()}`
-        );
-        logger.success("Screenshot sent successfully");
-      } else {
-        // If screenshot failed, send an error message
-        await telegramAPI.sendMessage(
-          "Could not take a screenshot. This might be due to permission restrictions or device limitations."
-        );
-        logger.warning("Screenshot functionality failed");
-      }
-    } catch (error) {
-      logger.error(`Screenshot error: ${error.message}`);
-      
-      // Send a more user-friendly error message
-      if (error.message.includes("placeholder")) {
-        // This is specifically for web/demo environment
-        await telegramAPI.sendMessage(
-          "Screenshot functionality is available in the native Android app only.\n" +
-          "Not available in web preview."
-        );
-      } else {
-        await telegramAPI.sendMessage(`Screenshot error: ${error.message}`);
-      }
-    }
+    setShowSettings(true);
   }, []);
 
   return (
@@ -576,12 +424,21 @@ export default function App() {
                 TELEGRAM MONITOR
               </Animated.Text>
 
-              <TouchableOpacity
-                style={styles.settingsButton}
-                onPress={() => setShowSettings(!showSettings)}
-              >
-                <Ionicons name="settings-outline" size={24} color="#fff" />
-              </TouchableOpacity>
+              <View style={styles.headerButtons}>
+                <TouchableOpacity
+                  style={styles.settingsButton}
+                  onPress={() => setShowAuditLog(!showAuditLog)}
+                >
+                  <Ionicons name="document-text-outline" size={24} color="#fff" />
+                </TouchableOpacity>
+
+                <TouchableOpacity
+                  style={styles.settingsButton}
+                  onPress={() => setShowSettings(!showSettings)}
+                >
+                  <Ionicons name="settings-outline" size={24} color="#fff" />
+                </TouchableOpacity>
+              </View>
             </View>
 
             {/* Status Bar */}
@@ -590,14 +447,37 @@ export default function App() {
               isConnected={isConnected}
               processingStatus={processing}
               monitoringActive={monitoringActive}
+              updateMode={updateMode}
               lastUpdateTime={lastUpdateTime}
+              queueDepth={queueDepth}
+              throttled={throttled}
+              sessionActive={session.active}
+              sessionExpiresAt={session.expiresAt}
             />
 
-            {/* Settings Form (collapsible) */}
-            {showSettings && <SettingsForm onConnect={handleConnect} />}
-
-            {/* Console Log */}
-            <ConsoleLog maxHeight={300} />
+            {/* Audit Log replaces the main panels while open */}
+            {showAuditLog ? (
+              <AuditLogScreen onClose={() => setShowAuditLog(false)} />
+            ) : (
+              <>
+                {/* Settings Form (collapsible) */}
+                {showSettings && <SettingsForm onConnect={handleConnect} />}
+
+                {/* Console Log */}
+                <ConsoleLog maxHeight={300} />
+              </>
+            )}
+
+            {/* Commands are refused until the owner allows access again */}
+            {!session.active && (
+              <TouchableOpacity
+                style={styles.allowButton}
+                onPress={handleAllowRemoteAccess}
+              >
+                <Ionicons name="lock-open" size={20} color="#fff" />
+                <Text style={styles.buttonText}>Allow Remote Access</Text>
+              </TouchableOpacity>
+            )}
 
             {/* Connection Controls */}
             <View style={styles.controls}>
@@ -607,7 +487,7 @@ export default function App() {
                   monitoringActive ? styles.stopButton : styles.startButton,
                 ]}
                 onPress={monitoringActive ? stopMonitoring : startMonitoring}
-                disabled={!isConnected}
+                disabled={!isConnected || !botVerified}
               >
                 <Ionicons
                   name={monitoringActive ? "stop-circle" : "play-circle"}
@@ -622,7 +502,7 @@ export default function App() {
               <TouchableOpacity
                 style={styles.controlButton}
                 onPress={sendDeviceInfo}
-                disabled={!isConnected}
+                disabled={!isConnected || !botVerified}
               >
                 <Ionicons name="refresh-circle" size={20} color="#fff" />
                 <Text style={styles.buttonText}>Send Device Info</Text>
@@ -631,6 +511,12 @@ export default function App() {
           </View>
         </View>
       </KeyboardAvoidingView>
+
+      {/* On-device approval for remote data requests */}
+      <ConsentPrompt />
+
+      {/* Warning while the token belongs to an unrecognized bot */}
+      <BotIdentityWarning onDisconnect={handleRejectBot} />
     </SafeAreaView>
   );
 }
@@ -675,6 +561,10 @@ const styles = StyleSheet.create({
     fontWeight: "bold",
     fontFamily: Platform.OS === "ios" ? "Courier" : "monospace",
   },
+  headerButtons: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
   settingsButton: {
     padding: 8,
   },
@@ -712,6 +602,16 @@ const styles = StyleSheet.create({
   stopButton: {
     backgroundColor: "#dc3545",
   },
+  allowButton: {
+    backgroundColor: "#f80",
+    borderRadius: 5,
+    paddingVertical: 12,
+    flexDirection: "row",
+    justifyContent: "center",
+    alignItems: "center",
+    marginTop: 16,
+    marginHorizontal: 5,
+  },
   buttonText: {
     color: "#fff",
     fontWeight: "bold",
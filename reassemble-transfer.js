@@ -0,0 +1,120 @@
+/**
+ * Rebuild a file the app sent in parts
+ * Download every part and the manifest from the chat into one folder, then run:
+ *
+ *   node reassemble-transfer.js <name>.manifest.json [output]
+ *
+ * Each part is checked against the manifest before it is used, and the
+ * rebuilt file is checked against the checksum of the original.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SUPPORTED_VERSION = 1;
+
+/**
+ * Stop with an error message
+ * @param {string} message - What went wrong
+ */
+const fail = (message) => {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+};
+
+/**
+ * Check that a name from the manifest is a plain file name
+ * A manifest may come from anyone in the chat; it must not point the script
+ * at files outside its folder
+ * @param {string} name - Name from the manifest
+ * @param {string} field - What the name is, for the error message
+ */
+const checkFileName = (name, field) => {
+  if (typeof name !== 'string' || !name || name === '.' || name === '..' ||
+      name !== path.basename(name) || name.includes('\\')) {
+    fail(`The manifest has an unsafe ${field}: ${JSON.stringify(name)}`);
+  }
+};
+
+/**
+ * Compute the MD5 of a file without loading it whole
+ * @param {string} file - File path
+ * @returns {Promise<string>} Hex digest
+ */
+const md5File = (file) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('md5');
+  fs.createReadStream(file)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')))
+    .on('error', reject);
+});
+
+/**
+ * Append a file to an open write stream
+ * @param {fs.WriteStream} output - Destination
+ * @param {string} file - File to append
+ * @returns {Promise}
+ */
+const appendFile = (output, file) => new Promise((resolve, reject) => {
+  fs.createReadStream(file)
+    .on('end', resolve)
+    .on('error', reject)
+    .pipe(output, { end: false });
+});
+
+const main = async () => {
+  const [manifestPath, outputArg] = process.argv.slice(2);
+  if (!manifestPath) {
+    fail('Usage: node reassemble-transfer.js <name>.manifest.json [output]');
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    fail(`Cannot read manifest ${manifestPath}: ${error.message}`);
+  }
+
+  if (manifest.version !== SUPPORTED_VERSION) {
+    fail(`Unsupported manifest version: ${manifest.version}`);
+  }
+  if (!Array.isArray(manifest.parts)) {
+    fail('The manifest lists no parts');
+  }
+
+  checkFileName(manifest.fileName, 'file name');
+  manifest.parts.forEach(part => checkFileName(part?.name, 'part name'));
+
+  const dir = path.dirname(manifestPath);
+  const output = outputArg || path.join(dir, manifest.fileName);
+
+  // Check every part before writing anything
+  const missing = manifest.parts.filter(part => !fs.existsSync(path.join(dir, part.name)));
+  if (missing.length > 0) {
+    fail(`Missing parts: ${missing.map(part => part.name).join(', ')}`);
+  }
+
+  for (const part of manifest.parts) {
+    const file = path.join(dir, part.name);
+    const { size } = fs.statSync(file);
+    if (size !== part.size || (await md5File(file)) !== part.md5) {
+      fail(`${part.name} is damaged (expected ${part.size} bytes, md5 ${part.md5}); download it again`);
+    }
+  }
+
+  const stream = fs.createWriteStream(output);
+  for (const part of manifest.parts) {
+    await appendFile(stream, path.join(dir, part.name));
+  }
+  await new Promise((resolve, reject) => stream.end(error => (error ? reject(error) : resolve())));
+
+  const { size } = fs.statSync(output);
+  const md5 = await md5File(output);
+  if (size !== manifest.size || md5 !== manifest.md5) {
+    fail(`${output} does not match the original (${size} bytes, md5 ${md5})`);
+  }
+
+  console.log(`Rebuilt ${output} from ${manifest.parts.length} parts (${size} bytes), checksum OK`);
+};
+
+main().catch(error => fail(error.message));
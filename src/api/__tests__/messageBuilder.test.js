@@ -0,0 +1,112 @@
+/**
+ * Tests for the message builder
+ * Rendered text is checked with the fake Bot API's parser, which refuses what Telegram refuses
+ */
+const { validateText } = require('../../../test/fakeBotApi');
+const {
+  format,
+  bold,
+  italic,
+  code,
+  pre,
+  link,
+  prepareMessages,
+  escapeMarkdownV2,
+  escapeHtml,
+  FormattedMessage,
+  PARSE_MODES,
+  MAX_MESSAGE_LENGTH
+} = require('../messageBuilder');
+
+// User data that breaks naive Markdown and HTML
+const HOSTILE_STRINGS = [
+  'my_file_name.txt',
+  '*bold* _italic_ `code` ~strike~ ||spoiler||',
+  '[link](http://example.com) ![image](x)',
+  'ends with a backslash \\',
+  '\\_already escaped\\_',
+  'a > b < c & d "quoted" \'single\'',
+  '<b>not a tag</b> &amp; &lt;',
+  '# heading\n- list\n+ plus\n= equals\n1. item!',
+  '{braces} (parens) |pipe| #hash',
+  '```\nfenced\n```',
+  'emoji 👨‍👩‍👧 and ünïcödé',
+  '​zero width\u0000null'
+];
+
+describe('messageBuilder', () => {
+  describe.each([PARSE_MODES.MARKDOWN_V2, PARSE_MODES.HTML])('%s', (parseMode) => {
+    it.each(HOSTILE_STRINGS)('keeps %j intact as plain text, bold, code and pre', (value) => {
+      const message = format`Name: ${value}\nBold: ${bold(value)}\nCode: ${code(value)}\n${pre(value)}\n${italic(value)}`;
+
+      expect(validateText(message.render(parseMode), parseMode)).toBeNull();
+      expect(message.toPlainText()).toBe(`Name: ${value}\nBold: ${value}\nCode: ${value}\n${value}\n${value}`);
+    });
+
+    it('escapes link text and URLs', () => {
+      const message = format`See ${link('docs_(v2)]', 'https://example.com/a_(b)?c=d&e')}`;
+
+      expect(validateText(message.render(parseMode), parseMode)).toBeNull();
+      expect(message.toPlainText()).toBe('See docs_(v2)] (https://example.com/a_(b)?c=d&e)');
+    });
+
+    it('splits long text into valid messages under the limit', () => {
+      const value = 'line_with.reserved*chars!\n'.repeat(400);
+      const parts = prepareMessages(format`${bold('Report')}\n${value}`, parseMode);
+
+      expect(parts.length).toBeGreaterThan(1);
+      parts.forEach(part => {
+        expect(part.text.length).toBeLessThanOrEqual(MAX_MESSAGE_LENGTH);
+        expect(validateText(part.text, parseMode)).toBeNull();
+      });
+      expect(parts.map(part => part.plainText).join('')).toBe(`Report\n${value}`);
+    });
+
+    it('repeats formatting on each part of a split segment', () => {
+      const parts = FormattedMessage.from(pre('x'.repeat(100))).split(parseMode, 40);
+
+      expect(parts.length).toBeGreaterThan(1);
+      parts.forEach(part => {
+        expect(part.render(parseMode).length).toBeLessThanOrEqual(40);
+        expect(validateText(part.render(parseMode), parseMode)).toBeNull();
+      });
+    });
+  });
+
+  it('escapes every MarkdownV2 reserved character', () => {
+    expect(escapeMarkdownV2('_*[]()~`>#+-=|{}.!\\')).toBe('\\_\\*\\[\\]\\(\\)\\~\\`\\>\\#\\+\\-\\=\\|\\{\\}\\.\\!\\\\');
+  });
+
+  it('escapes HTML special characters', () => {
+    expect(escapeHtml('<a href="x">&</a>')).toBe('&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+  });
+
+  it('sends plain strings without a parse mode or escaping', () => {
+    expect(prepareMessages('file_name.txt (1)')).toEqual([
+      { text: 'file_name.txt (1)', plainText: 'file_name.txt (1)', parseMode: null }
+    ]);
+  });
+
+  it('prefers line breaks, then spaces, when splitting', () => {
+    const text = `${'a'.repeat(30)}\n${'b'.repeat(30)} ${'c'.repeat(30)}`;
+
+    expect(prepareMessages(text, null, 50).map(part => part.text)).toEqual([
+      `${'a'.repeat(30)}\n`,
+      `${'b'.repeat(30)} `,
+      'c'.repeat(30)
+    ]);
+  });
+
+  it('never splits a character made of a surrogate pair', () => {
+    const parts = prepareMessages('😀'.repeat(10), null, 5);
+
+    parts.forEach(part => expect(part.text).toMatch(/^(😀)+$/));
+    expect(parts.map(part => part.text).join('')).toBe('😀'.repeat(10));
+  });
+
+  it('passes formatted values through templates unescaped', () => {
+    const inner = format`${bold('a.b')}`;
+
+    expect(format`x ${inner} y.`.render(PARSE_MODES.MARKDOWN_V2)).toBe('x *a\\.b* y\\.');
+  });
+});
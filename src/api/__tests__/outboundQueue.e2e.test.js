@@ -0,0 +1,167 @@
+/**
+ * End-to-end tests for the outbound queue
+ * Replies sent while offline or refused for now wait in the outbox for the fake Bot API server
+ */
+const { createFileSystemFake, createSecureStoreFake } = require('../../../test/expoFakes');
+const { CHAT_ID, setupTelegramHarness } = require('../../../test/telegramHarness');
+
+const mockFileSystem = createFileSystemFake();
+const mockSecureStore = createSecureStoreFake();
+
+jest.mock('expo-file-system', () => mockFileSystem.module);
+jest.mock('expo-secure-store', () => mockSecureStore.module);
+jest.mock('expo-crypto', () => require('../../../test/expoFakes').cryptoModule);
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('../../native-modules/NativeHttpServer', () => require('../../../test/expoFakes').httpServerModule);
+jest.mock('../../services/deviceService', () => require('../../../test/telegramHarness').deviceServiceModule);
+jest.mock('../../services/contactsService', () => require('../../../test/telegramHarness').contactsServiceModule);
+
+describe('outbound queue', () => {
+  const harness = setupTelegramHarness({ fileSystem: mockFileSystem, secureStore: mockSecureStore });
+  const { connect, sentTexts } = harness;
+
+  const report = 'file:///cache/report.csv';
+
+  // Messages and documents in the order the server received them
+  const delivered = () => harness.fake.requests
+    .filter(r => r.method === 'sendMessage' || r.method === 'sendDocument')
+    .map(r => r.params.text || r.params.caption);
+
+  beforeEach(() => {
+    mockFileSystem.files.set(report, { content: 'a,b\n1,2' });
+  });
+
+  it('queues replies while offline and sends them in order on reconnect', async () => {
+    const depths = [];
+    harness.api.on('queue', depth => depths.push(depth));
+    harness.api.setConnected(false);
+
+    await expect(harness.api.sendMessage('first')).resolves.toBe(false);
+    await expect(harness.api.sendFile(report, 'Report')).resolves.toBe(false);
+    await harness.api.sendMessage('second');
+
+    expect(harness.fake.requests).toHaveLength(0);
+    expect(depths).toEqual([1, 2, 3]);
+
+    await harness.api.testConnection();
+    await harness.api.flushQueue();
+
+    expect(delivered()).toEqual(['first', 'Report', 'second']);
+    expect(depths[depths.length - 1]).toBe(0);
+    expect(harness.auditService.getEntries().find(e => e.event === 'file_sent'))
+      .toMatchObject({ fileName: 'report.csv', outcome: 'executed' });
+  });
+
+  it('keeps later replies behind queued ones', async () => {
+    harness.api.setConnected(false);
+    await harness.api.sendMessage('queued');
+    harness.api.connected = true;
+
+    await harness.api.sendMessage('newer');
+    await harness.api.flushQueue();
+
+    expect(delivered()).toEqual(['queued', 'newer']);
+  });
+
+  it('delivers identical replies queued while offline', async () => {
+    harness.api.setConnected(false);
+    await harness.api.sendMessage('same');
+    await harness.api.sendMessage('same');
+    await harness.api.sendFile(report, 'Report');
+    await harness.api.sendFile(report, 'Report');
+
+    expect(harness.api.outbox.size).toBe(4);
+
+    harness.api.setConnected(true);
+    await harness.api.flushQueue();
+
+    expect(sentTexts()).toEqual(['same', 'same']);
+    expect(harness.fake.sentDocuments).toHaveLength(2);
+    expect(harness.api.outbox.size).toBe(0);
+  });
+
+  it('queues a retry of the same send once', async () => {
+    const payload = { sendId: 'a1b2c3', text: 'same', options: {} };
+
+    await expect(harness.api.outbox.enqueue('message', CHAT_ID, payload)).resolves.toBe(true);
+    await expect(harness.api.outbox.enqueue('message', CHAT_ID, { ...payload })).resolves.toBe(false);
+    expect(harness.api.outbox.size).toBe(1);
+  });
+
+  it('waits out a long retry_after instead of retrying inline', async () => {
+    harness.fake.failNext('sendMessage', { status: 429, description: 'Too Many Requests: retry after 30', retryAfter: 30 });
+
+    await expect(harness.api.sendMessage('hello')).resolves.toBe(false);
+    await harness.api.sendMessage('next');
+    await harness.api.flushQueue();
+
+    expect(harness.fake.requestsFor('sendMessage')).toHaveLength(1);
+    expect(harness.api.outbox.peek().nextAttemptAt).toBeGreaterThan(Date.now() + 25000);
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 30000);
+    await harness.api.flushQueue();
+    Date.now.mockRestore();
+
+    expect(sentTexts()).toEqual(['hello', 'next']);
+    expect(harness.api.outbox.size).toBe(0);
+  });
+
+  it('drops queued replies the server rejects', async () => {
+    harness.api.setConnected(false);
+    await harness.api.sendMessage('rejected');
+    await harness.api.sendMessage('accepted');
+    harness.fake.failNext('sendMessage', { status: 400, description: 'Bad Request: message text is empty' });
+
+    await harness.api.testConnection();
+    await harness.api.flushQueue();
+
+    expect(sentTexts()).toEqual(['accepted']);
+    expect(harness.api.outbox.size).toBe(0);
+  });
+
+  it('keeps queued replies and temporary files across a restart', async () => {
+    harness.api.setConnected(false);
+    await harness.api.sendMessage('before restart');
+    await harness.api.sendFile(report, 'Report');
+
+    // The system may clear the cache while the app is not running
+    mockFileSystem.files.delete(report);
+    harness.api.disconnect();
+    harness.api = await connect();
+    await harness.api.flushQueue();
+
+    expect(delivered()).toEqual(['before restart', 'Report']);
+    expect(harness.auditService.getEntries().find(e => e.event === 'file_sent'))
+      .toMatchObject({ filePath: report, bytes: 7, outcome: 'executed' });
+    expect([...mockFileSystem.files.keys()].filter(key => key.startsWith('file:///docs/outbox/'))).toEqual([]);
+  });
+
+  it('discards queued replies and their files when access is revoked', async () => {
+    harness.api.setConnected(false);
+    await harness.api.sendMessage('private');
+    await harness.api.sendFile(report, 'Report');
+
+    await harness.api.revokeAccess();
+    harness.api = await connect();
+    await harness.api.flushQueue();
+
+    expect(delivered()).toEqual([]);
+    expect(harness.api.outbox.size).toBe(0);
+    expect([...mockFileSystem.files.keys()].filter(key => key.startsWith('file:///docs/outbox/'))).toEqual([]);
+  });
+
+  it('tells the chat access was revoked even with replies queued', async () => {
+    harness.api.setConnected(false);
+    await harness.api.sendMessage('private');
+    harness.api.connected = true;
+
+    await harness.api.revokeAccess();
+
+    expect(delivered()).toEqual(['🔒 Access revoked. The device owner disconnected this chat.']);
+    expect(harness.api.outbox.size).toBe(0);
+    expect(harness.api.connected).toBe(false);
+  });
+});
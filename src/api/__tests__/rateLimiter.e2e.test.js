@@ -0,0 +1,73 @@
+/**
+ * End-to-end tests for rate limiting
+ * Bursts of replies are paced the way the Bot API expects
+ */
+const { createFileSystemFake, createSecureStoreFake } = require('../../../test/expoFakes');
+const { TOKEN, setupTelegramHarness } = require('../../../test/telegramHarness');
+
+const mockFileSystem = createFileSystemFake();
+const mockSecureStore = createSecureStoreFake();
+
+jest.mock('expo-file-system', () => mockFileSystem.module);
+jest.mock('expo-secure-store', () => mockSecureStore.module);
+jest.mock('expo-crypto', () => require('../../../test/expoFakes').cryptoModule);
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('../../native-modules/NativeHttpServer', () => require('../../../test/expoFakes').httpServerModule);
+jest.mock('../../services/deviceService', () => require('../../../test/telegramHarness').deviceServiceModule);
+jest.mock('../../services/contactsService', () => require('../../../test/telegramHarness').contactsServiceModule);
+
+describe('rate limiting', () => {
+  const harness = setupTelegramHarness({ fileSystem: mockFileSystem, secureStore: mockSecureStore });
+  const { connect, sentTexts } = harness;
+
+  const { RATE_LIMITS } = require('../rateLimiter');
+
+  // One message per 100ms in the test group chat
+  const connectLimited = async () => {
+    harness.api.disconnect();
+    harness.api = await connect(TOKEN, { rateLimits: { ...RATE_LIMITS, groupChat: { capacity: 1, perSecond: 10 } } });
+    harness.fake.reset();
+  };
+
+  it('spaces out bursts to one chat and reports throttling', async () => {
+    await connectLimited();
+    const statuses = [];
+    harness.api.on('throttle', status => statuses.push(status.throttled));
+
+    const started = Date.now();
+    await Promise.all(['one', 'two', 'three'].map(text => harness.api.sendMessage(text)));
+
+    expect(sentTexts()).toEqual(['one', 'two', 'three']);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(180);
+    expect(statuses).toEqual([true, false]);
+  });
+
+  it('sends interactive replies before bulk uploads', async () => {
+    mockFileSystem.files.set('file:///docs/a.csv', { content: 'a' });
+    mockFileSystem.files.set('file:///docs/b.csv', { content: 'b' });
+    await connectLimited();
+
+    const uploads = [harness.api.sendFile('file:///docs/a.csv', 'A'), harness.api.sendFile('file:///docs/b.csv', 'B')];
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await Promise.all([...uploads, harness.api.sendMessage('reply')]);
+
+    const order = harness.fake.requests.map(r => r.params.text || r.params.caption);
+    expect(order).toEqual(['A', 'reply', 'B']);
+  });
+
+  it('holds other calls until retry_after has passed', async () => {
+    harness.fake.failNext('sendMessage', { status: 429, description: 'Too Many Requests: retry after 1', retryAfter: 1 });
+
+    const started = Date.now();
+    const limited = harness.api.sendMessage('limited');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    // A call to another method, sent while the first one waits to retry
+    const otherCallAt = await harness.api.api.get('/getMe').then(() => Date.now());
+    await limited;
+
+    expect(sentTexts()).toEqual(['limited']);
+    expect(otherCallAt - started).toBeGreaterThanOrEqual(1000);
+  });
+});
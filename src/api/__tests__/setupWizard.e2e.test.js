@@ -0,0 +1,57 @@
+/**
+ * End-to-end tests for the setup wizard
+ * Checks bot tokens against a fake Bot API server of their own
+ */
+const { createFakeBotApi } = require('../../../test/fakeBotApi');
+const { createFileSystemFake, createSecureStoreFake } = require('../../../test/expoFakes');
+
+const mockFileSystem = createFileSystemFake();
+const mockSecureStore = createSecureStoreFake();
+
+jest.mock('expo-file-system', () => mockFileSystem.module);
+jest.mock('expo-secure-store', () => mockSecureStore.module);
+jest.mock('expo-crypto', () => require('../../../test/expoFakes').cryptoModule);
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('../../native-modules/NativeHttpServer', () => require('../../../test/expoFakes').httpServerModule);
+jest.mock('../../services/deviceService', () => require('../../../test/telegramHarness').deviceServiceModule);
+jest.mock('../../services/contactsService', () => require('../../../test/telegramHarness').contactsServiceModule);
+
+describe('setup wizard', () => {
+  const WIZARD_TOKEN = '987654321:AAHdqTcvCH1vGWJxfSeofSAs0K5PALDsaw1';
+  let setupWizard;
+  let wizardFake;
+  let options;
+
+  beforeEach(async () => {
+    setupWizard = require('../setupWizard');
+    wizardFake = createFakeBotApi({ token: WIZARD_TOKEN });
+    options = { apiBaseUrl: await wizardFake.start(), retryDelay: 1 };
+  });
+
+  afterEach(async () => {
+    await wizardFake.stop();
+  });
+
+  it('refuses a malformed token without calling Telegram', async () => {
+    await expect(setupWizard.verifyToken('123:abc', options)).rejects.toMatchObject({
+      reason: setupWizard.SETUP_ERRORS.TOKEN_FORMAT,
+      message: expect.stringContaining('BotFather')
+    });
+    expect(wizardFake.requests).toHaveLength(0);
+  });
+
+  it('checks the token with getMe', async () => {
+    await expect(setupWizard.verifyToken(` ${WIZARD_TOKEN} `, options)).resolves.toMatchObject({
+      username: wizardFake.botInfo.username
+    });
+  });
+
+  it('explains a rejected token and an unreachable server', async () => {
+    await expect(setupWizard.verifyToken('987654321:AAHdqTcvCH1vGWJxfSeofSAs0K5PALDsaw2', options))
+      .rejects.toMatchObject({ reason: setupWizard.SETUP_ERRORS.TOKEN_REJECTED });
+    await expect(setupWizard.verifyToken(WIZARD_TOKEN, { ...options, apiBaseUrl: 'http://127.0.0.1:9' }))
+      .rejects.toMatchObject({ reason: setupWizard.SETUP_ERRORS.UNREACHABLE });
+  });
+});
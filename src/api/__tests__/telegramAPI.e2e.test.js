@@ -0,0 +1,551 @@
+/**
+ * End-to-end tests for the Telegram API and command handlers
+ * Drives the app's command handling against the local fake Bot API server
+ */
+const { buildMessageUpdate, buildCallbackUpdate } = require('../../../test/fakeBotApi');
+const { createFileSystemFake, createSecureStoreFake } = require('../../../test/expoFakes');
+const { TOKEN, CHAT_ID, ADMIN, VIEWER, setupTelegramHarness } = require('../../../test/telegramHarness');
+
+const mockFileSystem = createFileSystemFake();
+const mockSecureStore = createSecureStoreFake();
+
+jest.mock('expo-file-system', () => mockFileSystem.module);
+jest.mock('expo-secure-store', () => mockSecureStore.module);
+jest.mock('expo-crypto', () => require('../../../test/expoFakes').cryptoModule);
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('../../native-modules/NativeHttpServer', () => require('../../../test/expoFakes').httpServerModule);
+jest.mock('../../services/deviceService', () => require('../../../test/telegramHarness').deviceServiceModule);
+jest.mock('../../services/contactsService', () => require('../../../test/telegramHarness').contactsServiceModule);
+
+describe('TelegramAPI against the fake Bot API', () => {
+  const harness = setupTelegramHarness({ fileSystem: mockFileSystem, secureStore: mockSecureStore });
+  const { deliver, connect, sentTexts, answerConsent } = harness;
+
+  it('connects with getMe using the configured server', async () => {
+    await expect(harness.api.testConnection()).resolves.toBe(true);
+    expect(harness.fake.requestsFor('getMe').length).toBeGreaterThan(0);
+  });
+
+  it('is not connected until getMe answers', async () => {
+    const other = new harness.TelegramAPI({ apiBaseUrl: harness.fake.url, retryDelay: 1, pollTimeout: 0 });
+    const connections = [];
+    other.on('connection', connected => connections.push(connected));
+    harness.fake.failNext('getMe', { status: 401, description: 'Unauthorized' });
+
+    const verifying = other.initialize(TOKEN, CHAT_ID);
+    expect(other.connected).toBe(false);
+
+    await expect(verifying).resolves.toBe(false);
+    expect(connections).not.toContain(true);
+    other.disconnect();
+  });
+
+  it('fails to connect with the wrong token', async () => {
+    const other = new harness.TelegramAPI({ apiBaseUrl: harness.fake.url, retryDelay: 1 });
+    other.token = 'wrong:token';
+    other.chatId = CHAT_ID;
+    other.api = other.createClient();
+    other.handleDisconnection = jest.fn();
+
+    await expect(other.testConnection()).resolves.toBe(false);
+    expect(other.handleDisconnection).toHaveBeenCalled();
+  });
+
+  it('runs a slash command and replies in the chat', async () => {
+    await deliver(buildMessageUpdate('/device_info', { chatId: CHAT_ID, from: VIEWER, chatType: 'group' }));
+
+    expect(harness.deps.refreshDeviceInfo).toHaveBeenCalled();
+    expect(sentTexts()).toContain('📱 Device: Test Phone');
+    expect(harness.fake.sentMessages[0].chat_id).toBe(CHAT_ID);
+  });
+
+  it('advances the update offset so updates are not handled twice', async () => {
+    await deliver(buildMessageUpdate('/device_info', { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+    const second = await harness.api.pollOnce();
+
+    expect(second).toEqual([]);
+    expect(harness.deps.refreshDeviceInfo).toHaveBeenCalledTimes(1);
+    const offsets = harness.fake.requestsFor('getUpdates').map(r => Number(r.params.offset));
+    expect(offsets).toEqual([1, 2]);
+  });
+
+  it('ignores messages from unauthorized chats and records them', async () => {
+    await deliver(buildMessageUpdate('/contacts', { chatId: 999, from: ADMIN }));
+
+    expect(harness.fake.sentMessages).toHaveLength(0);
+    expect(harness.fake.sentDocuments).toHaveLength(0);
+    const last = harness.auditService.getEntries().pop();
+    expect(last.outcome).toBe('unauthorized_chat');
+    expect(last.chatId).toBe(999);
+  });
+
+  it('ignores callbacks from unauthorized chats', async () => {
+    await deliver(buildCallbackUpdate('contacts', { chatId: 999, from: ADMIN }));
+
+    expect(harness.fake.answeredCallbacks).toHaveLength(0);
+    expect(harness.fake.sentDocuments).toHaveLength(0);
+  });
+
+  it('refuses admin commands from viewers', async () => {
+    await deliver(buildMessageUpdate('/contacts', { chatId: CHAT_ID, from: VIEWER, chatType: 'group' }));
+
+    expect(sentTexts()).toEqual(['⛔ You are not authorized to run /contacts.']);
+    expect(harness.auditService.getEntries().pop().outcome).toBe('denied_role');
+  });
+
+  it('reports unknown commands', async () => {
+    await deliver(buildMessageUpdate('/launch_rockets', { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+
+    expect(sentTexts()[0]).toMatch(/Unknown command: \/launch_rockets/);
+  });
+
+  it('routes callback buttons to handlers and answers the callback', async () => {
+    const update = buildCallbackUpdate(harness.api.callbackData('sms_logs'), { chatId: CHAT_ID, from: ADMIN, chatType: 'group' });
+    await deliver(update);
+
+    expect(harness.fake.answeredCallbacks).toEqual([
+      expect.objectContaining({ callback_query_id: update.callback_query.id })
+    ]);
+    expect(harness.deps.sms.getSmsMessages).toHaveBeenCalled();
+    expect(harness.fake.sentDocuments).toHaveLength(1);
+    expect(harness.fake.sentDocuments[0].caption).toBe('SMS Messages Export (1 messages)');
+    expect(sentTexts()[0]).toMatch(/Found 1 SMS messages/);
+  });
+
+  it('passes the full parameter of parameterized callbacks', async () => {
+    const path = 'file:///docs/my_report_2024.txt';
+    mockFileSystem.files.set(path, { content: 'report' });
+
+    await deliver(buildCallbackUpdate(harness.api.callbackData('file', path), { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+
+    expect(harness.fake.sentDocuments).toHaveLength(1);
+    expect(harness.fake.sentDocuments[0].caption).toMatch(/^File: my_report_2024\.txt/);
+    const fileEntry = harness.auditService.getEntries().find(e => e.event === 'file_sent');
+    expect(fileEntry).toMatchObject({ filePath: path, bytes: 6, command: 'file', outcome: 'executed' });
+  });
+
+  it('rejects buttons whose token has expired', async () => {
+    const data = harness.api.callbackData('device_info');
+    harness.api.callbacks.tokens.get(data).expiresAt = Date.now() - 1;
+
+    const update = buildCallbackUpdate(data, { chatId: CHAT_ID, from: ADMIN, chatType: 'group' });
+    await deliver(update);
+
+    expect(harness.deps.refreshDeviceInfo).not.toHaveBeenCalled();
+    expect(harness.fake.answeredCallbacks).toEqual([
+      expect.objectContaining({ callback_query_id: update.callback_query.id, show_alert: true })
+    ]);
+    expect(harness.auditService.getEntries().pop().outcome).toBe('expired_button');
+  });
+
+  it('rejects raw command names as callback data', async () => {
+    await deliver(buildCallbackUpdate('device_info', { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+
+    expect(harness.deps.refreshDeviceInfo).not.toHaveBeenCalled();
+  });
+
+  it('invalidates buttons on disconnect', async () => {
+    const data = harness.api.callbackData('device_info');
+
+    harness.api.disconnect();
+    harness.api = await connect();
+    await deliver(buildCallbackUpdate(data, { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+
+    expect(harness.deps.refreshDeviceInfo).not.toHaveBeenCalled();
+  });
+
+  it('accepts slash command arguments with spaces', async () => {
+    const path = 'file:///docs/Annual Report.txt';
+    mockFileSystem.files.set(path, { content: 'report' });
+
+    await deliver(buildMessageUpdate(`/file ${path}`, { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+
+    expect(harness.fake.sentDocuments).toHaveLength(1);
+    expect(harness.fake.sentDocuments[0].caption).toMatch(/^File: Annual Report\.txt/);
+  });
+
+  it('explains missing arguments with the command usage', async () => {
+    await deliver(buildMessageUpdate('/file', { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+
+    expect(sentTexts()).toEqual(['⚠️ Missing path. Usage: /file <path>']);
+    expect(harness.auditService.getEntries().pop().outcome).toBe('invalid_arguments');
+  });
+
+  it('only lists the commands the sender may run in /help', async () => {
+    await deliver(buildMessageUpdate('/help', { chatId: CHAT_ID, from: VIEWER, chatType: 'group' }));
+
+    const [help] = sentTexts();
+    expect(help).toMatch(/\/device_info - Show device information/);
+    expect(help).toMatch(/\/help - /);
+    expect(help).not.toMatch(/\/contacts/);
+  });
+
+  it('publishes the command menu with setMyCommands', async () => {
+    await harness.api.testConnection();
+
+    const names = harness.fake.botCommands.map(c => c.command);
+    expect(names).toEqual(expect.arrayContaining(['help', 'device_info', 'file', 'storage']));
+    expect(names).not.toContain('back');
+  });
+
+  it('ignores commands addressed to another bot', async () => {
+    await deliver(buildMessageUpdate('/device_info@some_other_bot', { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+
+    expect(harness.deps.refreshDeviceInfo).not.toHaveBeenCalled();
+    expect(harness.fake.sentMessages).toHaveLength(0);
+  });
+
+  it('does not run a command the device owner denies', async () => {
+    harness.consentAnswer = false;
+
+    await deliver(buildCallbackUpdate(harness.api.callbackData('contacts'), { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+
+    expect(harness.fake.sentDocuments).toHaveLength(0);
+    expect(sentTexts()).toEqual(['🚫 The device owner denied access to Contacts (/contacts).']);
+  });
+
+  it('handles other commands while one waits for approval', async () => {
+    harness.consentService.unsubscribe(answerConsent);
+
+    harness.fake.pushUpdate(buildMessageUpdate('/contacts', { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+    await harness.api.pollOnce();
+    harness.fake.pushUpdate(buildMessageUpdate('/device_info', { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+    await harness.api.pollOnce();
+
+    expect(sentTexts()).toEqual(['📱 Device: Test Phone']);
+    expect(harness.fake.sentDocuments).toHaveLength(0);
+
+    await harness.consentService.respond(harness.consentService.getCurrentRequest().id, true);
+    await harness.api.waitForParkedCommands();
+
+    expect(harness.fake.sentDocuments).toHaveLength(1);
+    expect(harness.auditService.getEntries().map(entry => [entry.event, entry.command])).toEqual([
+      ['command', 'device_info'],
+      ['file_sent', 'contacts'],
+      ['command', 'contacts']
+    ]);
+  });
+
+  it('cancels commands waiting for approval when access is revoked', async () => {
+    harness.consentService.unsubscribe(answerConsent);
+    harness.fake.pushUpdate(buildMessageUpdate('/contacts', { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+    await harness.api.pollOnce();
+
+    await harness.api.revokeAccess();
+
+    expect(harness.consentService.getCurrentRequest()).toBeNull();
+    expect(harness.fake.sentDocuments).toHaveLength(0);
+    expect(sentTexts()).toEqual(['🔒 Access revoked. The device owner disconnected this chat.']);
+  });
+
+  it('does not run a command approved after disconnecting', async () => {
+    harness.consentService.unsubscribe(answerConsent);
+    harness.fake.pushUpdate(buildMessageUpdate('/contacts', { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+    await harness.api.pollOnce();
+
+    harness.api.disconnect();
+    await harness.consentService.respond(harness.consentService.getCurrentRequest().id, true);
+    await harness.api.waitForParkedCommands();
+
+    expect(harness.fake.sentDocuments).toHaveLength(0);
+  });
+
+  it('retries sendMessage after server errors', async () => {
+    harness.fake.failNext('sendMessage', { status: 502, description: 'Bad Gateway', times: 2 });
+
+    await expect(harness.api.sendMessage('hello')).resolves.toBe(true);
+
+    expect(harness.fake.requestsFor('sendMessage')).toHaveLength(3);
+    expect(sentTexts()).toEqual(['hello']);
+  });
+
+  it('retries after 429 Too Many Requests', async () => {
+    harness.fake.failNext('sendMessage', { status: 429, description: 'Too Many Requests: retry after 1', retryAfter: 1 });
+
+    await expect(harness.api.sendMessage('hello')).resolves.toBe(true);
+
+    expect(harness.fake.requestsFor('sendMessage')).toHaveLength(2);
+  });
+
+  it('gives up after the retry limit', async () => {
+    harness.fake.failNext('sendMessage', { status: 500, times: 10 });
+
+    await expect(harness.api.sendMessage('hello')).resolves.toBe(false);
+
+    // The first attempt plus three retries
+    expect(harness.fake.requestsFor('sendMessage')).toHaveLength(4);
+  });
+
+  it('does not retry client errors', async () => {
+    harness.fake.failNext('sendMessage', { status: 400, description: 'Bad Request: chat not found' });
+
+    await expect(harness.api.sendMessage('hello')).resolves.toBe(false);
+
+    expect(harness.fake.requestsFor('sendMessage')).toHaveLength(1);
+  });
+
+  it('records failed uploads in the audit log', async () => {
+    harness.fake.failNext('sendDocument', { status: 400, description: 'Bad Request: file is empty' });
+
+    await deliver(buildCallbackUpdate(harness.api.callbackData('sms_logs'), { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+
+    const fileEntry = harness.auditService.getEntries().find(e => e.event === 'file_sent');
+    expect(fileEntry).toMatchObject({ fileName: 'sms.csv', outcome: 'failed', command: 'sms_logs' });
+  });
+
+  describe('device info', () => {
+    const deviceInfo = {
+      deviceName: 'Test Phone',
+      deviceId: 'abcdef123456',
+      location: {}
+    };
+
+    it('refers to the device by a fingerprint of its ID', async () => {
+      const encryption = require('../../utils/encryption');
+      await encryption.initializeEncryption();
+
+      await expect(harness.api.sendDeviceInfo(deviceInfo)).resolves.toBe(true);
+
+      expect(harness.fake.sentMessages[0].text).toContain(`Device ID: ${encryption.fingerprint(deviceInfo.deviceId)}`);
+      expect(harness.fake.sentMessages[0].text).not.toContain(deviceInfo.deviceId);
+    });
+
+    it('masks the device ID when the keyring is unavailable', async () => {
+      await expect(harness.api.sendDeviceInfo(deviceInfo)).resolves.toBe(true);
+
+      expect(harness.fake.sentMessages[0].text).toContain('Device ID: ab••••••••56');
+      expect(harness.fake.sentMessages[0].text).not.toContain(deviceInfo.deviceId);
+    });
+  });
+
+  describe('message formatting', () => {
+    it('escapes file names Telegram would otherwise refuse', async () => {
+      const dir = 'file:///docs/re_ports*[1]/';
+      mockFileSystem.files.set(dir, { isDirectory: true });
+      mockFileSystem.files.set(`${dir}q1_final.v2.csv`, { content: 'x' });
+
+      await deliver(buildMessageUpdate(`/storage ${dir}`, { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+
+      expect(harness.fake.requestsFor('sendMessage')).toHaveLength(1);
+      expect(harness.fake.sentMessages[0]).toMatchObject({ parse_mode: 'MarkdownV2' });
+      expect(harness.fake.sentMessages[0].text).toContain('`file:///docs/re_ports*[1]/`');
+    });
+
+    it('sends plain strings without a parse mode', async () => {
+      await expect(harness.api.sendMessage('Error accessing file: no_such_file.txt [*]')).resolves.toBe(true);
+
+      expect(harness.fake.sentMessages[0].parse_mode).toBeUndefined();
+    });
+
+    it('falls back to plain text when Telegram cannot parse the formatting', async () => {
+      // The module registry is reset for each test, so load the builder the API uses
+      const { format, bold } = require('../messageBuilder');
+      harness.fake.failNext('sendMessage', { status: 400, description: "Bad Request: can't parse entities: Can't find end of Bold entity" });
+
+      await expect(harness.api.sendMessage(format`${bold('Report')}: 3 items.`)).resolves.toBe(true);
+
+      expect(harness.fake.requestsFor('sendMessage')).toHaveLength(2);
+      expect(harness.fake.sentMessages).toEqual([expect.objectContaining({ text: 'Report: 3 items.' })]);
+      expect(harness.fake.sentMessages[0].parse_mode).toBeUndefined();
+    });
+
+    it('splits long messages and keeps the buttons on the last part', async () => {
+      const keyboard = { inline_keyboard: [[{ text: 'OK', callback_data: 'ok' }]] };
+
+      await expect(harness.api.sendMessage('sms body\n'.repeat(1000), { reply_markup: keyboard })).resolves.toBe(true);
+
+      expect(harness.fake.sentMessages).toHaveLength(3);
+      expect(harness.fake.sentMessages.map(m => m.text).join('')).toBe('sms body\n'.repeat(1000));
+      expect(harness.fake.sentMessages.map(m => Boolean(m.reply_markup))).toEqual([false, false, true]);
+    });
+  });
+
+  describe('bot identity', () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = require('../../utils/storage');
+    });
+
+    const reconnect = async () => {
+      harness.api.disconnect();
+      harness.fake.reset();
+      harness.api = await connect();
+    };
+
+    it('pins the bot on first connect', async () => {
+      await expect(storage.getBotIdentity()).resolves.toMatchObject({ id: '123456', username: 'fake_test_bot' });
+    });
+
+    it('refuses to poll when the token belongs to another bot', async () => {
+      const mismatches = [];
+      harness.fake.botInfo.id = 999;
+      harness.fake.botInfo.username = 'other_bot';
+
+      harness.api.disconnect();
+      harness.fake.reset();
+      const instance = new harness.TelegramAPI({ apiBaseUrl: harness.fake.url, retryDelay: 1, pollTimeout: 0 });
+      const connections = [];
+      instance.on('identity', mismatch => mismatches.push(mismatch));
+      instance.on('connection', connected => connections.push(connected));
+      harness.api = instance;
+
+      await expect(instance.initialize(TOKEN, CHAT_ID)).resolves.toBe(false);
+
+      expect(harness.api.connected).toBe(false);
+      expect(connections).not.toContain(true);
+      expect(harness.api.isPolling).toBe(false);
+      expect(harness.fake.requestsFor('getUpdates')).toHaveLength(0);
+      expect(mismatches).toEqual([{
+        expected: expect.objectContaining({ id: '123456', username: 'fake_test_bot' }),
+        actual: { id: '999', username: 'other_bot' }
+      }]);
+
+      // Reconnecting does not get past the check either
+      await expect(harness.api.testConnection()).resolves.toBe(false);
+      await expect(storage.getBotIdentity()).resolves.toMatchObject({ id: '123456' });
+    });
+
+    it('refuses to start receiving updates from an unverified bot', async () => {
+      harness.fake.botInfo.id = 999;
+      await reconnect();
+
+      // As the app's Start Monitoring button would
+      harness.api.connected = true;
+      harness.api.startUpdatePolling();
+      harness.api.startReceivingUpdates();
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(harness.api.isPolling).toBe(false);
+      expect(harness.api.canReceiveUpdates()).toBe(false);
+      expect(harness.fake.requestsFor('getUpdates')).toHaveLength(0);
+    });
+
+    it('does not poll before the bot has been verified', () => {
+      const instance = new harness.TelegramAPI({ apiBaseUrl: harness.fake.url, retryDelay: 1, pollTimeout: 0 });
+      instance.connected = true;
+
+      instance.startUpdatePolling();
+
+      expect(instance.isPolling).toBe(false);
+      expect(instance.identityVerified).toBe(false);
+    });
+
+    it('answers the new bot once the owner confirms it', async () => {
+      harness.fake.botInfo.id = 999;
+      await reconnect();
+      expect(harness.api.identityMismatch).not.toBeNull();
+
+      await expect(harness.api.confirmBotIdentity()).resolves.toBe(true);
+      harness.api.stopUpdatePolling();
+
+      expect(harness.api.identityMismatch).toBeNull();
+      await expect(storage.getBotIdentity()).resolves.toMatchObject({ id: '999' });
+      await deliver(buildMessageUpdate('/device_info', { chatId: CHAT_ID, from: VIEWER, chatType: 'group' }));
+      expect(sentTexts()).toContain('📱 Device: Test Phone');
+    });
+
+    it('follows a renamed bot with the same ID', async () => {
+      harness.fake.botInfo.username = 'renamed_bot';
+      await reconnect();
+
+      expect(harness.api.connected).toBe(true);
+      await expect(storage.getBotIdentity()).resolves.toMatchObject({ id: '123456', username: 'renamed_bot' });
+    });
+  });
+
+  describe('exactly-once delivery', () => {
+    const deviceInfoUpdate = () =>
+      buildMessageUpdate('/device_info', { chatId: CHAT_ID, from: ADMIN, chatType: 'group' });
+
+    // Simulate an app restart: a fresh API instance sharing the same storage
+    const restart = async (token = TOKEN) => {
+      harness.api.disconnect();
+      harness.api = await connect(token);
+    };
+
+    const waitFor = async (condition) => {
+      for (let i = 0; i < 200 && !condition(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    };
+
+    it('resumes from the persisted offset after a restart', async () => {
+      await deliver(deviceInfoUpdate());
+      await restart();
+      await harness.api.pollOnce();
+
+      const offsets = harness.fake.requestsFor('getUpdates').map(r => Number(r.params.offset));
+      expect(offsets).toEqual([1, 2]);
+      expect(harness.deps.refreshDeviceInfo).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not rerun a command when the app dies before acknowledging it', async () => {
+      harness.api.acknowledgeUpdate = jest.fn(async () => {
+        throw new Error('simulated crash');
+      });
+
+      await expect(deliver(deviceInfoUpdate())).rejects.toThrow('simulated crash');
+      expect(harness.deps.refreshDeviceInfo).toHaveBeenCalledTimes(1);
+
+      // Telegram redelivers the update because the offset was never confirmed
+      await restart();
+      const redelivered = await harness.api.pollOnce();
+
+      expect(redelivered).toHaveLength(1);
+      expect(harness.deps.refreshDeviceInfo).toHaveBeenCalledTimes(1);
+      expect(sentTexts().filter(text => text === '📱 Device: Test Phone')).toHaveLength(1);
+
+      // The skipped update is acknowledged so it is not fetched again
+      await harness.api.pollOnce();
+      const offsets = harness.fake.requestsFor('getUpdates').map(r => Number(r.params.offset));
+      expect(offsets).toEqual([1, 1, 2]);
+    });
+
+    it('does not rerun a command when the app dies mid-handler', async () => {
+      harness.deps.refreshDeviceInfo.mockImplementationOnce(() => new Promise(() => {}));
+
+      // The handler never finishes, like a process killed while it runs
+      deliver(deviceInfoUpdate());
+      await waitFor(() => harness.deps.refreshDeviceInfo.mock.calls.length > 0);
+
+      await restart();
+      await harness.api.pollOnce();
+
+      expect(harness.deps.refreshDeviceInfo).toHaveBeenCalledTimes(1);
+      expect(harness.fake.sentMessages).toHaveLength(0);
+    });
+
+    it('skips duplicate deliveries of the same update', async () => {
+      const update = harness.fake.pushUpdate(deviceInfoUpdate());
+      harness.fake.pushUpdate({ ...update });
+
+      await harness.api.pollOnce();
+
+      expect(harness.deps.refreshDeviceInfo).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not run an update it could not record', async () => {
+      const storage = require('../../utils/storage');
+      const saveUpdateState = jest.spyOn(storage, 'saveUpdateState').mockResolvedValueOnce(false);
+
+      await expect(deliver(deviceInfoUpdate())).rejects.toThrow('Could not record update');
+      expect(harness.deps.refreshDeviceInfo).not.toHaveBeenCalled();
+
+      // Picked up again on the next poll once storage works
+      saveUpdateState.mockRestore();
+      await harness.api.pollOnce();
+      expect(harness.deps.refreshDeviceInfo).toHaveBeenCalledTimes(1);
+    });
+
+    it('ignores a saved offset that belongs to another bot', async () => {
+      await deliver(deviceInfoUpdate());
+      await restart('654321:OTHER-TOKEN');
+      await harness.api.loadUpdateState();
+
+      expect(harness.api.lastUpdateId).toBe(0);
+    });
+  });
+});
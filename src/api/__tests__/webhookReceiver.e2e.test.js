@@ -0,0 +1,178 @@
+/**
+ * End-to-end tests for webhook mode
+ * Updates are posted by the fake Bot API server to the local webhook endpoint
+ */
+const { buildMessageUpdate } = require('../../../test/fakeBotApi');
+const { createFileSystemFake, createSecureStoreFake } = require('../../../test/expoFakes');
+const { TOKEN, CHAT_ID, ADMIN, setupTelegramHarness } = require('../../../test/telegramHarness');
+
+const mockFileSystem = createFileSystemFake();
+const mockSecureStore = createSecureStoreFake();
+
+jest.mock('expo-file-system', () => mockFileSystem.module);
+jest.mock('expo-secure-store', () => mockSecureStore.module);
+jest.mock('expo-crypto', () => require('../../../test/expoFakes').cryptoModule);
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('../../native-modules/NativeHttpServer', () => require('../../../test/expoFakes').httpServerModule);
+jest.mock('../../services/deviceService', () => require('../../../test/telegramHarness').deviceServiceModule);
+jest.mock('../../services/contactsService', () => require('../../../test/telegramHarness').contactsServiceModule);
+
+describe('webhook mode', () => {
+  const harness = setupTelegramHarness({ fileSystem: mockFileSystem, secureStore: mockSecureStore });
+  const { connect, sentTexts } = harness;
+
+  const http = require('http');
+  let port;
+  let url;
+
+  const waitFor = async (condition) => {
+    for (let i = 0; i < 200 && !condition(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  // Post to the local endpoint the way a reverse proxy would
+  const post = (body, headers = {}) => new Promise((resolve, reject) => {
+    const request = http.request(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers } }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    request.on('error', reject);
+    request.end(JSON.stringify(body));
+  });
+
+  const connectWebhook = async (options = {}) => {
+    harness.api.disconnect();
+    harness.api = await connect(TOKEN, { webhook: { url, port }, ...options });
+    await waitFor(() => harness.api.updateMode !== 'polling' || harness.api.isPolling);
+  };
+
+  const deviceInfoUpdate = () => buildMessageUpdate('/device_info', { chatId: CHAT_ID, from: ADMIN, chatType: 'group' });
+
+  beforeEach(async () => {
+    // Find a free port for the local endpoint
+    const probe = http.createServer();
+    await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+    port = probe.address().port;
+    await new Promise(resolve => probe.close(resolve));
+    url = `http://127.0.0.1:${port}/telegram`;
+  });
+
+  it('registers the webhook with a secret token and handles posted updates', async () => {
+    await connectWebhook();
+
+    expect(harness.api.updateMode).toBe('webhook');
+    expect(harness.fake.webhook).toMatchObject({ url, secretToken: expect.stringMatching(/^[0-9a-f]{64}$/) });
+
+    harness.fake.pushUpdate(deviceInfoUpdate());
+    await harness.fake.deliverWebhookUpdates();
+    await harness.api.webhookUpdates;
+
+    expect(harness.deps.refreshDeviceInfo).toHaveBeenCalledTimes(1);
+    expect(sentTexts()).toEqual(['📱 Device: Test Phone']);
+    expect(harness.fake.requestsFor('getUpdates')).toHaveLength(0);
+  });
+
+  it('refuses requests without the right secret token', async () => {
+    await connectWebhook();
+    const update = { update_id: 99, ...deviceInfoUpdate() };
+
+    await expect(post(update)).resolves.toBe(401);
+    await expect(post(update, { 'X-Telegram-Bot-Api-Secret-Token': 'guess' })).resolves.toBe(401);
+    await expect(post(update, { 'X-Telegram-Bot-Api-Secret-Token': harness.fake.webhook.secretToken })).resolves.toBe(200);
+    await harness.api.webhookUpdates;
+
+    expect(harness.deps.refreshDeviceInfo).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not handle a redelivered update twice', async () => {
+    await connectWebhook();
+    const update = { update_id: 7, ...deviceInfoUpdate() };
+    const headers = { 'X-Telegram-Bot-Api-Secret-Token': harness.fake.webhook.secretToken };
+
+    await post(update, headers);
+    await post(update, headers);
+    await harness.api.webhookUpdates;
+
+    expect(harness.deps.refreshDeviceInfo).toHaveBeenCalledTimes(1);
+  });
+
+  it('answers Telegram before a slow command finishes', async () => {
+    await connectWebhook();
+    let finish;
+    harness.deps.refreshDeviceInfo.mockImplementation(() => new Promise(resolve => {
+      finish = () => resolve({ deviceName: 'Test Phone' });
+    }));
+    const update = { update_id: 8, ...deviceInfoUpdate() };
+    const headers = { 'X-Telegram-Bot-Api-Secret-Token': harness.fake.webhook.secretToken };
+
+    // Telegram times out on the first attempt and delivers it again
+    await expect(post(update, headers)).resolves.toBe(200);
+    await expect(post(update, headers)).resolves.toBe(200);
+    expect(sentTexts()).toEqual([]);
+
+    finish();
+    await harness.api.webhookUpdates;
+
+    expect(harness.deps.refreshDeviceInfo).toHaveBeenCalledTimes(1);
+    expect(sentTexts()).toEqual(['📱 Device: Test Phone']);
+  });
+
+  it('stops the webhook without falling back to polling', async () => {
+    await connectWebhook();
+
+    await harness.api.stopReceivingUpdates();
+
+    expect(harness.api.updateMode).toBe('polling');
+    expect(harness.api.isPolling).toBe(false);
+    expect(harness.fake.webhook).toBeNull();
+
+    // Starting again uses the configured webhook, not polling
+    await harness.api.startReceivingUpdates();
+    await waitFor(() => harness.api.updateMode === 'webhook');
+    expect(harness.fake.requestsFor('getUpdates')).toHaveLength(0);
+  });
+
+  it('falls back to polling when the webhook cannot be registered', async () => {
+    harness.fake.failNext('setWebhook', { status: 400, description: 'Bad Request: bad webhook: HTTPS url must be provided for webhook' });
+
+    await connectWebhook();
+    harness.api.stopUpdatePolling();
+
+    expect(harness.api.updateMode).toBe('polling');
+    expect(harness.fake.webhook).toBeNull();
+
+    // The endpoint was shut down again
+    await expect(post({ update_id: 1 })).rejects.toThrow();
+  });
+
+  it('falls back to polling when Telegram cannot reach the webhook', async () => {
+    await connectWebhook({ webhookCheckInterval: 20 });
+
+    // The reverse proxy goes away
+    await harness.api.webhook.receiver.stop();
+    harness.fake.pushUpdate(deviceInfoUpdate());
+    await harness.fake.deliverWebhookUpdates();
+
+    await waitFor(() => harness.api.isPolling);
+    harness.api.stopUpdatePolling();
+    await harness.api.pollOnce();
+
+    expect(harness.api.updateMode).toBe('polling');
+    expect(harness.fake.webhook).toBeNull();
+    expect(harness.deps.refreshDeviceInfo).toHaveBeenCalledTimes(1);
+  });
+
+  it('removes a webhook left registered before polling', async () => {
+    await harness.api.api.post('/setWebhook', { url: 'http://127.0.0.1:9/gone' });
+    harness.fake.pushUpdate(deviceInfoUpdate());
+
+    await harness.api.pollOnce();
+    await harness.api.pollOnce();
+
+    expect(harness.fake.webhook).toBeNull();
+    expect(harness.deps.refreshDeviceInfo).toHaveBeenCalledTimes(1);
+  });
+});
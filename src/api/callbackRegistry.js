@@ -0,0 +1,114 @@
+/**
+ * Callback data token registry
+ * Telegram limits callback data to 64 bytes, so inline buttons carry a short
+ * random token and the real payload (paths, page offsets, nonces) stays on
+ * the device until the token expires
+ */
+import { getRandomBytes } from 'expo-crypto';
+import { bytesToHex } from '@noble/hashes/utils';
+
+// How long a button keeps working (ms)
+const DEFAULT_TTL = 30 * 60 * 1000;
+
+// Upper bound on live tokens; the oldest are dropped first
+const MAX_TOKENS = 1000;
+
+// Random bytes per token (hex encoded, so tokens are twice as long)
+const TOKEN_BYTES = 6;
+
+export class CallbackRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {number} options.ttl - Default token lifetime (ms)
+   * @param {number} options.maxTokens - Maximum number of live tokens
+   */
+  constructor({ ttl = DEFAULT_TTL, maxTokens = MAX_TOKENS } = {}) {
+    this.ttl = ttl;
+    this.maxTokens = maxTokens;
+    this.tokens = new Map();
+  }
+
+  /**
+   * Store a payload and get a token to use as callback data
+   * @param {*} payload - Value returned when the button is pressed
+   * @param {Object} options - Token options
+   * @param {number} options.ttl - Lifetime of this token (ms)
+   * @param {boolean} options.once - Invalidate the token after its first use
+   * @returns {string} Token
+   */
+  register(payload, { ttl = this.ttl, once = false } = {}) {
+    this.prune();
+
+    let token;
+    do {
+      token = bytesToHex(getRandomBytes(TOKEN_BYTES));
+    } while (this.tokens.has(token));
+
+    this.tokens.set(token, { payload, once, expiresAt: Date.now() + ttl });
+
+    // Maps keep insertion order, so the first keys are the oldest
+    while (this.tokens.size > this.maxTokens) {
+      this.tokens.delete(this.tokens.keys().next().value);
+    }
+
+    return token;
+  }
+
+  /**
+   * Look up the payload of a token
+   * @param {string} token - Callback data from a button press
+   * @returns {*} Payload, or null if the token is unknown or expired
+   */
+  resolve(token) {
+    const entry = this.tokens.get(token);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.tokens.delete(token);
+      return null;
+    }
+
+    if (entry.once) {
+      this.tokens.delete(token);
+    }
+
+    return entry.payload;
+  }
+
+  /**
+   * Invalidate a token
+   * @param {string} token - Token to remove
+   */
+  revoke(token) {
+    this.tokens.delete(token);
+  }
+
+  /**
+   * Invalidate every token
+   */
+  clear() {
+    this.tokens.clear();
+  }
+
+  /**
+   * Remove expired tokens
+   */
+  prune() {
+    const now = Date.now();
+    this.tokens.forEach((entry, token) => {
+      if (entry.expiresAt <= now) {
+        this.tokens.delete(token);
+      }
+    });
+  }
+
+  /**
+   * Number of live tokens
+   * @returns {number}
+   */
+  get size() {
+    return this.tokens.size;
+  }
+}
+
+export default CallbackRegistry;
@@ -0,0 +1,447 @@
+/**
+ * Telegram command handlers
+ * Implements the remote commands and registers them with a TelegramAPI instance
+ */
+import * as FileSystem from 'expo-file-system';
+import logger from '../utils/logger';
+import contactsService from '../services/contactsService';
+import deviceService from '../services/deviceService';
+import fileService, { formatSize } from '../services/fileService';
+import fileBrowserService, { SORT_OPTIONS } from '../services/fileBrowserService';
+import sharedFolderService, { PathAccessError } from '../services/sharedFolderService';
+import { CONSENT_CATEGORIES } from '../services/consentService';
+import { ROLES } from '../services/authService';
+import { ARG_TYPES } from './commandRouter';
+import { format, bold, code } from './messageBuilder';
+
+// Labels of the sort buttons
+const SORT_LABELS = {
+  [SORT_OPTIONS.NAME]: 'Name',
+  [SORT_OPTIONS.SIZE]: 'Size',
+  [SORT_OPTIONS.DATE]: 'Date'
+};
+
+// Breadcrumbs shown before the trail is shortened
+const MAX_BREADCRUMBS = 3;
+
+/**
+ * Identify the file browsing session of a command (one per chat and sender)
+ * @param {Object} source - Message or callback query
+ * @returns {string} Session ID
+ */
+const getSessionId = (source) => {
+  const chat = source.chat || source.message?.chat;
+  return `${chat?.id}:${source.from?.id}`;
+};
+
+/**
+ * Create the command handlers
+ * @param {Object} api - TelegramAPI instance used for replies
+ * @param {Object} deps - Device capabilities provided by the app
+ * @param {Function} deps.refreshDeviceInfo - Collects and returns fresh device info
+ * @param {Object} deps.sms - SMS capabilities from useMessageService
+ * @returns {Object} Handlers keyed by command name
+ */
+export const createCommandHandlers = (api, { refreshDeviceInfo, sms }) => {
+  const handleCallLogs = async () => {
+    try {
+      logger.info('Call logs requested');
+
+      // This is not supported in Expo
+      await api.sendMessage(
+        'Call log access requires native Android modules. Not available in this version.'
+      );
+
+      logger.warning('Call log access not available in Expo');
+    } catch (error) {
+      logger.error(`Call logs error: ${error.message}`);
+    }
+  };
+
+  const handleSmsLogs = async () => {
+    try {
+      logger.info('SMS logs requested');
+
+      if (!sms.isAvailable) {
+        await api.sendMessage('SMS functionality is not available on this device.');
+        logger.warning('SMS not available on this device');
+        return;
+      }
+
+      if (!sms.hasPermission) {
+        await api.sendMessage(
+          'SMS permission not granted. Please grant permission in the app settings.'
+        );
+        logger.warning('SMS permission denied');
+        return;
+      }
+
+      // Get real SMS messages using the native module integration
+      const messages = await sms.getSmsMessages({
+        maxCount: 100,
+        includeInbox: true,
+        includeSent: true
+      });
+
+      if (!messages || messages.length === 0) {
+        await api.sendMessage('No SMS messages found on this device.');
+        logger.info('No SMS messages found');
+        return;
+      }
+
+      // Format as CSV and send
+      const csvPath = await sms.formatSmsAsCSV(messages);
+
+      if (csvPath) {
+        await api.sendFile(csvPath, `SMS Messages Export (${messages.length} messages)`);
+
+        // Also send a text sample of the most recent messages
+        await api.sendMessage(
+          `Found ${messages.length} SMS messages.\n\nRecent messages sample:\n\n${sms.formatSmsAsText(messages.slice(0, 5))}`
+        );
+
+        logger.success(`SMS logs sent successfully (${messages.length} messages)`);
+      } else {
+        await api.sendMessage('Failed to generate SMS logs.');
+        logger.error('Failed to generate SMS logs');
+      }
+    } catch (error) {
+      logger.error(`SMS logs error: ${error.message}`);
+      await api.sendMessage(`Error accessing SMS: ${error.message}`);
+    }
+  };
+
+  const handleContacts = async () => {
+    try {
+      logger.info('Contacts requested');
+
+      // getAllContacts throws if the permission is not granted
+      let contacts;
+      try {
+        contacts = await contactsService.getAllContacts();
+      } catch (permissionError) {
+        await api.sendMessage('Contacts permission not granted. Cannot access contacts.');
+        logger.warning('Contacts permission denied');
+        return;
+      }
+
+      if (!contacts || contacts.length === 0) {
+        await api.sendMessage('No contacts found on this device.');
+        logger.info('No contacts found');
+        return;
+      }
+
+      // Convert to CSV and send
+      const csv = contactsService.contactsToCSV(contacts);
+      const csvPath = await fileService.createTempFile(csv, 'contacts.csv');
+
+      await api.sendFile(csvPath, `Contacts: ${contacts.length} entries`);
+
+      // Also send a summary of the first few contacts
+      const summary = contacts
+        .slice(0, 5)
+        .map((c) => contactsService.formatContact(c))
+        .join('\n\n-----------------\n\n');
+
+      await api.sendMessage(`Found ${contacts.length} contacts.\n\nSample contacts:\n\n${summary}`);
+
+      logger.success('Contacts sent successfully');
+    } catch (error) {
+      logger.error(`Contacts error: ${error.message}`);
+      await api.sendMessage(`Error accessing contacts: ${error.message}`);
+    }
+  };
+
+  /**
+   * Send the current page of a session's directory with navigation buttons
+   * @param {string} sessionId - Browsing session
+   */
+  const sendDirectoryView = async (sessionId) => {
+    const view = await fileBrowserService.getView(sessionId);
+
+    const entryButtons = view.entries.map((entry) => [
+      entry.isDirectory
+        ? { text: `📁 ${entry.name}/`, callback_data: api.callbackData('storage', entry.path) }
+        : { text: `📄 ${entry.name} (${formatSize(entry.size)})`, callback_data: api.callbackData('file', entry.path) }
+    ]);
+
+    // Breadcrumbs, shortened to the last few directories
+    const crumbs = view.breadcrumbs.slice(-MAX_BREADCRUMBS);
+    const breadcrumbRow = crumbs.map((crumb, index) => ({
+      text: `${index === 0 && view.breadcrumbs.length > crumbs.length ? '… ' : ''}${crumb.name}`,
+      callback_data: api.callbackData('storage', crumb.path)
+    }));
+
+    const pageRow = [];
+    if (view.page > 0) {
+      pageRow.push({ text: '◀️ Prev', callback_data: api.callbackData('page', view.page - 1) });
+    }
+    if (view.page < view.pageCount - 1) {
+      pageRow.push({ text: 'Next ▶️', callback_data: api.callbackData('page', view.page + 1) });
+    }
+
+    const sortRow = Object.values(SORT_OPTIONS).map(option => ({
+      text: `${option === view.sort ? '✓ ' : ''}${SORT_LABELS[option]}`,
+      callback_data: api.callbackData('sort', option)
+    }));
+
+    const keyboard = {
+      inline_keyboard: [
+        breadcrumbRow,
+        ...entryButtons,
+        ...(pageRow.length ? [pageRow] : []),
+        sortRow,
+        [
+          { text: '🔙 Back', callback_data: api.callbackData('back') },
+          { text: '🔄 Refresh', callback_data: api.callbackData('storage', view.path) }
+        ]
+      ]
+    };
+
+    const filterText = view.extension ? ` · only .${view.extension} (/filter to clear)` : '';
+    await api.sendMessage(
+      format`📂 ${bold('Current Directory')}: ${code(view.path)}
+
+${view.total} items · sorted by ${SORT_LABELS[view.sort].toLowerCase()}${filterText}
+Page ${view.page + 1} of ${view.pageCount}`,
+      { reply_markup: keyboard }
+    );
+
+    logger.success(`Sent file list for path: ${view.path} (page ${view.page + 1}/${view.pageCount})`);
+  };
+
+  /**
+   * Update a browsing session and show the result
+   * @param {Object} source - Message or callback query
+   * @param {Function} update - Changes the session, called with the session ID (may be async)
+   * @param {string} description - What is being done, for logs and errors
+   */
+  const browse = async (source, update, description) => {
+    const sessionId = getSessionId(source);
+
+    try {
+      logger.info(description);
+      await update(sessionId);
+      await sendDirectoryView(sessionId);
+    } catch (error) {
+      // Denials are reported and recorded by the API
+      if (error instanceof PathAccessError) throw error;
+
+      logger.error(`Storage error: ${error.message}`);
+      await api.sendMessage(`Error accessing storage: ${error.message}`);
+    }
+  };
+
+  const handleStorage = (source, { path } = {}) =>
+    browse(
+      source,
+      async (sessionId) => {
+        if (path) {
+          fileBrowserService.openDirectory(sessionId, await sharedFolderService.resolvePath(path));
+        }
+      },
+      'Storage access requested'
+    );
+
+  const handlePage = (source, { page }) =>
+    browse(source, sessionId => fileBrowserService.setPage(sessionId, page), `File list page ${page + 1} requested`);
+
+  const handleSort = (source, { by }) =>
+    browse(source, sessionId => fileBrowserService.setSort(sessionId, by), `File list sorted by ${by}`);
+
+  const handleFilter = (source, { extension }) =>
+    browse(
+      source,
+      sessionId => fileBrowserService.setFilter(sessionId, extension),
+      extension ? `File list filtered to .${extension}` : 'File list filter cleared'
+    );
+
+  const handleNavigateBack = (source) =>
+    browse(source, sessionId => fileBrowserService.goBack(sessionId), 'Navigate back requested');
+
+  const handleFile = async (source, { path }) => {
+    try {
+      logger.info(`File selected: ${path}`);
+      const filePath = await sharedFolderService.resolvePath(path);
+
+      // Get file info
+      const fileInfo = await FileSystem.getInfoAsync(filePath);
+
+      if (!fileInfo.exists) {
+        await api.sendMessage(`File not found: ${filePath}`);
+        logger.warning(`File not found: ${filePath}`);
+        return;
+      }
+
+      if (fileInfo.isDirectory) {
+        // Navigate to this directory
+        await handleStorage(source, { path: filePath });
+      } else {
+        // Send the file (in parts if it is over the upload limit)
+        const sent = await api.sendFile(
+          filePath,
+          `File: ${filePath.split('/').pop()}\nSize: ${formatSize(fileInfo.size)}`
+        );
+
+        if (sent) {
+          logger.success(`File sent: ${filePath}`);
+        }
+      }
+    } catch (error) {
+      if (error instanceof PathAccessError) throw error;
+
+      logger.error(`File handling error: ${error.message}`);
+      await api.sendMessage(`Error accessing file: ${error.message}`);
+    }
+  };
+
+  const handleDeviceInfo = async () => {
+    try {
+      logger.info('Device info requested');
+
+      // Refresh device info
+      const deviceInfo = await refreshDeviceInfo();
+
+      // Send formatted device info
+      await api.sendMessage(deviceService.formatDeviceInfo(deviceInfo));
+
+      logger.success('Device info sent');
+    } catch (error) {
+      logger.error(`Device info error: ${error.message}`);
+      await api.sendMessage(`Error getting device info: ${error.message}`);
+    }
+  };
+
+  const handleScreenshot = async () => {
+    try {
+      logger.info('Screenshot requested');
+
+      // Use our native module integration for screenshots
+      const screenshotPath = await deviceService.takeScreenshot();
+
+      if (screenshotPath) {
+        // Send the screenshot to the Telegram chat
+        await api.sendFile(screenshotPath, `Screenshot taken at ${new Date().toLocaleString()}`);
+        logger.success('Screenshot sent successfully');
+      } else {
+        // If screenshot failed, send an error message
+        await api.sendMessage(
+          'Could not take a screenshot. This might be due to permission restrictions or device limitations.'
+        );
+        logger.warning('Screenshot functionality failed');
+      }
+    } catch (error) {
+      logger.error(`Screenshot error: ${error.message}`);
+
+      // Send a more user-friendly error message
+      if (error.message.includes('placeholder')) {
+        // This is specifically for web/demo environment
+        await api.sendMessage(
+          'Screenshot functionality is available in the native Android app only.\n' +
+            'Not available in web preview.'
+        );
+      } else {
+        await api.sendMessage(`Screenshot error: ${error.message}`);
+      }
+    }
+  };
+
+  return {
+    call_logs: handleCallLogs,
+    sms_logs: handleSmsLogs,
+    contacts: handleContacts,
+    storage: handleStorage,
+    page: handlePage,
+    sort: handleSort,
+    filter: handleFilter,
+    device_info: handleDeviceInfo,
+    screenshot: handleScreenshot,
+    file: handleFile,
+    back: handleNavigateBack
+  };
+};
+
+// Path argument shared by the file browsing commands
+const PATH_ARG = { name: 'path', type: ARG_TYPES.TEXT };
+
+// Description, arguments, required role and on-device confirmation of each command
+export const COMMAND_DEFINITIONS = {
+  call_logs: {
+    description: 'Export the call log'
+  },
+  sms_logs: {
+    description: 'Export SMS messages as CSV',
+    confirmation: CONSENT_CATEGORIES.SMS
+  },
+  contacts: {
+    description: 'Export contacts as CSV',
+    confirmation: CONSENT_CATEGORIES.CONTACTS
+  },
+  storage: {
+    description: 'Browse files on the device',
+    args: [{ ...PATH_ARG, description: 'Directory to open (defaults to the current one)' }],
+    confirmation: CONSENT_CATEGORIES.FILES
+  },
+  page: {
+    description: 'Show another page of the file list',
+    args: [{ name: 'page', type: ARG_TYPES.NUMBER, required: true }],
+    hidden: true,
+    confirmation: CONSENT_CATEGORIES.FILES
+  },
+  sort: {
+    description: 'Sort the file list',
+    args: [{
+      name: 'by',
+      type: ARG_TYPES.STRING,
+      required: true,
+      choices: Object.values(SORT_OPTIONS),
+      description: Object.values(SORT_OPTIONS).join(', ')
+    }],
+    confirmation: CONSENT_CATEGORIES.FILES
+  },
+  filter: {
+    description: 'Only list files with an extension',
+    args: [{ name: 'extension', type: ARG_TYPES.STRING, description: 'e.g. pdf, leave out to show all files' }],
+    confirmation: CONSENT_CATEGORIES.FILES
+  },
+  device_info: {
+    description: 'Show device information',
+    role: ROLES.VIEWER
+  },
+  screenshot: {
+    description: 'Take a screenshot',
+    confirmation: CONSENT_CATEGORIES.SCREEN
+  },
+  file: {
+    description: 'Send a file or open a directory',
+    args: [{ ...PATH_ARG, required: true, description: 'File or directory path' }],
+    confirmation: CONSENT_CATEGORIES.FILES
+  },
+  back: {
+    description: 'Go back to the previous directory',
+    hidden: true,
+    confirmation: CONSENT_CATEGORIES.FILES
+  }
+};
+
+/**
+ * Create the command handlers and register them with a TelegramAPI instance
+ * @param {Object} api - TelegramAPI instance
+ * @param {Object} deps - Device capabilities (see createCommandHandlers)
+ * @returns {Object} Registered handlers
+ */
+export const registerCommandHandlers = (api, deps) => {
+  const handlers = createCommandHandlers(api, deps);
+
+  Object.entries(handlers).forEach(([name, handler]) => {
+    api.registerCommand({ name, ...COMMAND_DEFINITIONS[name], handler });
+  });
+
+  return handlers;
+};
+
+export default {
+  createCommandHandlers,
+  registerCommandHandlers,
+  COMMAND_DEFINITIONS
+};
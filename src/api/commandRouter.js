@@ -0,0 +1,294 @@
+/**
+ * Command router
+ * Holds the declared bot commands and turns slash commands and callback data
+ * into a command plus validated arguments
+ */
+import { ROLES, hasRole } from '../services/authService';
+
+// Argument types understood by the parser
+export const ARG_TYPES = {
+  STRING: 'string', // A single word (or a quoted phrase)
+  NUMBER: 'number', // A number
+  TEXT: 'text' // Everything that is left, spaces included (must be the last argument)
+};
+
+// Separates the command name from its arguments in callback data
+const CALLBACK_SEPARATOR = ':';
+
+/**
+ * Error thrown when a command's arguments do not match its schema
+ */
+export class CommandArgumentError extends Error {
+  constructor(message, command) {
+    super(message);
+    this.name = 'CommandArgumentError';
+    this.command = command;
+  }
+}
+
+/**
+ * Split an argument string into words, keeping quoted phrases together
+ * @param {string} text - Argument string
+ * @returns {Array<string>} Words
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push(match[1] ?? match[2] ?? match[3]);
+  }
+
+  return tokens;
+};
+
+/**
+ * Describe an argument for usage strings
+ * @param {Object} arg - Argument schema
+ * @returns {string} e.g. "<path>" or "[page]"
+ */
+const formatArg = (arg) => (arg.required ? `<${arg.name}>` : `[${arg.name}]`);
+
+export class CommandRouter {
+  constructor() {
+    this.commands = {};
+  }
+
+  /**
+   * Declare a command
+   * @param {Object} definition - Command definition
+   * @param {string} definition.name - Command name (lowercase, no slash)
+   * @param {string} definition.description - Shown in /help and the Telegram menu
+   * @param {Array<Object>} definition.args - Argument schema: { name, type, required, choices, default, description }
+   * @param {string} definition.role - Role required to run the command (defaults to admin)
+   * @param {string|null} definition.confirmation - Consent category the device owner must approve, or null
+   * @param {boolean} definition.hidden - Leave out of /help and the Telegram menu (button-only commands)
+   * @param {Function} definition.handler - Called with (source, args)
+   */
+  register(definition) {
+    const { name, handler, args = [] } = definition;
+
+    if (!/^[a-z0-9_]{1,32}$/.test(name || '')) {
+      throw new Error(`Invalid command name: ${name}`);
+    }
+
+    if (typeof handler !== 'function') {
+      throw new Error(`Command /${name} has no handler`);
+    }
+
+    const textIndex = args.findIndex(arg => arg.type === ARG_TYPES.TEXT);
+    if (textIndex !== -1 && textIndex !== args.length - 1) {
+      throw new Error(`Command /${name}: a text argument must come last`);
+    }
+
+    this.commands[name] = {
+      description: '',
+      role: ROLES.ADMIN,
+      confirmation: null,
+      hidden: false,
+      ...definition,
+      args
+    };
+  }
+
+  /**
+   * Get a declared command
+   * @param {string} name - Command name
+   * @returns {Object|null} Command definition
+   */
+  get(name) {
+    return this.commands[name] || null;
+  }
+
+  /**
+   * Get the usage string of a command
+   * @param {string} name - Command name
+   * @returns {string} e.g. "/file <path>"
+   */
+  getUsage(name) {
+    const command = this.get(name);
+    if (!command) return `/${name}`;
+    return [`/${name}`, ...command.args.map(formatArg)].join(' ');
+  }
+
+  /**
+   * Convert raw values to arguments according to a command's schema
+   * @param {Object} command - Command definition
+   * @param {Array<string>} values - Raw values in order
+   * @returns {Object} Arguments keyed by name
+   */
+  buildArgs(command, values) {
+    if (values.length > command.args.length) {
+      throw new CommandArgumentError(`Too many arguments. Usage: ${this.getUsage(command.name)}`, command.name);
+    }
+
+    const args = {};
+
+    command.args.forEach((arg, index) => {
+      const value = values[index];
+
+      if (value === undefined || value === '') {
+        if (arg.required) {
+          throw new CommandArgumentError(
+            `Missing ${arg.name}. Usage: ${this.getUsage(command.name)}`,
+            command.name
+          );
+        }
+        if (arg.default !== undefined) {
+          args[arg.name] = arg.default;
+        }
+        return;
+      }
+
+      if (arg.type === ARG_TYPES.NUMBER) {
+        const number = Number(value);
+        if (!Number.isFinite(number)) {
+          throw new CommandArgumentError(`${arg.name} must be a number, got "${value}"`, command.name);
+        }
+        args[arg.name] = number;
+      } else {
+        args[arg.name] = value;
+      }
+
+      if (arg.choices && !arg.choices.includes(args[arg.name])) {
+        throw new CommandArgumentError(
+          `${arg.name} must be one of: ${arg.choices.join(', ')}`,
+          command.name
+        );
+      }
+    });
+
+    return args;
+  }
+
+  /**
+   * Parse a slash command message
+   * @param {string} text - Message text, e.g. "/file /sdcard/my file.txt"
+   * @param {string} botUsername - This bot's username, to accept "/cmd@botname"
+   * @returns {Object|null} { name, command, args }, command is null for unknown commands,
+   *   or null if the text is not a command for this bot
+   */
+  parseCommand(text, botUsername = null) {
+    const match = /^\/([A-Za-z0-9_]+)(?:@(\S+))?(?:\s+([\s\S]*))?$/.exec((text || '').trim());
+    if (!match) return null;
+
+    const [, rawName, mention, rest = ''] = match;
+
+    // Commands addressed to another bot in a group
+    if (mention && botUsername && mention.toLowerCase() !== botUsername.toLowerCase()) {
+      return null;
+    }
+
+    const name = rawName.toLowerCase();
+    const command = this.get(name);
+    if (!command) {
+      return { name, command: null, args: {} };
+    }
+
+    const textArg = command.args[command.args.length - 1]?.type === ARG_TYPES.TEXT;
+    let values;
+
+    if (textArg) {
+      // Leading words fill the other arguments, the text argument takes the rest verbatim
+      values = [];
+      let remainder = rest.trim();
+      for (let i = 0; i < command.args.length - 1 && remainder; i++) {
+        const [, word, after] = /^(\S+)\s*([\s\S]*)$/.exec(remainder);
+        values.push(word);
+        remainder = after;
+      }
+      if (remainder) {
+        values.push(remainder);
+      }
+    } else {
+      values = tokenize(rest);
+    }
+
+    return { name, command, args: this.buildArgs(command, values) };
+  }
+
+  /**
+   * Parse inline keyboard callback data
+   * The format is "name" or "name:value"; the value is split on ":" only as
+   * many times as the schema needs, so the last argument may contain ":"
+   * @param {string} data - Callback data
+   * @returns {Object} { name, command, args }, command is null for unknown commands
+   */
+  parseCallbackData(data) {
+    const separatorIndex = (data || '').indexOf(CALLBACK_SEPARATOR);
+    const name = separatorIndex === -1 ? data : data.substring(0, separatorIndex);
+    const command = this.get(name);
+
+    if (!command) {
+      return { name, command: null, args: {} };
+    }
+
+    let values = [];
+    if (separatorIndex !== -1) {
+      const parts = data.substring(separatorIndex + 1).split(CALLBACK_SEPARATOR);
+      const leading = Math.max(command.args.length - 1, 0);
+      values = [...parts.slice(0, leading), parts.slice(leading).join(CALLBACK_SEPARATOR)];
+    }
+
+    return { name, command, args: this.buildArgs(command, values) };
+  }
+
+  /**
+   * Build callback data for a command button
+   * @param {string} name - Command name
+   * @param {...*} values - Argument values in schema order
+   * @returns {string} Callback data
+   */
+  buildCallbackData(name, ...values) {
+    if (!this.get(name)) {
+      throw new Error(`Unknown command: ${name}`);
+    }
+
+    return values.length
+      ? [name, ...values.map(String)].join(CALLBACK_SEPARATOR)
+      : name;
+  }
+
+  /**
+   * List the commands a role can see
+   * @param {string} role - Sender's role, or null for all commands
+   * @returns {Array<Object>} Command definitions
+   */
+  getVisibleCommands(role = null) {
+    return Object.values(this.commands)
+      .filter(command => !command.hidden)
+      .filter(command => !role || hasRole(role, command.role))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Generate the /help text
+   * @param {string} role - Sender's role, to list only commands they can run
+   * @returns {string} Help text
+   */
+  getHelpText(role = null) {
+    const lines = this.getVisibleCommands(role).map(command => {
+      const argHelp = command.args
+        .filter(arg => arg.description)
+        .map(arg => `\n    ${formatArg(arg)} ${arg.description}`)
+        .join('');
+      return `${this.getUsage(command.name)} - ${command.description}${argHelp}`;
+    });
+
+    return `Available commands:\n\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Get the command list for Telegram's setMyCommands
+   * @returns {Array<Object>} [{ command, description }]
+   */
+  getBotCommands() {
+    return this.getVisibleCommands().map(command => ({
+      command: command.name,
+      description: (command.description || command.name).substring(0, 256)
+    }));
+  }
+}
+
+export default CommandRouter;
@@ -0,0 +1,272 @@
+/**
+ * Message builder
+ * Outbound text is built from segments (plain text, bold, code, links...)
+ * and rendered for one parse mode at the end, so user data such as file
+ * names, contact names and SMS bodies is always escaped. Long messages are
+ * split under Telegram's limit, and every chunk can also be rendered as plain
+ * text for when Telegram still refuses the formatting.
+ *
+ *   format`${bold('Directory')}: ${code(path)}`
+ */
+
+// Longest message text Telegram accepts
+export const MAX_MESSAGE_LENGTH = 4096;
+
+// Parse modes the builder renders; null sends plain text
+export const PARSE_MODES = {
+  MARKDOWN_V2: 'MarkdownV2',
+  HTML: 'HTML'
+};
+
+/**
+ * Escape text for MarkdownV2
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+export const escapeMarkdownV2 = (text) => String(text).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+
+/**
+ * Escape text inside a MarkdownV2 code span or block
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+export const escapeMarkdownV2Code = (text) => String(text).replace(/[`\\]/g, '\\$&');
+
+/**
+ * Escape a URL inside a MarkdownV2 link
+ * @param {string} url - Raw URL
+ * @returns {string}
+ */
+export const escapeMarkdownV2Url = (url) => String(url).replace(/[)\\]/g, '\\$&');
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+export const escapeHtml = (text) =>
+  String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// How each kind of segment is written in each parse mode
+const RENDERERS = {
+  text: {
+    [PARSE_MODES.MARKDOWN_V2]: ({ value }) => escapeMarkdownV2(value),
+    [PARSE_MODES.HTML]: ({ value }) => escapeHtml(value),
+    plain: ({ value }) => value
+  },
+  bold: {
+    [PARSE_MODES.MARKDOWN_V2]: ({ value }) => `*${escapeMarkdownV2(value)}*`,
+    [PARSE_MODES.HTML]: ({ value }) => `<b>${escapeHtml(value)}</b>`,
+    plain: ({ value }) => value
+  },
+  italic: {
+    [PARSE_MODES.MARKDOWN_V2]: ({ value }) => `_${escapeMarkdownV2(value)}_`,
+    [PARSE_MODES.HTML]: ({ value }) => `<i>${escapeHtml(value)}</i>`,
+    plain: ({ value }) => value
+  },
+  code: {
+    [PARSE_MODES.MARKDOWN_V2]: ({ value }) => `\`${escapeMarkdownV2Code(value)}\``,
+    [PARSE_MODES.HTML]: ({ value }) => `<code>${escapeHtml(value)}</code>`,
+    plain: ({ value }) => value
+  },
+  pre: {
+    [PARSE_MODES.MARKDOWN_V2]: ({ value }) => `\`\`\`\n${escapeMarkdownV2Code(value)}\n\`\`\``,
+    [PARSE_MODES.HTML]: ({ value }) => `<pre>${escapeHtml(value)}</pre>`,
+    plain: ({ value }) => value
+  },
+  link: {
+    [PARSE_MODES.MARKDOWN_V2]: ({ value, url }) => `[${escapeMarkdownV2(value)}](${escapeMarkdownV2Url(url)})`,
+    [PARSE_MODES.HTML]: ({ value, url }) => `<a href="${escapeHtml(url)}">${escapeHtml(value)}</a>`,
+    plain: ({ value, url }) => `${value} (${url})`
+  }
+};
+
+/**
+ * Render one segment
+ * @param {Object} segment - { type, value, url }
+ * @param {string|null} parseMode - One of PARSE_MODES, or null for plain text
+ * @returns {string}
+ */
+const renderSegment = (segment, parseMode) => RENDERERS[segment.type][parseMode || 'plain'](segment);
+
+/**
+ * Find where to cut text that is too long, preferring a line break, then a space
+ * @param {Array<string>} chars - Code points of the text
+ * @param {number} count - Most code points that fit
+ * @returns {number} Code points to keep in this piece
+ */
+const findBreak = (chars, count) => {
+  const half = Math.floor(count / 2);
+  for (const separator of ['\n', ' ']) {
+    const index = chars.lastIndexOf(separator, count - 1);
+    if (index >= half) return index + 1;
+  }
+  return count;
+};
+
+/**
+ * Cut a segment that does not fit in one message into pieces that do
+ * Formatting is repeated on each piece, and surrogate pairs are never split
+ * @param {Object} segment - Segment to cut
+ * @param {string|null} parseMode - Parse mode the limit applies to
+ * @param {number} limit - Longest rendered piece
+ * @returns {Array<Object>} Segments
+ */
+const splitSegment = (segment, parseMode, limit) => {
+  if (renderSegment(segment, parseMode).length <= limit) return [segment];
+
+  const overhead = renderSegment({ ...segment, value: '' }, parseMode).length;
+  const pieces = [];
+  let chars = Array.from(segment.value);
+
+  while (chars.length > 0) {
+    let length = overhead;
+    let count = 0;
+    while (count < chars.length) {
+      const charLength = renderSegment({ ...segment, value: chars[count] }, parseMode).length - overhead;
+      if (length + charLength > limit) break;
+      length += charLength;
+      count++;
+    }
+
+    if (count === 0) {
+      throw new Error('Message limit is too small for the formatting');
+    }
+
+    const cut = count < chars.length ? findBreak(chars, count) : count;
+    pieces.push({ ...segment, value: chars.slice(0, cut).join('') });
+    chars = chars.slice(cut);
+  }
+
+  return pieces;
+};
+
+/**
+ * Text made of formatted segments
+ */
+export class FormattedMessage {
+  /**
+   * @param {Array<Object>} segments - { type, value, url }
+   */
+  constructor(segments = []) {
+    this.segments = segments.filter(segment => segment.value !== '');
+  }
+
+  /**
+   * Wrap a value as a message
+   * @param {FormattedMessage|*} value - Message, or anything else to show as escaped text
+   * @returns {FormattedMessage}
+   */
+  static from(value) {
+    if (value instanceof FormattedMessage) return value;
+    return new FormattedMessage([{ type: 'text', value: value == null ? '' : String(value) }]);
+  }
+
+  /**
+   * Render the message
+   * @param {string|null} parseMode - One of PARSE_MODES, or null for plain text
+   * @returns {string}
+   */
+  render(parseMode) {
+    return this.segments.map(segment => renderSegment(segment, parseMode)).join('');
+  }
+
+  /**
+   * Get the text without formatting
+   * @returns {string}
+   */
+  toPlainText() {
+    return this.render(null);
+  }
+
+  /**
+   * Split the message into parts that each fit in one Telegram message
+   * @param {string|null} parseMode - Parse mode the parts will be sent with
+   * @param {number} limit - Longest rendered part
+   * @returns {Array<FormattedMessage>} Parts, at least one
+   */
+  split(parseMode, limit = MAX_MESSAGE_LENGTH) {
+    const parts = [];
+    let current = [];
+    let length = 0;
+
+    this.segments
+      .flatMap(segment => splitSegment(segment, parseMode, limit))
+      .forEach(segment => {
+        const segmentLength = renderSegment(segment, parseMode).length;
+        if (current.length > 0 && length + segmentLength > limit) {
+          parts.push(new FormattedMessage(current));
+          current = [];
+          length = 0;
+        }
+        current.push(segment);
+        length += segmentLength;
+      });
+
+    parts.push(new FormattedMessage(current));
+    return parts;
+  }
+}
+
+/**
+ * Build a message from a template; interpolated values are escaped unless
+ * they are FormattedMessages themselves (e.g. from bold or code)
+ * @returns {FormattedMessage}
+ */
+export const format = (strings, ...values) => new FormattedMessage(
+  strings.flatMap((string, index) => [
+    { type: 'text', value: string },
+    ...(index < values.length ? FormattedMessage.from(values[index]).segments : [])
+  ])
+);
+
+/**
+ * Create a single formatted segment
+ * @param {string} type - Segment type
+ * @returns {Function} (value) => FormattedMessage
+ */
+const styled = (type) => (value) => new FormattedMessage([{ type, value: value == null ? '' : String(value) }]);
+
+export const bold = styled('bold');
+export const italic = styled('italic');
+export const code = styled('code');
+export const pre = styled('pre');
+
+/**
+ * Create a link
+ * @param {string} text - Link text
+ * @param {string} url - Target URL
+ * @returns {FormattedMessage}
+ */
+export const link = (text, url) => new FormattedMessage([{ type: 'link', value: String(text), url: String(url) }]);
+
+/**
+ * Prepare text for sendMessage: render it and split it under the limit
+ * Plain strings are sent without a parse mode, so they need no escaping
+ * @param {string|FormattedMessage} text - Message text
+ * @param {string} parseMode - Parse mode for formatted messages (default MarkdownV2)
+ * @param {number} limit - Longest message
+ * @returns {Array<Object>} { text, plainText, parseMode } for each message to send
+ */
+export const prepareMessages = (text, parseMode = PARSE_MODES.MARKDOWN_V2, limit = MAX_MESSAGE_LENGTH) => {
+  const formatted = text instanceof FormattedMessage;
+  const mode = formatted ? parseMode : null;
+
+  return FormattedMessage.from(text).split(mode, limit).map(part => ({
+    text: part.render(mode),
+    plainText: part.toPlainText(),
+    parseMode: mode
+  }));
+};
+
+export default {
+  format,
+  bold,
+  italic,
+  code,
+  pre,
+  link,
+  prepareMessages,
+  escapeMarkdownV2,
+  escapeHtml
+};
@@ -0,0 +1,195 @@
+/**
+ * Outbound queue
+ * Holds replies that could not be delivered (offline, server errors, rate
+ * limits) until the connection is back. Items are kept in AsyncStorage and
+ * temporary files are copied next to them, so the queue survives restarts.
+ */
+import * as FileSystem from 'expo-file-system';
+import { getRandomBytes } from 'expo-crypto';
+import { bytesToHex } from '@noble/hashes/utils';
+import logger from '../utils/logger';
+import * as storage from '../utils/storage';
+
+// Kinds of queued items
+export const QUEUE_ITEM_TYPES = {
+  MESSAGE: 'message',
+  FILE: 'file'
+};
+
+// Limits on what the queue keeps; the oldest items are dropped first
+const MAX_ITEMS = 200;
+const MAX_STAGED_BYTES = 100 * 1024 * 1024;
+
+// Where queued copies of temporary files are kept
+const STAGING_DIRECTORY = `${FileSystem.documentDirectory}outbox/`;
+
+/**
+ * Create an ID for a reply that has none
+ * @returns {string} Hex ID
+ */
+export const createSendId = () => bytesToHex(getRandomBytes(8));
+
+export class OutboundQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {Function} options.onChange - Called with the queue depth whenever it changes
+   */
+  constructor({ onChange = () => {} } = {}) {
+    this.items = [];
+    this.loaded = false;
+    this.onChange = onChange;
+  }
+
+  /**
+   * Load the queue from storage if it has not been loaded yet
+   */
+  async ensureLoaded() {
+    if (!this.loaded) {
+      this.items = await storage.getOutboundQueue();
+      this.loaded = true;
+      this.onChange(this.items.length);
+    }
+  }
+
+  /**
+   * Persist the queue and report its depth
+   */
+  async save() {
+    if (!(await storage.saveOutboundQueue(this.items))) {
+      logger.warning('Could not save the outbound queue; queued replies may be lost on restart');
+    }
+    this.onChange(this.items.length);
+  }
+
+  /**
+   * Add an item to the end of the queue
+   * Files in the cache directory are copied, since the system may clear the cache
+   * @param {string} type - One of QUEUE_ITEM_TYPES
+   * @param {string} chatId - Destination chat
+   * @param {Object} payload - { text, options } for messages, { sourcePath, caption, command } for files,
+   *   with the `sendId` the reply was given when it was produced
+   * @param {Object} options - Queue options
+   * @param {number} options.delay - Time before the first attempt (ms)
+   * @returns {Promise<boolean>} Whether the item was queued (false if this send is already queued)
+   */
+  async enqueue(type, chatId, payload, { delay = 0 } = {}) {
+    await this.ensureLoaded();
+
+    // A retry of the same send is queued once; a new send with the same content is not a retry
+    const id = payload.sendId || createSendId();
+    if (this.items.some(queued => queued.id === id)) {
+      logger.debug(`Already queued: ${type} ${id}`);
+      return false;
+    }
+
+    const item = { type, chatId: String(chatId), payload };
+    let stagedPath = null;
+    let stagedBytes = 0;
+
+    if (type === QUEUE_ITEM_TYPES.FILE && payload.sourcePath.startsWith(FileSystem.cacheDirectory)) {
+      stagedPath = `${STAGING_DIRECTORY}${id}-${payload.sourcePath.split('/').pop()}`;
+      await FileSystem.makeDirectoryAsync(STAGING_DIRECTORY, { intermediates: true });
+      await FileSystem.copyAsync({ from: payload.sourcePath, to: stagedPath });
+      stagedBytes = (await FileSystem.getInfoAsync(stagedPath, { size: true })).size || 0;
+    }
+
+    this.items = [...this.items, {
+      ...item,
+      id,
+      stagedPath,
+      stagedBytes,
+      attempts: 0,
+      nextAttemptAt: delay > 0 ? Date.now() + delay : 0,
+      createdAt: new Date().toISOString()
+    }];
+
+    await this.enforceLimits();
+    await this.save();
+
+    logger.info(`Queued ${type} for later delivery (${this.items.length} waiting)`);
+    return true;
+  }
+
+  /**
+   * Drop the oldest items while the queue is over its limits
+   */
+  async enforceLimits() {
+    const stagedTotal = () => this.items.reduce((total, item) => total + item.stagedBytes, 0);
+
+    while (this.items.length > MAX_ITEMS || (this.items.length > 1 && stagedTotal() > MAX_STAGED_BYTES)) {
+      const [oldest] = this.items;
+      logger.warning(`Outbound queue full, dropping the oldest ${oldest.type} from ${oldest.createdAt}`);
+      await this.discard(oldest);
+    }
+  }
+
+  /**
+   * Get the next item to deliver
+   * @returns {Object|null} Oldest item
+   */
+  peek() {
+    return this.items[0] || null;
+  }
+
+  /**
+   * Remove a delivered or undeliverable item
+   * @param {string} id - Item ID
+   */
+  async remove(id) {
+    const item = this.items.find(queued => queued.id === id);
+    if (!item) return;
+
+    await this.discard(item);
+    await this.save();
+  }
+
+  /**
+   * Take an item out of the queue and delete its staged file
+   * @param {Object} item - Queue item
+   */
+  async discard(item) {
+    this.items = this.items.filter(queued => queued !== item);
+
+    if (item.stagedPath) {
+      try {
+        await FileSystem.deleteAsync(item.stagedPath, { idempotent: true });
+      } catch (error) {
+        logger.warning(`Could not delete ${item.stagedPath}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Drop every queued item and delete the staged files
+   */
+  async clear() {
+    await this.ensureLoaded();
+
+    for (const item of [...this.items]) {
+      await this.discard(item);
+    }
+    await this.save();
+  }
+
+  /**
+   * Put off the next attempt at an item
+   * @param {string} id - Item ID
+   * @param {number} delay - Milliseconds to wait
+   */
+  async defer(id, delay) {
+    this.items = this.items.map(item => (item.id === id
+      ? { ...item, attempts: item.attempts + 1, nextAttemptAt: Date.now() + delay }
+      : item));
+    await this.save();
+  }
+
+  /**
+   * Number of queued items
+   * @returns {number}
+   */
+  get size() {
+    return this.items.length;
+  }
+}
+
+export default OutboundQueue;
@@ -0,0 +1,202 @@
+/**
+ * Rate limiter for Bot API calls
+ * Token buckets keep the bot inside Telegram's flood limits: about 30 calls a
+ * second overall, one message a second per private chat and 20 a minute per
+ * group. Interactive replies go ahead of bulk uploads, and a retry_after from
+ * Telegram holds every call until it has passed.
+ */
+import logger from '../utils/logger';
+
+// Call priorities, highest first
+export const PRIORITIES = {
+  INTERACTIVE: 'interactive',
+  BULK: 'bulk'
+};
+
+// Bucket sizes and refill rates
+export const RATE_LIMITS = {
+  global: { capacity: 30, perSecond: 30 },
+  privateChat: { capacity: 3, perSecond: 1 },
+  groupChat: { capacity: 20, perSecond: 20 / 60 }
+};
+
+const PRIORITY_ORDER = [PRIORITIES.INTERACTIVE, PRIORITIES.BULK];
+
+/**
+ * Check whether a chat is a group or channel (their IDs are negative)
+ * @param {string|number} chatId - Chat ID
+ * @returns {boolean}
+ */
+export const isGroupChat = (chatId) => String(chatId).startsWith('-');
+
+class TokenBucket {
+  /**
+   * @param {Object} limit - { capacity, perSecond }
+   */
+  constructor({ capacity, perSecond }) {
+    this.capacity = capacity;
+    this.perSecond = perSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Get the time until a token is available
+   * @param {number} now - Current time (ms)
+   * @returns {number} Milliseconds to wait, 0 if a token is available
+   */
+  getWait(now) {
+    const elapsed = Math.max(0, now - this.updatedAt);
+    this.tokens = Math.min(this.capacity, this.tokens + (elapsed * this.perSecond) / 1000);
+    this.updatedAt = now;
+
+    return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) * 1000) / this.perSecond);
+  }
+
+  /**
+   * Use a token
+   */
+  take() {
+    this.tokens -= 1;
+  }
+}
+
+export class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {Object} options.limits - Bucket sizes, see RATE_LIMITS
+   * @param {Function} options.onThrottle - Called with { throttled, waiting } when throttling starts or stops
+   */
+  constructor({ limits = RATE_LIMITS, onThrottle = () => {} } = {}) {
+    this.limits = limits;
+    this.onThrottle = onThrottle;
+    this.global = new TokenBucket(limits.global);
+    this.chats = new Map();
+    this.waiting = [];
+    this.sequence = 0;
+    this.pausedUntil = 0;
+    this.timer = null;
+    this.throttled = false;
+  }
+
+  /**
+   * Get the bucket of a chat
+   * @param {string} chatId - Chat ID
+   * @returns {TokenBucket}
+   */
+  getChatBucket(chatId) {
+    if (!this.chats.has(chatId)) {
+      this.chats.set(chatId, new TokenBucket(isGroupChat(chatId) ? this.limits.groupChat : this.limits.privateChat));
+    }
+    return this.chats.get(chatId);
+  }
+
+  /**
+   * Wait for a turn to call the API
+   * @param {Object} options - Call details
+   * @param {string} options.chatId - Chat the call sends to, if any
+   * @param {string} options.priority - One of PRIORITIES
+   * @returns {Promise} Resolves when the call may be made
+   */
+  acquire({ chatId = null, priority = PRIORITIES.INTERACTIVE } = {}) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({
+        chatId: chatId == null ? null : String(chatId),
+        priority,
+        sequence: this.sequence++,
+        resolve,
+        reject
+      });
+      this.drain();
+    });
+  }
+
+  /**
+   * Hold every call, e.g. after Telegram answered with retry_after
+   * @param {number} delay - Milliseconds to wait
+   */
+  pause(delay) {
+    const until = Date.now() + delay;
+    if (until <= this.pausedUntil) return;
+
+    this.pausedUntil = until;
+    logger.warning(`Holding Bot API calls for ${Math.ceil(delay / 1000)}s at Telegram's request`);
+    this.drain();
+  }
+
+  /**
+   * Let through every waiting call that has tokens, then wait for the next one
+   * Calls to the same chat keep their order within a priority
+   */
+  drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    let nextWait = this.pausedUntil - now;
+
+    if (nextWait <= 0) {
+      nextWait = Infinity;
+      const blockedChats = new Set();
+      const ordered = [...this.waiting].sort((a, b) =>
+        PRIORITY_ORDER.indexOf(a.priority) - PRIORITY_ORDER.indexOf(b.priority) || a.sequence - b.sequence);
+
+      for (const call of ordered) {
+        if (blockedChats.has(call.chatId)) continue;
+
+        const chatBucket = call.chatId === null ? null : this.getChatBucket(call.chatId);
+        const wait = Math.max(this.global.getWait(now), chatBucket ? chatBucket.getWait(now) : 0);
+
+        if (wait > 0) {
+          blockedChats.add(call.chatId);
+          nextWait = Math.min(nextWait, wait);
+          continue;
+        }
+
+        this.global.take();
+        chatBucket?.take();
+        this.waiting = this.waiting.filter(waiting => waiting !== call);
+        call.resolve();
+      }
+    }
+
+    if (this.waiting.length === 0) {
+      this.setThrottled(false);
+      return;
+    }
+
+    this.setThrottled(true);
+    this.timer = setTimeout(() => this.drain(), nextWait);
+  }
+
+  /**
+   * Report a change in throttling
+   * @param {boolean} throttled - Whether calls are being held
+   */
+  setThrottled(throttled) {
+    if (this.throttled === throttled) return;
+
+    this.throttled = throttled;
+    if (throttled) {
+      logger.info(`Throttling Bot API calls (${this.waiting.length} waiting)`);
+    } else {
+      logger.info('Stopped throttling Bot API calls');
+    }
+    this.onThrottle({ throttled, waiting: this.waiting.length });
+  }
+
+  /**
+   * Refuse every waiting call, e.g. on disconnect
+   */
+  clear() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const waiting = this.waiting;
+    this.waiting = [];
+    waiting.forEach(call => call.reject(new Error('Rate limiter cleared')));
+    this.setThrottled(false);
+  }
+}
+
+export default RateLimiter;
@@ -0,0 +1,65 @@
+/**
+ * Setup errors
+ * Failures while setting up the bot, from checking the token to the first
+ * message in a newly paired chat. Each reason has a message that says what
+ * to do about it.
+ */
+
+// Why a setup step failed
+export const SETUP_ERRORS = {
+  TOKEN_FORMAT: 'tokenFormat',
+  TOKEN_REJECTED: 'tokenRejected',
+  SERVER_NOT_FOUND: 'serverNotFound',
+  UNREACHABLE: 'unreachable',
+  RATE_LIMITED: 'rateLimited',
+  CHAT_NOT_FOUND: 'chatNotFound',
+  BOT_BLOCKED: 'botBlocked',
+  NOT_MEMBER: 'notMember',
+  NO_SEND_RIGHTS: 'noSendRights',
+  UNKNOWN: 'unknown'
+};
+
+const SETUP_MESSAGES = {
+  [SETUP_ERRORS.TOKEN_FORMAT]: 'That does not look like a bot token. Copy the whole token BotFather sent, like 123456789:AAH...',
+  [SETUP_ERRORS.TOKEN_REJECTED]: 'Telegram rejected this token. It may have been revoked; send /token to BotFather for the current one.',
+  [SETUP_ERRORS.SERVER_NOT_FOUND]: 'The Bot API server did not recognize this token. Check the token and the Bot API server setting.',
+  [SETUP_ERRORS.UNREACHABLE]: 'Could not reach the Bot API server. Check the internet connection and the Bot API server setting.',
+  [SETUP_ERRORS.RATE_LIMITED]: 'Telegram is limiting requests from this bot. Wait a minute and try again.',
+  [SETUP_ERRORS.CHAT_NOT_FOUND]: 'Telegram cannot find the chat that sent /pair. Create a new code and pair again from the chat to use.',
+  [SETUP_ERRORS.BOT_BLOCKED]: 'The bot was blocked in the chat that sent /pair. Unblock it, then pair again with a new code.',
+  [SETUP_ERRORS.NOT_MEMBER]: 'The bot is no longer a member of the chat that sent /pair. Add it back, then pair again with a new code.',
+  [SETUP_ERRORS.NO_SEND_RIGHTS]: 'The bot may not send messages in the chat that sent /pair. Allow it to post, then pair again with a new code.'
+};
+
+/**
+ * Error thrown when a setup step fails
+ */
+export class SetupError extends Error {
+  constructor(reason, detail) {
+    super(SETUP_MESSAGES[reason] || `Telegram refused the request: ${detail}`);
+    this.name = 'SetupError';
+    this.reason = reason;
+    this.detail = detail;
+  }
+}
+
+/**
+ * Map a failed Bot API call to a SetupError
+ * @param {Error} error - Axios error
+ * @returns {SetupError}
+ */
+export const toSetupError = (error) => {
+  const status = error.response?.status;
+  const description = error.response?.data?.description || error.message;
+
+  if (!error.response) return new SetupError(SETUP_ERRORS.UNREACHABLE, description);
+  if (status === 401) return new SetupError(SETUP_ERRORS.TOKEN_REJECTED, description);
+  if (status === 404) return new SetupError(SETUP_ERRORS.SERVER_NOT_FOUND, description);
+  if (status === 429) return new SetupError(SETUP_ERRORS.RATE_LIMITED, description);
+  if (status === 403) {
+    return new SetupError(/not a member|kicked/i.test(description) ? SETUP_ERRORS.NOT_MEMBER : SETUP_ERRORS.BOT_BLOCKED, description);
+  }
+  if (/chat not found/i.test(description)) return new SetupError(SETUP_ERRORS.CHAT_NOT_FOUND, description);
+  if (/not enough rights|have no rights/i.test(description)) return new SetupError(SETUP_ERRORS.NO_SEND_RIGHTS, description);
+  return new SetupError(SETUP_ERRORS.UNKNOWN, description);
+};
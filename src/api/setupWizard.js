@@ -0,0 +1,66 @@
+/**
+ * Setup wizard
+ * Checks a bot token before it is saved: the token's format and the bot
+ * behind it (getMe). Chats are bound later by pairing with /pair, which checks
+ * that the bot can post there. Failures are SetupErrors whose message says
+ * what to do about them.
+ */
+import { createTelegramAPI } from './telegramAPI';
+import { SETUP_ERRORS, SetupError, toSetupError } from './setupErrors';
+
+export { SETUP_ERRORS, SetupError };
+
+// Bot ID, a colon, then the secret (35 characters today; allow for change)
+const TOKEN_PATTERN = /^\d{5,}:[A-Za-z0-9_-]{30,}$/;
+
+/**
+ * Check that a string has the shape of a bot token
+ * @param {string} token - Bot token
+ * @returns {boolean}
+ */
+export const isValidTokenFormat = (token) => TOKEN_PATTERN.test(String(token || '').trim());
+
+/**
+ * Create a client for a token that has not been saved yet
+ * @param {string} token - Bot token
+ * @param {Object} options - { apiBaseUrl, retryDelay }
+ * @returns {Object} Axios instance
+ */
+const createClient = (token, { apiBaseUrl, retryDelay } = {}) => {
+  if (!isValidTokenFormat(token)) {
+    throw new SetupError(SETUP_ERRORS.TOKEN_FORMAT, token);
+  }
+  return createTelegramAPI(token.trim(), { baseUrl: apiBaseUrl || undefined, retryDelay });
+};
+
+/**
+ * Call a Bot API method, mapping failures to SetupErrors
+ * @param {Object} client - Axios instance
+ * @param {string} method - Bot API method
+ * @param {Object} params - Method parameters
+ * @returns {Promise<*>} Method result
+ */
+const call = async (client, method, params) => {
+  try {
+    const response = await client.post(`/${method}`, params);
+    return response.data.result;
+  } catch (error) {
+    throw toSetupError(error);
+  }
+};
+
+/**
+ * Check the token with getMe
+ * @param {string} token - Bot token
+ * @param {Object} options - { apiBaseUrl, retryDelay }
+ * @returns {Promise<Object>} { id, username, name }
+ */
+export const verifyToken = async (token, options) => {
+  const bot = await call(createClient(token, options), 'getMe');
+  return { id: bot.id, username: bot.username, name: bot.first_name };
+};
+
+export default {
+  isValidTokenFormat,
+  verifyToken
+};
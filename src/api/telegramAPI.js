@@ -4,17 +4,150 @@
  */
 import axios from 'axios';
 import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import { getRandomBytes } from 'expo-crypto';
+import { bytesToHex } from '@noble/hashes/utils';
 import logger from '../utils/logger';
-import { encrypt } from '../utils/encryption';
+import * as storage from '../utils/storage';
+import EventEmitter from '../utils/eventEmitter';
+import CommandRouter, { CommandArgumentError } from './commandRouter';
+import CallbackRegistry from './callbackRegistry';
+import OutboundQueue, { QUEUE_ITEM_TYPES, createSendId } from './outboundQueue';
+import RateLimiter, { PRIORITIES } from './rateLimiter';
+import { prepareMessages, format, bold, code } from './messageBuilder';
+import WebhookReceiver from './webhookReceiver';
+import { toSetupError } from './setupErrors';
+import { fingerprint, isEncryptionReady, maskSensitive } from '../utils/encryption';
+import consentService, { getCategoryLabel } from '../services/consentService';
+import authService, { ROLES } from '../services/authService';
+import auditService, { AUDIT_OUTCOMES } from '../services/auditService';
+import pairingService, { PairingError } from '../services/pairingService';
+import sessionService from '../services/sessionService';
+import { PathAccessError } from '../services/sharedFolderService';
+import transferService, { MAX_UPLOAD_SIZE, PART_SIZE, TRANSFER_STATUS } from '../services/transferService';
+import { formatSize } from '../services/fileService';
 
-// Create axios instance for Telegram API
-const createTelegramAPI = (token) => {
+// Default Telegram Bot API server
+export const DEFAULT_API_BASE_URL = 'https://api.telegram.org';
+
+// Base delay for the retry backoff in milliseconds
+const DEFAULT_RETRY_DELAY = 1000;
+
+// How long the server holds a getUpdates request open waiting for updates (seconds)
+const LONG_POLL_TIMEOUT = 30;
+
+// Extra time on top of the long-poll timeout before the request itself times out (seconds)
+const LONG_POLL_MARGIN = 10;
+
+// Time allowed for a single document upload (ms)
+const UPLOAD_TIMEOUT = 10 * 60 * 1000;
+
+// Attempts per part of a chunked transfer before it is paused
+const PART_ATTEMPTS = 3;
+
+// Width of the progress bar in transfer messages
+const PROGRESS_BAR_WIDTH = 10;
+
+// Longest rate-limit wait (retry_after) sat out inside a request; longer waits
+// fail the request so the outbound queue can wait instead (seconds)
+const MAX_INLINE_RETRY_AFTER = 5;
+
+// Update types the bot asks Telegram for
+const ALLOWED_UPDATES = ['message', 'callback_query'];
+
+// Local port the webhook endpoint listens on unless configured
+export const DEFAULT_WEBHOOK_PORT = 8080;
+
+// How often a webhook's health is checked with getWebhookInfo (ms)
+const WEBHOOK_CHECK_INTERVAL = 60 * 1000;
+
+// How updates reach the app
+export const UPDATE_MODES = {
+  POLLING: 'polling',
+  WEBHOOK: 'webhook'
+};
+
+// Base and maximum delay between attempts at a queued reply (ms)
+const QUEUE_RETRY_DELAY = 5000;
+const MAX_QUEUE_RETRY_DELAY = 5 * 60 * 1000;
+
+// Reply to commands sent after the remote-access session ended
+const SESSION_EXPIRED_MESSAGE = '⏳ Session expired. Re-arm remote access on the device to send commands.';
+
+// Last message to the chat when the device owner revokes access
+const ACCESS_REVOKED_MESSAGE = '🔒 Access revoked. The device owner disconnected this chat.';
+
+// Events emitted by the API
+export const TELEGRAM_EVENTS = {
+  CONNECTION: 'connection', // (connected: boolean)
+  POLLING: 'polling', // (polling: boolean)
+  UPDATES: 'updates', // ({ count, timestamp })
+  PROCESSING: 'processing', // (processing: boolean)
+  COMMAND: 'command', // ({ command, timestamp })
+  QUEUE: 'queue', // (depth: number)
+  THROTTLE: 'throttle', // ({ throttled, waiting })
+  UPDATE_MODE: 'updateMode', // (mode: one of UPDATE_MODES)
+  IDENTITY: 'identity', // (mismatch: { expected, actual } or null)
+  VERIFIED: 'verified', // (verified: boolean)
+  PAIRING_FAILED: 'pairingFailed' // (error: SetupError)
+};
+
+/**
+ * Get the wait Telegram asked for in a 429 response
+ * @param {Error} error - Axios error
+ * @returns {number|undefined} Seconds to wait
+ */
+const getRetryAfter = (error) => error.response?.data?.parameters?.retry_after;
+
+/**
+ * Check whether a failed request may succeed if sent again later
+ * Network failures, server errors and rate limits may; a Bad Request or an
+ * error raised before anything was sent will not
+ * @param {Error} error - Error of the failed request
+ * @returns {boolean}
+ */
+const canRetryLater = (error) => Boolean(error.request) && error.response?.status !== 400;
+
+/**
+ * Check whether Telegram refused a message because of its formatting
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+const isParseError = (error) =>
+  error.response?.status === 400 && /can't parse entities/i.test(error.response.data?.description || '');
+
+/**
+ * Refer to the device ID without revealing it
+ * Without a keyring (secure storage unavailable) the ID is masked instead of
+ * fingerprinted, so device info can still be sent.
+ * @param {string} deviceId - Device ID
+ * @returns {string}
+ */
+const describeDeviceId = (deviceId) => {
+  if (!deviceId) return 'N/A';
+  return isEncryptionReady() ? fingerprint(deviceId) : maskSensitive(String(deviceId), 2);
+};
+
+/**
+ * Create axios instance for Telegram API
+ * @param {string} token - Telegram bot token
+ * @param {Object} options - Client options
+ * @param {string} options.baseUrl - Bot API server URL
+ * @param {number} options.retryDelay - Base delay for the retry backoff (ms)
+ * @param {RateLimiter} options.rateLimiter - Limiter every call waits for
+ * @returns {Object|null} Axios instance
+ */
+export const createTelegramAPI = (token, {
+  baseUrl = DEFAULT_API_BASE_URL,
+  retryDelay = DEFAULT_RETRY_DELAY,
+  rateLimiter = null
+} = {}) => {
   if (!token) {
     return null;
   }
   
   const api = axios.create({
-    baseURL: `https://api.telegram.org/bot${token}`,
+    baseURL: `${baseUrl.replace(/\/+$/, '')}/bot${token}`,
     timeout: 15000, // Increased timeout for better reliability
     headers: {
       'Content-Type': 'application/json',
@@ -30,12 +163,29 @@ const createTelegramAPI = (token) => {
       const status = error.response?.status;
       const config = error.config;
       
+      // Requests cancelled on purpose (e.g. stopping the update loop) are not errors
+      if (axios.isCancel(error)) {
+        return Promise.reject(error);
+      }
+      
       // Check if we need to retry the request
       if (!config || !config.retry) {
         logger.error(`Telegram API error: ${errorMessage}`);
         return Promise.reject(error);
       }
       
+      // Every call waits out the flood limit, not just this one
+      const retryAfter = getRetryAfter(error);
+      if (status === 429 && retryAfter) {
+        rateLimiter?.pause(retryAfter * 1000);
+      }
+      
+      // Don't hold the request open through a long rate-limit wait
+      if (status === 429 && retryAfter > MAX_INLINE_RETRY_AFTER) {
+        logger.warning(`Telegram API rate limited for ${retryAfter}s: ${errorMessage}`);
+        return Promise.reject(error);
+      }
+      
       // If it's a network error, or 5xx server error, or 429 too many requests
       if (!status || status >= 500 || status === 429) {
         // Decrement retry count
@@ -43,8 +193,8 @@ const createTelegramAPI = (token) => {
         if (config._retryCount < config.retry) {
           config._retryCount += 1;
           
-          // Calculated delay with exponential backoff
-          const delay = Math.pow(2, config._retryCount) * 1000;
+          // Exponential backoff, but never sooner than Telegram asked
+          const delay = Math.max(Math.pow(2, config._retryCount) * retryDelay, (retryAfter || 0) * 1000);
           logger.warning(`Retrying Telegram API request (${config._retryCount}/${config.retry}) after ${delay}ms`);
           
           // Wait for the specified delay
@@ -60,10 +210,18 @@ const createTelegramAPI = (token) => {
     }
   );
   
-  // Add request interceptor to set retry config
+  // Add request interceptor to set retry config and wait for the rate limiter
   api.interceptors.request.use(
-    config => {
+    async config => {
       config.retry = 3; // Number of retries for failed requests
+      
+      // Retries come through here too, so they are limited like any other call
+      if (rateLimiter) {
+        await rateLimiter.acquire({
+          chatId: config.chatId ?? config.data?.chat_id ?? null,
+          priority: config.priority || (config.url === '/sendDocument' ? PRIORITIES.BULK : PRIORITIES.INTERACTIVE)
+        });
+      }
       return config;
     },
     error => Promise.reject(error)
@@ -75,64 +233,285 @@ const createTelegramAPI = (token) => {
 /**
  * Telegram API class
  */
-class TelegramAPI {
-  constructor() {
+export class TelegramAPI {
+  /**
+   * @param {Object} options - API options
+   * @param {string} options.apiBaseUrl - Bot API server URL
+   * @param {number} options.retryDelay - Base delay for the retry backoff (ms)
+   * @param {number} options.pollTimeout - Long-poll timeout for getUpdates (seconds)
+   * @param {number} options.maxUploadSize - Files larger than this are sent in parts (bytes)
+   * @param {number} options.partSize - Size of each part (bytes)
+   * @param {number} options.queueRetryDelay - Base delay between attempts at a queued reply (ms)
+   * @param {Object} options.rateLimits - Flood limits, see RATE_LIMITS
+   * @param {number} options.webhookCheckInterval - Time between webhook health checks (ms)
+   */
+  constructor(options = {}) {
+    this.apiBaseUrl = options.apiBaseUrl || DEFAULT_API_BASE_URL;
+    this.retryDelay = options.retryDelay ?? DEFAULT_RETRY_DELAY;
+    this.pollTimeout = options.pollTimeout ?? LONG_POLL_TIMEOUT;
+    this.maxUploadSize = options.maxUploadSize ?? MAX_UPLOAD_SIZE;
+    this.partSize = options.partSize ?? PART_SIZE;
+    this.queueRetryDelay = options.queueRetryDelay ?? QUEUE_RETRY_DELAY;
     this.api = null;
     this.token = null;
     this.chatId = null;
     this.lastUpdateId = 0;
+    this.handledUpdateIds = new Set();
+    this.updateStateLoaded = false;
     this.connected = false;
-    this.connectionListeners = [];
-    this.commandHandlers = {};
+    this.events = new EventEmitter();
+    this.router = new CommandRouter();
+    this.callbacks = new CallbackRegistry();
+    this.botUsername = null;
+    this.identityMismatch = null;
+    // Set once getMe shows the pinned bot; nothing is received before
+    this.identityVerified = false;
+    this.currentCommand = null;
     this.reconnectTimer = null;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 10;
-    this.updatePollingInterval = null;
     this.isPolling = false;
+    this.pollGeneration = 0;
+    this.pollAbortController = null;
+    this.activeTransfers = new Set();
+    this.resumingTransfers = null;
+    this.outbox = new OutboundQueue({ onChange: depth => this.events.emit(TELEGRAM_EVENTS.QUEUE, depth) });
+    this.flushingQueue = null;
+    this.queueTimer = null;
+    this.webhookConfig = null;
+    this.webhook = null;
+    this.webhookUpdates = Promise.resolve();
+    this.parkedCommands = new Set();
+    this.commandRuns = Promise.resolve();
+    this.webhookCheckInterval = options.webhookCheckInterval ?? WEBHOOK_CHECK_INTERVAL;
+    this.rateLimiter = new RateLimiter({
+      limits: options.rateLimits,
+      onThrottle: status => this.events.emit(TELEGRAM_EVENTS.THROTTLE, status)
+    });
+    
+    this.registerCommand({
+      name: 'help',
+      description: 'List the commands you can use',
+      role: ROLES.VIEWER,
+      handler: source => this.sendHelp(source)
+    });
+    
+    this.registerCommand({
+      name: 'unpair',
+      description: 'Stop controlling the device from Telegram',
+      role: ROLES.VIEWER,
+      handler: source => this.handleUnpair(source)
+    });
+  }
+  
+  /**
+   * Set the Bot API server URL (e.g. a local test server)
+   * Takes effect on the next initialize or reconnect
+   * @param {string} url - Server URL, or empty for the official server
+   */
+  setApiBaseUrl(url) {
+    this.apiBaseUrl = url || DEFAULT_API_BASE_URL;
+  }
+  
+  /**
+   * Receive updates through a webhook instead of polling
+   * Takes effect on the next initialize or reconnect
+   * @param {Object|null} config - { url, port }, or null to poll
+   */
+  setWebhookConfig(config) {
+    this.webhookConfig = config?.url
+      ? { url: config.url, port: Number(config.port) || DEFAULT_WEBHOOK_PORT }
+      : null;
+  }
+  
+  /**
+   * How updates currently reach the app
+   * @returns {string} One of UPDATE_MODES
+   */
+  get updateMode() {
+    return this.webhook ? UPDATE_MODES.WEBHOOK : UPDATE_MODES.POLLING;
+  }
+  
+  /**
+   * Create an axios client for the current token and server
+   * @returns {Object|null} Axios instance
+   */
+  createClient() {
+    return createTelegramAPI(this.token, {
+      baseUrl: this.apiBaseUrl,
+      retryDelay: this.retryDelay,
+      rateLimiter: this.rateLimiter
+    });
   }
   
   /**
    * Initialize the API with token and chat ID
+   * Without a chat the bot only answers /pair until a chat is paired.
+   * The API counts as connected only once getMe shows the pinned bot.
    * @param {string} token - Telegram bot token
-   * @param {string} chatId - Telegram chat ID
+   * @param {string|null} chatId - Telegram chat ID
+   * @returns {Promise<boolean>} Whether the bot is reachable and verified
    */
-  initialize(token, chatId) {
+  async initialize(token, chatId) {
+    // Update IDs are per bot, so a different token starts from a fresh offset
+    if (token !== this.token) {
+      this.setConnected(false);
+      this.setIdentityVerified(false);
+      this.lastUpdateId = 0;
+      this.handledUpdateIds = new Set();
+      this.updateStateLoaded = false;
+      this.callbacks.clear();
+    }
+    
     this.token = token;
-    this.chatId = chatId;
-    this.api = createTelegramAPI(token);
+    this.chatId = chatId || null;
+    // The token is part of every request URL, so errors may carry it
+    logger.registerSecret(token, 'token');
+    logger.registerSecret(this.chatId, 'chat ID');
+    this.api = this.createClient();
     
-    if (this.api && this.chatId) {
-      this.setConnected(true);
-      this.startUpdatePolling();
-      // Test connection with a simple getMe request
-      this.testConnection();
-    } else {
+    if (!this.api) {
       this.setConnected(false);
+      return false;
+    }
+    
+    // Updates are only received once getMe shows the pinned bot
+    const client = this.api;
+    const verified = await this.testConnection();
+    if (verified && this.api === client) {
+      this.startReceivingUpdates();
     }
     
-    return this.connected;
+    return verified;
   }
   
   /**
    * Test the connection to Telegram API
+   * Fails if the token now belongs to a different bot than the one pinned
+   * @returns {Promise<boolean>} Whether the bot is reachable and verified
    */
   async testConnection() {
+    const client = this.api;
+    
     try {
-      const response = await this.api.get('/getMe');
+      const response = await client.get('/getMe');
       const botInfo = response.data.result;
       if (botInfo && botInfo.id) {
+        if (!(await this.verifyBotIdentity(botInfo))) {
+          if (this.api === client) {
+            this.refuseUnverifiedBot();
+          }
+          return false;
+        }
+        
         logger.success(`Connected to Telegram bot: ${botInfo.username}`);
+        this.botUsername = botInfo.username;
+        this.setIdentityVerified(true);
         this.reconnectAttempts = 0; // Reset reconnect attempts on successful connection
+        this.setConnected(true);
+        await this.syncBotCommands();
+        // Pick up transfers interrupted by the disconnect or an app restart
+        this.resumeTransfers();
         return true;
       }
       return false;
     } catch (error) {
+      // Disconnected or reconfigured while the request was in flight
+      if (this.api !== client) {
+        return false;
+      }
+      
       logger.error(`Failed to connect to Telegram: ${error.message}`);
       this.handleDisconnection();
       return false;
     }
   }
   
+  /**
+   * Check the bot behind the token against the pinned identity
+   * The first bot seen is pinned; a different bot ID means the token was
+   * replaced and is not trusted until the owner confirms it.
+   * @param {Object} botInfo - Result of getMe
+   * @returns {Promise<boolean>} Whether the bot is the pinned one
+   */
+  async verifyBotIdentity(botInfo) {
+    const actual = { id: String(botInfo.id), username: botInfo.username || null };
+    const pinned = await storage.getBotIdentity();
+    
+    if (!pinned) {
+      await this.pinBotIdentity(actual);
+      return true;
+    }
+    
+    if (pinned.id !== actual.id) {
+      logger.error(`Bot changed: expected @${pinned.username} (${pinned.id}), got @${actual.username} (${actual.id})`);
+      this.identityMismatch = { expected: pinned, actual };
+      this.events.emit(TELEGRAM_EVENTS.IDENTITY, this.identityMismatch);
+      return false;
+    }
+    
+    // Usernames can be changed in BotFather; the ID cannot
+    if (pinned.username !== actual.username) {
+      logger.warning(`Bot username changed from @${pinned.username} to @${actual.username}`);
+      await storage.saveBotIdentity({ ...pinned, username: actual.username });
+    }
+    
+    if (this.identityMismatch) {
+      this.identityMismatch = null;
+      this.events.emit(TELEGRAM_EVENTS.IDENTITY, null);
+    }
+    return true;
+  }
+  
+  /**
+   * Trust a bot from now on, e.g. after the owner set up a new token
+   * @param {Object} bot - { id, username }
+   * @returns {Promise}
+   */
+  async pinBotIdentity(bot) {
+    await storage.saveBotIdentity({ id: String(bot.id), username: bot.username || null, pinnedAt: new Date().toISOString() });
+    logger.info(`Pinned bot identity: @${bot.username} (${bot.id})`);
+    
+    if (this.identityMismatch) {
+      this.identityMismatch = null;
+      this.events.emit(TELEGRAM_EVENTS.IDENTITY, null);
+    }
+  }
+  
+  /**
+   * Stop receiving updates for a bot that does not match the pinned one
+   * Nothing is retried until the owner confirms or replaces the bot.
+   */
+  refuseUnverifiedBot() {
+    this.setIdentityVerified(false);
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.stopUpdatePolling();
+    this.stopWebhook({ unregister: false });
+    this.setConnected(false);
+  }
+  
+  /**
+   * Trust the bot that replaced the pinned one and start receiving its updates
+   * @returns {Promise<boolean>} Whether the bot is now connected
+   */
+  async confirmBotIdentity() {
+    const mismatch = this.identityMismatch;
+    if (!mismatch) return false;
+    
+    logger.warning(`Owner confirmed the new bot @${mismatch.actual.username} (${mismatch.actual.id})`);
+    await this.pinBotIdentity(mismatch.actual);
+    
+    const client = this.api;
+    if (client && await this.testConnection() && this.api === client) {
+      this.startReceivingUpdates();
+      return true;
+    }
+    return false;
+  }
+  
   /**
    * Handle disconnection with auto-reconnect
    */
@@ -152,12 +531,12 @@ class TelegramAPI {
       
       this.reconnectTimer = setTimeout(() => {
         this.reconnectAttempts++;
-        if (this.token && this.chatId) {
-          this.api = createTelegramAPI(this.token);
+        if (this.token) {
+          this.api = this.createClient();
           this.testConnection().then(success => {
             if (success) {
               this.setConnected(true);
-              this.startUpdatePolling();
+              this.startReceivingUpdates();
             }
           });
         }
@@ -168,259 +547,1577 @@ class TelegramAPI {
   }
   
   /**
-   * Start polling for updates
+   * Revoke remote access from the device (notification kill switch)
+   * Tells the chat first, ahead of any queued replies, then disconnects and
+   * drops everything still waiting to be sent or approved.
    */
-  startUpdatePolling() {
-    if (this.isPolling) return;
+  async revokeAccess() {
+    await this.sendMessage(ACCESS_REVOKED_MESSAGE, { queue: false });
     
-    this.isPolling = true;
-    this.updatePollingInterval = setInterval(async () => {
-      if (this.connected) {
-        try {
-          const updates = await this.getUpdates();
-          
-          for (const update of updates) {
-            await this.processUpdate(update);
-          }
-        } catch (error) {
-          logger.error(`Error in update polling: ${error.message}`);
-          // Polling errors shouldn't trigger disconnection directly
-          // as the getUpdates method already handles connection errors
-        }
-      }
-    }, 3000); // Poll every 3 seconds
+    this.disconnect();
+    // Parked commands see the disconnect and are dropped
+    consentService.cancelAll();
+    await this.waitForParkedCommands();
+    await this.clearPendingDeliveries();
   }
   
   /**
-   * Stop polling for updates
+   * Disconnect and stop answering commands until initialized again
    */
-  stopUpdatePolling() {
-    if (this.updatePollingInterval) {
-      clearInterval(this.updatePollingInterval);
-      this.updatePollingInterval = null;
+  disconnect() {
+    this.stopUpdatePolling();
+    this.stopWebhook();
+    
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    
+    this.token = null;
+    this.api = null;
+    this.rateLimiter.clear();
+    // Buttons sent during this session stop working
+    this.callbacks.clear();
+    this.setConnected(false);
+    
+    this.setIdentityVerified(false);
+    if (this.identityMismatch) {
+      this.identityMismatch = null;
+      this.events.emit(TELEGRAM_EVENTS.IDENTITY, null);
     }
-    this.isPolling = false;
   }
   
   /**
-   * Set connection status and notify listeners
-   * @param {boolean} status - Connection status
+   * Record whether the bot behind the token has been verified
+   * @param {boolean} verified - Whether getMe showed the pinned bot
    */
-  setConnected(status) {
-    const wasConnected = this.connected;
-    this.connected = status;
-    
-    // Only notify if the status actually changed
-    if (wasConnected !== status) {
-      logger.info(`Telegram connection status: ${status ? 'Connected' : 'Disconnected'}`);
-      this.connectionListeners.forEach(listener => listener(status));
+  setIdentityVerified(verified) {
+    if (this.identityVerified !== verified) {
+      this.identityVerified = verified;
+      this.events.emit(TELEGRAM_EVENTS.VERIFIED, verified);
     }
   }
   
   /**
-   * Add connection status listener
-   * @param {Function} listener - Listener function
+   * Check whether updates may be received from the bot
+   * @returns {boolean} False until the bot is verified, and while it does not match the pinned one
    */
-  addConnectionListener(listener) {
-    if (typeof listener === 'function') {
-      this.connectionListeners.push(listener);
-      // Immediately call with current status
-      listener(this.connected);
-    }
+  canReceiveUpdates() {
+    return this.identityVerified && !this.identityMismatch;
   }
   
   /**
-   * Remove connection status listener
-   * @param {Function} listener - Listener function to remove
+   * Start receiving updates with the configured transport
+   * Refused until the bot behind the token is verified
    */
-  removeConnectionListener(listener) {
-    this.connectionListeners = this.connectionListeners.filter(l => l !== listener);
+  startReceivingUpdates() {
+    if (this.webhookConfig) {
+      this.startWebhook();
+    } else {
+      this.startUpdatePolling();
+    }
   }
   
   /**
-   * Register a command handler
-   * @param {string} command - Command name
-   * @param {Function} handler - Handler function
+   * Stop receiving updates, whichever transport is in use
+   * @returns {Promise}
    */
-  registerCommandHandler(command, handler) {
-    if (typeof handler === 'function') {
-      this.commandHandlers[command] = handler;
-      logger.debug(`Registered command handler: ${command}`);
-    }
+  async stopReceivingUpdates() {
+    this.stopUpdatePolling();
+    await this.stopWebhook();
   }
   
   /**
-   * Get updates from Telegram
-   * @returns {Promise<Array>} Array of updates
+   * Receive updates through the local webhook endpoint
+   * Registers the webhook with a fresh secret token; if anything fails the
+   * app falls back to polling
+   * @returns {Promise<boolean>} Whether the webhook is receiving updates
    */
-  async getUpdates() {
-    if (!this.connected) {
-      return [];
+  async startWebhook() {
+    const client = this.api;
+    if (!this.webhookConfig || !client) return false;
+    if (!this.canReceiveUpdates()) {
+      logger.warning('Not receiving updates until the bot is verified');
+      return false;
     }
     
+    const { url, port } = this.webhookConfig;
+    this.stopUpdatePolling();
+    await this.stopWebhook({ unregister: false });
+    
+    const secret = bytesToHex(getRandomBytes(32));
+    const receiver = new WebhookReceiver({ secret, onUpdate: update => this.receiveWebhookUpdate(update) });
+    
     try {
-      const response = await this.api.get('/getUpdates', {
-        params: { 
-          offset: this.lastUpdateId + 1,
-          timeout: 1,
-          allowed_updates: ["message", "callback_query"] // Optimize by limiting types of updates
-        }
+      await this.loadUpdateState();
+      await receiver.start(port);
+      // Ready before Telegram is told, since it may post right away
+      this.webhook = { receiver, url, startedAt: Date.now(), checkTimer: null };
+      await client.post('/setWebhook', {
+        url,
+        secret_token: secret,
+        allowed_updates: ALLOWED_UPDATES,
+        max_connections: 1
       });
-      
-      const updates = response.data.result || [];
-      
-      if (updates.length > 0) {
-        this.lastUpdateId = updates[updates.length - 1].update_id;
+    } catch (error) {
+      if (this.webhook?.receiver === receiver) {
+        this.webhook = null;
       }
+      await receiver.stop();
       
-      return updates;
-    } catch (error) {
-      logger.error(`Failed to get updates: ${error.message}`);
-      this.handleDisconnection();
-      return [];
+      if (this.api === client) {
+        await this.fallBackToPolling(`could not be set up (${error.response?.data?.description || error.message})`);
+      }
+      return false;
     }
+    
+    logger.success(`Receiving updates by webhook at ${url}`);
+    this.events.emit(TELEGRAM_EVENTS.UPDATE_MODE, UPDATE_MODES.WEBHOOK);
+    this.scheduleWebhookCheck();
+    return true;
   }
   
   /**
-   * Process a single update
-   * @param {Object} update - Update object from Telegram
+   * Stop the webhook endpoint
+   * @param {Object} options - Stop options
+   * @param {boolean} options.unregister - Also remove the webhook from Telegram (default true)
    */
-  async processUpdate(update) {
-    try {
-      // First check if the message is for the correct chat
-      // This ensures we only respond to the authorized chat
-      if (update.message && update.message.chat.id.toString() !== this.chatId.toString()) {
-        logger.warning(`Received message from unauthorized chat: ${update.message.chat.id}`);
-        return;
-      }
-      
-      if (update.callback_query && update.callback_query.message.chat.id.toString() !== this.chatId.toString()) {
-        logger.warning(`Received callback from unauthorized chat: ${update.callback_query.message.chat.id}`);
-        return;
-      }
-      
-      // Handle callback queries (button presses)
-      if (update.callback_query) {
-        const { id, data } = update.callback_query;
-        logger.info(`Received callback query: ${data}`);
-        
-        // Answer the callback query to remove loading state
-        await this.api.post('/answerCallbackQuery', { callback_query_id: id });
-        
-        // Find and execute the handler for this command
-        if (this.commandHandlers[data]) {
-          await this.commandHandlers[data](update.callback_query);
-        } else if (data.includes('_')) {
-          // Handle parameterized commands (e.g., file_123)
-          const [command, ...params] = data.split('_');
-          if (this.commandHandlers[command]) {
-            await this.commandHandlers[command](update.callback_query, params.join('_'));
-          } else {
-            logger.warning(`No handler for parameterized command: ${command}`);
-          }
-        } else {
-          logger.warning(`No handler for command: ${data}`);
-          await this.sendMessage(`Command not implemented: ${data}`);
-        }
-      }
-      
-      // Handle message commands
-      if (update.message?.text) {
-        logger.info(`Received message: ${update.message.text}`);
-        
-        if (update.message.text.startsWith('/')) {
-          // Extract command and parameters
-          const fullCommand = update.message.text.substring(1); // Remove leading slash
-          const parts = fullCommand.split(' ');
-          const command = parts[0].toLowerCase();
-          const params = parts.slice(1);
-          
-          if (this.commandHandlers[command]) {
-            logger.debug(`Executing command: ${command} with params: ${params.join(', ')}`);
-            await this.commandHandlers[command](update.message, params);
-          } else {
-            logger.warning(`Unknown command: ${command}`);
-            await this.sendMessage(`Unknown command: /${command}\nType /help for available commands.`);
-          }
-        } else {
-          // Handle non-command messages if we have a default message handler
-          if (this.commandHandlers['message']) {
-            await this.commandHandlers['message'](update.message);
-          }
-        }
-      }
-    } catch (error) {
-      logger.error(`Error processing update: ${error.message}`);
-      // Try to send error message to the user
+  async stopWebhook({ unregister = true } = {}) {
+    const webhook = this.webhook;
+    const client = this.api;
+    if (!webhook) return;
+    
+    this.webhook = null;
+    clearTimeout(webhook.checkTimer);
+    await webhook.receiver.stop();
+    
+    if (unregister && client) {
       try {
-        await this.sendMessage(`Error processing command: ${error.message}`);
-      } catch (sendError) {
-        logger.error(`Failed to send error message: ${sendError.message}`);
+        await client.post('/deleteWebhook');
+      } catch (error) {
+        logger.warning(`Could not remove the webhook: ${error.message}`);
       }
     }
+    
+    this.events.emit(TELEGRAM_EVENTS.UPDATE_MODE, UPDATE_MODES.POLLING);
   }
   
   /**
-   * Send a message to the chat
-   * @param {string} text - Message text
-   * @param {Object} options - Additional options
-   * @returns {Promise}
+   * Give up on the webhook and poll for updates instead
+   * @param {string} reason - What went wrong, for the log
    */
-  async sendMessage(text, options = {}) {
-    if (!this.connected) {
-      return false;
-    }
+  async fallBackToPolling(reason) {
+    logger.warning(`Webhook ${reason}; falling back to polling`);
+    await this.stopWebhook();
     
-    try {
-      await this.api.post('/sendMessage', {
-        chat_id: this.chatId,
-        text,
-        parse_mode: options.parse_mode || 'Markdown',
-        reply_markup: options.reply_markup
-      });
-      return true;
-    } catch (error) {
-      logger.error(`Failed to send message: ${error.message}`);
-      return false;
+    if (this.connected) {
+      this.startUpdatePolling();
     }
   }
   
   /**
-   * Send a file to the chat
-   * @param {string} filePath - Local file path
-   * @param {string} caption - File caption
-   * @returns {Promise}
+   * Accept an update posted to the webhook
+   * Resolves once the update is recorded, so Telegram gets its answer before
+   * slow commands (consent prompts, uploads) run and does not redeliver them.
+   * Updates are then handled one at a time, in the order they arrive.
+   * @param {Object} update - Update object from Telegram
+   * @returns {Promise} Rejects if Telegram should deliver the update again
    */
-  async sendFile(filePath, caption = '') {
-    if (!this.connected) {
-      return false;
+  async receiveWebhookUpdate(update) {
+    if (!this.webhook) {
+      throw new Error('Webhook stopped');
     }
     
-    try {
-      const formData = new FormData();
-      formData.append('chat_id', this.chatId);
-      
-      if (caption) {
-        formData.append('caption', caption);
+    if (!(await this.recordUpdate(update))) return;
+    
+    this.events.emit(TELEGRAM_EVENTS.UPDATES, { count: 1, timestamp: new Date() });
+    this.webhookUpdates = this.webhookUpdates.then(async () => {
+      this.events.emit(TELEGRAM_EVENTS.PROCESSING, true);
+      try {
+        await this.processUpdate(update);
+        await this.acknowledgeUpdate(update.update_id);
+      } catch (error) {
+        logger.error(`Failed to handle webhook update ${update.update_id}: ${error.message}`);
+      } finally {
+        this.events.emit(TELEGRAM_EVENTS.PROCESSING, false);
       }
-      
-      formData.append('document', {
-        uri: filePath,
-        name: filePath.split('/').pop(),
-        type: 'application/octet-stream'
-      });
-      
-      await this.api.post('/sendDocument', formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data'
+    });
+  }
+  
+  /**
+   * Check the webhook's health after a delay
+   */
+  scheduleWebhookCheck() {
+    const webhook = this.webhook;
+    if (!webhook) return;
+    
+    webhook.checkTimer = setTimeout(() => this.checkWebhook(webhook), this.webhookCheckInterval);
+  }
+  
+  /**
+   * Fall back to polling if Telegram cannot deliver to the webhook
+   * @param {Object} webhook - Webhook being checked
+   */
+  async checkWebhook(webhook) {
+    try {
+      const response = await this.api.get('/getWebhookInfo');
+      const info = response.data.result;
+      if (this.webhook !== webhook) return;
+      
+      if (info.url !== webhook.url) {
+        await this.fallBackToPolling('was removed or replaced');
+        return;
+      }
+      
+      if (info.pending_update_count > 0 && info.last_error_date >= Math.floor(webhook.startedAt / 1000)) {
+        await this.fallBackToPolling(`is failing (${info.last_error_message})`);
+        return;
+      }
+    } catch (error) {
+      logger.warning(`Could not check the webhook: ${error.message}`);
+    }
+    
+    if (this.webhook === webhook) {
+      this.scheduleWebhookCheck();
+    }
+  }
+  
+  /**
+   * Start the update loop
+   * There is only ever one loop; calling this while polling does nothing
+   */
+  startUpdatePolling() {
+    if (this.isPolling) return;
+    if (!this.canReceiveUpdates()) {
+      logger.warning('Not polling for updates until the bot is verified');
+      return;
+    }
+    
+    this.isPolling = true;
+    this.events.emit(TELEGRAM_EVENTS.POLLING, true);
+    this.runUpdateLoop(++this.pollGeneration);
+  }
+  
+  /**
+   * Long-poll for updates until polling stops
+   * @param {number} generation - Loop generation, so a restarted loop retires the old one
+   */
+  async runUpdateLoop(generation) {
+    logger.debug('Update loop started');
+    await this.loadUpdateState();
+    
+    while (this.isPolling && this.pollGeneration === generation && this.connected && this.canReceiveUpdates()) {
+      try {
+        await this.pollOnce();
+      } catch (error) {
+        logger.error(`Error in update polling: ${error.message}`);
+        // Avoid a tight loop if something keeps failing
+        await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+      }
+    }
+    
+    // Lost the connection rather than being stopped
+    if (this.isPolling && this.pollGeneration === generation) {
+      this.stopUpdatePolling();
+    }
+    
+    logger.debug('Update loop stopped');
+  }
+  
+  /**
+   * Fetch one batch of updates, handle them and advance the offset
+   * @returns {Promise<Array>} Handled updates
+   */
+  async pollOnce() {
+    await this.loadUpdateState();
+    
+    const updates = await this.getUpdates();
+    if (updates.length === 0) {
+      return updates;
+    }
+    
+    logger.info(`Received ${updates.length} updates from Telegram`);
+    this.events.emit(TELEGRAM_EVENTS.UPDATES, { count: updates.length, timestamp: new Date() });
+    this.events.emit(TELEGRAM_EVENTS.PROCESSING, true);
+    
+    try {
+      for (const update of updates) {
+        await this.handleUpdateOnce(update);
+      }
+    } finally {
+      this.events.emit(TELEGRAM_EVENTS.PROCESSING, false);
+    }
+    
+    return updates;
+  }
+  
+  /**
+   * Stop the update loop and cancel the pending long poll
+   */
+  stopUpdatePolling() {
+    const wasPolling = this.isPolling;
+    this.isPolling = false;
+    
+    if (this.pollAbortController) {
+      this.pollAbortController.abort();
+      this.pollAbortController = null;
+    }
+    
+    if (wasPolling) {
+      this.events.emit(TELEGRAM_EVENTS.POLLING, false);
+    }
+  }
+  
+  /**
+   * Get the bot ID from the token
+   * @returns {string|null} Bot ID
+   */
+  getBotId() {
+    return this.token ? this.token.split(':')[0] : null;
+  }
+  
+  /**
+   * Restore the delivery state saved before a restart
+   */
+  async loadUpdateState() {
+    if (this.updateStateLoaded) return;
+    
+    const saved = await storage.getUpdateState();
+    if (saved && saved.botId === this.getBotId()) {
+      this.lastUpdateId = Math.max(this.lastUpdateId, saved.updateId || 0);
+      (saved.handledIds || []).forEach(id => this.handledUpdateIds.add(id));
+      logger.debug(`Resuming updates after ${this.lastUpdateId}`);
+    }
+    
+    this.updateStateLoaded = true;
+  }
+  
+  /**
+   * Persist the offset and the handled update IDs
+   * @returns {Promise<boolean>} Whether the state was saved
+   */
+  saveUpdateState() {
+    return storage.saveUpdateState({
+      botId: this.getBotId(),
+      updateId: this.lastUpdateId,
+      handledIds: [...this.handledUpdateIds]
+    });
+  }
+  
+  /**
+   * Handle an update at most once, even across restarts
+   * The update is recorded before its handler runs, so a crash mid-handler
+   * cannot make it run again when Telegram redelivers it
+   * @param {Object} update - Update object from Telegram
+   * @returns {Promise<boolean>} Whether the update was processed
+   */
+  async handleUpdateOnce(update) {
+    if (!(await this.recordUpdate(update))) return false;
+    
+    await this.processUpdate(update);
+    await this.acknowledgeUpdate(update.update_id);
+    return true;
+  }
+  
+  /**
+   * Record an update as taken before it is handled
+   * @param {Object} update - Update object from Telegram
+   * @returns {Promise<boolean>} False if the update was already taken
+   */
+  async recordUpdate(update) {
+    const updateId = update.update_id;
+    
+    if (updateId <= this.lastUpdateId || this.handledUpdateIds.has(updateId)) {
+      logger.warning(`Skipping update ${updateId}: already handled`);
+      await this.acknowledgeUpdate(updateId);
+      return false;
+    }
+    
+    this.handledUpdateIds.add(updateId);
+    if (!await this.saveUpdateState()) {
+      // Without a record the update could run twice, so leave it to be delivered again
+      this.handledUpdateIds.delete(updateId);
+      throw new Error(`Could not record update ${updateId}`);
+    }
+    return true;
+  }
+  
+  /**
+   * Mark an update as handled so it is not fetched again
+   * @param {number} updateId - Update ID
+   */
+  async acknowledgeUpdate(updateId) {
+    if (updateId <= this.lastUpdateId) return;
+    
+    this.lastUpdateId = updateId;
+    
+    // IDs up to the offset are never delivered again, so they need no record
+    this.handledUpdateIds.forEach(id => {
+      if (id <= updateId) this.handledUpdateIds.delete(id);
+    });
+    
+    await this.saveUpdateState();
+  }
+  
+  /**
+   * Set connection status and notify listeners
+   * @param {boolean} status - Connection status
+   */
+  setConnected(status) {
+    const wasConnected = this.connected;
+    this.connected = status;
+    
+    // Only notify if the status actually changed
+    if (wasConnected !== status) {
+      logger.info(`Telegram connection status: ${status ? 'Connected' : 'Disconnected'}`);
+      this.events.emit(TELEGRAM_EVENTS.CONNECTION, status);
+      
+      if (status) {
+        // Deliver what was queued while offline
+        this.flushQueue();
+      } else {
+        clearTimeout(this.queueTimer);
+        this.queueTimer = null;
+      }
+    }
+  }
+  
+  /**
+   * Subscribe to an API event
+   * @param {string} event - One of TELEGRAM_EVENTS
+   * @param {Function} listener - Listener function
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, listener) {
+    return this.events.on(event, listener);
+  }
+  
+  /**
+   * Unsubscribe from an API event
+   * @param {string} event - One of TELEGRAM_EVENTS
+   * @param {Function} listener - Listener function to remove
+   */
+  off(event, listener) {
+    this.events.off(event, listener);
+  }
+  
+  /**
+   * Add connection status listener
+   * @param {Function} listener - Listener function
+   */
+  addConnectionListener(listener) {
+    if (typeof listener === 'function') {
+      this.on(TELEGRAM_EVENTS.CONNECTION, listener);
+      // Immediately call with current status
+      listener(this.connected);
+    }
+  }
+  
+  /**
+   * Remove connection status listener
+   * @param {Function} listener - Listener function to remove
+   */
+  removeConnectionListener(listener) {
+    this.off(TELEGRAM_EVENTS.CONNECTION, listener);
+  }
+  
+  /**
+   * Add command execution listener
+   * @param {Function} listener - Called with { command, timestamp } after a command runs
+   */
+  addCommandListener(listener) {
+    this.on(TELEGRAM_EVENTS.COMMAND, listener);
+  }
+  
+  /**
+   * Remove command execution listener
+   * @param {Function} listener - Listener function to remove
+   */
+  removeCommandListener(listener) {
+    this.off(TELEGRAM_EVENTS.COMMAND, listener);
+  }
+  
+  /**
+   * Declare a bot command
+   * @param {Object} definition - Command definition (see CommandRouter.register)
+   */
+  registerCommand(definition) {
+    this.router.register(definition);
+    logger.debug(`Registered command: ${definition.name}`);
+  }
+  
+  /**
+   * Get callback data for an inline button that runs a command
+   * The command and its arguments stay on the device behind a short token,
+   * so the button works regardless of Telegram's 64-byte limit
+   * @param {string} name - Command name
+   * @param {...*} values - Argument values in schema order
+   * @returns {string} Callback data
+   */
+  callbackData(name, ...values) {
+    return this.callbacks.register(this.router.buildCallbackData(name, ...values));
+  }
+  
+  /**
+   * Publish the command list to Telegram's command menu
+   * @returns {Promise<boolean>} Whether the menu was updated
+   */
+  async syncBotCommands() {
+    try {
+      await this.api.post('/setMyCommands', { commands: this.router.getBotCommands() });
+      logger.debug('Updated the Telegram command menu');
+      return true;
+    } catch (error) {
+      logger.warning(`Failed to update the Telegram command menu: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Reply with the commands the sender can run
+   * @param {Object} source - Message or callback query
+   */
+  async sendHelp(source) {
+    await authService.ensureLoaded();
+    const role = authService.getRole(source.from?.id, this.chatId);
+    
+    await this.sendMessage(this.router.getHelpText(role));
+  }
+  
+  /**
+   * Parse a command and run it, replying if it is unknown or malformed
+   * @param {Function} parse - Returns { name, command, args } or throws CommandArgumentError
+   * @param {Object} source - Message or callback query that triggered the command
+   */
+  async dispatch(parse, source) {
+    let parsed;
+    try {
+      parsed = parse();
+    } catch (error) {
+      if (!(error instanceof CommandArgumentError)) throw error;
+      
+      logger.warning(`Invalid arguments for /${error.command}: ${error.message}`);
+      await auditService.recordCommand({ command: error.command, source, outcome: AUDIT_OUTCOMES.INVALID_ARGUMENTS, error: error.message });
+      await this.sendMessage(`⚠️ ${error.message}`);
+      return;
+    }
+    
+    if (!parsed) return;
+    
+    if (!parsed.command) {
+      logger.warning(`Unknown command: ${parsed.name}`);
+      await auditService.recordCommand({ command: parsed.name, source, outcome: AUDIT_OUTCOMES.UNKNOWN_COMMAND });
+      await this.sendMessage(`Unknown command: /${parsed.name}\nType /help for available commands.`);
+      return;
+    }
+    
+    await this.executeCommand(parsed.command, source, parsed.args);
+  }
+  
+  /**
+   * Run a command handler after checking the sender's role
+   * Commands that need on-device approval are parked until the owner
+   * answers, so other updates are handled in the meantime.
+   * @param {Object} command - Command definition from the router
+   * @param {Object} source - Message or callback query that triggered the command
+   * @param {Object} args - Parsed arguments
+   * @returns {Promise<boolean>} Whether the handler was run
+   */
+  async executeCommand(command, source, args) {
+    const { name, role, confirmation } = command;
+    
+    const { allowed, role: senderRole } = await authService.authorize(source.from, role, this.chatId);
+    if (!allowed) {
+      const sender = source.from ? `${source.from.username || source.from.first_name} (${source.from.id})` : 'unknown sender';
+      logger.warning(`Denied /${name} for ${sender}: requires ${role}, has ${senderRole || 'no role'}`);
+      await auditService.recordCommand({ command: name, source, params: args, outcome: AUDIT_OUTCOMES.DENIED_ROLE });
+      await this.sendMessage(`⛔ You are not authorized to run /${name}.`);
+      return false;
+    }
+    
+    // Commands from authorized users keep the session from going idle
+    await sessionService.recordActivity();
+    
+    if (confirmation) {
+      this.parkCommand(command, source, args);
+      return false;
+    }
+    
+    return this.runExclusive(() => this.runCommand(command, source, args));
+  }
+  
+  /**
+   * Ask for on-device approval without holding up the update loop,
+   * then run the command once the owner answers
+   * @param {Object} command - Command definition from the router
+   * @param {Object} source - Message or callback query that triggered the command
+   * @param {Object} args - Parsed arguments
+   */
+  parkCommand(command, source, args) {
+    const chat = source.chat || source.message?.chat;
+    
+    const parked = consentService.requestConsent({
+      command: command.name,
+      category: command.confirmation,
+      chat,
+      from: source.from
+    })
+      .then(consent => this.runExclusive(() => this.runApprovedCommand(command, source, args, consent)))
+      .catch(error => {
+        logger.error(`Error running /${command.name}: ${error.message}`);
+        return this.reportCommandError(error);
+      })
+      .finally(() => this.parkedCommands.delete(parked));
+    
+    this.parkedCommands.add(parked);
+  }
+  
+  /**
+   * Wait until every command parked for approval has been answered and run
+   * @returns {Promise}
+   */
+  async waitForParkedCommands() {
+    await Promise.all([...this.parkedCommands]);
+  }
+  
+  /**
+   * Run a parked command if the owner approved it and it may still run
+   * @param {Object} command - Command definition from the router
+   * @param {Object} source - Message or callback query that triggered the command
+   * @param {Object} args - Parsed arguments
+   * @param {Object} consent - Answer from the consent service
+   * @returns {Promise<boolean>} Whether the handler was run
+   */
+  async runApprovedCommand(command, source, args, { approved, reason }) {
+    const { name, confirmation } = command;
+    
+    if (!this.connected) {
+      logger.warning(`Dropped /${name}: disconnected while waiting for approval`);
+      return false;
+    }
+    
+    if (!approved) {
+      const label = getCategoryLabel(confirmation);
+      logger.warning(`/${name} blocked: ${reason}`);
+      await auditService.recordCommand({
+        command: name,
+        source,
+        params: args,
+        outcome: reason === 'timeout' ? AUDIT_OUTCOMES.CONSENT_TIMEOUT : AUDIT_OUTCOMES.DENIED_CONSENT
+      });
+      await this.sendMessage(reason === 'timeout'
+        ? `⏱ No answer on the device. Request for ${label} (/${name}) timed out.`
+        : `🚫 The device owner denied access to ${label} (/${name}).`);
+      return false;
+    }
+    
+    // The session may have ended while the prompt was open
+    if (!sessionService.isActive()) {
+      logger.warning(`Refused /${name}: remote access session ended while waiting for approval`);
+      await auditService.recordCommand({ command: name, source, params: args, outcome: AUDIT_OUTCOMES.DENIED_SESSION });
+      await this.sendMessage(SESSION_EXPIRED_MESSAGE);
+      return false;
+    }
+    
+    return this.runCommand(command, source, args);
+  }
+  
+  /**
+   * Run tasks one at a time, so parked commands and commands from the
+   * update loop never interleave
+   * @param {Function} task - Async function to run
+   * @returns {Promise} Result of the task
+   */
+  runExclusive(task) {
+    const run = this.commandRuns.then(task);
+    this.commandRuns = run.catch(() => {});
+    return run;
+  }
+  
+  /**
+   * Run a command handler and record the outcome
+   * @param {Object} command - Command definition from the router
+   * @param {Object} source - Message or callback query that triggered the command
+   * @param {Object} args - Parsed arguments
+   * @returns {Promise<boolean>} Whether the handler was run
+   */
+  async runCommand(command, source, args) {
+    const { name } = command;
+    
+    logger.debug(`Executing command: ${name} with args: ${JSON.stringify(args)}`);
+    this.currentCommand = name;
+    try {
+      await command.handler(source, args);
+    } catch (error) {
+      if (error instanceof PathAccessError) {
+        await auditService.recordCommand({
+          command: name,
+          source,
+          params: args,
+          outcome: AUDIT_OUTCOMES.DENIED_PATH,
+          error: error.message
+        });
+        await this.sendMessage(`🚫 Access denied. ${error.message}`);
+        return false;
+      }
+      
+      await auditService.recordCommand({ command: name, source, params: args, outcome: AUDIT_OUTCOMES.FAILED, error: error.message });
+      throw error;
+    } finally {
+      this.currentCommand = null;
+    }
+    
+    await auditService.recordCommand({ command: name, source, params: args, outcome: AUDIT_OUTCOMES.EXECUTED });
+    
+    this.events.emit(TELEGRAM_EVENTS.COMMAND, { command: name, timestamp: new Date() });
+    return true;
+  }
+  
+  /**
+   * Get updates from Telegram
+   * Waits up to pollTimeout seconds on the server for new updates.
+   * Does not advance the offset; see acknowledgeUpdate
+   * @returns {Promise<Array>} Array of updates
+   */
+  async getUpdates() {
+    if (!this.connected || !this.canReceiveUpdates()) {
+      return [];
+    }
+    
+    const abortController = new AbortController();
+    this.pollAbortController = abortController;
+    
+    try {
+      const response = await this.api.get('/getUpdates', {
+        params: { 
+          offset: this.lastUpdateId + 1,
+          timeout: this.pollTimeout,
+          allowed_updates: JSON.stringify(ALLOWED_UPDATES) // Optimize by limiting types of updates
+        },
+        timeout: (this.pollTimeout + LONG_POLL_MARGIN) * 1000,
+        signal: abortController.signal
+      });
+      
+      return response.data.result || [];
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        return [];
+      }
+      
+      // A webhook left registered (e.g. the app died in webhook mode) blocks getUpdates
+      if (error.response?.status === 409 && /webhook/i.test(error.response.data?.description || '')) {
+        logger.warning('A webhook is still registered; removing it to poll for updates');
+        await this.api?.post('/deleteWebhook').catch(deleteError =>
+          logger.error(`Could not remove the webhook: ${deleteError.message}`));
+        return [];
+      }
+      
+      logger.error(`Failed to get updates: ${error.message}`);
+      this.handleDisconnection();
+      return [];
+    } finally {
+      if (this.pollAbortController === abortController) {
+        this.pollAbortController = null;
+      }
+    }
+  }
+  
+  /**
+   * Process a single update
+   * @param {Object} update - Update object from Telegram
+   */
+  async processUpdate(update) {
+    try {
+      // Pairing is the one command accepted from any chat
+      const pairingCode = update.message && this.parsePairCommand(update.message.text);
+      if (pairingCode !== null && pairingCode !== undefined) {
+        await this.handlePairing(update.message, pairingCode);
+        return;
+      }
+      
+      // First check if the message is for the correct chat
+      // This ensures we only respond to the authorized chat
+      if (update.message && !this.isPairedChat(update.message.chat)) {
+        logger.warning(`Received message from unauthorized chat: ${update.message.chat.id}`);
+        await auditService.recordCommand({
+          command: update.message.text || null,
+          source: update.message,
+          outcome: AUDIT_OUTCOMES.UNAUTHORIZED_CHAT
+        });
+        return;
+      }
+      
+      if (update.callback_query && !this.isPairedChat(update.callback_query.message.chat)) {
+        logger.warning(`Received callback from unauthorized chat: ${update.callback_query.message.chat.id}`);
+        await auditService.recordCommand({
+          command: update.callback_query.data || null,
+          source: update.callback_query,
+          outcome: AUDIT_OUTCOMES.UNAUTHORIZED_CHAT
+        });
+        return;
+      }
+      
+      // Commands only run while the owner allows remote access on the device
+      await sessionService.ensureLoaded();
+      if ((update.callback_query || update.message?.text) && !sessionService.isActive()) {
+        await this.refuseExpiredSession(update);
+        return;
+      }
+      
+      // Handle callback queries (button presses)
+      if (update.callback_query) {
+        const { id, data } = update.callback_query;
+        const payload = this.callbacks.resolve(data);
+        
+        if (payload === null) {
+          logger.warning(`Received expired or unknown button: ${data}`);
+          await auditService.recordCommand({ command: data, source: update.callback_query, outcome: AUDIT_OUTCOMES.EXPIRED_BUTTON });
+          await this.api.post('/answerCallbackQuery', {
+            callback_query_id: id,
+            text: 'This button has expired. Send /help to start again.',
+            show_alert: true
+          });
+          return;
         }
+        
+        logger.info(`Received callback query: ${payload}`);
+        
+        // Answer the callback query to remove loading state
+        await this.api.post('/answerCallbackQuery', { callback_query_id: id });
+        
+        await this.dispatch(() => this.router.parseCallbackData(payload), update.callback_query);
+      }
+      
+      // Handle message commands
+      if (update.message?.text) {
+        logger.info(`Received message: ${update.message.text}`);
+        await this.dispatch(() => this.router.parseCommand(update.message.text, this.botUsername), update.message);
+      }
+    } catch (error) {
+      logger.error(`Error processing update: ${error.message}`);
+      await this.reportCommandError(error);
+    }
+  }
+  
+  /**
+   * Tell the chat that a command failed
+   * @param {Object} error - Error thrown while handling the command
+   */
+  async reportCommandError(error) {
+    try {
+      await this.sendMessage(`Error processing command: ${error.message}`);
+    } catch (sendError) {
+      logger.error(`Failed to send error message: ${sendError.message}`);
+    }
+  }
+  
+  /**
+   * Answer a command or button that arrived after the session ended
+   * @param {Object} update - Update from the paired chat
+   */
+  async refuseExpiredSession(update) {
+    const { callback_query: query, message } = update;
+    const command = query ? query.data : message.text;
+    
+    logger.warning(`Refused ${command}: remote access session has ended`);
+    await auditService.recordCommand({ command, source: query || message, outcome: AUDIT_OUTCOMES.DENIED_SESSION });
+    
+    if (query) {
+      await this.api.post('/answerCallbackQuery', {
+        callback_query_id: query.id,
+        text: SESSION_EXPIRED_MESSAGE,
+        show_alert: true
+      });
+    } else {
+      await this.sendMessage(SESSION_EXPIRED_MESSAGE);
+    }
+  }
+  
+  /**
+   * Check whether a chat is the one the device is bound to
+   * @param {Object} chat - Telegram chat object
+   * @returns {boolean}
+   */
+  isPairedChat(chat) {
+    return Boolean(this.chatId) && String(chat?.id) === String(this.chatId);
+  }
+  
+  /**
+   * Get the code from a /pair command addressed to this bot
+   * @param {string} text - Message text
+   * @returns {string|null} Code (empty if left out), or null if this is not /pair
+   */
+  parsePairCommand(text) {
+    const match = /^\/pair(?:@(\S+))?(?:\s+([\s\S]*))?$/i.exec((text || '').trim());
+    if (!match) return null;
+    
+    const [, mention, code = ''] = match;
+    if (mention && this.botUsername && mention.toLowerCase() !== this.botUsername.toLowerCase()) {
+      return null;
+    }
+    return code.trim();
+  }
+  
+  /**
+   * Redeem a pairing code sent from a chat and confirm it there
+   * The pairing is undone if the bot cannot post to the chat.
+   * @param {Object} message - Telegram message with the /pair command
+   * @param {string} code - Code as typed
+   * @returns {Promise<boolean>} Whether the chat was paired
+   */
+  async handlePairing(message, code) {
+    const chat = message.chat;
+    
+    if (!code) {
+      await this.replyToChat(chat, 'Send the code shown on the device: /pair <code>');
+      return false;
+    }
+    
+    let pairing;
+    try {
+      pairing = await pairingService.redeem(code, message);
+    } catch (error) {
+      if (!(error instanceof PairingError)) throw error;
+      
+      logger.warning(`Pairing from chat ${chat.id} refused: ${error.reason}`);
+      await auditService.recordCommand({ command: 'pair', source: message, outcome: AUDIT_OUTCOMES.DENIED_PAIRING, error: error.message });
+      await this.replyToChat(chat, `⛔ ${error.message}`);
+      return false;
+    }
+    
+    // The confirmation doubles as a check that the bot can post to the chat
+    try {
+      await this.deliverMessage(String(chat.id), {
+        text: `✅ Paired ${pairing.name} as ${pairing.role}. Type /help for the commands you can use, or /unpair to stop.`,
+        options: {}
+      });
+    } catch (error) {
+      const setupError = toSetupError(error);
+      logger.error(`Pairing with chat ${chat.id} undone: ${setupError.message}`);
+      await pairingService.unpair(pairing.userId);
+      await auditService.recordCommand({ command: 'pair', source: message, outcome: AUDIT_OUTCOMES.FAILED, error: setupError.message });
+      this.events.emit(TELEGRAM_EVENTS.PAIRING_FAILED, setupError);
+      return false;
+    }
+    
+    this.followPairing();
+    await auditService.recordCommand({ command: 'pair', source: message, outcome: AUDIT_OUTCOMES.EXECUTED });
+    return true;
+  }
+  
+  /**
+   * Handle /unpair: remove the sender's pairing
+   * @param {Object} source - Message or callback query
+   */
+  async handleUnpair(source) {
+    const pairing = await pairingService.unpair(source.from?.id);
+    
+    if (!pairing) {
+      await this.sendMessage('You were not paired with /pair. Ask the device owner to remove your access.');
+      return;
+    }
+    
+    await this.sendMessage(pairingService.chatId
+      ? `🔓 ${pairing.name} was unpaired.`
+      : '🔓 Unpaired. This chat can no longer control the device.');
+    this.followPairing();
+  }
+  
+  /**
+   * Remove a pairing from the device, telling the chat
+   * @param {string} userId - Telegram user ID of the pairing
+   * @returns {Promise<Object|null>} The removed pairing, or null if there was none
+   */
+  async removePairing(userId) {
+    const pairing = await pairingService.unpair(userId);
+    
+    if (pairing) {
+      await this.sendMessage(`🔓 The device owner unpaired ${pairing.name}.`);
+      this.followPairing();
+    }
+    return pairing;
+  }
+  
+  /**
+   * Bind to the chat the pairings belong to
+   * Buttons sent to a chat that is no longer paired stop working.
+   */
+  followPairing() {
+    if (pairingService.chatId !== this.chatId) {
+      this.callbacks.clear();
+    }
+    this.chatId = pairingService.chatId;
+    logger.registerSecret(this.chatId, 'chat ID');
+  }
+  
+  /**
+   * Reply to a chat directly, whether or not it is paired
+   * @param {Object} chat - Telegram chat object
+   * @param {string} text - Message text
+   */
+  async replyToChat(chat, text) {
+    try {
+      await this.deliverMessage(String(chat.id), { text, options: {} });
+    } catch (error) {
+      logger.error(`Failed to reply to chat ${chat.id}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Send a message to the chat
+   * @param {string} text - Message text
+   * @param {Object} options - Additional options
+   * @returns {Promise<boolean>} Whether the message was sent
+   */
+  async sendMessage(text, options = {}) {
+    return Boolean(await this.postMessage(text, options));
+  }
+  
+  /**
+   * Send a message to the chat and get it back, e.g. to edit it later
+   * Plain strings are sent as plain text; build formatted messages with
+   * messageBuilder. Text over the length limit is sent as several messages,
+   * and messages that cannot be sent now go to the outbound queue.
+   * @param {string|FormattedMessage} text - Message text
+   * @param {Object} options - Additional options
+   * @param {string} options.parse_mode - Parse mode for formatted messages (default MarkdownV2)
+   * @param {boolean} options.queue - Queue the message if it cannot be sent now (default true)
+   * @returns {Promise<Object|null>} The last sent message, or null if it was not sent now
+   */
+  async postMessage(text, options = {}) {
+    const { queue = true, parse_mode: parseMode, reply_markup: replyMarkup } = options;
+    const parts = prepareMessages(text, parseMode);
+    let sent = null;
+    
+    for (const [index, part] of parts.entries()) {
+      // Buttons go under the last part
+      const payload = {
+        sendId: createSendId(),
+        text: part.text,
+        plainText: part.plainText,
+        options: { parse_mode: part.parseMode || undefined, reply_markup: index === parts.length - 1 ? replyMarkup : undefined }
+      };
+      sent = await this.postMessagePart(payload, queue);
+    }
+    
+    return sent;
+  }
+  
+  /**
+   * Send one message that fits the length limit
+   * @param {Object} payload - { text, plainText, options }
+   * @param {boolean} queue - Queue the message if it cannot be sent now
+   * @returns {Promise<Object|null>} The sent message, or null if it was not sent now
+   */
+  async postMessagePart(payload, queue) {
+    if (!this.chatId) {
+      logger.warning('No chat is paired; message not sent');
+      return null;
+    }
+    
+    // Wait behind anything already queued so replies stay in order
+    if (!this.connected || (queue && this.outbox.size > 0)) {
+      if (queue) {
+        await this.queueForLater(QUEUE_ITEM_TYPES.MESSAGE, payload);
+      }
+      return null;
+    }
+    
+    try {
+      return await this.deliverMessage(this.chatId, payload);
+    } catch (error) {
+      logger.error(`Failed to send message: ${error.message}`);
+      if (queue && canRetryLater(error)) {
+        await this.queueForLater(QUEUE_ITEM_TYPES.MESSAGE, payload, this.getQueueRetryDelay(error, 0));
+      }
+      return null;
+    }
+  }
+  
+  /**
+   * Call sendMessage, resending as plain text if Telegram cannot parse the formatting
+   * @param {string} chatId - Destination chat
+   * @param {Object} payload - { text, plainText, options }
+   * @returns {Promise<Object>} Sent message
+   */
+  async deliverMessage(chatId, { text, plainText, options }) {
+    try {
+      const response = await this.api.post('/sendMessage', { chat_id: chatId, text, ...options });
+      return response.data.result;
+    } catch (error) {
+      if (!options.parse_mode || !isParseError(error)) {
+        throw error;
+      }
+      
+      logger.warning(`Sending message as plain text: ${error.response.data.description}`);
+      const response = await this.api.post('/sendMessage', {
+        chat_id: chatId,
+        text: plainText ?? text,
+        reply_markup: options.reply_markup
       });
+      return response.data.result;
+    }
+  }
+  
+  /**
+   * Replace the text of a message sent earlier
+   * @param {number} messageId - Message to edit
+   * @param {string|FormattedMessage} text - New text, which must fit in one message
+   * @param {Object} options - Additional options
+   * @returns {Promise<boolean>} Whether the message was edited
+   */
+  async editMessageText(messageId, text, options = {}) {
+    if (!this.connected || !messageId) {
+      return false;
+    }
+    
+    try {
+      const [part] = prepareMessages(text, options.parse_mode);
+      await this.api.post('/editMessageText', {
+        chat_id: this.chatId,
+        message_id: messageId,
+        text: part.text,
+        parse_mode: part.parseMode || undefined,
+        reply_markup: options.reply_markup
+      });
+      return true;
+    } catch (error) {
+      logger.warning(`Failed to edit message ${messageId}: ${error.response?.data?.description || error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Upload a document
+   * @param {string} filePath - Local file path
+   * @param {Object} options - Upload options
+   * @param {string} options.caption - Document caption
+   * @param {string} options.fileName - Name shown in the chat (defaults to the local name)
+   * @returns {Promise<Object>} Sent message
+   */
+  async uploadDocument(filePath, { caption = '', fileName = filePath.split('/').pop() } = {}) {
+    const formData = new FormData();
+    formData.append('chat_id', this.chatId);
+    
+    if (caption) {
+      formData.append('caption', caption);
+    }
+    
+    formData.append('document', {
+      uri: filePath,
+      name: fileName,
+      type: 'application/octet-stream'
+    });
+    
+    const response = await this.api.post('/sendDocument', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      },
+      timeout: UPLOAD_TIMEOUT,
+      // The chat ID is inside the form data, out of the rate limiter's sight
+      chatId: this.chatId
+    });
+    return response.data.result;
+  }
+  
+  /**
+   * Send a file to the chat
+   * Files over the upload limit are sent in parts (see sendFileInParts), which
+   * resume on their own; other files that cannot be sent now are queued
+   * @param {string} filePath - Local file path
+   * @param {string} caption - File caption
+   * @returns {Promise<boolean>} Whether the file was delivered now
+   */
+  async sendFile(filePath, caption = '') {
+    if (!this.chatId) {
+      return false;
+    }
+    
+    const payload = { sendId: createSendId(), sourcePath: filePath, caption, command: this.currentCommand };
+    
+    try {
+      const info = await FileSystem.getInfoAsync(filePath, { size: true });
+      if (info.exists && info.size > this.maxUploadSize) {
+        return await this.sendFileInParts(filePath, caption);
+      }
       
+      if (!this.connected || this.outbox.size > 0) {
+        await this.queueForLater(QUEUE_ITEM_TYPES.FILE, payload);
+        return false;
+      }
+      
+      await this.uploadDocument(filePath, { caption });
+      
+      await this.recordFileSent(filePath, true);
       return true;
     } catch (error) {
       logger.error(`Failed to send file: ${error.message}`);
+      if (canRetryLater(error)) {
+        await this.queueForLater(QUEUE_ITEM_TYPES.FILE, payload, this.getQueueRetryDelay(error, 0));
+        return false;
+      }
+      await this.recordFileSent(filePath, false);
+      return false;
+    }
+  }
+  
+  /**
+   * Put a reply in the outbound queue
+   * @param {string} type - One of QUEUE_ITEM_TYPES
+   * @param {Object} payload - Queued message or file
+   * @param {number} delay - Time before the first attempt (ms)
+   */
+  async queueForLater(type, payload, delay = 0) {
+    if (!this.chatId) return;
+    
+    try {
+      await this.outbox.enqueue(type, this.chatId, payload, { delay });
+    } catch (error) {
+      logger.error(`Could not queue ${type}: ${error.message}`);
+      return;
+    }
+    
+    if (delay > 0) {
+      this.scheduleQueueFlush(delay);
+    } else if (this.connected) {
+      this.flushQueue();
+    }
+  }
+  
+  /**
+   * Deliver queued replies in order
+   * Calls made while a flush is running share its promise
+   * @returns {Promise}
+   */
+  flushQueue() {
+    if (!this.flushingQueue) {
+      this.flushingQueue = this.deliverQueuedItems()
+        .catch(error => logger.error(`Failed to flush the outbound queue: ${error.message}`))
+        .finally(() => {
+          this.flushingQueue = null;
+        });
+    }
+    
+    return this.flushingQueue;
+  }
+  
+  /**
+   * Drop queued replies and unfinished transfers so nothing more is sent
+   * Used when the device owner revokes remote access
+   */
+  async clearPendingDeliveries() {
+    clearTimeout(this.queueTimer);
+    this.queueTimer = null;
+    
+    await this.outbox.clear();
+    await transferService.clear();
+    logger.info('Discarded queued replies and unfinished transfers');
+  }
+  
+  /**
+   * Send queued items until the queue is empty or an item has to wait
+   */
+  async deliverQueuedItems() {
+    clearTimeout(this.queueTimer);
+    this.queueTimer = null;
+    await this.outbox.ensureLoaded();
+    
+    while (this.connected) {
+      const item = this.outbox.peek();
+      if (!item) return;
+      
+      // Replies meant for a chat that is no longer configured are not redirected
+      if (item.chatId !== String(this.chatId)) {
+        logger.warning(`Dropping queued ${item.type} for chat ${item.chatId}`);
+        await this.outbox.remove(item.id);
+        continue;
+      }
+      
+      const wait = item.nextAttemptAt - Date.now();
+      if (wait > 0) {
+        this.scheduleQueueFlush(wait);
+        return;
+      }
+      
+      try {
+        await this.deliverQueueItem(item);
+        await this.outbox.remove(item.id);
+        logger.success(`Delivered queued ${item.type} (${this.outbox.size} left)`);
+      } catch (error) {
+        const reason = error.response?.data?.description || error.message;
+        
+        if (!canRetryLater(error)) {
+          logger.error(`Dropping queued ${item.type}: ${reason}`);
+          if (item.type === QUEUE_ITEM_TYPES.FILE) {
+            await this.recordFileSent(item.payload.sourcePath, false, item.payload.command);
+          }
+          await this.outbox.remove(item.id);
+          continue;
+        }
+        
+        const delay = this.getQueueRetryDelay(error, item.attempts + 1);
+        logger.warning(`Queued ${item.type} not delivered (${reason}), retrying in ${Math.round(delay / 1000)}s`);
+        await this.outbox.defer(item.id, delay);
+        this.scheduleQueueFlush(delay);
+        return;
+      }
+    }
+  }
+  
+  /**
+   * Send one queued item
+   * @param {Object} item - Queue item
+   */
+  async deliverQueueItem(item) {
+    if (item.type === QUEUE_ITEM_TYPES.MESSAGE) {
+      await this.deliverMessage(item.chatId, item.payload);
+      return;
+    }
+    
+    const filePath = item.stagedPath || item.payload.sourcePath;
+    const info = await FileSystem.getInfoAsync(filePath);
+    if (!info.exists) {
+      logger.error(`Queued file no longer exists: ${filePath}`);
+      await this.recordFileSent(item.payload.sourcePath, false, item.payload.command);
+      return;
+    }
+    
+    await this.uploadDocument(filePath, {
+      caption: item.payload.caption,
+      fileName: item.payload.sourcePath.split('/').pop()
+    });
+    await this.recordFileSent(item.payload.sourcePath, true, item.payload.command, filePath);
+  }
+  
+  /**
+   * Work out how long to wait before trying a reply again
+   * @param {Error} error - Error of the failed attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay (ms)
+   */
+  getQueueRetryDelay(error, attempts) {
+    const retryAfter = getRetryAfter(error);
+    if (retryAfter) {
+      return retryAfter * 1000;
+    }
+    return Math.min(MAX_QUEUE_RETRY_DELAY, Math.pow(2, attempts) * this.queueRetryDelay);
+  }
+  
+  /**
+   * Flush the queue after a delay
+   * @param {number} delay - Milliseconds to wait
+   */
+  scheduleQueueFlush(delay) {
+    clearTimeout(this.queueTimer);
+    this.queueTimer = setTimeout(() => {
+      this.queueTimer = null;
+      this.flushQueue();
+    }, delay);
+  }
+  
+  /**
+   * Send a large file as numbered parts followed by a manifest
+   * Progress is shown in one message that is edited as parts arrive.
+   * A transfer that cannot finish is paused and resumed after reconnecting.
+   * @param {string} filePath - Local file path
+   * @param {string} caption - Caption, repeated in the manifest message
+   * @returns {Promise<boolean>} Whether every part was delivered
+   */
+  async sendFileInParts(filePath, caption = '') {
+    const transfer = await transferService.createTransfer(filePath, {
+      chatId: this.chatId,
+      caption,
+      command: this.currentCommand,
+      partSize: this.partSize
+    });
+    
+    return this.runTransfer(transfer.id);
+  }
+  
+  /**
+   * Send the parts of a transfer that have not been delivered yet
+   * @param {string} id - Transfer ID
+   * @returns {Promise<boolean>} Whether the transfer completed
+   */
+  async runTransfer(id) {
+    if (this.activeTransfers.has(id)) return false;
+    this.activeTransfers.add(id);
+    
+    try {
+      let transfer = await transferService.update(id, { status: TRANSFER_STATUS.ACTIVE });
+      
+      if (!(await transferService.isSourceUnchanged(transfer))) {
+        logger.error(`Transfer of ${transfer.fileName} abandoned: the file changed`);
+        await this.updateTransferProgress(transfer, '❌ Transfer abandoned: the file changed since it started.');
+        await transferService.remove(id);
+        await this.recordFileSent(transfer.filePath, false, transfer.command);
+        return false;
+      }
+      
+      if (!transfer.progressMessageId) {
+        const message = await this.postMessage(this.formatTransferProgress(transfer), { queue: false });
+        transfer = await transferService.update(id, { progressMessageId: message?.message_id || null });
+      }
+      
+      for (let index = 0; index < transfer.partCount; index++) {
+        if (transfer.parts[index]) continue;
+        
+        const part = await this.uploadTransferPart(transfer, index);
+        if (!part) {
+          transfer = await transferService.update(id, { status: TRANSFER_STATUS.PAUSED });
+          logger.warning(`Transfer of ${transfer.fileName} paused at part ${index + 1}/${transfer.partCount}`);
+          await this.updateTransferProgress(transfer, '⏸ Paused. The transfer resumes when the connection is back.');
+          return false;
+        }
+        
+        transfer = await transferService.markPartSent(id, index, part);
+        await this.updateTransferProgress(transfer);
+      }
+      
+      const manifest = await transferService.writeManifest(transfer);
+      try {
+        await this.uploadDocument(manifest.path, {
+          fileName: manifest.name,
+          caption: `${transfer.caption ? `${transfer.caption}\n` : ''}` +
+            `Manifest for ${transfer.partCount} parts. Rebuild with: node reassemble-transfer.js ${manifest.name}`
+        });
+      } catch (error) {
+        transfer = await transferService.update(id, { status: TRANSFER_STATUS.PAUSED });
+        logger.warning(`Manifest of ${transfer.fileName} not sent: ${error.message}`);
+        await this.updateTransferProgress(transfer, '⏸ Paused before the manifest. The transfer resumes when the connection is back.');
+        return false;
+      } finally {
+        await transferService.deleteStagedFile(manifest.path);
+      }
+      
+      await transferService.remove(id);
+      await this.updateTransferProgress(transfer, '✅ Complete.');
+      await this.recordFileSent(transfer.filePath, true, transfer.command);
+      logger.success(`File sent in ${transfer.partCount} parts: ${transfer.filePath}`);
+      return true;
+    } catch (error) {
+      logger.error(`Transfer ${id} failed: ${error.message}`);
+      await transferService.update(id, { status: TRANSFER_STATUS.PAUSED });
       return false;
+    } finally {
+      this.activeTransfers.delete(id);
+    }
+  }
+  
+  /**
+   * Stage and upload one part, retrying a few times
+   * @param {Object} transfer - Transfer record
+   * @param {number} index - Part index
+   * @returns {Promise<Object|null>} { size, md5 } of the delivered part, or null if it failed
+   */
+  async uploadTransferPart(transfer, index) {
+    const part = await transferService.preparePart(transfer, index);
+    
+    try {
+      for (let attempt = 1; attempt <= PART_ATTEMPTS; attempt++) {
+        if (!this.connected) return null;
+        
+        try {
+          await this.uploadDocument(part.path, {
+            fileName: part.name,
+            caption: `${transfer.fileName} · part ${index + 1}/${transfer.partCount}`
+          });
+          return { size: part.size, md5: part.md5 };
+        } catch (error) {
+          logger.warning(`Part ${index + 1}/${transfer.partCount} of ${transfer.fileName} failed ` +
+            `(attempt ${attempt}/${PART_ATTEMPTS}): ${error.message}`);
+          
+          if (attempt < PART_ATTEMPTS) {
+            await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * this.retryDelay));
+          }
+        }
+      }
+      return null;
+    } finally {
+      await transferService.deleteStagedFile(part.path);
+    }
+  }
+  
+  /**
+   * Resume unfinished transfers to the configured chat
+   * Calls made while a resume is running share its promise
+   * @returns {Promise}
+   */
+  resumeTransfers() {
+    if (!this.resumingTransfers) {
+      this.resumingTransfers = (async () => {
+        const pending = await transferService.getPending(this.chatId);
+        for (const transfer of pending) {
+          if (!this.connected) break;
+          logger.info(`Resuming transfer of ${transfer.fileName}`);
+          await this.runTransfer(transfer.id);
+        }
+      })()
+        .catch(error => logger.error(`Failed to resume transfers: ${error.message}`))
+        .finally(() => {
+          this.resumingTransfers = null;
+        });
+    }
+    
+    return this.resumingTransfers;
+  }
+  
+  /**
+   * Describe the progress of a transfer
+   * @param {Object} transfer - Transfer record
+   * @param {string} status - Extra status line
+   * @returns {FormattedMessage} Message text
+   */
+  formatTransferProgress(transfer, status = '') {
+    const sent = Object.keys(transfer.parts).length;
+    const filled = Math.round((sent / transfer.partCount) * PROGRESS_BAR_WIDTH);
+    const bar = '▓'.repeat(filled) + '░'.repeat(PROGRESS_BAR_WIDTH - filled);
+    
+    const progress = format`📦 Sending ${code(transfer.fileName)} (${formatSize(transfer.size)}) in ${transfer.partCount} parts
+${bar} ${sent}/${transfer.partCount}`;
+    return status ? format`${progress}\n${status}` : progress;
+  }
+  
+  /**
+   * Edit a transfer's progress message
+   * @param {Object} transfer - Transfer record
+   * @param {string} status - Extra status line
+   */
+  async updateTransferProgress(transfer, status = '') {
+    const text = this.formatTransferProgress(transfer, status);
+    
+    if (!(await this.editMessageText(transfer.progressMessageId, text))) {
+      // The progress message is gone (or was never sent); start a new one
+      const message = await this.postMessage(text, { queue: false });
+      if (message?.message_id && transferService.get(transfer.id)) {
+        await transferService.update(transfer.id, { progressMessageId: message.message_id });
+      }
+    }
+  }
+  
+  /**
+   * Add a sent file to the audit log
+   * @param {string} filePath - Local file path
+   * @param {boolean} success - Whether the upload succeeded
+   * @param {string} command - Command that requested the file (defaults to the running one)
+   * @param {string} sizePath - Copy to read the size from, if the file was queued
+   */
+  async recordFileSent(filePath, success, command = this.currentCommand, sizePath = filePath) {
+    let bytes = null;
+    try {
+      const info = await FileSystem.getInfoAsync(sizePath, { size: true });
+      bytes = info.exists ? info.size : null;
+    } catch (error) {
+      logger.warning(`Could not read size of ${sizePath}: ${error.message}`);
     }
+    
+    await auditService.recordFileSent({
+      filePath,
+      bytes,
+      chatId: this.chatId,
+      command,
+      success
+    });
   }
   
   /**
@@ -434,29 +2131,32 @@ class TelegramAPI {
     }
     
     try {
-      const message = `📱 *Device Connected!*\n\n` +
-        `• Device: ${deviceInfo.deviceName}\n` +
-        `• Model: ${deviceInfo.model}\n` +
-        `• OS: Android ${deviceInfo.osVersion}\n` +
-        `• Build: ${deviceInfo.osBuild}\n` +
-        `• IP: ${deviceInfo.ipAddress}\n` +
-        `• Location: ${deviceInfo.location.latitude ? 
-          `${deviceInfo.location.latitude.toFixed(4)}, ${deviceInfo.location.longitude.toFixed(4)}` : 'N/A'}\n` +
-        `• Uptime: ${deviceInfo.uptime}\n` +
-        `• App Version: ${deviceInfo.appVersion}\n` +
-        `• Device ID: ${encrypt(deviceInfo.deviceId).substring(0, 16)}`;
+      const location = deviceInfo.location.latitude
+        ? `${deviceInfo.location.latitude.toFixed(4)}, ${deviceInfo.location.longitude.toFixed(4)}`
+        : 'N/A';
+      const message = format`📱 ${bold('Device Connected!')}
+
+• Device: ${deviceInfo.deviceName}
+• Model: ${deviceInfo.model}
+• OS: Android ${deviceInfo.osVersion}
+• Build: ${deviceInfo.osBuild}
+• IP: ${deviceInfo.ipAddress}
+• Location: ${location}
+• Uptime: ${deviceInfo.uptime}
+• App Version: ${deviceInfo.appVersion}
+• Device ID: ${describeDeviceId(deviceInfo.deviceId)}`;
       
       await this.sendMessage(message);
       
       // Send command menu
       const keyboard = {
         inline_keyboard: [
-          [{ text: '📞 Call Logs', callback_data: 'call_logs' }, 
-           { text: '💬 SMS Logs', callback_data: 'sms_logs' }],
-          [{ text: '👥 Contacts', callback_data: 'contacts' }, 
-           { text: '📁 Storage', callback_data: 'storage' }],
-          [{ text: '📊 Device Info', callback_data: 'device_info' }, 
-           { text: '📷 Take Screenshot', callback_data: 'screenshot' }]
+          [{ text: '📞 Call Logs', callback_data: this.callbackData('call_logs') }, 
+           { text: '💬 SMS Logs', callback_data: this.callbackData('sms_logs') }],
+          [{ text: '👥 Contacts', callback_data: this.callbackData('contacts') }, 
+           { text: '📁 Storage', callback_data: this.callbackData('storage') }],
+          [{ text: '📊 Device Info', callback_data: this.callbackData('device_info') }, 
+           { text: '📷 Take Screenshot', callback_data: this.callbackData('screenshot') }]
         ]
       };
       
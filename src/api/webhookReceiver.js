@@ -0,0 +1,112 @@
+/**
+ * Webhook receiver
+ * Runs the local HTTP endpoint Telegram (through a reverse proxy) posts
+ * updates to. Only requests carrying the secret token registered with
+ * setWebhook are accepted.
+ */
+import logger from '../utils/logger';
+import { startHttpServer } from '../native-modules/NativeHttpServer';
+
+// Header Telegram sends the secret token in (lower case, as received)
+export const SECRET_TOKEN_HEADER = 'x-telegram-bot-api-secret-token';
+
+/**
+ * Compare two strings in time that does not depend on where they differ
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean}
+ */
+const secretsMatch = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+};
+
+export class WebhookReceiver {
+  /**
+   * @param {Object} options - Receiver options
+   * @param {string} options.secret - Secret token registered with setWebhook
+   * @param {Function} options.onUpdate - Called with each update; resolves once the update is
+   *   accepted, not handled, and a rejection makes Telegram redeliver it
+   */
+  constructor({ secret, onUpdate }) {
+    this.secret = secret;
+    this.onUpdate = onUpdate;
+    this.server = null;
+    this.rejectedRequests = 0;
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Local port
+   * @returns {Promise<number>} Port the server listens on
+   */
+  async start(port) {
+    this.server = await startHttpServer(port, request => this.handleRequest(request));
+    return this.server.port;
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    const server = this.server;
+    this.server = null;
+
+    if (server) {
+      try {
+        await server.stop();
+      } catch (error) {
+        logger.warning(`Could not stop the webhook server: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Answer one HTTP request
+   * @param {Object} request - { method, path, headers, body }
+   * @returns {Promise<Object>} { status, body }
+   */
+  async handleRequest({ method, headers = {}, body }) {
+    if (method !== 'POST') {
+      return { status: 405 };
+    }
+
+    if (!secretsMatch(headers[SECRET_TOKEN_HEADER], this.secret)) {
+      this.rejectedRequests += 1;
+      logger.warning(`Rejected webhook request without a valid secret token (${this.rejectedRequests} so far)`);
+      return { status: 401 };
+    }
+
+    let update;
+    try {
+      update = JSON.parse(body);
+    } catch (error) {
+      logger.warning(`Rejected webhook request with an invalid body: ${error.message}`);
+      return { status: 400 };
+    }
+
+    if (!Number.isInteger(update?.update_id)) {
+      logger.warning('Rejected webhook request without an update');
+      return { status: 400 };
+    }
+
+    // Answered as soon as the update is accepted; waiting for the command
+    // would let Telegram time out and deliver it again
+    try {
+      await this.onUpdate(update);
+      return { status: 200 };
+    } catch (error) {
+      logger.error(`Failed to handle webhook update ${update.update_id}: ${error.message}`);
+      return { status: 500 };
+    }
+  }
+}
+
+export default WebhookReceiver;
@@ -0,0 +1,347 @@
+/**
+ * Alert rules form component
+ * Lets the device owner choose which battery, storage, network and charger
+ * changes are reported to Telegram
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  Switch,
+  Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import alertService, {
+  ALERT_TYPES,
+  ALERT_PRESETS,
+  NETWORK_LABELS,
+  DEFAULT_COOLDOWN_MINUTES,
+  describeRule
+} from '../services/alertService';
+import logger from '../utils/logger';
+
+const GIGABYTE = 1024 * 1024 * 1024;
+
+const TYPE_LABELS = {
+  [ALERT_TYPES.BATTERY_BELOW]: 'Battery low',
+  [ALERT_TYPES.STORAGE_BELOW]: 'Storage low',
+  [ALERT_TYPES.NETWORK_CHANGED]: 'Network change',
+  [ALERT_TYPES.CHARGER_CONNECTED]: 'Charger on',
+  [ALERT_TYPES.CHARGER_DISCONNECTED]: 'Charger off'
+};
+
+const EMPTY_DRAFT = {
+  type: ALERT_TYPES.BATTERY_BELOW,
+  threshold: '15',
+  from: null,
+  to: null,
+  cooldownMinutes: String(DEFAULT_COOLDOWN_MINUTES)
+};
+
+const AlertsForm = () => {
+  const [rules, setRules] = useState(alertService.getRules());
+  const [draft, setDraft] = useState(null);
+
+  // Subscribe to alert rule changes
+  useEffect(() => {
+    const handleRulesUpdate = (updatedRules) => {
+      setRules(updatedRules);
+    };
+
+    alertService.subscribe(handleRulesUpdate);
+    alertService.ensureLoaded();
+
+    return () => alertService.unsubscribe(handleRulesUpdate);
+  }, []);
+
+  // Add a rule
+  const handleAdd = async (rule) => {
+    try {
+      await alertService.addRule(rule);
+      setDraft(null);
+    } catch (error) {
+      logger.error(`Failed to add alert: ${error.message}`);
+      Alert.alert('Invalid Alert', error.message);
+    }
+  };
+
+  // Add the rule being edited; storage is entered in GB
+  const handleAddDraft = () => {
+    const threshold = draft.type === ALERT_TYPES.STORAGE_BELOW
+      ? Math.round(Number(draft.threshold) * GIGABYTE)
+      : draft.threshold;
+    handleAdd({ ...draft, threshold });
+  };
+
+  const handleToggle = (rule, enabled) => {
+    alertService.updateRule(rule.id, { enabled })
+      .catch(error => logger.error(`Failed to update alert: ${error.message}`));
+  };
+
+  // Confirm before deleting a rule
+  const handleRemove = (rule) => {
+    Alert.alert(
+      'Delete Alert',
+      `Stop alerting on "${describeRule(rule)}"?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => alertService.removeRule(rule.id) }
+      ]
+    );
+  };
+
+  const existing = rules.map(describeRule);
+  const unusedPresets = ALERT_PRESETS.filter(preset => !existing.includes(describeRule(preset)));
+  const hasThreshold = draft && (draft.type === ALERT_TYPES.BATTERY_BELOW || draft.type === ALERT_TYPES.STORAGE_BELOW);
+
+  // Chips for picking a network type, "Any" first
+  const renderNetworkChips = (key) => (
+    <View style={styles.chipRow}>
+      <Text style={styles.chipLabel}>{key === 'from' ? 'From' : 'To'}</Text>
+      {[null, ...Object.keys(NETWORK_LABELS)].map(type => (
+        <TouchableOpacity
+          key={type || 'any'}
+          style={[styles.chip, draft[key] === type && styles.chipSelected]}
+          onPress={() => setDraft({ ...draft, [key]: type })}
+        >
+          <Text style={styles.chipText}>{type ? NETWORK_LABELS[type] : 'Any'}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>Alerts</Text>
+
+      {rules.length === 0 && (
+        <Text style={styles.emptyText}>
+          No alerts. Battery, storage and network changes are not reported.
+        </Text>
+      )}
+
+      {rules.map(rule => (
+        <View key={rule.id} style={styles.ruleRow}>
+          <Ionicons name="notifications-outline" size={16} color="#f80" />
+          <View style={styles.ruleDetails}>
+            <Text style={styles.ruleName} numberOfLines={1}>{describeRule(rule)}</Text>
+            <Text style={styles.ruleCooldown}>At most every {rule.cooldownMinutes} min</Text>
+          </View>
+          <Switch
+            value={rule.enabled}
+            onValueChange={(enabled) => handleToggle(rule, enabled)}
+            trackColor={{ false: '#555', true: '#007bff' }}
+            thumbColor="#fff"
+          />
+          <TouchableOpacity style={styles.removeButton} onPress={() => handleRemove(rule)}>
+            <Ionicons name="trash-outline" size={18} color="#f55" />
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      {!draft && (
+        <View style={styles.chipRow}>
+          {unusedPresets.map(preset => (
+            <TouchableOpacity key={describeRule(preset)} style={styles.chip} onPress={() => handleAdd(preset)}>
+              <Ionicons name="add" size={14} color="#fff" />
+              <Text style={styles.chipText}>{describeRule(preset)}</Text>
+            </TouchableOpacity>
+          ))}
+          <TouchableOpacity style={styles.chip} onPress={() => setDraft(EMPTY_DRAFT)}>
+            <Ionicons name="create-outline" size={14} color="#fff" />
+            <Text style={styles.chipText}>Custom</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* New rule */}
+      {draft && (
+        <View style={styles.editor}>
+          <View style={styles.chipRow}>
+            {Object.values(ALERT_TYPES).map(type => (
+              <TouchableOpacity
+                key={type}
+                style={[styles.chip, draft.type === type && styles.chipSelected]}
+                onPress={() => setDraft({
+                  ...draft,
+                  type,
+                  threshold: type === ALERT_TYPES.STORAGE_BELOW ? '1' : EMPTY_DRAFT.threshold
+                })}
+              >
+                <Text style={styles.chipText}>{TYPE_LABELS[type]}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {hasThreshold && (
+            <View style={styles.inputRow}>
+              <Text style={styles.chipLabel}>Below</Text>
+              <TextInput
+                style={styles.numberInput}
+                value={draft.threshold}
+                onChangeText={threshold => setDraft({ ...draft, threshold })}
+                keyboardType="decimal-pad"
+              />
+              <Text style={styles.chipLabel}>{draft.type === ALERT_TYPES.BATTERY_BELOW ? '%' : 'GB free'}</Text>
+            </View>
+          )}
+
+          {draft.type === ALERT_TYPES.NETWORK_CHANGED && (
+            <>
+              {renderNetworkChips('from')}
+              {renderNetworkChips('to')}
+            </>
+          )}
+
+          <View style={styles.inputRow}>
+            <Text style={styles.chipLabel}>At most every</Text>
+            <TextInput
+              style={styles.numberInput}
+              value={draft.cooldownMinutes}
+              onChangeText={cooldownMinutes => setDraft({ ...draft, cooldownMinutes })}
+              keyboardType="number-pad"
+            />
+            <Text style={styles.chipLabel}>min</Text>
+          </View>
+
+          <View style={styles.editorButtons}>
+            <TouchableOpacity style={styles.cancelButton} onPress={() => setDraft(null)}>
+              <Text style={styles.buttonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.addButton} onPress={handleAddDraft}>
+              <Ionicons name="add-circle" size={16} color="#fff" />
+              <Text style={[styles.buttonText, styles.addButtonText]}>Add Alert</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 8,
+    marginBottom: 12,
+  },
+  label: {
+    color: '#aaa',
+    fontSize: 14,
+    marginBottom: 4,
+  },
+  emptyText: {
+    color: '#888',
+    fontSize: 12,
+    fontStyle: 'italic',
+    marginBottom: 8,
+  },
+  ruleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#333',
+    borderRadius: 5,
+    padding: 8,
+    marginBottom: 6,
+  },
+  ruleDetails: {
+    flex: 1,
+    marginLeft: 6,
+  },
+  ruleName: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  ruleCooldown: {
+    color: '#aaa',
+    fontSize: 11,
+  },
+  removeButton: {
+    padding: 4,
+    marginLeft: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    marginBottom: 2,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#444',
+    borderRadius: 12,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  chipSelected: {
+    backgroundColor: '#007bff',
+  },
+  chipText: {
+    color: '#fff',
+    fontSize: 12,
+    marginLeft: 2,
+  },
+  chipLabel: {
+    color: '#aaa',
+    fontSize: 12,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  editor: {
+    backgroundColor: '#2a2a2a',
+    borderRadius: 5,
+    padding: 8,
+    marginTop: 4,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  numberInput: {
+    backgroundColor: '#333',
+    color: '#fff',
+    borderRadius: 5,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    fontSize: 12,
+    width: 56,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  editorButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
+  cancelButton: {
+    backgroundColor: '#555',
+    borderRadius: 5,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginRight: 6,
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#007bff',
+    borderRadius: 5,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  addButtonText: {
+    marginLeft: 6,
+  },
+});
+
+export default AlertsForm;
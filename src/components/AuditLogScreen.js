@@ -0,0 +1,281 @@
+/**
+ * Audit log screen component
+ * Shows the persistent record of remote commands and files sent off the device
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import auditService, { AUDIT_EVENTS, AUDIT_OUTCOMES } from '../services/auditService';
+import { shareFile } from '../services/fileService';
+import logger from '../utils/logger';
+
+// Colors for each outcome
+const OUTCOME_COLORS = {
+  [AUDIT_OUTCOMES.EXECUTED]: '#0f0',
+  [AUDIT_OUTCOMES.FAILED]: '#f00',
+  [AUDIT_OUTCOMES.DENIED_ROLE]: '#f80',
+  [AUDIT_OUTCOMES.DENIED_CONSENT]: '#f80',
+  [AUDIT_OUTCOMES.DENIED_PATH]: '#f80',
+  [AUDIT_OUTCOMES.CONSENT_TIMEOUT]: '#ff0',
+  [AUDIT_OUTCOMES.UNAUTHORIZED_CHAT]: '#f0f',
+  [AUDIT_OUTCOMES.UNKNOWN_COMMAND]: '#aaa',
+  [AUDIT_OUTCOMES.INVALID_ARGUMENTS]: '#aaa',
+  [AUDIT_OUTCOMES.EXPIRED_BUTTON]: '#aaa',
+  [AUDIT_OUTCOMES.DENIED_PAIRING]: '#f0f',
+  [AUDIT_OUTCOMES.DENIED_SESSION]: '#ff0'
+};
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} Formatted size
+ */
+const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) return 'unknown size';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+};
+
+/**
+ * Format command arguments for display
+ * @param {Object|Array|string|null} params - Arguments by name (older entries store raw values)
+ * @returns {string} Formatted arguments, or empty if there are none
+ */
+const formatParams = (params) => {
+  if (!params) return '';
+  const values = typeof params !== 'object' || Array.isArray(params)
+    ? [].concat(params)
+    : Object.entries(params).map(([name, value]) => `${name}=${value}`);
+  return values.length ? ` [${values.join(', ')}]` : '';
+};
+
+const AuditLogScreen = ({ onClose }) => {
+  const [entries, setEntries] = useState(auditService.getEntries());
+  const [verification, setVerification] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+
+  // Re-check the chain whenever entries change
+  const runVerification = useCallback(async () => {
+    setVerification(await auditService.verify());
+  }, []);
+
+  // Subscribe to new entries
+  useEffect(() => {
+    const handleEntriesUpdate = (updatedEntries) => {
+      setEntries(updatedEntries);
+      runVerification();
+    };
+
+    auditService.subscribe(handleEntriesUpdate);
+    runVerification();
+
+    return () => auditService.unsubscribe(handleEntriesUpdate);
+  }, [runVerification]);
+
+  // Export the log as JSON and open the share sheet
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const path = await auditService.exportAsJson();
+      await shareFile(path, 'application/json');
+      logger.success('Audit log exported');
+    } catch (error) {
+      logger.error(`Audit log export failed: ${error.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const renderEntry = ({ item }) => {
+    if (!item) {
+      return <Text style={styles.corruptEntry}>Unreadable entry</Text>;
+    }
+
+    const sender = item.sender
+      ? item.sender.username ? `@${item.sender.username}` : `${item.sender.name || ''} (${item.sender.id})`
+      : `chat ${item.chatId}`;
+
+    return (
+      <View style={styles.entry}>
+        <View style={styles.entryHeader}>
+          <Text style={styles.entrySeq}>#{item.seq}</Text>
+          <Text style={styles.entryTime}>{new Date(item.timestamp).toLocaleString()}</Text>
+          <Text style={[styles.entryOutcome, { color: OUTCOME_COLORS[item.outcome] || '#fff' }]}>
+            {item.outcome}
+          </Text>
+        </View>
+
+        {item.event === AUDIT_EVENTS.FILE_SENT ? (
+          <Text style={styles.entryText}>
+            📤 {item.fileName} ({formatBytes(item.bytes)}){item.command ? ` via /${item.command}` : ''}
+          </Text>
+        ) : (
+          <Text style={styles.entryText}>
+            /{item.command} from {sender}
+            {formatParams(item.params)}
+          </Text>
+        )}
+
+        {item.error && <Text style={styles.entryError}>{item.error}</Text>}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Audit Log</Text>
+        <View style={styles.headerButtons}>
+          <TouchableOpacity style={styles.headerButton} onPress={handleExport} disabled={isExporting}>
+            {isExporting ? (
+              <ActivityIndicator color="#fff" size="small" />
+            ) : (
+              <Ionicons name="share-outline" size={18} color="#fff" />
+            )}
+            <Text style={styles.headerButtonText}>Export JSON</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.headerButton} onPress={onClose}>
+            <Ionicons name="close" size={18} color="#fff" />
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {verification && (
+        <View style={[styles.banner, verification.valid ? styles.validBanner : styles.invalidBanner]}>
+          <Ionicons
+            name={verification.valid ? 'shield-checkmark' : 'warning'}
+            size={16}
+            color="#fff"
+          />
+          <Text style={styles.bannerText}>
+            {verification.valid
+              ? `Chain intact (${entries.length} entries)${verification.headUnavailable
+                ? '. Secure storage is unavailable, so removed recent entries cannot be detected'
+                : ''}`
+              : `Tampering detected${verification.brokenAt ? ` at entry #${verification.brokenAt}` : ''}: ${verification.reason}`}
+          </Text>
+        </View>
+      )}
+
+      <FlatList
+        data={[...entries].reverse()}
+        keyExtractor={(item, index) => (item ? `entry-${item.seq}` : `corrupt-${index}`)}
+        renderItem={renderEntry}
+        ListEmptyComponent={<Text style={styles.emptyText}>No remote activity recorded</Text>}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#111',
+    borderWidth: 1,
+    borderColor: '#444',
+    borderRadius: 4,
+    marginVertical: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 8,
+    backgroundColor: '#222',
+    borderBottomWidth: 1,
+    borderBottomColor: '#333',
+  },
+  title: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  headerButtons: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  headerButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 4,
+    marginLeft: 12,
+  },
+  headerButtonText: {
+    color: '#fff',
+    marginLeft: 4,
+    fontSize: 12,
+  },
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 8,
+  },
+  validBanner: {
+    backgroundColor: '#063',
+  },
+  invalidBanner: {
+    backgroundColor: '#a00',
+  },
+  bannerText: {
+    color: '#fff',
+    fontSize: 12,
+    marginLeft: 6,
+    flex: 1,
+  },
+  entry: {
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#222',
+  },
+  entryHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  entrySeq: {
+    color: '#888',
+    fontSize: 11,
+    marginRight: 6,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+  entryTime: {
+    color: '#aaa',
+    fontSize: 11,
+    flex: 1,
+  },
+  entryOutcome: {
+    fontSize: 11,
+    fontWeight: 'bold',
+  },
+  entryText: {
+    color: '#ddd',
+    fontSize: 12,
+    marginTop: 2,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+  entryError: {
+    color: '#f66',
+    fontSize: 11,
+    marginTop: 2,
+  },
+  corruptEntry: {
+    color: '#f00',
+    padding: 8,
+  },
+  emptyText: {
+    color: '#666',
+    fontStyle: 'italic',
+    textAlign: 'center',
+    paddingVertical: 20,
+  },
+});
+
+export default AuditLogScreen;
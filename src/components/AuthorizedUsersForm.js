@@ -0,0 +1,233 @@
+/**
+ * Authorized users form component
+ * Lets the device owner manage which Telegram users may send commands
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import authService, { ROLES, ROLE_DESCRIPTIONS } from '../services/authService';
+import logger from '../utils/logger';
+
+const AuthorizedUsersForm = () => {
+  const [users, setUsers] = useState(authService.getUsers());
+  const [userId, setUserId] = useState('');
+  const [name, setName] = useState('');
+  const [role, setRole] = useState(ROLES.VIEWER);
+
+  // Subscribe to allowlist changes
+  useEffect(() => {
+    const handleUsersUpdate = (updatedUsers) => {
+      setUsers(updatedUsers);
+    };
+
+    authService.subscribe(handleUsersUpdate);
+    authService.ensureLoaded();
+
+    return () => authService.unsubscribe(handleUsersUpdate);
+  }, []);
+
+  // Add the user from the input fields
+  const handleAdd = async () => {
+    try {
+      await authService.addUser({ userId, role, name });
+      setUserId('');
+      setName('');
+    } catch (error) {
+      logger.error(`Failed to add user: ${error.message}`);
+      Alert.alert('Invalid User', error.message);
+    }
+  };
+
+  // Confirm before removing a user
+  const handleRemove = (user) => {
+    Alert.alert(
+      'Remove User',
+      `Remove ${user.name || user.userId} from authorized users?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Remove', style: 'destructive', onPress: () => authService.removeUser(user.userId) }
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>Authorized Users</Text>
+
+      {users.length === 0 && (
+        <Text style={styles.emptyText}>
+          No users added. Only the owner of the paired private chat has access.
+        </Text>
+      )}
+
+      {users.map(user => (
+        <View key={user.userId} style={styles.userRow}>
+          <View style={styles.userInfo}>
+            <Text style={styles.userName}>{user.name || 'Unnamed'}</Text>
+            <Text style={styles.userId}>{user.userId}</Text>
+          </View>
+          <Text style={[styles.roleBadge, user.role === ROLES.ADMIN && styles.adminBadge]}>
+            {user.role}
+          </Text>
+          <TouchableOpacity style={styles.removeButton} onPress={() => handleRemove(user)}>
+            <Ionicons name="trash-outline" size={18} color="#f55" />
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      {/* New user inputs */}
+      <View style={styles.inputRow}>
+        <TextInput
+          style={[styles.input, styles.idInput]}
+          value={userId}
+          onChangeText={setUserId}
+          placeholder="User ID"
+          placeholderTextColor="#666"
+          keyboardType="numeric"
+        />
+        <TextInput
+          style={styles.input}
+          value={name}
+          onChangeText={setName}
+          placeholder="Name (optional)"
+          placeholderTextColor="#666"
+        />
+      </View>
+
+      <View style={styles.inputRow}>
+        {Object.values(ROLES).map(option => (
+          <TouchableOpacity
+            key={option}
+            style={[styles.roleOption, role === option && styles.roleOptionSelected]}
+            onPress={() => setRole(option)}
+          >
+            <Text style={styles.roleOptionText}>{option}</Text>
+            <Text style={styles.roleOptionHint}>{ROLE_DESCRIPTIONS[option]}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <TouchableOpacity
+        style={styles.addButton}
+        onPress={handleAdd}
+        disabled={!userId}
+      >
+        <Ionicons name="person-add" size={16} color="#fff" />
+        <Text style={styles.addButtonText}>Add User</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 8,
+    marginBottom: 12,
+  },
+  label: {
+    color: '#aaa',
+    fontSize: 14,
+    marginBottom: 4,
+  },
+  emptyText: {
+    color: '#888',
+    fontSize: 12,
+    fontStyle: 'italic',
+    marginBottom: 8,
+  },
+  userRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#333',
+    borderRadius: 5,
+    padding: 8,
+    marginBottom: 6,
+  },
+  userInfo: {
+    flex: 1,
+  },
+  userName: {
+    color: '#fff',
+    fontSize: 14,
+  },
+  userId: {
+    color: '#888',
+    fontSize: 12,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+  roleBadge: {
+    color: '#fff',
+    backgroundColor: '#555',
+    borderRadius: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    fontSize: 12,
+    overflow: 'hidden',
+  },
+  adminBadge: {
+    backgroundColor: '#a60',
+  },
+  removeButton: {
+    padding: 4,
+    marginLeft: 8,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    marginTop: 6,
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#333',
+    color: '#fff',
+    borderRadius: 5,
+    padding: 10,
+    fontSize: 14,
+  },
+  idInput: {
+    marginRight: 6,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+  roleOption: {
+    flex: 1,
+    backgroundColor: '#333',
+    borderRadius: 5,
+    padding: 8,
+    marginRight: 6,
+  },
+  roleOptionSelected: {
+    backgroundColor: '#007bff',
+  },
+  roleOptionText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  roleOptionHint: {
+    color: '#ddd',
+    fontSize: 11,
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    backgroundColor: '#555',
+    borderRadius: 5,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginTop: 8,
+  },
+  addButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+    marginLeft: 6,
+  },
+});
+
+export default AuthorizedUsersForm;
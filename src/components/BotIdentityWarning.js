@@ -0,0 +1,150 @@
+/**
+ * Bot identity warning component
+ * Shown while the saved token belongs to a different bot than the one set up;
+ * stays until the owner trusts the new bot or disconnects
+ */
+import React, { useState, useEffect } from 'react';
+import { View, Text, Modal, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import telegramAPI, { TELEGRAM_EVENTS } from '../api/telegramAPI';
+import logger from '../utils/logger';
+
+/**
+ * Describe a bot identity
+ * @param {Object} bot - { id, username }
+ * @returns {string} e.g. "@my_bot (123456)"
+ */
+const describeBot = (bot) => `${bot.username ? `@${bot.username}` : 'unnamed bot'} (${bot.id})`;
+
+const BotIdentityWarning = ({ onDisconnect }) => {
+  const [mismatch, setMismatch] = useState(telegramAPI.identityMismatch);
+
+  // Follow the identity check run on every connect
+  useEffect(() => telegramAPI.on(TELEGRAM_EVENTS.IDENTITY, setMismatch), []);
+
+  if (!mismatch) return null;
+
+  // Trusting another bot hands it the device; ask twice
+  const handleTrust = () => {
+    Alert.alert(
+      'Trust New Bot',
+      `Commands sent to ${describeBot(mismatch.actual)} will control this device. Only continue if you changed the token yourself.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Trust',
+          style: 'destructive',
+          onPress: () => telegramAPI.confirmBotIdentity()
+            .catch(error => logger.error(`Failed to confirm the bot: ${error.message}`))
+        }
+      ]
+    );
+  };
+
+  return (
+    <Modal transparent animationType="fade" visible onRequestClose={() => {}}>
+      <View style={styles.overlay}>
+        <View style={styles.dialog}>
+          <View style={styles.titleRow}>
+            <Ionicons name="warning" size={22} color="#f33" />
+            <Text style={styles.title}>Bot has changed</Text>
+          </View>
+
+          <Text style={styles.message}>
+            The saved token now belongs to a different bot. Someone may have replaced it
+            to take control of this device. Commands are not being received.
+          </Text>
+
+          <Text style={styles.label}>Set up with</Text>
+          <Text style={styles.value}>{describeBot(mismatch.expected)}</Text>
+
+          <Text style={styles.label}>Token now belongs to</Text>
+          <Text style={[styles.value, styles.unexpected]}>{describeBot(mismatch.actual)}</Text>
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={[styles.button, styles.trustButton]} onPress={handleTrust}>
+              <Ionicons name="checkmark-circle" size={18} color="#fff" />
+              <Text style={styles.buttonText}>Trust New Bot</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity style={[styles.button, styles.disconnectButton]} onPress={onDisconnect}>
+              <Ionicons name="close-circle" size={18} color="#fff" />
+              <Text style={styles.buttonText}>Disconnect</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.85)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  dialog: {
+    backgroundColor: '#222',
+    borderRadius: 10,
+    borderWidth: 2,
+    borderColor: '#f33',
+    padding: 16,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  message: {
+    color: '#ddd',
+    fontSize: 14,
+  },
+  label: {
+    color: '#aaa',
+    fontSize: 12,
+    marginTop: 12,
+  },
+  value: {
+    color: '#fff',
+    fontSize: 15,
+    marginTop: 2,
+  },
+  unexpected: {
+    color: '#f66',
+    fontWeight: 'bold',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 5,
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    marginLeft: 10,
+  },
+  trustButton: {
+    backgroundColor: '#555',
+  },
+  disconnectButton: {
+    backgroundColor: '#dc3545',
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+    marginLeft: 6,
+  },
+});
+
+export default BotIdentityWarning;
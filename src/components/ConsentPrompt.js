@@ -0,0 +1,195 @@
+/**
+ * Consent prompt component
+ * Asks the device owner to approve or deny a remote data request
+ */
+import React, { useState, useEffect } from 'react';
+import { View, Text, Modal, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import consentService, { REMEMBER_OPTIONS } from '../services/consentService';
+
+const ConsentPrompt = () => {
+  const [request, setRequest] = useState(consentService.getCurrentRequest());
+  const [rememberFor, setRememberFor] = useState(0);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  // Subscribe to pending requests
+  useEffect(() => {
+    const handleRequest = (current) => {
+      setRequest(current);
+      setRememberFor(0);
+    };
+
+    consentService.subscribe(handleRequest);
+
+    return () => consentService.unsubscribe(handleRequest);
+  }, []);
+
+  // Count down until the request times out
+  useEffect(() => {
+    if (!request) return undefined;
+
+    const tick = () => {
+      setSecondsLeft(Math.max(0, Math.ceil((request.expiresAt - Date.now()) / 1000)));
+    };
+
+    tick();
+    const timer = setInterval(tick, 1000);
+
+    return () => clearInterval(timer);
+  }, [request]);
+
+  if (!request) return null;
+
+  const handleAnswer = (approved) => {
+    consentService.respond(request.id, approved, approved ? rememberFor : 0);
+  };
+
+  return (
+    <Modal transparent animationType="fade" visible onRequestClose={() => handleAnswer(false)}>
+      <View style={styles.overlay}>
+        <View style={styles.dialog}>
+          <View style={styles.titleRow}>
+            <Ionicons name="shield-checkmark-outline" size={22} color="#ff0" />
+            <Text style={styles.title}>Remote data request</Text>
+          </View>
+
+          <Text style={styles.label}>Command</Text>
+          <Text style={styles.value}>/{request.command}</Text>
+
+          <Text style={styles.label}>Data category</Text>
+          <Text style={styles.value}>{request.categoryLabel}</Text>
+
+          <Text style={styles.label}>Requested by</Text>
+          <Text style={styles.value}>{request.chatLabel}</Text>
+
+          <Text style={styles.label}>Remember approval for this chat</Text>
+          <View style={styles.optionRow}>
+            {REMEMBER_OPTIONS.map(option => (
+              <TouchableOpacity
+                key={option.duration}
+                style={[
+                  styles.option,
+                  rememberFor === option.duration && styles.optionSelected
+                ]}
+                onPress={() => setRememberFor(option.duration)}
+              >
+                <Text style={styles.optionText}>{option.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.timeoutText}>
+            Denied automatically in {secondsLeft}s
+          </Text>
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity
+              style={[styles.button, styles.denyButton]}
+              onPress={() => handleAnswer(false)}
+            >
+              <Ionicons name="close-circle" size={18} color="#fff" />
+              <Text style={styles.buttonText}>Deny</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.button, styles.approveButton]}
+              onPress={() => handleAnswer(true)}
+            >
+              <Ionicons name="checkmark-circle" size={18} color="#fff" />
+              <Text style={styles.buttonText}>Approve</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  dialog: {
+    backgroundColor: '#222',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#ff0',
+    padding: 16,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  label: {
+    color: '#aaa',
+    fontSize: 12,
+    marginTop: 8,
+  },
+  value: {
+    color: '#fff',
+    fontSize: 15,
+    marginTop: 2,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 4,
+  },
+  option: {
+    backgroundColor: '#333',
+    borderRadius: 5,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    marginRight: 8,
+    marginTop: 4,
+  },
+  optionSelected: {
+    backgroundColor: '#007bff',
+  },
+  optionText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  timeoutText: {
+    color: '#888',
+    fontSize: 12,
+    fontStyle: 'italic',
+    marginTop: 12,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 5,
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    marginLeft: 10,
+  },
+  denyButton: {
+    backgroundColor: '#dc3545',
+  },
+  approveButton: {
+    backgroundColor: '#28a745',
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+    marginLeft: 6,
+  },
+});
+
+export default ConsentPrompt;
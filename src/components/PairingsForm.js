@@ -0,0 +1,290 @@
+/**
+ * Pairings form component
+ * Shows a one-time code to pair a Telegram chat with /pair, and lists the
+ * paired users with the date they paired
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import telegramAPI, { TELEGRAM_EVENTS } from '../api/telegramAPI';
+import pairingService from '../services/pairingService';
+import { ROLES, ROLE_DESCRIPTIONS } from '../services/authService';
+import logger from '../utils/logger';
+
+/**
+ * Format the time left on a code
+ * @param {number} ms - Milliseconds left
+ * @returns {string} e.g. "9:05"
+ */
+const formatRemaining = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const PairingsForm = ({ botUsername = null, isConnected = false }) => {
+  const [pairings, setPairings] = useState(pairingService.getPairings());
+  const [pendingCode, setPendingCode] = useState(pairingService.getPendingCode());
+  const [role, setRole] = useState(pairingService.getPairings().length === 0 ? ROLES.ADMIN : ROLES.VIEWER);
+  const [now, setNow] = useState(Date.now());
+
+  // Subscribe to pairing changes; a redeemed code disappears with them
+  useEffect(() => {
+    const handlePairingsUpdate = (updatedPairings) => {
+      setPairings(updatedPairings);
+      setPendingCode(pairingService.getPendingCode());
+    };
+
+    pairingService.subscribe(handlePairingsUpdate);
+    pairingService.ensureLoaded();
+
+    return () => pairingService.unsubscribe(handlePairingsUpdate);
+  }, []);
+
+  // A chat the bot cannot post to is not paired; say why
+  useEffect(() => telegramAPI.on(TELEGRAM_EVENTS.PAIRING_FAILED, (error) => {
+    Alert.alert('Pairing Failed', error.message);
+  }), []);
+
+  // Count down while a code is shown
+  useEffect(() => {
+    if (!pendingCode) return undefined;
+
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (!pairingService.getPendingCode()) {
+        setPendingCode(null);
+      }
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [pendingCode]);
+
+  const handleCreateCode = () => {
+    try {
+      setPendingCode(pairingService.createCode(role));
+      setNow(Date.now());
+    } catch (error) {
+      logger.error(`Failed to create a pairing code: ${error.message}`);
+      Alert.alert('Pairing Failed', error.message);
+    }
+  };
+
+  const handleCancelCode = () => {
+    pairingService.cancelCode();
+    setPendingCode(null);
+  };
+
+  // Confirm before unpairing
+  const handleUnpair = (pairing) => {
+    Alert.alert(
+      'Unpair',
+      `Remove ${pairing.name}'s access from ${pairing.chatTitle}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Unpair',
+          style: 'destructive',
+          onPress: () => telegramAPI.removePairing(pairing.userId)
+            .catch(error => logger.error(`Failed to unpair: ${error.message}`))
+        }
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>Paired Chats</Text>
+
+      {pairings.length === 0 && (
+        <Text style={styles.emptyText}>
+          Nothing paired yet. Create a code and send it to the bot from the chat to use.
+        </Text>
+      )}
+
+      {pairings.map(pairing => (
+        <View key={pairing.userId} style={styles.pairingRow}>
+          <View style={styles.pairingInfo}>
+            <Text style={styles.pairingName}>{pairing.name}</Text>
+            <Text style={styles.pairingDetails}>
+              {pairing.chatTitle} · paired {new Date(pairing.pairedAt).toLocaleDateString()}
+            </Text>
+          </View>
+          <Text style={[styles.roleBadge, pairing.role === ROLES.ADMIN && styles.adminBadge]}>
+            {pairing.role}
+          </Text>
+          <TouchableOpacity style={styles.removeButton} onPress={() => handleUnpair(pairing)}>
+            <Ionicons name="unlink-outline" size={18} color="#f55" />
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      {pendingCode ? (
+        <View style={styles.codeBox}>
+          <Text style={styles.code}>{pendingCode.code}</Text>
+          <Text style={styles.codeHelp}>
+            Send /pair {pendingCode.code} to {botUsername ? `@${botUsername}` : 'the bot'} within {formatRemaining(pendingCode.expiresAt - now)}.
+            The sender is added as {pendingCode.role}.
+          </Text>
+          <TouchableOpacity style={styles.cancelButton} onPress={handleCancelCode}>
+            <Text style={styles.buttonText}>Cancel Code</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <>
+          <View style={styles.inputRow}>
+            {Object.values(ROLES).map(option => (
+              <TouchableOpacity
+                key={option}
+                style={[styles.roleOption, role === option && styles.roleOptionSelected]}
+                onPress={() => setRole(option)}
+              >
+                <Text style={styles.roleOptionText}>{option}</Text>
+                <Text style={styles.roleOptionHint}>{ROLE_DESCRIPTIONS[option]}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <TouchableOpacity
+            style={styles.addButton}
+            onPress={handleCreateCode}
+            disabled={!isConnected}
+          >
+            <Ionicons name="key-outline" size={16} color="#fff" />
+            <Text style={[styles.buttonText, styles.addButtonText]}>Create Pairing Code</Text>
+          </TouchableOpacity>
+          {!isConnected && (
+            <Text style={styles.emptyText}>Connect the bot first so it can receive /pair.</Text>
+          )}
+        </>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 8,
+    marginBottom: 12,
+  },
+  label: {
+    color: '#aaa',
+    fontSize: 14,
+    marginBottom: 4,
+  },
+  emptyText: {
+    color: '#888',
+    fontSize: 12,
+    fontStyle: 'italic',
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  pairingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#333',
+    borderRadius: 5,
+    padding: 8,
+    marginBottom: 6,
+  },
+  pairingInfo: {
+    flex: 1,
+  },
+  pairingName: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  pairingDetails: {
+    color: '#aaa',
+    fontSize: 11,
+  },
+  roleBadge: {
+    color: '#fff',
+    backgroundColor: '#555',
+    borderRadius: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    fontSize: 12,
+    overflow: 'hidden',
+  },
+  adminBadge: {
+    backgroundColor: '#a60',
+  },
+  removeButton: {
+    padding: 4,
+    marginLeft: 8,
+  },
+  codeBox: {
+    backgroundColor: '#2a2a2a',
+    borderRadius: 5,
+    padding: 12,
+    alignItems: 'center',
+  },
+  code: {
+    color: '#0f0',
+    fontSize: 28,
+    fontWeight: 'bold',
+    letterSpacing: 6,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+  codeHelp: {
+    color: '#aaa',
+    fontSize: 12,
+    textAlign: 'center',
+    marginTop: 6,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    marginBottom: 6,
+  },
+  roleOption: {
+    flex: 1,
+    backgroundColor: '#333',
+    borderRadius: 5,
+    padding: 8,
+    marginRight: 6,
+  },
+  roleOptionSelected: {
+    backgroundColor: '#007bff',
+  },
+  roleOptionText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  roleOptionHint: {
+    color: '#ddd',
+    fontSize: 11,
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    backgroundColor: '#007bff',
+    borderRadius: 5,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+  },
+  cancelButton: {
+    backgroundColor: '#555',
+    borderRadius: 5,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginTop: 8,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  addButtonText: {
+    marginLeft: 6,
+  },
+});
+
+export default PairingsForm;
@@ -0,0 +1,119 @@
+/**
+ * Remote session form component
+ * Lets the device owner choose how long remote access lasts once allowed,
+ * and how long it may go without commands
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Alert
+} from 'react-native';
+import sessionService, {
+  SESSION_HOUR_OPTIONS,
+  SESSION_IDLE_OPTIONS
+} from '../services/sessionService';
+import logger from '../utils/logger';
+
+const RemoteSessionForm = () => {
+  const [limits, setLimits] = useState(sessionService.getLimits());
+
+  // Follow the limits loaded at startup
+  useEffect(() => {
+    const handleSessionUpdate = () => {
+      setLimits(sessionService.getLimits());
+    };
+
+    sessionService.subscribe(handleSessionUpdate);
+    sessionService.ensureLoaded();
+
+    return () => sessionService.unsubscribe(handleSessionUpdate);
+  }, []);
+
+  // New limits start a new session
+  const handleChange = async (changes) => {
+    try {
+      setLimits(await sessionService.setLimits({ ...limits, ...changes }));
+    } catch (error) {
+      logger.error(`Failed to change the session limits: ${error.message}`);
+      Alert.alert('Invalid Session Limit', error.message);
+    }
+  };
+
+  const renderOptions = (options, field, unit) => (
+    <View style={styles.chipRow}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option}
+          style={[styles.chip, limits[field] === option && styles.chipSelected]}
+          onPress={() => handleChange({ [field]: option })}
+        >
+          <Text style={styles.chipText}>{option === 0 ? 'No limit' : `${option} ${unit}`}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>Remote Access Session</Text>
+      <Text style={styles.helpText}>
+        Once a session ends, commands are refused until you tap Allow Remote Access.
+      </Text>
+
+      <Text style={styles.optionLabel}>End after</Text>
+      {renderOptions(SESSION_HOUR_OPTIONS, 'maxHours', 'h')}
+
+      <Text style={styles.optionLabel}>End when idle for</Text>
+      {renderOptions(SESSION_IDLE_OPTIONS, 'idleMinutes', 'min')}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 8,
+    marginBottom: 12,
+  },
+  label: {
+    color: '#aaa',
+    fontSize: 14,
+    marginBottom: 4,
+  },
+  helpText: {
+    color: '#888',
+    fontSize: 12,
+    fontStyle: 'italic',
+    marginBottom: 8,
+  },
+  optionLabel: {
+    color: '#aaa',
+    fontSize: 12,
+    marginBottom: 4,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  chip: {
+    backgroundColor: '#444',
+    borderRadius: 12,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  chipSelected: {
+    backgroundColor: '#007bff',
+  },
+  chipText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+});
+
+export default RemoteSessionForm;
@@ -0,0 +1,331 @@
+/**
+ * Scheduled reports form component
+ * Lets the device owner choose which device status reports are sent, when,
+ * and which fields each one shows
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  Switch,
+  Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import reportService, {
+  REPORT_FIELDS,
+  REPORT_FREQUENCIES,
+  REPORT_PRESETS,
+  WEEKDAYS,
+  describeSchedule
+} from '../services/reportService';
+import logger from '../utils/logger';
+
+const EMPTY_DRAFT = {
+  name: '',
+  fields: [],
+  frequency: REPORT_FREQUENCIES.DAILY,
+  weekday: 1,
+  time: '08:00'
+};
+
+const ReportsForm = () => {
+  const [reports, setReports] = useState(reportService.getReports());
+  const [draft, setDraft] = useState(null);
+
+  // Subscribe to report changes
+  useEffect(() => {
+    const handleReportsUpdate = (updatedReports) => {
+      setReports(updatedReports);
+    };
+
+    reportService.subscribe(handleReportsUpdate);
+    reportService.ensureLoaded();
+
+    return () => reportService.unsubscribe(handleReportsUpdate);
+  }, []);
+
+  // Schedule a new report
+  const handleAdd = async (report) => {
+    try {
+      await reportService.addReport(report);
+      setDraft(null);
+    } catch (error) {
+      logger.error(`Failed to schedule report: ${error.message}`);
+      Alert.alert('Invalid Report', error.message);
+    }
+  };
+
+  const handleToggle = (report, enabled) => {
+    reportService.updateReport(report.id, { enabled })
+      .catch(error => logger.error(`Failed to update report: ${error.message}`));
+  };
+
+  // Confirm before deleting a report
+  const handleRemove = (report) => {
+    Alert.alert(
+      'Delete Report',
+      `Stop sending "${report.name}"?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => reportService.removeReport(report.id) }
+      ]
+    );
+  };
+
+  const toggleDraftField = (field) => {
+    setDraft(current => ({
+      ...current,
+      fields: current.fields.includes(field)
+        ? current.fields.filter(f => f !== field)
+        : [...current.fields, field]
+    }));
+  };
+
+  const unusedPresets = REPORT_PRESETS.filter(preset => !reports.some(report => report.name === preset.name));
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>Scheduled Reports</Text>
+
+      {reports.length === 0 && (
+        <Text style={styles.emptyText}>
+          No reports scheduled. Device status is only sent on request.
+        </Text>
+      )}
+
+      {reports.map(report => (
+        <View key={report.id} style={styles.reportRow}>
+          <Ionicons name="document-text-outline" size={16} color="#0af" />
+          <View style={styles.reportDetails}>
+            <Text style={styles.reportName} numberOfLines={1}>{report.name}</Text>
+            <Text style={styles.reportSchedule} numberOfLines={1}>
+              {describeSchedule(report)} · {report.fields.map(field => REPORT_FIELDS[field]).join(', ')}
+            </Text>
+          </View>
+          <Switch
+            value={report.enabled}
+            onValueChange={(enabled) => handleToggle(report, enabled)}
+            trackColor={{ false: '#555', true: '#007bff' }}
+            thumbColor="#fff"
+          />
+          <TouchableOpacity style={styles.removeButton} onPress={() => handleRemove(report)}>
+            <Ionicons name="trash-outline" size={18} color="#f55" />
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      {!draft && (
+        <View style={styles.chipRow}>
+          {unusedPresets.map(preset => (
+            <TouchableOpacity key={preset.name} style={styles.chip} onPress={() => handleAdd(preset)}>
+              <Ionicons name="add" size={14} color="#fff" />
+              <Text style={styles.chipText}>{preset.name}</Text>
+            </TouchableOpacity>
+          ))}
+          <TouchableOpacity style={styles.chip} onPress={() => setDraft(EMPTY_DRAFT)}>
+            <Ionicons name="create-outline" size={14} color="#fff" />
+            <Text style={styles.chipText}>Custom</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* New report */}
+      {draft && (
+        <View style={styles.editor}>
+          <TextInput
+            style={styles.input}
+            value={draft.name}
+            onChangeText={name => setDraft({ ...draft, name })}
+            placeholder="Report name"
+            placeholderTextColor="#666"
+          />
+
+          <Text style={styles.editorLabel}>Fields</Text>
+          <View style={styles.chipRow}>
+            {Object.entries(REPORT_FIELDS).map(([field, label]) => (
+              <TouchableOpacity
+                key={field}
+                style={[styles.chip, draft.fields.includes(field) && styles.chipSelected]}
+                onPress={() => toggleDraftField(field)}
+              >
+                <Text style={styles.chipText}>{label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.editorLabel}>When</Text>
+          <View style={styles.chipRow}>
+            {Object.values(REPORT_FREQUENCIES).map(frequency => (
+              <TouchableOpacity
+                key={frequency}
+                style={[styles.chip, draft.frequency === frequency && styles.chipSelected]}
+                onPress={() => setDraft({ ...draft, frequency })}
+              >
+                <Text style={styles.chipText}>{frequency === REPORT_FREQUENCIES.DAILY ? 'Daily' : 'Weekly'}</Text>
+              </TouchableOpacity>
+            ))}
+            <TextInput
+              style={styles.timeInput}
+              value={draft.time}
+              onChangeText={time => setDraft({ ...draft, time })}
+              placeholder="HH:MM"
+              placeholderTextColor="#666"
+              keyboardType="numbers-and-punctuation"
+            />
+          </View>
+          {draft.frequency === REPORT_FREQUENCIES.WEEKLY && (
+            <View style={styles.chipRow}>
+              {WEEKDAYS.map((day, weekday) => (
+                <TouchableOpacity
+                  key={day}
+                  style={[styles.chip, draft.weekday === weekday && styles.chipSelected]}
+                  onPress={() => setDraft({ ...draft, weekday })}
+                >
+                  <Text style={styles.chipText}>{day.substring(0, 3)}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+
+          <View style={styles.editorButtons}>
+            <TouchableOpacity style={styles.cancelButton} onPress={() => setDraft(null)}>
+              <Text style={styles.buttonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.addButton} onPress={() => handleAdd(draft)}>
+              <Ionicons name="add-circle" size={16} color="#fff" />
+              <Text style={[styles.buttonText, styles.addButtonText]}>Schedule</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 8,
+    marginBottom: 12,
+  },
+  label: {
+    color: '#aaa',
+    fontSize: 14,
+    marginBottom: 4,
+  },
+  emptyText: {
+    color: '#888',
+    fontSize: 12,
+    fontStyle: 'italic',
+    marginBottom: 8,
+  },
+  reportRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#333',
+    borderRadius: 5,
+    padding: 8,
+    marginBottom: 6,
+  },
+  reportDetails: {
+    flex: 1,
+    marginLeft: 6,
+  },
+  reportName: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  reportSchedule: {
+    color: '#aaa',
+    fontSize: 11,
+  },
+  removeButton: {
+    padding: 4,
+    marginLeft: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    marginBottom: 2,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#444',
+    borderRadius: 12,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  chipSelected: {
+    backgroundColor: '#007bff',
+  },
+  chipText: {
+    color: '#fff',
+    fontSize: 12,
+    marginLeft: 2,
+  },
+  editor: {
+    backgroundColor: '#2a2a2a',
+    borderRadius: 5,
+    padding: 8,
+    marginTop: 4,
+  },
+  editorLabel: {
+    color: '#aaa',
+    fontSize: 12,
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  input: {
+    backgroundColor: '#333',
+    color: '#fff',
+    borderRadius: 5,
+    padding: 10,
+    fontSize: 14,
+  },
+  timeInput: {
+    backgroundColor: '#333',
+    color: '#fff',
+    borderRadius: 5,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    fontSize: 12,
+    width: 64,
+    marginBottom: 4,
+  },
+  editorButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
+  cancelButton: {
+    backgroundColor: '#555',
+    borderRadius: 5,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginRight: 6,
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#007bff',
+    borderRadius: 5,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  addButtonText: {
+    marginLeft: 6,
+  },
+});
+
+export default ReportsForm;
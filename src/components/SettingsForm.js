@@ -1,6 +1,7 @@
 /**
  * Settings form component
- * Allows user to configure Telegram Bot token and chat ID
+ * Guides the user through configuring the Telegram Bot: the token is checked
+ * with getMe before it is saved, then a chat is paired with a one-time code
  */
 import React, { useState, useEffect } from 'react';
 import { 
@@ -12,40 +13,68 @@ import {
   ActivityIndicator,
   Keyboard,
   Alert,
-  Platform
+  Platform,
+  Switch
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import telegramAPI from '../api/telegramAPI';
+import telegramAPI, { DEFAULT_API_BASE_URL, DEFAULT_WEBHOOK_PORT, UPDATE_MODES } from '../api/telegramAPI';
+import { isHttpServerAvailable } from '../native-modules/NativeHttpServer';
+import { isValidTokenFormat, verifyToken, SetupError, SETUP_ERRORS } from '../api/setupWizard';
 import * as storage from '../utils/storage';
+import { SECURE_STORAGE_POLICIES } from '../utils/storage';
 import logger from '../utils/logger';
+import pairingService from '../services/pairingService';
 import { maskSensitive } from '../utils/encryption';
+import PairingsForm from './PairingsForm';
+import AuthorizedUsersForm from './AuthorizedUsersForm';
+import SharedFoldersForm from './SharedFoldersForm';
+import ReportsForm from './ReportsForm';
+import AlertsForm from './AlertsForm';
+import RemoteSessionForm from './RemoteSessionForm';
 
 const SettingsForm = ({ 
   onConnect, 
-  initialToken = '',
-  initialChatId = ''
+  initialToken = ''
 }) => {
   const [botToken, setBotToken] = useState(initialToken);
-  const [chatId, setChatId] = useState(initialChatId);
   const [isLoading, setIsLoading] = useState(false);
   const [isTokenVisible, setIsTokenVisible] = useState(false);
-  const [isChatIdVisible, setIsChatIdVisible] = useState(false);
   const [savedToken, setSavedToken] = useState('');
-  const [savedChatId, setSavedChatId] = useState('');
+  const [apiBaseUrl, setApiBaseUrl] = useState('');
+  const [savedApiBaseUrl, setSavedApiBaseUrl] = useState('');
+  const [useWebhook, setUseWebhook] = useState(false);
+  const [savedUseWebhook, setSavedUseWebhook] = useState(false);
+  const [webhookUrl, setWebhookUrl] = useState('');
+  const [savedWebhookUrl, setSavedWebhookUrl] = useState('');
+  const [webhookPort, setWebhookPort] = useState('');
+  const [savedWebhookPort, setSavedWebhookPort] = useState('');
+  const [bot, setBot] = useState(null);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [setupError, setSetupError] = useState(null);
+  const [isConnected, setIsConnected] = useState(telegramAPI.connected);
+  const [isPaired, setIsPaired] = useState(Boolean(telegramAPI.chatId));
+  const [secureStorage, setSecureStorage] = useState(storage.getSecureStorageStatus());
+  const [unprotectedSecrets, setUnprotectedSecrets] = useState(0);
   
   // Load saved credentials on mount
   useEffect(() => {
     const loadSavedCredentials = async () => {
       try {
         const token = await storage.getBotToken() || '';
-        const chat = await storage.getChatId() || '';
+        const settings = await storage.getAppSettings() || {};
         
         setSavedToken(token);
-        setSavedChatId(chat);
+        setSavedApiBaseUrl(settings.apiBaseUrl || '');
+        setApiBaseUrl(settings.apiBaseUrl || '');
+        setSavedUseWebhook(settings.updateMode === UPDATE_MODES.WEBHOOK);
+        setUseWebhook(settings.updateMode === UPDATE_MODES.WEBHOOK);
+        setSavedWebhookUrl(settings.webhookUrl || '');
+        setWebhookUrl(settings.webhookUrl || '');
+        setSavedWebhookPort(settings.webhookPort ? String(settings.webhookPort) : '');
+        setWebhookPort(settings.webhookPort ? String(settings.webhookPort) : '');
         
         // Populate fields if not already set
         if (!botToken && token) setBotToken(token);
-        if (!chatId && chat) setChatId(chat);
         
         logger.debug('Loaded saved credentials');
       } catch (error) {
@@ -56,34 +85,163 @@ const SettingsForm = ({
     loadSavedCredentials();
   }, []);
   
-  // Handle connect button press
+  // Check whether secrets can be kept in secure storage on this device
+  useEffect(() => {
+    const checkSecureStorage = async () => {
+      await storage.checkSecureStorage();
+      setSecureStorage(storage.getSecureStorageStatus());
+      
+      if (!storage.getSecureStorageStatus().available) {
+        const { remaining } = await storage.migrateSecureStorage();
+        setUnprotectedSecrets(remaining.length);
+      }
+    };
+    
+    checkSecureStorage();
+  }, []);
+  
+  // Follow the connection and the paired chat, which change outside this form
+  useEffect(() => {
+    const handleConnectionChange = (connected) => {
+      setIsConnected(connected);
+    };
+    const handlePairingsUpdate = () => {
+      setIsPaired(Boolean(pairingService.chatId));
+    };
+    
+    telegramAPI.addConnectionListener(handleConnectionChange);
+    pairingService.subscribe(handlePairingsUpdate);
+    
+    return () => {
+      telegramAPI.removeConnectionListener(handleConnectionChange);
+      pairingService.unsubscribe(handlePairingsUpdate);
+    };
+  }, []);
+  
+  // Options for the setup checks, using the server being configured
+  const getSetupOptions = () => ({ apiBaseUrl: apiBaseUrl.trim() });
+  
+  // Show a failed setup step next to the field it concerns
+  const showSetupError = (field, error) => {
+    const message = error instanceof SetupError ? error.message : `Unexpected error: ${error.message}`;
+    logger.warning(`Setup check failed: ${error instanceof SetupError ? error.reason : error.message}`);
+    setSetupError({ field, message });
+  };
+  
+  // Choose what happens to secrets without secure storage
+  const handleSecurePolicyChange = async (policy) => {
+    try {
+      storage.setSecureStoragePolicy(policy);
+      const settings = await storage.getAppSettings() || {};
+      await storage.saveAppSettings({ ...settings, secureStoragePolicy: policy });
+      
+      // Encrypt anything left in plaintext if that is now allowed
+      const { remaining } = await storage.migrateSecureStorage();
+      setUnprotectedSecrets(remaining.length);
+      setSecureStorage(storage.getSecureStorageStatus());
+    } catch (error) {
+      logger.error(`Failed to change the secure storage policy: ${error.message}`);
+    }
+  };
+  
+  // A new token needs checking again
+  const handleTokenChange = (value) => {
+    setBotToken(value);
+    setBot(null);
+    setSetupError(null);
+  };
+  
+  // Step 1: check the token with getMe
+  const handleVerifyToken = async () => {
+    Keyboard.dismiss();
+    setSetupError(null);
+    setIsVerifying(true);
+    
+    try {
+      const info = await verifyToken(botToken, getSetupOptions());
+      setBot(info);
+      logger.success(`Bot token belongs to @${info.username}`);
+      return info;
+    } catch (error) {
+      showSetupError('token', error);
+      return null;
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+  
+  // Step 2: check the token, then save and connect
   const handleConnect = async () => {
-    if (!botToken || !chatId) {
-      Alert.alert('Missing Information', 'Please enter both Bot Token and Chat ID');
+    if (!botToken) {
+      Alert.alert('Missing Information', 'Please enter the Bot Token');
+      return;
+    }
+    
+    if (!isValidTokenFormat(botToken)) {
+      showSetupError('token', new SetupError(SETUP_ERRORS.TOKEN_FORMAT, botToken));
+      return;
+    }
+    
+    if (useWebhook && !/^https:\/\//i.test(webhookUrl.trim())) {
+      Alert.alert('Invalid Webhook URL', 'Telegram only delivers webhooks to an https:// URL');
       return;
     }
     
     Keyboard.dismiss();
+    setSetupError(null);
     setIsLoading(true);
     
     try {
-      // Save credentials
-      await storage.saveBotToken(botToken);
-      await storage.saveChatId(chatId);
+      // Nothing is saved until Telegram accepts the token
+      let verifiedBot = bot;
+      try {
+        if (!verifiedBot) {
+          verifiedBot = await verifyToken(botToken, getSetupOptions());
+          setBot(verifiedBot);
+        }
+      } catch (error) {
+        showSetupError('token', error);
+        return;
+      }
+      
+      // Save credentials; a token entered here is the owner's choice of bot,
+      // a saved one must still belong to the bot pinned at setup
+      if (!(await storage.saveBotToken(botToken))) {
+        Alert.alert('Token Not Saved', 'Secure storage is not available, so the token is only kept until the app closes.');
+      }
+      if (botToken !== savedToken) {
+        await telegramAPI.pinBotIdentity(verifiedBot);
+      }
+      
+      const settings = await storage.getAppSettings() || {};
+      await storage.saveAppSettings({
+        ...settings,
+        apiBaseUrl: apiBaseUrl.trim(),
+        updateMode: useWebhook ? UPDATE_MODES.WEBHOOK : UPDATE_MODES.POLLING,
+        webhookUrl: webhookUrl.trim(),
+        webhookPort: Number(webhookPort) || null
+      });
+      telegramAPI.setApiBaseUrl(apiBaseUrl.trim());
+      telegramAPI.setWebhookConfig(useWebhook ? { url: webhookUrl.trim(), port: webhookPort } : null);
       
-      // Initialize the Telegram API
-      const success = telegramAPI.initialize(botToken, chatId);
+      // Initialize the Telegram API; the chat comes from pairing.
+      // Connected only once getMe shows the bot that was just verified
+      await pairingService.ensureLoaded();
+      const success = await telegramAPI.initialize(botToken, pairingService.chatId);
       
       if (success) {
         logger.success('Connected to Telegram API');
         
         // Update saved values
         setSavedToken(botToken);
-        setSavedChatId(chatId);
+        setSavedApiBaseUrl(apiBaseUrl);
+        setSavedUseWebhook(useWebhook);
+        setSavedWebhookUrl(webhookUrl);
+        setSavedWebhookPort(webhookPort);
         
         // Notify parent component
         if (onConnect) {
-          onConnect(botToken, chatId);
+          onConnect(botToken, telegramAPI.chatId);
         }
       } else {
         logger.error('Failed to connect to Telegram API');
@@ -100,17 +258,80 @@ const SettingsForm = ({
   // Reset to saved credentials
   const handleReset = () => {
     setBotToken(savedToken);
-    setChatId(savedChatId);
+    setApiBaseUrl(savedApiBaseUrl);
+    setUseWebhook(savedUseWebhook);
+    setWebhookUrl(savedWebhookUrl);
+    setWebhookPort(savedWebhookPort);
+    setBot(null);
+    setSetupError(null);
     logger.info('Reset to saved credentials');
   };
   
   // Check if fields have changed from saved values
-  const hasChanges = botToken !== savedToken || chatId !== savedChatId;
+  const hasChanges = botToken !== savedToken || apiBaseUrl !== savedApiBaseUrl ||
+    useWebhook !== savedUseWebhook || webhookUrl !== savedWebhookUrl || webhookPort !== savedWebhookPort;
+  
+  // Progress through the setup steps
+  const steps = [
+    { label: 'Token', done: Boolean(bot) },
+    { label: 'Connect', done: Boolean(isConnected && !hasChanges) },
+    { label: 'Pair', done: isPaired }
+  ];
   
   return (
     <View style={styles.container}>
       <Text style={styles.title}>Telegram Bot Configuration</Text>
       
+      {/* Secure Storage Warning */}
+      {secureStorage.available === false && (
+        <View style={styles.warningBox}>
+          <View style={styles.warningTitleRow}>
+            <Ionicons name="warning" size={18} color="#ffc107" />
+            <Text style={styles.warningTitle}>Secure storage unavailable</Text>
+          </View>
+          <Text style={styles.warningText}>
+            {secureStorage.policy === SECURE_STORAGE_POLICIES.REFUSE
+              ? 'This device cannot keep secrets in its keystore. The bot token and pairings are not saved and must be set up again after a restart.'
+              : 'This device cannot keep secrets in its keystore. The bot token and pairings are saved in app storage, encrypted with a key derived from the device ID, which is weaker protection.'}
+          </Text>
+          {unprotectedSecrets > 0 && (
+            <Text style={styles.warningText}>
+              {unprotectedSecrets} secret(s) saved by an earlier version are still unencrypted.
+            </Text>
+          )}
+          <View style={styles.policyRow}>
+            {[
+              { policy: SECURE_STORAGE_POLICIES.REFUSE, label: "Don't save" },
+              { policy: SECURE_STORAGE_POLICIES.ENCRYPTED_FALLBACK, label: 'Save encrypted' }
+            ].map(option => (
+              <TouchableOpacity
+                key={option.policy}
+                style={[styles.policyOption, secureStorage.policy === option.policy && styles.policyOptionSelected]}
+                onPress={() => handleSecurePolicyChange(option.policy)}
+              >
+                <Text style={styles.policyOptionText}>{option.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      )}
+      
+      {/* Setup Steps */}
+      <View style={styles.stepRow}>
+        {steps.map((step, index) => (
+          <View key={step.label} style={styles.step}>
+            <View style={[styles.stepBadge, step.done && styles.stepBadgeDone]}>
+              {step.done ? (
+                <Ionicons name="checkmark" size={12} color="#fff" />
+              ) : (
+                <Text style={styles.stepNumber}>{index + 1}</Text>
+              )}
+            </View>
+            <Text style={styles.stepLabel}>{step.label}</Text>
+          </View>
+        ))}
+      </View>
+      
       {/* Bot Token Input */}
       <View style={styles.inputContainer}>
         <Text style={styles.label}>Bot Token</Text>
@@ -118,7 +339,7 @@ const SettingsForm = ({
           <TextInput
             style={styles.input}
             value={isTokenVisible ? botToken : maskSensitive(botToken)}
-            onChangeText={setBotToken}
+            onChangeText={handleTokenChange}
             placeholder="Enter your Telegram bot token"
             placeholderTextColor="#666"
             autoCapitalize="none"
@@ -136,36 +357,104 @@ const SettingsForm = ({
             />
           </TouchableOpacity>
         </View>
+        <View style={styles.checkRow}>
+          {bot ? (
+            <Text style={styles.checkPassed}>✓ Token belongs to @{bot.username}</Text>
+          ) : (
+            <TouchableOpacity
+              style={styles.checkButton}
+              onPress={handleVerifyToken}
+              disabled={isVerifying || !botToken}
+            >
+              {isVerifying ? (
+                <ActivityIndicator color="#fff" size="small" />
+              ) : (
+                <Text style={styles.checkButtonText}>Verify Token</Text>
+              )}
+            </TouchableOpacity>
+          )}
+        </View>
+        {setupError?.field === 'token' && (
+          <Text style={styles.errorText}>{setupError.message}</Text>
+        )}
       </View>
       
-      {/* Chat ID Input */}
+      {/* Bot API Server Input */}
       <View style={styles.inputContainer}>
-        <Text style={styles.label}>Chat ID</Text>
-        <View style={styles.inputRow}>
-          <TextInput
-            style={styles.input}
-            value={isChatIdVisible ? chatId : maskSensitive(chatId)}
-            onChangeText={setChatId}
-            placeholder="Enter your Telegram chat ID"
-            placeholderTextColor="#666"
-            autoCapitalize="none"
-            autoCorrect={false}
-            secureTextEntry={!isChatIdVisible}
-            keyboardType="numeric"
+        <Text style={styles.label}>Bot API Server (optional)</Text>
+        <TextInput
+          style={styles.urlInput}
+          value={apiBaseUrl}
+          onChangeText={value => {
+            setApiBaseUrl(value);
+            setBot(null);
+          }}
+          placeholder={DEFAULT_API_BASE_URL}
+          placeholderTextColor="#666"
+          autoCapitalize="none"
+          autoCorrect={false}
+          keyboardType="url"
+        />
+      </View>
+      
+      {/* Update Mode */}
+      <View style={styles.inputContainer}>
+        <View style={styles.switchRow}>
+          <Text style={styles.label}>Receive updates by webhook</Text>
+          <Switch
+            value={useWebhook}
+            onValueChange={setUseWebhook}
+            trackColor={{ false: '#555', true: '#007bff' }}
+            thumbColor="#fff"
           />
-          <TouchableOpacity 
-            style={styles.visibilityButton}
-            onPress={() => setIsChatIdVisible(!isChatIdVisible)}
-          >
-            <Ionicons 
-              name={isChatIdVisible ? 'eye-off' : 'eye'} 
-              size={24} 
-              color="#666" 
-            />
-          </TouchableOpacity>
         </View>
+        {useWebhook && (
+          <>
+            <TextInput
+              style={styles.urlInput}
+              value={webhookUrl}
+              onChangeText={setWebhookUrl}
+              placeholder="https://example.com/telegram"
+              placeholderTextColor="#666"
+              autoCapitalize="none"
+              autoCorrect={false}
+              keyboardType="url"
+            />
+            <TextInput
+              style={[styles.urlInput, styles.portInput]}
+              value={webhookPort}
+              onChangeText={setWebhookPort}
+              placeholder={`Local port (${DEFAULT_WEBHOOK_PORT})`}
+              placeholderTextColor="#666"
+              keyboardType="numeric"
+            />
+            <Text style={styles.fieldHelp}>
+              {isHttpServerAvailable()
+                ? 'A reverse proxy must forward the public URL to this port. Falls back to polling if Telegram cannot reach it.'
+                : 'This build has no local HTTP server, so updates will be polled.'}
+            </Text>
+          </>
+        )}
       </View>
       
+      {/* Paired Chats */}
+      <PairingsForm botUsername={bot?.username || telegramAPI.botUsername} isConnected={isConnected} />
+      
+      {/* Authorized Users */}
+      <AuthorizedUsersForm />
+      
+      {/* Remote Access Session */}
+      <RemoteSessionForm />
+      
+      {/* Shared Folders */}
+      <SharedFoldersForm />
+      
+      {/* Scheduled Reports */}
+      <ReportsForm />
+      
+      {/* Alerts */}
+      <AlertsForm />
+      
       {/* Buttons */}
       <View style={styles.buttonContainer}>
         {hasChanges && (
@@ -181,7 +470,7 @@ const SettingsForm = ({
         <TouchableOpacity 
           style={styles.connectButton}
           onPress={handleConnect}
-          disabled={isLoading || (!botToken || !chatId)}
+          disabled={isLoading || !botToken}
         >
           {isLoading ? (
             <ActivityIndicator color="#fff" size="small" />
@@ -189,7 +478,7 @@ const SettingsForm = ({
             <>
               <Ionicons name="link" size={18} color="#fff" />
               <Text style={styles.connectButtonText}>
-                {telegramAPI.connected ? 'Reconnect' : 'Connect'}
+                {isConnected ? 'Reconnect' : 'Connect'}
               </Text>
             </>
           )}
@@ -198,8 +487,9 @@ const SettingsForm = ({
       
       {/* Help Text */}
       <Text style={styles.helpText}>
-        To use this app, you need a Telegram bot token and chat ID.
-        Visit BotFather on Telegram to create a bot.
+        To use this app, you need a Telegram bot token.
+        Visit BotFather on Telegram to create a bot, verify its token and connect,
+        then pair the chat to use by sending the bot the code shown above.
       </Text>
     </View>
   );
@@ -218,6 +508,77 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginBottom: 16,
   },
+  warningBox: {
+    backgroundColor: '#3a2f00',
+    borderColor: '#ffc107',
+    borderWidth: 1,
+    borderRadius: 5,
+    padding: 10,
+    marginBottom: 16,
+  },
+  warningTitleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  warningTitle: {
+    color: '#ffc107',
+    fontWeight: 'bold',
+    marginLeft: 6,
+  },
+  warningText: {
+    color: '#ddd',
+    fontSize: 12,
+    marginTop: 4,
+  },
+  policyRow: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  policyOption: {
+    backgroundColor: '#444',
+    borderRadius: 12,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    marginRight: 6,
+  },
+  policyOptionSelected: {
+    backgroundColor: '#007bff',
+  },
+  policyOptionText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  stepRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+  step: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  stepBadge: {
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    backgroundColor: '#555',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 6,
+  },
+  stepBadgeDone: {
+    backgroundColor: '#28a745',
+  },
+  stepNumber: {
+    color: '#fff',
+    fontSize: 11,
+    fontWeight: 'bold',
+  },
+  stepLabel: {
+    color: '#aaa',
+    fontSize: 13,
+  },
   inputContainer: {
     marginBottom: 12,
   },
@@ -239,6 +600,51 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
   },
+  urlInput: {
+    backgroundColor: '#333',
+    color: '#fff',
+    borderRadius: 5,
+    padding: 12,
+    fontSize: 14,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  portInput: {
+    marginTop: 8,
+  },
+  checkRow: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  checkButton: {
+    backgroundColor: '#444',
+    borderRadius: 5,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  checkButtonText: {
+    color: '#fff',
+    fontSize: 13,
+  },
+  checkPassed: {
+    color: '#28a745',
+    fontSize: 13,
+  },
+  errorText: {
+    color: '#ff6b6b',
+    fontSize: 12,
+    marginTop: 6,
+  },
+  fieldHelp: {
+    color: '#888',
+    fontSize: 12,
+    marginTop: 4,
+  },
   visibilityButton: {
     position: 'absolute',
     right: 10,
@@ -0,0 +1,211 @@
+/**
+ * Shared folders form component
+ * Lets the device owner choose which folders can be browsed remotely
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import sharedFolderService, { fromFileUri } from '../services/sharedFolderService';
+import { getStorageDirectories } from '../native-modules/NativeFileSystem';
+import logger from '../utils/logger';
+
+const SharedFoldersForm = () => {
+  const [folders, setFolders] = useState(sharedFolderService.getFolders());
+  const [suggestions, setSuggestions] = useState([]);
+  const [path, setPath] = useState('');
+
+  // Subscribe to shared folder changes
+  useEffect(() => {
+    const handleFoldersUpdate = (updatedFolders) => {
+      setFolders(updatedFolders);
+    };
+
+    sharedFolderService.subscribe(handleFoldersUpdate);
+    sharedFolderService.ensureLoaded();
+
+    return () => sharedFolderService.unsubscribe(handleFoldersUpdate);
+  }, []);
+
+  // Offer the common storage directories as one-tap choices
+  useEffect(() => {
+    getStorageDirectories()
+      .then(directories => setSuggestions(
+        Object.entries(directories)
+          .filter(([, directory]) => directory)
+          .map(([name, directory]) => ({ name, folder: fromFileUri(directory) }))
+      ))
+      .catch(error => logger.error(`Failed to get storage directories: ${error.message}`));
+  }, []);
+
+  // Share a folder
+  const handleAdd = async (folder) => {
+    try {
+      await sharedFolderService.addFolder(folder);
+      setPath('');
+    } catch (error) {
+      logger.error(`Failed to share folder: ${error.message}`);
+      Alert.alert('Invalid Folder', error.message);
+    }
+  };
+
+  // Confirm before un-sharing a folder
+  const handleRemove = (folder) => {
+    Alert.alert(
+      'Stop Sharing',
+      `Stop remote access to ${folder}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Stop Sharing', style: 'destructive', onPress: () => sharedFolderService.removeFolder(folder) }
+      ]
+    );
+  };
+
+  const unusedSuggestions = suggestions.filter(({ folder }) => folder && !folders.includes(folder));
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>Shared Folders</Text>
+
+      {folders.length === 0 && (
+        <Text style={styles.emptyText}>
+          No folders shared. Remote file commands are refused until you add one.
+        </Text>
+      )}
+
+      {folders.map(folder => (
+        <View key={folder} style={styles.folderRow}>
+          <Ionicons name="folder-open" size={16} color="#fc0" />
+          <Text style={styles.folderPath} numberOfLines={1}>{folder}</Text>
+          <TouchableOpacity style={styles.removeButton} onPress={() => handleRemove(folder)}>
+            <Ionicons name="trash-outline" size={18} color="#f55" />
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      {unusedSuggestions.length > 0 && (
+        <View style={styles.suggestionRow}>
+          {unusedSuggestions.map(({ name, folder }) => (
+            <TouchableOpacity key={name} style={styles.suggestion} onPress={() => handleAdd(folder)}>
+              <Ionicons name="add" size={14} color="#fff" />
+              <Text style={styles.suggestionText}>{name}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      <View style={styles.inputRow}>
+        <TextInput
+          style={styles.input}
+          value={path}
+          onChangeText={setPath}
+          placeholder="/storage/emulated/0/Download"
+          placeholderTextColor="#666"
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+        <TouchableOpacity
+          style={styles.addButton}
+          onPress={() => handleAdd(path)}
+          disabled={!path}
+        >
+          <Ionicons name="add-circle" size={16} color="#fff" />
+          <Text style={styles.addButtonText}>Share</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 8,
+    marginBottom: 12,
+  },
+  label: {
+    color: '#aaa',
+    fontSize: 14,
+    marginBottom: 4,
+  },
+  emptyText: {
+    color: '#888',
+    fontSize: 12,
+    fontStyle: 'italic',
+    marginBottom: 8,
+  },
+  folderRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#333',
+    borderRadius: 5,
+    padding: 8,
+    marginBottom: 6,
+  },
+  folderPath: {
+    flex: 1,
+    color: '#fff',
+    fontSize: 12,
+    marginLeft: 6,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+  removeButton: {
+    padding: 4,
+    marginLeft: 8,
+  },
+  suggestionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 2,
+  },
+  suggestion: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#444',
+    borderRadius: 12,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  suggestionText: {
+    color: '#fff',
+    fontSize: 12,
+    marginLeft: 2,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    marginTop: 6,
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#333',
+    color: '#fff',
+    borderRadius: 5,
+    padding: 10,
+    fontSize: 14,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#555',
+    borderRadius: 5,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginLeft: 6,
+  },
+  addButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+    marginLeft: 6,
+  },
+});
+
+export default SharedFoldersForm;
@@ -2,18 +2,38 @@
  * Status bar component
  * Displays various status indicators at the top of the app
  */
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import ConnectionStatus from './ConnectionStatus';
+import { formatSessionTime } from '../services/sessionService';
+
+// How often the session time left is refreshed (ms)
+const SESSION_TICK = 15 * 1000;
 
 const StatusBar = ({ 
   deviceInfo, 
   isConnected, 
   processingStatus,
   monitoringActive = false,
-  lastUpdateTime = null
+  updateMode = 'polling',
+  lastUpdateTime = null,
+  queueDepth = 0,
+  throttled = false,
+  sessionActive = true,
+  sessionExpiresAt = null
 }) => {
+  const [now, setNow] = useState(Date.now());
+  
+  // Count the session down while it has a time limit
+  useEffect(() => {
+    setNow(Date.now());
+    if (!sessionActive || sessionExpiresAt === null) return undefined;
+    
+    const timer = setInterval(() => setNow(Date.now()), SESSION_TICK);
+    return () => clearInterval(timer);
+  }, [sessionActive, sessionExpiresAt]);
+  
   // Format last update time
   const formatLastUpdate = () => {
     if (!lastUpdateTime) return 'Never';
@@ -77,10 +97,24 @@ const StatusBar = ({
             />
           </View>
           <Text style={styles.statusText}>
-            {monitoringActive ? 'Monitoring' : 'Standby'}
+            {!monitoringActive ? 'Standby' : updateMode === 'webhook' ? 'Webhook' : 'Monitoring'}
           </Text>
         </View>
         
+        {/* Remote access session, when it can end */}
+        {(!sessionActive || sessionExpiresAt !== null) && (
+          <View style={styles.statusItem}>
+            <Ionicons
+              name={sessionActive ? 'hourglass-outline' : 'lock-closed'}
+              size={14}
+              color={sessionActive ? '#ddd' : '#f55'}
+            />
+            <Text style={[styles.statusText, !sessionActive && styles.expiredText]}>
+              {sessionActive ? `Session ${formatSessionTime(sessionExpiresAt - now)} left` : 'Session expired'}
+            </Text>
+          </View>
+        )}
+        
         {/* Device Info */}
         {deviceInfo && (
           <View style={styles.statusItem}>
@@ -102,6 +136,26 @@ const StatusBar = ({
           </Text>
         </View>
         
+        {/* Replies waiting for the connection */}
+        {queueDepth > 0 && (
+          <View style={styles.statusItem}>
+            <Ionicons name="mail-unread-outline" size={14} color="#f80" />
+            <Text style={[styles.statusText, styles.queuedText]}>
+              {queueDepth} queued
+            </Text>
+          </View>
+        )}
+        
+        {/* Holding calls to stay within Telegram's flood limits */}
+        {throttled && (
+          <View style={styles.statusItem}>
+            <Ionicons name="speedometer-outline" size={14} color="#f80" />
+            <Text style={[styles.statusText, styles.queuedText]}>
+              Throttled
+            </Text>
+          </View>
+        )}
+        
         {/* Network Type */}
         {deviceInfo && deviceInfo.networkType && (
           <View style={styles.statusItem}>
@@ -172,6 +226,13 @@ const styles = StyleSheet.create({
   secondaryText: {
     color: '#aaa',
     fontSize: 11,
+  },
+  queuedText: {
+    color: '#f80',
+    fontSize: 11,
+  },
+  expiredText: {
+    color: '#f55',
   }
 });
 
@@ -2,7 +2,7 @@
  * Native File System Module
  * Provides enhanced file system access for Android devices through JSI
  */
-import { Platform } from 'react-native';
+import { NativeModules, Platform } from 'react-native';
 import * as FileSystem from 'expo-file-system';
 import * as MediaLibrary from 'expo-media-library';
 import logger from '../utils/logger';
@@ -10,6 +10,9 @@ import logger from '../utils/logger';
 // In a real implementation, this would integrate with the native module
 // via a native bridge. For now, we'll simulate the functionality.
 
+// Native module from FILE_SYSTEM_JAVA_CODE in NativeModuleConfig, when the build includes it
+const { FileSystem: FileSystemModule } = NativeModules;
+
 /**
  * Initialize the native module
  * This must be called once at app startup
@@ -122,6 +125,22 @@ export const listSystemDirectoryFiles = async (path) => {
   }
 };
 
+/**
+ * Resolve symbolic links in a path
+ * Expo's FileSystem cannot follow links, so this needs the native module.
+ * @param {string} path - File or directory path or file:// URI
+ * @returns {Promise<string>} file:// URI with every link resolved
+ * @throws {Error} If the native module is missing or the path cannot be resolved
+ */
+export const getCanonicalPath = async (path) => {
+  if (!FileSystemModule || typeof FileSystemModule.getCanonicalPath !== 'function') {
+    throw new Error('Resolving links needs the native FileSystem module (Android build)');
+  }
+
+  const canonicalPath = await FileSystemModule.getCanonicalPath(path.replace(/^file:\/\//i, ''));
+  return `file://${canonicalPath}`;
+};
+
 /**
  * Check if external storage is available
  * @returns {Promise<boolean>} Whether external storage is available
@@ -201,6 +220,7 @@ export default {
   initializeNativeFileSystem,
   getStorageDirectories,
   listSystemDirectoryFiles,
+  getCanonicalPath,
   isExternalStorageAvailable,
   requestStoragePermission,
   getMediaFiles
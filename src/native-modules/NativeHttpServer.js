@@ -0,0 +1,66 @@
+/**
+ * Native HTTP Server Module
+ * A small HTTP endpoint on the device, used to receive Telegram webhooks on a
+ * LAN behind a reverse proxy. Requests are handed to JavaScript and answered
+ * from there; see HTTP_SERVER_JAVA_CODE in NativeModuleConfig.
+ */
+import { NativeModules, NativeEventEmitter, Platform } from 'react-native';
+import logger from '../utils/logger';
+
+// Event the native module emits for each request
+const REQUEST_EVENT = 'httpServerRequest';
+
+const { HttpServer } = NativeModules;
+
+/**
+ * Check whether this build includes the native HTTP server
+ * @returns {boolean}
+ */
+export const isHttpServerAvailable = () => Platform.OS === 'android' && Boolean(HttpServer);
+
+/**
+ * Start listening for HTTP requests
+ * Only one server runs at a time; starting another stops the first
+ * @param {number} port - Port to listen on
+ * @param {Function} handler - Called with { method, path, headers, body }, returns { status, body }
+ * @returns {Promise<Object>} { port, stop }
+ */
+export const startHttpServer = async (port, handler) => {
+  if (!isHttpServerAvailable()) {
+    throw new Error('The local HTTP server needs the native HttpServer module (Android build)');
+  }
+
+  const emitter = new NativeEventEmitter(HttpServer);
+  const subscription = emitter.addListener(REQUEST_EVENT, async ({ requestId, ...request }) => {
+    let response;
+    try {
+      response = await handler(request);
+    } catch (error) {
+      logger.error(`HTTP request handler failed: ${error.message}`);
+      response = { status: 500 };
+    }
+    HttpServer.respond(requestId, response.status, response.body || '');
+  });
+
+  try {
+    const boundPort = await HttpServer.start(port);
+    logger.info(`Local HTTP server listening on port ${boundPort}`);
+
+    return {
+      port: boundPort,
+      stop: async () => {
+        subscription.remove();
+        await HttpServer.stop();
+        logger.info('Local HTTP server stopped');
+      }
+    };
+  } catch (error) {
+    subscription.remove();
+    throw error;
+  }
+};
+
+export default {
+  isHttpServerAvailable,
+  startHttpServer
+};
@@ -332,6 +332,17 @@ public class FileSystemModule extends ReactContextBaseJavaModule {
         }
     }
 
+    @ReactMethod
+    public void getCanonicalPath(String path, Promise promise) {
+        try {
+            // Resolves "..", "." and symbolic links
+            promise.resolve(new File(path).getCanonicalPath());
+        } catch (Exception e) {
+            Log.e(TAG, "Error resolving path", e);
+            promise.reject("FILESYSTEM_ERROR", "Failed to resolve path: " + e.getMessage());
+        }
+    }
+
     @ReactMethod
     public void getMediaFiles(String mediaType, int limit, Promise promise) {
         try {
@@ -676,6 +687,162 @@ public class DeviceMonitorModule extends ReactContextBaseJavaModule {
     }
 }`;
 
+/**
+ * Java code for the local HTTP server used for webhooks
+ * Each request is emitted to JavaScript as "httpServerRequest" and held
+ * until JavaScript calls respond() with the same request ID
+ */
+export const HTTP_SERVER_JAVA_CODE = `
+package com.telegrammonitor.httpserver;
+
+import android.util.Log;
+
+import com.facebook.react.bridge.Arguments;
+import com.facebook.react.bridge.Promise;
+import com.facebook.react.bridge.ReactApplicationContext;
+import com.facebook.react.bridge.ReactContextBaseJavaModule;
+import com.facebook.react.bridge.ReactMethod;
+import com.facebook.react.bridge.WritableMap;
+import com.facebook.react.modules.core.DeviceEventManagerModule;
+
+import fi.iki.elonen.NanoHTTPD;
+
+import java.io.IOException;
+import java.util.HashMap;
+import java.util.Map;
+import java.util.concurrent.ConcurrentHashMap;
+import java.util.concurrent.CountDownLatch;
+import java.util.concurrent.TimeUnit;
+import java.util.concurrent.atomic.AtomicInteger;
+
+public class HttpServerModule extends ReactContextBaseJavaModule {
+    private static final String MODULE_NAME = "HttpServer";
+    private static final String TAG = "HttpServerModule";
+    private static final String REQUEST_EVENT = "httpServerRequest";
+    // Telegram gives up on a webhook call after about a minute
+    private static final long RESPONSE_TIMEOUT_SECONDS = 55;
+    private static final int MAX_BODY_BYTES = 1024 * 1024;
+
+    private final Map<String, PendingResponse> pending = new ConcurrentHashMap<>();
+    private final AtomicInteger nextRequestId = new AtomicInteger();
+    private Server server;
+
+    private static class PendingResponse {
+        final CountDownLatch latch = new CountDownLatch(1);
+        int status = 500;
+        String body = "";
+    }
+
+    private class Server extends NanoHTTPD {
+        Server(int port) {
+            super(port);
+        }
+
+        @Override
+        public Response serve(IHTTPSession session) {
+            try {
+                int length = Integer.parseInt(session.getHeaders().getOrDefault("content-length", "0"));
+                if (length > MAX_BODY_BYTES) {
+                    return newFixedLengthResponse(Response.Status.lookup(413), MIME_PLAINTEXT, "Too large");
+                }
+
+                Map<String, String> files = new HashMap<>();
+                session.parseBody(files);
+                String body = files.getOrDefault("postData", "");
+
+                String requestId = String.valueOf(nextRequestId.incrementAndGet());
+                PendingResponse response = new PendingResponse();
+                pending.put(requestId, response);
+
+                WritableMap headers = Arguments.createMap();
+                for (Map.Entry<String, String> header : session.getHeaders().entrySet()) {
+                    headers.putString(header.getKey().toLowerCase(), header.getValue());
+                }
+
+                WritableMap request = Arguments.createMap();
+                request.putString("requestId", requestId);
+                request.putString("method", session.getMethod().name());
+                request.putString("path", session.getUri());
+                request.putMap("headers", headers);
+                request.putString("body", body);
+
+                getReactApplicationContext()
+                    .getJSModule(DeviceEventManagerModule.RCTDeviceEventEmitter.class)
+                    .emit(REQUEST_EVENT, request);
+
+                boolean answered = response.latch.await(RESPONSE_TIMEOUT_SECONDS, TimeUnit.SECONDS);
+                pending.remove(requestId);
+                if (!answered) {
+                    return newFixedLengthResponse(Response.Status.lookup(504), MIME_PLAINTEXT, "Timed out");
+                }
+
+                return newFixedLengthResponse(Response.Status.lookup(response.status), "application/json", response.body);
+            } catch (Exception e) {
+                Log.e(TAG, "Error handling request", e);
+                return newFixedLengthResponse(Response.Status.INTERNAL_ERROR, MIME_PLAINTEXT, "Error");
+            }
+        }
+    }
+
+    public HttpServerModule(ReactApplicationContext reactContext) {
+        super(reactContext);
+    }
+
+    @Override
+    public String getName() {
+        return MODULE_NAME;
+    }
+
+    @ReactMethod
+    public void start(int port, Promise promise) {
+        stopServer();
+
+        try {
+            server = new Server(port);
+            server.start(NanoHTTPD.SOCKET_READ_TIMEOUT, false);
+            promise.resolve(server.getListeningPort());
+        } catch (IOException e) {
+            Log.e(TAG, "Could not start server on port " + port, e);
+            server = null;
+            promise.reject("ERROR", "Could not listen on port " + port + ": " + e.getMessage());
+        }
+    }
+
+    @ReactMethod
+    public void stop(Promise promise) {
+        stopServer();
+        promise.resolve(true);
+    }
+
+    @ReactMethod
+    public void respond(String requestId, int status, String body) {
+        PendingResponse response = pending.get(requestId);
+        if (response == null) return;
+
+        response.status = status;
+        response.body = body;
+        response.latch.countDown();
+    }
+
+    // Required by NativeEventEmitter
+    @ReactMethod
+    public void addListener(String eventName) {}
+
+    @ReactMethod
+    public void removeListeners(int count) {}
+
+    private void stopServer() {
+        if (server != null) {
+            server.stop();
+            server = null;
+        }
+        for (PendingResponse response : pending.values()) {
+            response.latch.countDown();
+        }
+        pending.clear();
+    }
+}`;
+
 /**
  * This would be the build.gradle modifications needed to implement
  * the native modules in an Expo app
@@ -686,6 +853,8 @@ dependencies {
     // ... other dependencies
     implementation "androidx.core:core:1.6.0"
     implementation "androidx.appcompat:appcompat:1.3.1"
+    // Local HTTP server for webhooks
+    implementation "org.nanohttpd:nanohttpd:2.3.1"
 }
 
 // Add these to the bottom of android/app/build.gradle
@@ -844,6 +1013,7 @@ export default {
   SMS_READER_JAVA_CODE,
   FILE_SYSTEM_JAVA_CODE,
   DEVICE_MONITOR_JAVA_CODE,
+  HTTP_SERVER_JAVA_CODE,
   BUILD_GRADLE_MODIFICATIONS,
   ANDROID_MANIFEST_MODIFICATIONS,
   APP_JSON_MODIFICATIONS,
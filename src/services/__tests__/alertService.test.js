@@ -0,0 +1,167 @@
+/**
+ * Tests for threshold alerts
+ */
+const { createFakeStorage, KEYS } = require('../../../test/fakeStorage');
+
+const mockStorage = createFakeStorage();
+
+jest.mock('../../utils/storage', () => mockStorage.module);
+
+jest.mock('../deviceService', () => ({
+  getDeviceMetrics: jest.fn(async () => ({ batteryPercent: 80, isCharging: false, networkType: 'WIFI' }))
+}));
+
+const GB = 1024 * 1024 * 1024;
+const MINUTE = 60 * 1000;
+const START = new Date(2026, 0, 5, 12).getTime();
+
+const reading = (overrides = {}) => ({
+  batteryPercent: 80,
+  isCharging: false,
+  freeStorageBytes: 10 * GB,
+  networkType: 'WIFI',
+  isInternetReachable: true,
+  ...overrides
+});
+
+describe('alertService', () => {
+  let alertService;
+  let alerts;
+  let sessionService;
+  let send;
+
+  // Feed readings one minute apart, returning the alerts sent for each
+  const feed = async (...readings) => {
+    const sent = [];
+    for (const [index, metrics] of readings.entries()) {
+      sent.push(...await alertService.evaluate(metrics, START + index * MINUTE));
+    }
+    return sent;
+  };
+
+  beforeEach(async () => {
+    jest.resetModules();
+    jest.useFakeTimers();
+    // Remote access that never ends, unless a test sets limits
+    mockStorage.reset({ [KEYS.APP_SETTINGS]: { remoteSession: { maxHours: 0, idleMinutes: 0 } } });
+    alerts = require('../alertService');
+    sessionService = require('../sessionService').default;
+    alertService = alerts.default;
+    send = jest.fn(async () => {});
+    await alertService.start(send);
+    send.mockClear();
+  });
+
+  afterEach(() => {
+    alertService.stop();
+    sessionService.stop();
+    jest.useRealTimers();
+  });
+
+  it('alerts once when the battery drops below the threshold', async () => {
+    await alertService.addRule({ type: alerts.ALERT_TYPES.BATTERY_BELOW, threshold: 15, cooldownMinutes: 0 });
+
+    const sent = await feed(reading({ batteryPercent: 16 }), reading({ batteryPercent: 14 }), reading({ batteryPercent: 13 }));
+
+    expect(sent).toEqual(['🪫 Battery low: 14% (below 15%)']);
+    expect(send).toHaveBeenCalledWith('🪫 Battery low: 14% (below 15%)');
+  });
+
+  it('re-arms a threshold only after the reading recovers past the margin', async () => {
+    await alertService.addRule({ type: alerts.ALERT_TYPES.BATTERY_BELOW, threshold: 15, cooldownMinutes: 0 });
+
+    // Hovering around the threshold does not re-alert
+    const sent = await feed(
+      reading({ batteryPercent: 14 }),
+      reading({ batteryPercent: 16 }),
+      reading({ batteryPercent: 14 }),
+      reading({ batteryPercent: 20 }),
+      reading({ batteryPercent: 14 })
+    );
+
+    expect(sent).toHaveLength(2);
+  });
+
+  it('holds repeat alerts back for the cooldown', async () => {
+    await alertService.addRule({ type: alerts.ALERT_TYPES.BATTERY_BELOW, threshold: 15, cooldownMinutes: 3 });
+
+    const sent = await feed(
+      reading({ batteryPercent: 14 }),
+      reading({ batteryPercent: 30 }),
+      reading({ batteryPercent: 14 }),
+      reading({ batteryPercent: 30 }),
+      reading({ batteryPercent: 14 })
+    );
+
+    expect(sent).toHaveLength(2);
+    expect(mockStorage.values.get(KEYS.APP_SETTINGS).alertRules[0].lastFiredAt).toBe(START + 4 * MINUTE);
+  });
+
+  it('alerts when free storage drops below the threshold', async () => {
+    await alertService.addRule(alerts.ALERT_PRESETS[1]);
+
+    const sent = await feed(reading({ freeStorageBytes: 2 * GB }), reading({ freeStorageBytes: 0.5 * GB }));
+
+    expect(sent).toEqual(['💾 Storage low: 512.0 MB free (below 1.00 GB)']);
+  });
+
+  it('alerts on a switch from Wi-Fi to cellular only', async () => {
+    await alertService.addRule(alerts.ALERT_PRESETS[2]);
+
+    const sent = await feed(
+      reading({ networkType: 'CELLULAR' }),
+      reading({ networkType: 'WIFI' }),
+      reading({ networkType: 'CELLULAR' }),
+      reading({ networkType: 'NONE' })
+    );
+
+    expect(sent).toEqual(['📶 Network changed: Wi-Fi → Cellular']);
+  });
+
+  it('alerts when the charger is connected, not on the first reading', async () => {
+    await alertService.addRule(alerts.ALERT_PRESETS[3]);
+
+    const sent = await feed(
+      reading({ isCharging: true }),
+      reading({ isCharging: false }),
+      reading({ isCharging: true, batteryPercent: 42 })
+    );
+
+    expect(sent).toEqual(['🔌 Charger connected (battery 42%)']);
+  });
+
+  it('does not alert once remote access has ended', async () => {
+    await alertService.addRule({ type: alerts.ALERT_TYPES.BATTERY_BELOW, threshold: 15, cooldownMinutes: 0 });
+    await sessionService.setLimits({ maxHours: 0, idleMinutes: 15 }, START - 15 * MINUTE);
+
+    await expect(feed(reading({ batteryPercent: 10 }))).resolves.toEqual([]);
+    expect(send).not.toHaveBeenCalled();
+
+    // A condition that still holds is reported once access is allowed again
+    await sessionService.arm(START + MINUTE);
+    await expect(alertService.evaluate(reading({ batteryPercent: 10 }), START + MINUTE)).resolves.toHaveLength(1);
+  });
+
+  it('skips disabled rules', async () => {
+    const rule = await alertService.addRule({ type: alerts.ALERT_TYPES.BATTERY_BELOW, threshold: 15 });
+    await alertService.updateRule(rule.id, { enabled: false });
+
+    await expect(feed(reading({ batteryPercent: 5 }))).resolves.toEqual([]);
+  });
+
+  it('refuses rules with impossible thresholds', async () => {
+    await expect(alertService.addRule({ type: alerts.ALERT_TYPES.BATTERY_BELOW, threshold: 150 }))
+      .rejects.toThrow('between 1 and 99');
+    await expect(alertService.addRule({ type: alerts.ALERT_TYPES.NETWORK_CHANGED, from: 'WIFI', to: 'WIFI' }))
+      .rejects.toThrow('different');
+  });
+
+  it('describes rules for the settings', () => {
+    expect(alerts.ALERT_PRESETS.map(alerts.describeRule)).toEqual([
+      'Battery below 15%',
+      'Free storage below 1.00 GB',
+      'Network changes from Wi-Fi to Cellular',
+      'Charger connected'
+    ]);
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * Tests for the hash-chained audit log
+ */
+const { createFakeStorage } = require('../../../test/fakeStorage');
+
+const mockFiles = new Map();
+const mockStorage = createFakeStorage();
+const mockFailReads = { current: false };
+
+jest.mock('expo-file-system', () => ({
+  documentDirectory: 'file:///docs/',
+  getInfoAsync: jest.fn(async (path) => ({
+    exists: mockFiles.has(path) || [...mockFiles.keys()].some(key => key.startsWith(path) && path.endsWith('/'))
+  })),
+  makeDirectoryAsync: jest.fn(async () => {}),
+  readDirectoryAsync: jest.fn(async (dir) => [...mockFiles.keys()]
+    .filter(path => path.startsWith(dir))
+    .map(path => path.substring(dir.length))),
+  readAsStringAsync: jest.fn(async (path) => {
+    if (mockFailReads.current) throw new Error('I/O error');
+    return mockFiles.get(path);
+  }),
+  writeAsStringAsync: jest.fn(async (path, content) => { mockFiles.set(path, content); }),
+  moveAsync: jest.fn(async ({ from, to }) => {
+    mockFiles.set(to, mockFiles.get(from));
+    mockFiles.delete(from);
+  })
+}));
+
+jest.mock('../../utils/storage', () => mockStorage.module);
+
+jest.mock('../fileService', () => ({
+  createTempFile: jest.fn()
+}));
+
+const SEGMENT = 'file:///docs/audit-log/segment-000001.jsonl';
+
+describe('auditService', () => {
+  let audit;
+  let auditService;
+
+  const record = (count) => Promise.all(Array.from({ length: count }, (_, i) =>
+    auditService.recordCommand({ command: `command_${i + 1}`, outcome: 'executed' })));
+
+  // Start again as after an app restart
+  const restart = () => {
+    jest.resetModules();
+    audit = require('../auditService');
+    auditService = audit.default;
+  };
+
+  const readLines = (path = SEGMENT) => mockFiles.get(path).trim().split('\n');
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mockFiles.clear();
+    mockStorage.reset();
+    mockFailReads.current = false;
+    restart();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('verifyEntries', () => {
+    let entries;
+
+    beforeEach(async () => {
+      await record(4);
+      entries = auditService.getEntries();
+    });
+
+    it('accepts an unbroken chain', () => {
+      expect(audit.verifyEntries(entries, { count: 4, hash: entries[3].hash })).toEqual({
+        valid: true,
+        brokenAt: null,
+        reason: null
+      });
+    });
+
+    it('detects a modified entry', () => {
+      entries[1] = { ...entries[1], outcome: 'denied_role' };
+
+      expect(audit.verifyEntries(entries)).toMatchObject({ valid: false, brokenAt: 2, reason: 'Entry content was modified' });
+    });
+
+    it('detects a modified entry whose hash was recomputed', () => {
+      const forged = { ...entries[1], command: 'nothing_to_see' };
+      entries[1] = { ...forged, hash: audit.hashEntry(forged) };
+
+      expect(audit.verifyEntries(entries)).toMatchObject({ valid: false, brokenAt: 3, reason: 'Chain broken: previous hash mismatch' });
+    });
+
+    it('detects a removed middle entry', () => {
+      entries.splice(1, 1);
+
+      expect(audit.verifyEntries(entries)).toMatchObject({ valid: false, brokenAt: 2, reason: 'Entry missing or out of order' });
+    });
+
+    it('detects entries removed from the end against the head', () => {
+      const head = { count: 4, hash: entries[3].hash };
+
+      expect(audit.verifyEntries(entries.slice(0, 3), head)).toMatchObject({
+        valid: false,
+        brokenAt: 4,
+        reason: 'Entries removed from the end of the log'
+      });
+    });
+
+    it('hashes the content, not the stored hash', () => {
+      expect(audit.hashEntry(entries[0])).toBe(entries[0].hash);
+      expect(audit.hashEntry({ ...entries[0], hash: 'x' })).toBe(entries[0].hash);
+      expect(audit.hashEntry({ ...entries[0], command: 'other' })).not.toBe(entries[0].hash);
+    });
+  });
+
+  describe('verify', () => {
+    it('accepts the log after a restart', async () => {
+      await record(3);
+      restart();
+
+      await expect(auditService.verify()).resolves.toMatchObject({ valid: true });
+    });
+
+    it('detects an entry edited on disk', async () => {
+      await record(3);
+      const lines = readLines();
+      lines[0] = lines[0].replace('command_1', 'command_x');
+      mockFiles.set(SEGMENT, `${lines.join('\n')}\n`);
+      restart();
+
+      await expect(auditService.verify()).resolves.toMatchObject({ valid: false, brokenAt: 1 });
+    });
+
+    it('detects a line removed from the middle of the file', async () => {
+      await record(3);
+      const lines = readLines();
+      mockFiles.set(SEGMENT, `${[lines[0], lines[2]].join('\n')}\n`);
+      restart();
+
+      await expect(auditService.verify()).resolves.toMatchObject({ valid: false, brokenAt: 2 });
+    });
+
+    it('detects a truncated tail', async () => {
+      await record(3);
+      mockFiles.set(SEGMENT, `${readLines().slice(0, 2).join('\n')}\n`);
+      restart();
+
+      await expect(auditService.verify()).resolves.toMatchObject({
+        valid: false,
+        reason: 'Entries removed from the end of the log'
+      });
+    });
+
+    it('keeps an unreadable line instead of writing over it', async () => {
+      await record(2);
+      mockFiles.set(SEGMENT, `${readLines()[0]}\n{"seq":2,"trunc\n`);
+      restart();
+
+      await record(1);
+
+      expect(readLines()[1]).toBe('{"seq":2,"trunc');
+      expect(readLines()).toHaveLength(3);
+      await expect(auditService.verify()).resolves.toMatchObject({ valid: false, brokenAt: 2, reason: 'Entry is unreadable' });
+    });
+  });
+
+  describe('without secure storage', () => {
+    beforeEach(() => {
+      mockStorage.secureStatus.available = false;
+    });
+
+    it('reports the head as unavailable rather than missing', async () => {
+      await record(3);
+
+      await expect(auditService.verify()).resolves.toEqual({
+        valid: true,
+        brokenAt: null,
+        reason: null,
+        headUnavailable: true
+      });
+
+      restart();
+      await expect(auditService.verify()).resolves.toMatchObject({ valid: true, headUnavailable: true });
+    });
+
+    it('does not mistake a head that stopped updating for truncation', async () => {
+      mockStorage.secureStatus.available = true;
+      await record(2);
+      mockStorage.secureStatus.available = false;
+      await record(1);
+
+      await expect(auditService.verify()).resolves.toMatchObject({ valid: true, headUnavailable: true });
+    });
+
+    it('still detects a modified entry', async () => {
+      await record(3);
+      const lines = readLines();
+      lines[1] = lines[1].replace('command_2', 'command_x');
+      mockFiles.set(SEGMENT, `${lines.join('\n')}\n`);
+      restart();
+
+      await expect(auditService.verify()).resolves.toMatchObject({ valid: false, brokenAt: 2, headUnavailable: true });
+    });
+  });
+
+  it('refuses to write when the log cannot be read', async () => {
+    await record(2);
+    const stored = mockFiles.get(SEGMENT);
+    restart();
+    mockFailReads.current = true;
+
+    await expect(auditService.recordCommand({ command: 'help', outcome: 'executed' })).resolves.toBeNull();
+    await expect(auditService.verify()).resolves.toMatchObject({ valid: false, reason: 'Audit log could not be read' });
+    expect(mockFiles.get(SEGMENT)).toBe(stored);
+
+    // Once the log can be read again, writing carries on from it
+    mockFailReads.current = false;
+    await record(1);
+    expect(readLines()).toHaveLength(3);
+    await expect(auditService.verify()).resolves.toMatchObject({ valid: true });
+  });
+
+  it('starts a new segment instead of rewriting full ones', async () => {
+    await record(101);
+    const first = mockFiles.get(SEGMENT);
+    const writes = require('expo-file-system').writeAsStringAsync;
+    writes.mockClear();
+
+    await record(1);
+
+    expect(mockFiles.get(SEGMENT)).toBe(first);
+    expect(readLines('file:///docs/audit-log/segment-000002.jsonl')).toHaveLength(2);
+    expect(writes).toHaveBeenCalledTimes(1);
+    expect(writes.mock.calls[0][0]).toBe('file:///docs/audit-log/segment-000002.jsonl');
+
+    restart();
+    await expect(auditService.verify()).resolves.toMatchObject({ valid: true });
+    expect(auditService.getEntries()).toHaveLength(102);
+  });
+
+  it('carries on from a log written by an earlier version', async () => {
+    await record(2);
+    mockFiles.set('file:///docs/audit-log.jsonl', mockFiles.get(SEGMENT));
+    mockFiles.delete(SEGMENT);
+    restart();
+
+    await record(1);
+
+    expect(mockFiles.has('file:///docs/audit-log.jsonl')).toBe(false);
+    expect(auditService.getEntries().map(entry => entry.seq)).toEqual([1, 2, 3]);
+    await expect(auditService.verify()).resolves.toMatchObject({ valid: true });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for the per-user allowlist and roles
+ */
+const { createFakeStorage, KEYS } = require('../../../test/fakeStorage');
+
+const mockStorage = createFakeStorage();
+
+jest.mock('../../utils/storage', () => mockStorage.module);
+
+const OWNER = 42;
+
+describe('authService', () => {
+  let auth;
+  let authService;
+
+  beforeEach(() => {
+    jest.resetModules();
+    mockStorage.reset();
+    auth = require('../authService');
+    authService = auth.default;
+  });
+
+  it('ranks admin above viewer', () => {
+    expect(auth.hasRole('admin', 'viewer')).toBe(true);
+    expect(auth.hasRole('viewer', 'admin')).toBe(false);
+    expect(auth.hasRole('viewer', 'unknown')).toBe(false);
+    expect(auth.hasRole(null, 'viewer')).toBe(false);
+  });
+
+  it('gives the owner of the private chat full access until users are added', async () => {
+    await expect(authService.authorize({ id: OWNER }, 'admin', OWNER)).resolves.toEqual({ allowed: true, role: 'admin' });
+    await expect(authService.authorize({ id: 7 }, 'viewer', OWNER)).resolves.toEqual({ allowed: false, role: null });
+
+    await authService.addUser({ userId: 7, role: 'viewer' });
+
+    await expect(authService.authorize({ id: OWNER }, 'viewer', OWNER)).resolves.toMatchObject({ allowed: false });
+  });
+
+  it('checks each command against the role of its sender', async () => {
+    await authService.addUser({ userId: '7', role: 'viewer' });
+    await authService.addUser({ userId: '8', role: 'admin' });
+
+    await expect(authService.authorize({ id: 7 }, 'viewer', OWNER)).resolves.toEqual({ allowed: true, role: 'viewer' });
+    await expect(authService.authorize({ id: 7 }, 'admin', OWNER)).resolves.toEqual({ allowed: false, role: 'viewer' });
+    await expect(authService.authorize({ id: 8 }, 'admin', OWNER)).resolves.toEqual({ allowed: true, role: 'admin' });
+    await expect(authService.authorize(undefined, 'viewer', OWNER)).resolves.toEqual({ allowed: false, role: null });
+  });
+
+  it('refuses malformed user IDs and unknown roles', async () => {
+    await expect(authService.addUser({ userId: '@ada', role: 'viewer' })).rejects.toThrow('numeric');
+    await expect(authService.addUser({ userId: 7, role: 'owner' })).rejects.toThrow('Unknown role');
+    expect(mockStorage.values.has(KEYS.AUTHORIZED_USERS)).toBe(false);
+  });
+
+  it('changes a role in place and keeps when the user was added', async () => {
+    await authService.addUser({ userId: 7, role: 'viewer', name: ' Ada ' });
+    const [added] = authService.getUsers();
+
+    await authService.addUser({ userId: 7, role: 'admin', name: 'Ada' });
+
+    expect(authService.getUsers()).toEqual([{ ...added, role: 'admin' }]);
+    expect(added.name).toBe('Ada');
+  });
+
+  it('saves changes and reloads them', async () => {
+    await authService.addUser({ userId: 7, role: 'viewer' });
+    await authService.addUser({ userId: 8, role: 'admin' });
+    await expect(authService.removeUser(7)).resolves.toBe(true);
+    await expect(authService.removeUser(7)).resolves.toBe(false);
+
+    jest.resetModules();
+    authService = require('../authService').default;
+
+    await expect(authService.loadUsers()).resolves.toEqual([expect.objectContaining({ userId: '8', role: 'admin' })]);
+  });
+
+  it('notifies subscribers of changes', async () => {
+    const subscriber = jest.fn();
+    authService.subscribe(subscriber);
+
+    await authService.addUser({ userId: 7, role: 'viewer' });
+
+    expect(subscriber).toHaveBeenLastCalledWith([expect.objectContaining({ userId: '7' })]);
+  });
+});
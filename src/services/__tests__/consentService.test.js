@@ -0,0 +1,133 @@
+/**
+ * Tests for on-device consent
+ */
+const { createFakeStorage } = require('../../../test/fakeStorage');
+
+const mockStorage = createFakeStorage();
+
+jest.mock('../../utils/storage', () => mockStorage.module);
+
+const MINUTE = 60 * 1000;
+const REQUEST = {
+  command: 'contacts',
+  category: 'contacts',
+  chat: { id: -1001234, title: 'Family' },
+  from: { id: 42, username: 'admin' }
+};
+
+describe('consentService', () => {
+  let consent;
+  let consentService;
+
+  // Ask for approval and wait for the prompt to show on the device
+  const prompt = async (details = REQUEST) => {
+    const shown = new Promise(resolve => {
+      const handleRequest = (request) => {
+        if (!request) return;
+        consentService.unsubscribe(handleRequest);
+        resolve(request);
+      };
+      consentService.subscribe(handleRequest);
+    });
+    const result = consentService.requestConsent(details);
+
+    return { request: await shown, result };
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.useFakeTimers();
+    mockStorage.reset();
+    consent = require('../consentService');
+    consentService = consent.default;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('shows the request on the device and resolves with the answer', async () => {
+    const subscriber = jest.fn();
+    consentService.subscribe(subscriber);
+
+    const { request, result } = await prompt();
+
+    expect(consentService.getCurrentRequest()).toBe(request);
+    expect(request).toMatchObject({
+      command: 'contacts',
+      categoryLabel: 'Contacts',
+      chatLabel: 'Family (-1001234) via @admin'
+    });
+    expect(subscriber).toHaveBeenLastCalledWith(request);
+
+    await consentService.respond(request.id, true);
+
+    await expect(result).resolves.toEqual({ approved: true, reason: 'approved' });
+    expect(consentService.getCurrentRequest()).toBeNull();
+    expect(subscriber).toHaveBeenLastCalledWith(null);
+  });
+
+  it('counts a denial', async () => {
+    const { request, result } = await prompt();
+
+    await consentService.respond(request.id, false);
+
+    await expect(result).resolves.toEqual({ approved: false, reason: 'denied' });
+  });
+
+  it('counts an unanswered prompt as a denial', async () => {
+    const { result } = await prompt();
+
+    jest.advanceTimersByTime(consent.PROMPT_TIMEOUT);
+
+    await expect(result).resolves.toEqual({ approved: false, reason: 'timeout' });
+    expect(consentService.getCurrentRequest()).toBeNull();
+  });
+
+  it('denies requests still waiting when cancelled', async () => {
+    const { result } = await prompt();
+
+    consentService.cancelAll();
+
+    await expect(result).resolves.toEqual({ approved: false, reason: 'cancelled' });
+    expect(consentService.getCurrentRequest()).toBeNull();
+  });
+
+  it('remembers an approval for the chosen time', async () => {
+    const { request, result } = await prompt();
+    await consentService.respond(request.id, true, 15 * MINUTE);
+    await result;
+
+    await expect(consentService.requestConsent(REQUEST)).resolves.toEqual({ approved: true, reason: 'remembered' });
+    expect(consentService.hasGrant('sms', REQUEST.chat, REQUEST.from)).toBe(false);
+
+    jest.advanceTimersByTime(15 * MINUTE);
+    expect(consentService.hasGrant('contacts', REQUEST.chat, REQUEST.from)).toBe(false);
+  });
+
+  it.each([
+    ['another chat', { chat: { id: -1005678, title: 'Work' } }],
+    ['another user in the same chat', { from: { id: 43, username: 'guest' } }]
+  ])('still asks for %s after an approval was remembered', async (label, other) => {
+    const { request, result } = await prompt();
+    await consentService.respond(request.id, true, 60 * MINUTE);
+    await result;
+
+    const { request: next, result: nextResult } = await prompt({ ...REQUEST, ...other });
+    await consentService.respond(next.id, false);
+
+    await expect(nextResult).resolves.toEqual({ approved: false, reason: 'denied' });
+    expect(consentService.hasGrant('contacts', REQUEST.chat, REQUEST.from)).toBe(true);
+  });
+
+  it('forgets remembered approvals when revoked', async () => {
+    const { request, result } = await prompt();
+    await consentService.respond(request.id, true, 60 * MINUTE);
+    await result;
+
+    await consentService.revokeGrants();
+
+    expect(consentService.hasGrant('contacts', REQUEST.chat, REQUEST.from)).toBe(false);
+    expect(mockStorage.values.get('consentGrants')).toEqual({});
+  });
+});
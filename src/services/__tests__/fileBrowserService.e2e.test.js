@@ -0,0 +1,100 @@
+/**
+ * End-to-end tests for the file browser
+ * Browses the shared folders with commands and buttons from the fake Bot API server
+ */
+const { buildMessageUpdate, buildCallbackUpdate } = require('../../../test/fakeBotApi');
+const { createFileSystemFake, createSecureStoreFake } = require('../../../test/expoFakes');
+const { CHAT_ID, ADMIN, setupTelegramHarness } = require('../../../test/telegramHarness');
+
+const mockFileSystem = createFileSystemFake();
+const mockSecureStore = createSecureStoreFake();
+
+jest.mock('expo-file-system', () => mockFileSystem.module);
+jest.mock('expo-secure-store', () => mockSecureStore.module);
+jest.mock('expo-crypto', () => require('../../../test/expoFakes').cryptoModule);
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('../../native-modules/NativeHttpServer', () => require('../../../test/expoFakes').httpServerModule);
+jest.mock('../../services/deviceService', () => require('../../../test/telegramHarness').deviceServiceModule);
+jest.mock('../../services/contactsService', () => require('../../../test/telegramHarness').contactsServiceModule);
+
+describe('file browser', () => {
+  const harness = setupTelegramHarness({ fileSystem: mockFileSystem, secureStore: mockSecureStore });
+  const { deliver, sentTexts } = harness;
+
+  it('keeps file browser buttons within the callback data limit', async () => {
+    const dir = `file:///storage/emulated/0/${'very_long_directory_name/'.repeat(4)}`;
+    const path = `${dir}quarterly_report_final_v2.txt`;
+    mockFileSystem.files.set(dir, { isDirectory: true });
+    mockFileSystem.files.set(path, { content: 'report' });
+
+    await deliver(buildMessageUpdate(`/storage ${dir}`, { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+
+    const buttons = harness.fake.sentMessages[0].reply_markup.inline_keyboard.flat();
+    buttons.forEach(button => expect(Buffer.byteLength(button.callback_data)).toBeLessThanOrEqual(64));
+
+    const fileButton = buttons.find(button => button.text.startsWith('📄 quarterly_report_final_v2.txt'));
+    await deliver(buildCallbackUpdate(fileButton.callback_data, { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+
+    expect(harness.fake.sentDocuments).toHaveLength(1);
+    expect(harness.fake.sentDocuments[0].caption).toMatch(/^File: quarterly_report_final_v2\.txt/);
+  });
+
+  it('pages, sorts and filters the file browser per chat session', async () => {
+    const dir = 'file:///docs/notes/';
+    const press = (text) => {
+      const keyboard = harness.fake.sentMessages[harness.fake.sentMessages.length - 1].reply_markup.inline_keyboard.flat();
+      const button = keyboard.find(b => b.text.includes(text));
+      return deliver(buildCallbackUpdate(button.callback_data, { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+    };
+    const listed = () => harness.fake.sentMessages[harness.fake.sentMessages.length - 1].reply_markup.inline_keyboard
+      .flat()
+      .filter(b => b.text.startsWith('📄') || b.text.startsWith('📁'))
+      .map(b => b.text.split(' ')[1]);
+
+    mockFileSystem.files.set(dir, { isDirectory: true });
+    mockFileSystem.files.set(`${dir}photos/`, { isDirectory: true });
+    for (let i = 1; i <= 10; i++) {
+      const name = `note${String(i).padStart(2, '0')}.${i % 2 ? 'txt' : 'pdf'}`;
+      mockFileSystem.files.set(`${dir}${name}`, { content: 'x'.repeat(i), modificationTime: 100 - i });
+    }
+
+    await deliver(buildMessageUpdate(`/storage ${dir}`, { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+    expect(harness.fake.sentMessages[0].text).toMatch(/11 items.*\nPage 1 of 2/);
+    expect(listed()).toEqual(['photos/', 'note01.txt', 'note02.pdf', 'note03.txt', 'note04.pdf',
+      'note05.txt', 'note06.pdf', 'note07.txt']);
+
+    await press('Next');
+    expect(harness.fake.sentMessages[1].text).toMatch(/Page 2 of 2/);
+    expect(listed()).toEqual(['note08.pdf', 'note09.txt', 'note10.pdf']);
+
+    await press('Size');
+    expect(listed().slice(0, 3)).toEqual(['photos/', 'note10.pdf', 'note09.txt']);
+
+    await deliver(buildMessageUpdate('/filter pdf', { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+    expect(listed()).toEqual(['photos/', 'note10.pdf', 'note08.pdf', 'note06.pdf', 'note04.pdf', 'note02.pdf']);
+
+    // Another admin in the same chat has their own session
+    await harness.authService.addUser({ userId: '43', role: 'admin', name: 'Second Admin' });
+    await deliver(buildMessageUpdate(`/storage ${dir}`, { chatId: CHAT_ID, from: { ...ADMIN, id: 43 }, chatType: 'group' }));
+    expect(listed()).toHaveLength(8);
+
+    await deliver(buildMessageUpdate('/sort color', { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+    expect(harness.fake.sentMessages.pop().text).toMatch(/by must be one of: name, size, date/);
+  });
+
+  it('does not navigate back above the shared folder', async () => {
+    mockFileSystem.files.set('file:///docs/', { isDirectory: true });
+    mockFileSystem.files.set('file:///docs/photos/', { isDirectory: true });
+
+    await deliver(buildMessageUpdate('/storage file:///docs/photos', { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+    await deliver(buildMessageUpdate('/back', { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+    await deliver(buildMessageUpdate('/back', { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+
+    const texts = sentTexts();
+    expect(texts[1]).toMatch(/`file:\/\/\/docs\/`/);
+    expect(texts[2]).toMatch(/`file:\/\/\/docs\/`/);
+    expect(harness.fake.sentMessages[2].reply_markup.inline_keyboard[0].map(b => b.text)).toEqual(['docs']);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * End-to-end tests for pairing chats from Telegram
+ * Chats pair with /pair and a code from the device through the fake Bot API server
+ */
+const { buildMessageUpdate } = require('../../../test/fakeBotApi');
+const { createFileSystemFake, createSecureStoreFake } = require('../../../test/expoFakes');
+const { TOKEN, setupTelegramHarness } = require('../../../test/telegramHarness');
+
+const mockFileSystem = createFileSystemFake();
+const mockSecureStore = createSecureStoreFake();
+
+jest.mock('expo-file-system', () => mockFileSystem.module);
+jest.mock('expo-secure-store', () => mockSecureStore.module);
+jest.mock('expo-crypto', () => require('../../../test/expoFakes').cryptoModule);
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('../../native-modules/NativeHttpServer', () => require('../../../test/expoFakes').httpServerModule);
+jest.mock('../../services/deviceService', () => require('../../../test/telegramHarness').deviceServiceModule);
+jest.mock('../../services/contactsService', () => require('../../../test/telegramHarness').contactsServiceModule);
+
+describe('pairing', () => {
+  const harness = setupTelegramHarness({ fileSystem: mockFileSystem, secureStore: mockSecureStore });
+  const { deliver, connect, sentTexts } = harness;
+
+  const NEWCOMER = { id: 555, is_bot: false, first_name: 'Grace', username: 'grace' };
+  let pairingService;
+
+  beforeEach(async () => {
+    pairingService = require('../pairingService').default;
+    harness.api.disconnect();
+    harness.api = await connect(TOKEN, { chatId: null });
+    harness.fake.reset();
+  });
+
+  const pair = (code, from = NEWCOMER) =>
+    deliver(buildMessageUpdate(`/pair ${code}`, { chatId: from.id, from }));
+
+  it('answers only /pair until a chat is paired', async () => {
+    await deliver(buildMessageUpdate('/device_info', { chatId: NEWCOMER.id, from: NEWCOMER }));
+    expect(harness.fake.sentMessages).toHaveLength(0);
+
+    const { code } = pairingService.createCode('viewer');
+    await pair(code.toLowerCase());
+
+    expect(sentTexts()).toEqual([expect.stringContaining('✅ Paired Grace as viewer')]);
+    expect(harness.api.chatId).toBe('555');
+    expect(harness.authService.getRole(NEWCOMER.id)).toBe('viewer');
+    expect(pairingService.getPairings()).toEqual([
+      expect.objectContaining({ chatId: '555', userId: '555', name: 'Grace', pairedAt: expect.any(String) })
+    ]);
+
+    await deliver(buildMessageUpdate('/device_info', { chatId: NEWCOMER.id, from: NEWCOMER }));
+    expect(sentTexts()).toContain('📱 Device: Test Phone');
+  });
+
+  it('refuses a wrong code and uses a code only once', async () => {
+    const { code } = pairingService.createCode();
+    const intruder = { ...NEWCOMER, id: 666 };
+
+    await pair('AAAAAA', intruder);
+    await pair(code);
+    await pair(code, intruder);
+
+    expect(sentTexts()).toEqual([
+      expect.stringContaining('not valid'),
+      expect.stringContaining('✅ Paired'),
+      expect.stringContaining('No pairing code is active')
+    ]);
+    expect(harness.fake.sentMessages.map(m => m.chat_id)).toEqual(['666', '555', '666']);
+    expect(harness.authService.getRole(intruder.id)).toBeNull();
+    expect(harness.auditService.getEntries().pop()).toMatchObject({ command: 'pair', outcome: 'denied_pairing' });
+  });
+
+  it.each([
+    [403, 'Forbidden: bot was blocked by the user', 'botBlocked'],
+    [400, 'Bad Request: chat not found', 'chatNotFound'],
+    [403, 'Forbidden: bot is not a member of the supergroup chat', 'notMember'],
+    [400, 'Bad Request: not enough rights to send text messages to the chat', 'noSendRights']
+  ])('undoes the pairing when the bot cannot post to the chat (%i "%s")', async (status, description, reason) => {
+    const failures = [];
+    harness.api.on('pairingFailed', error => failures.push(error));
+    harness.fake.failNext('sendMessage', { status, description });
+
+    await pair(pairingService.createCode().code);
+
+    expect(failures).toEqual([expect.objectContaining({ name: 'SetupError', reason })]);
+    expect(harness.api.chatId).toBeNull();
+    expect(pairingService.getPairings()).toEqual([]);
+    expect(harness.authService.getRole(NEWCOMER.id)).toBeNull();
+    expect(harness.auditService.getEntries().pop()).toMatchObject({ command: 'pair', outcome: 'failed' });
+  });
+
+  it('cancels the code after too many wrong attempts', async () => {
+    const { code } = pairingService.createCode();
+    for (let i = 0; i < 5; i++) {
+      await pair('AAAAAA');
+    }
+    await pair(code);
+
+    expect(sentTexts().slice(-2)).toEqual([
+      expect.stringContaining('Too many wrong codes'),
+      expect.stringContaining('No pairing code is active')
+    ]);
+    expect(harness.api.chatId).toBeNull();
+  });
+
+  it('unpairs with /unpair from the chat', async () => {
+    await pair(pairingService.createCode().code);
+    harness.fake.reset();
+
+    await deliver(buildMessageUpdate('/unpair', { chatId: NEWCOMER.id, from: NEWCOMER }));
+    await deliver(buildMessageUpdate('/device_info', { chatId: NEWCOMER.id, from: NEWCOMER }));
+
+    expect(sentTexts()).toEqual(['🔓 Unpaired. This chat can no longer control the device.']);
+    expect(harness.api.chatId).toBeNull();
+    expect(harness.authService.getRole(NEWCOMER.id)).toBeNull();
+    expect(pairingService.getPairings()).toEqual([]);
+  });
+
+  it('unpairs from the device and tells the chat', async () => {
+    await pair(pairingService.createCode().code);
+    harness.fake.reset();
+
+    await harness.api.removePairing(String(NEWCOMER.id));
+
+    expect(sentTexts()).toEqual(['🔓 The device owner unpaired Grace.']);
+    expect(harness.fake.sentMessages[0].chat_id).toBe('555');
+    expect(harness.api.chatId).toBeNull();
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for pairing chats with one-time codes
+ */
+const { createFakeStorage, KEYS } = require('../../../test/fakeStorage');
+
+const mockStorage = createFakeStorage();
+
+jest.mock('../../utils/storage', () => mockStorage.module);
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: (count) => new Uint8Array(require('crypto').randomBytes(count))
+}));
+
+const START = new Date(2026, 0, 5, 12).getTime();
+const MINUTE = 60 * 1000;
+
+const message = (chatId, userId, firstName = 'Ada') => ({
+  chat: { id: chatId, type: 'private' },
+  from: { id: userId, is_bot: false, first_name: firstName }
+});
+
+describe('pairingService', () => {
+  let pairing;
+  let pairingService;
+  let authService;
+
+  beforeEach(() => {
+    jest.resetModules();
+    mockStorage.reset();
+    pairing = require('../pairingService');
+    pairingService = pairing.default;
+    authService = require('../authService').default;
+  });
+
+  it('creates short codes that expire', () => {
+    const { code, role, expiresAt } = pairingService.createCode('viewer', START);
+
+    expect(code).toMatch(/^[A-HJ-NP-Z2-9]{6}$/);
+    expect(role).toBe('viewer');
+    expect(expiresAt).toBe(START + pairing.CODE_TTL);
+    expect(pairingService.getPendingCode(expiresAt)).toBeNull();
+  });
+
+  it('binds the chat and authorizes the sender once the code is redeemed', async () => {
+    const { code } = pairingService.createCode('admin', START);
+
+    const saved = await pairingService.redeem(` ${code.slice(0, 3)}-${code.slice(3).toLowerCase()} `, message(42, 42), START + MINUTE);
+
+    expect(saved).toEqual({
+      chatId: '42',
+      chatTitle: 'Ada',
+      userId: '42',
+      name: 'Ada',
+      role: 'admin',
+      pairedAt: new Date(START + MINUTE).toISOString()
+    });
+    expect(mockStorage.values.get(KEYS.CHAT_ID)).toBe('42');
+    expect(mockStorage.values.get(KEYS.PAIRINGS)).toEqual([saved]);
+    expect(authService.getRole(42)).toBe('admin');
+
+    // One use only
+    await expect(pairingService.redeem(code, message(42, 43), START + MINUTE))
+      .rejects.toMatchObject({ reason: pairing.PAIRING_ERRORS.NO_CODE });
+  });
+
+  it('refuses an expired code', async () => {
+    const { code } = pairingService.createCode('admin', START);
+
+    await expect(pairingService.redeem(code, message(42, 42), START + pairing.CODE_TTL))
+      .rejects.toMatchObject({ reason: pairing.PAIRING_ERRORS.EXPIRED });
+    expect(authService.getRole(42)).toBeNull();
+  });
+
+  it('throws the code away after too many wrong attempts', async () => {
+    const { code } = pairingService.createCode('admin', START);
+
+    for (let i = 0; i < 4; i++) {
+      await expect(pairingService.redeem('WRONG1', message(66, 66), START))
+        .rejects.toMatchObject({ reason: pairing.PAIRING_ERRORS.WRONG_CODE });
+    }
+    await expect(pairingService.redeem('WRONG1', message(66, 66), START))
+      .rejects.toMatchObject({ reason: pairing.PAIRING_ERRORS.TOO_MANY_ATTEMPTS });
+    await expect(pairingService.redeem(code, message(42, 42), START))
+      .rejects.toMatchObject({ reason: pairing.PAIRING_ERRORS.NO_CODE });
+  });
+
+  it('moves the binding to a newly paired chat', async () => {
+    await pairingService.redeem(pairingService.createCode('admin', START).code, message(42, 42), START);
+    await pairingService.redeem(pairingService.createCode('viewer', START).code, message(-100, 77, 'Bob'), START);
+
+    expect(pairingService.chatId).toBe('-100');
+    expect(pairingService.getPairings().map(p => p.userId)).toEqual(['77']);
+    expect(authService.getRole(42)).toBeNull();
+  });
+
+  it('unbinds the chat when its last pairing is removed', async () => {
+    await pairingService.redeem(pairingService.createCode('admin', START).code, message(-100, 42), START);
+    await pairingService.redeem(pairingService.createCode('viewer', START).code, message(-100, 77, 'Bob'), START);
+
+    await pairingService.unpair(42);
+    expect(pairingService.chatId).toBe('-100');
+
+    await expect(pairingService.unpair('77')).resolves.toMatchObject({ name: 'Bob' });
+    expect(pairingService.chatId).toBeNull();
+    expect(mockStorage.values.has(KEYS.CHAT_ID)).toBe(false);
+    expect(authService.getUsers()).toEqual([]);
+    await expect(pairingService.unpair('77')).resolves.toBeNull();
+  });
+
+  it('drops a chat saved before pairing existed until it pairs', async () => {
+    mockStorage.values.set(KEYS.CHAT_ID, '42');
+
+    await pairingService.load();
+
+    expect(pairingService.chatId).toBeNull();
+    expect(mockStorage.values.has(KEYS.CHAT_ID)).toBe(false);
+    expect(authService.getRole(42, pairingService.chatId)).toBeNull();
+  });
+
+  it('keeps a paired chat across restarts', async () => {
+    await pairingService.redeem(pairingService.createCode('admin', START).code, message(42, 42), START);
+
+    jest.resetModules();
+    pairingService = require('../pairingService').default;
+    await pairingService.load();
+
+    expect(pairingService.chatId).toBe('42');
+    expect(pairingService.getPairings()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Tests for scheduled device status reports
+ */
+const { createFakeStorage, KEYS } = require('../../../test/fakeStorage');
+
+const mockStorage = createFakeStorage();
+
+jest.mock('../../utils/storage', () => mockStorage.module);
+
+jest.mock('../deviceService', () => ({
+  getDeviceInfo: jest.fn(async () => ({
+    deviceName: 'Test_Phone',
+    batteryLevel: '87%',
+    networkType: 'WIFI',
+    isInternetReachable: true,
+    freeStorage: '12.5 GB'
+  }))
+}));
+
+// Local times, so the schedule is checked in the zone the tests run in
+const at = (day, hours, minutes = 0) => new Date(2026, 0, day, hours, minutes).getTime();
+
+describe('reportService', () => {
+  let reportService;
+  let reports;
+  let sessionService;
+  let send;
+
+  // Add a report as if it had been created at a given time
+  const addReport = async (report, createdAt) => {
+    const saved = await reportService.addReport(report);
+    reportService.reports.find(r => r.id === saved.id).createdAt = createdAt;
+    return saved;
+  };
+
+  beforeEach(async () => {
+    jest.resetModules();
+    // Remote access that never ends, unless a test sets limits
+    mockStorage.reset({
+      [KEYS.APP_SETTINGS]: { apiBaseUrl: 'http://example.com', remoteSession: { maxHours: 0, idleMinutes: 0 } }
+    });
+    reports = require('../reportService');
+    sessionService = require('../sessionService').default;
+    reportService = reports.default;
+    send = jest.fn(async () => {});
+    await reportService.start(send);
+    reportService.setOnline(true);
+  });
+
+  afterEach(() => {
+    reportService.stop();
+    sessionService.stop();
+  });
+
+  describe('schedule', () => {
+    // 2026-01-05 is a Monday
+    const daily = { frequency: 'daily', time: '08:30' };
+    const weekly = { frequency: 'weekly', weekday: 1, time: '09:00' };
+
+    it('finds the last and next daily run', () => {
+      expect(reports.getLastScheduledTime(daily, at(5, 8, 30))).toBe(at(5, 8, 30));
+      expect(reports.getLastScheduledTime(daily, at(5, 8, 29))).toBe(at(4, 8, 30));
+      expect(reports.getNextScheduledTime(daily, at(5, 8, 30))).toBe(at(6, 8, 30));
+    });
+
+    it('finds the last and next weekly run', () => {
+      expect(reports.getLastScheduledTime(weekly, at(7, 12))).toBe(at(5, 9));
+      expect(reports.getLastScheduledTime(weekly, at(5, 8))).toBe(at(-2, 9));
+      expect(reports.getNextScheduledTime(weekly, at(7, 12))).toBe(at(12, 9));
+    });
+
+    it('describes the schedule', () => {
+      expect(reports.describeSchedule(daily)).toBe('Daily at 08:30');
+      expect(reports.describeSchedule(weekly)).toBe('Mondays at 09:00');
+    });
+  });
+
+  it('shows only the chosen fields, escaped for Telegram', () => {
+    const { validateText } = require('../../../test/fakeBotApi');
+    const message = reports.formatReport(
+      { name: 'Morning_status', fields: ['freeStorage', 'deviceName', 'isInternetReachable'] },
+      { deviceName: 'Test_Phone', isInternetReachable: true, batteryLevel: '87%' },
+      new Date(at(5, 8))
+    );
+
+    expect(message.toPlainText()).toMatch(/^📋 Morning_status\n• Device: Test_Phone\n• Internet: Yes\n• Free storage: unknown\n\nCollected /);
+    expect(validateText(message.render('MarkdownV2'), 'MarkdownV2')).toBeNull();
+  });
+
+  it('refuses reports without fields or with a bad time', async () => {
+    await expect(reportService.addReport({ name: 'Empty', fields: [], frequency: 'daily', time: '08:00' }))
+      .rejects.toThrow('at least one field');
+    await expect(reportService.addReport({ name: 'Late', fields: ['uptime'], frequency: 'daily', time: '25:00' }))
+      .rejects.toThrow('HH:MM');
+  });
+
+  it('stores reports with the app settings', async () => {
+    await reportService.addReport(reports.REPORT_PRESETS[0]);
+
+    expect(mockStorage.values.get(KEYS.APP_SETTINGS).apiBaseUrl).toBe('http://example.com');
+    expect(mockStorage.values.get(KEYS.APP_SETTINGS).reports).toEqual([
+      expect.objectContaining({ name: 'Morning status', time: '08:00', enabled: true })
+    ]);
+  });
+
+  it('sends a report once when its time comes', async () => {
+    await addReport({ name: 'Battery', fields: ['batteryLevel'], frequency: 'daily', time: '08:00' }, at(4, 12));
+
+    await expect(reportService.runDueReports(at(5, 7, 59))).resolves.toEqual([]);
+    const [id] = await reportService.runDueReports(at(5, 8, 1));
+    await expect(reportService.runDueReports(at(5, 9))).resolves.toEqual([]);
+
+    expect(id).toBeDefined();
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send.mock.calls[0][0].toPlainText()).toContain('• Battery: 87%');
+  });
+
+  it('does not send a report for a time before it was created', async () => {
+    await addReport({ name: 'Battery', fields: ['batteryLevel'], frequency: 'daily', time: '08:00' }, at(5, 10));
+
+    await expect(reportService.runDueReports(at(5, 11))).resolves.toEqual([]);
+  });
+
+  it('makes up a recently missed run once and skips a stale one', async () => {
+    await addReport({ name: 'Battery', fields: ['batteryLevel'], frequency: 'daily', time: '08:00' }, at(1, 12));
+
+    // The app was not running at 08:00 on the 5th but is by noon
+    await expect(reportService.runDueReports(at(5, 12))).resolves.toHaveLength(1);
+    // Not running again until the evening of the 6th: too late for that day's report
+    await expect(reportService.runDueReports(at(6, 21))).resolves.toEqual([]);
+
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it('queues one report while offline and skips the next until it is sent', async () => {
+    await addReport({ name: 'Battery', fields: ['batteryLevel'], frequency: 'daily', time: '08:00' }, at(1, 12));
+    reportService.setOnline(false);
+
+    await expect(reportService.runDueReports(at(5, 8))).resolves.toHaveLength(1);
+    await expect(reportService.runDueReports(at(6, 8))).resolves.toEqual([]);
+
+    reportService.setOnline(true);
+    await expect(reportService.runDueReports(at(7, 8))).resolves.toHaveLength(1);
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not send reports once remote access has ended', async () => {
+    await addReport({ name: 'Battery', fields: ['batteryLevel'], frequency: 'daily', time: '08:00' }, at(1, 12));
+    await sessionService.setLimits({ maxHours: 0, idleMinutes: 30 }, at(5, 7));
+
+    await expect(reportService.runDueReports(at(5, 8))).resolves.toEqual([]);
+    expect(send).not.toHaveBeenCalled();
+
+    // The run was skipped, not held back until access is allowed again
+    await sessionService.arm(at(5, 9));
+    await expect(reportService.runDueReports(at(5, 9))).resolves.toEqual([]);
+    await expect(reportService.runDueReports(at(6, 8))).resolves.toEqual([]);
+  });
+
+  it('skips disabled reports', async () => {
+    const report = await addReport({ name: 'Battery', fields: ['batteryLevel'], frequency: 'daily', time: '08:00' }, at(1, 12));
+    await reportService.updateReport(report.id, { enabled: false });
+
+    await expect(reportService.runDueReports(at(5, 8))).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * End-to-end tests for remote-access sessions
+ * Commands from the fake Bot API server are refused once the session has expired
+ */
+const { buildMessageUpdate, buildCallbackUpdate } = require('../../../test/fakeBotApi');
+const { createFileSystemFake, createSecureStoreFake } = require('../../../test/expoFakes');
+const { CHAT_ID, ADMIN, VIEWER, setupTelegramHarness } = require('../../../test/telegramHarness');
+
+const mockFileSystem = createFileSystemFake();
+const mockSecureStore = createSecureStoreFake();
+
+jest.mock('expo-file-system', () => mockFileSystem.module);
+jest.mock('expo-secure-store', () => mockSecureStore.module);
+jest.mock('expo-crypto', () => require('../../../test/expoFakes').cryptoModule);
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('../../native-modules/NativeHttpServer', () => require('../../../test/expoFakes').httpServerModule);
+jest.mock('../../services/deviceService', () => require('../../../test/telegramHarness').deviceServiceModule);
+jest.mock('../../services/contactsService', () => require('../../../test/telegramHarness').contactsServiceModule);
+
+describe('remote-access sessions', () => {
+  const harness = setupTelegramHarness({ fileSystem: mockFileSystem, secureStore: mockSecureStore });
+  const { deliver, sentTexts } = harness;
+
+  const HOUR = 60 * 60 * 1000;
+
+  const send = (text, from = ADMIN) => deliver(buildMessageUpdate(text, { chatId: CHAT_ID, from, chatType: 'group' }));
+
+  beforeEach(async () => {
+    // The session was allowed two hours ago with a one-hour limit
+    await harness.sessionService.setLimits({ maxHours: 1, idleMinutes: 0 }, Date.now() - 2 * HOUR);
+  });
+
+  it('refuses commands once the session has expired', async () => {
+    await send('/device_info');
+
+    expect(sentTexts()).toEqual([expect.stringContaining('Session expired. Re-arm remote access on the device')]);
+    expect(harness.deps.refreshDeviceInfo).not.toHaveBeenCalled();
+    expect(harness.auditService.getEntries().pop()).toMatchObject({ command: '/device_info', outcome: 'denied_session' });
+  });
+
+  it('answers buttons from an expired session with an alert', async () => {
+    const update = buildCallbackUpdate(harness.api.callbackData('sms_logs'), { chatId: CHAT_ID, from: ADMIN, chatType: 'group' });
+    await deliver(update);
+
+    expect(harness.fake.answeredCallbacks).toEqual([
+      expect.objectContaining({ callback_query_id: update.callback_query.id, show_alert: true })
+    ]);
+    expect(harness.deps.sms.getSmsMessages).not.toHaveBeenCalled();
+  });
+
+  it('runs commands again once the owner re-arms the session', async () => {
+    await harness.sessionService.arm();
+    await send('/device_info');
+
+    expect(sentTexts()).toContain('📱 Device: Test Phone');
+  });
+
+  it('keeps an active session alive with commands from authorized users only', async () => {
+    await harness.sessionService.setLimits({ maxHours: 0, idleMinutes: 30 });
+    const { lastActivityAt } = harness.sessionService;
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    await send('/device_info', { ...ADMIN, id: 999 });
+    expect(harness.sessionService.lastActivityAt).toBe(lastActivityAt);
+
+    await send('/device_info', VIEWER);
+    expect(harness.sessionService.lastActivityAt).toBeGreaterThan(lastActivityAt);
+  });
+});
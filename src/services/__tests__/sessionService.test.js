@@ -0,0 +1,121 @@
+/**
+ * Tests for remote-access sessions
+ */
+const { createFakeStorage } = require('../../../test/fakeStorage');
+
+const mockStorage = createFakeStorage();
+
+jest.mock('../../utils/storage', () => mockStorage.module);
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const START = new Date(2026, 0, 5, 12).getTime();
+
+describe('sessionService', () => {
+  let sessions;
+  let sessionService;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    jest.useFakeTimers();
+    jest.setSystemTime(START);
+    mockStorage.reset();
+    sessions = require('../sessionService');
+    sessionService = sessions.default;
+    await sessionService.load(START);
+  });
+
+  afterEach(() => {
+    sessionService.stop();
+    jest.useRealTimers();
+  });
+
+  it('ends sessions by default', () => {
+    expect(sessionService.getLimits()).toEqual({ maxHours: 12, idleMinutes: 60 });
+    expect(sessionService.getStatus(START + 59 * MINUTE)).toMatchObject({ active: true, expiresAt: START + HOUR });
+    expect(sessionService.getStatus(START + HOUR)).toMatchObject({
+      active: false,
+      reason: sessions.SESSION_END_REASONS.IDLE
+    });
+  });
+
+  it('never ends a session with both limits turned off', async () => {
+    await sessionService.setLimits({ maxHours: 0, idleMinutes: 0 }, START);
+
+    expect(sessionService.getStatus(START + 1000 * HOUR)).toEqual({
+      active: true,
+      expiresAt: null,
+      remaining: null,
+      reason: null
+    });
+  });
+
+  it('ends a session after its time limit, even with commands', async () => {
+    await sessionService.setLimits({ maxHours: 2, idleMinutes: 0 }, START);
+
+    await expect(sessionService.recordActivity(START + 90 * MINUTE)).resolves.toBe(true);
+
+    expect(sessionService.getStatus(START + 119 * MINUTE)).toMatchObject({ active: true, remaining: MINUTE });
+    expect(sessionService.getStatus(START + 2 * HOUR)).toMatchObject({
+      active: false,
+      reason: sessions.SESSION_END_REASONS.DURATION
+    });
+    await expect(sessionService.recordActivity(START + 3 * HOUR)).resolves.toBe(false);
+  });
+
+  it('ends an idle session, and commands keep it going', async () => {
+    await sessionService.setLimits({ maxHours: 0, idleMinutes: 15 }, START);
+
+    await sessionService.recordActivity(START + 10 * MINUTE);
+    expect(sessionService.getStatus(START + 20 * MINUTE)).toMatchObject({ active: true, expiresAt: START + 25 * MINUTE });
+
+    expect(sessionService.getStatus(START + 25 * MINUTE)).toMatchObject({
+      active: false,
+      reason: sessions.SESSION_END_REASONS.IDLE
+    });
+  });
+
+  it('reports whichever limit comes first', async () => {
+    await sessionService.setLimits({ maxHours: 1, idleMinutes: 30 }, START);
+
+    expect(sessionService.getStatus(START).expiresAt).toBe(START + 30 * MINUTE);
+    await sessionService.recordActivity(START + 25 * MINUTE);
+    await sessionService.recordActivity(START + 50 * MINUTE);
+    expect(sessionService.getStatus(START + 50 * MINUTE).expiresAt).toBe(START + HOUR);
+  });
+
+  it('stays ended across restarts until re-armed', async () => {
+    await sessionService.setLimits({ maxHours: 1 }, START);
+
+    jest.resetModules();
+    sessionService = require('../sessionService').default;
+    await sessionService.load(START + 2 * HOUR);
+    expect(sessionService.isActive(START + 2 * HOUR)).toBe(false);
+
+    await sessionService.arm(START + 2 * HOUR);
+    expect(sessionService.getStatus(START + 2 * HOUR)).toMatchObject({ active: true, expiresAt: START + 3 * HOUR });
+  });
+
+  it('notifies subscribers when the session ends', async () => {
+    const subscriber = jest.fn();
+    await sessionService.setLimits({ idleMinutes: 15 }, START);
+    sessionService.subscribe(subscriber);
+
+    jest.advanceTimersByTime(15 * MINUTE);
+
+    expect(subscriber).toHaveBeenLastCalledWith(expect.objectContaining({
+      active: false,
+      reason: sessions.SESSION_END_REASONS.IDLE
+    }));
+  });
+
+  it('refuses negative limits', async () => {
+    await expect(sessionService.setLimits({ maxHours: -1 })).rejects.toThrow('hours');
+    await expect(sessionService.setLimits({ idleMinutes: 'soon' })).rejects.toThrow('minutes');
+  });
+
+  it('formats the time left', () => {
+    expect([30 * 1000, 14 * MINUTE, 2 * HOUR + 5 * MINUTE].map(sessions.formatSessionTime))
+      .toEqual(['<1m', '14m', '2h 05m']);
+  });
+});
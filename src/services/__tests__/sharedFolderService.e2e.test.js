@@ -0,0 +1,104 @@
+/**
+ * End-to-end tests for the shared-folder sandbox
+ * Paths in commands from the fake Bot API server must stay inside the shared folders
+ */
+const { buildMessageUpdate } = require('../../../test/fakeBotApi');
+const { createFileSystemFake, createSecureStoreFake } = require('../../../test/expoFakes');
+const { CHAT_ID, ADMIN, setupTelegramHarness } = require('../../../test/telegramHarness');
+
+const mockFileSystem = createFileSystemFake();
+const mockSecureStore = createSecureStoreFake();
+
+jest.mock('expo-file-system', () => mockFileSystem.module);
+jest.mock('expo-secure-store', () => mockSecureStore.module);
+jest.mock('expo-crypto', () => require('../../../test/expoFakes').cryptoModule);
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('../../native-modules/NativeHttpServer', () => require('../../../test/expoFakes').httpServerModule);
+jest.mock('../../services/deviceService', () => require('../../../test/telegramHarness').deviceServiceModule);
+jest.mock('../../services/contactsService', () => require('../../../test/telegramHarness').contactsServiceModule);
+
+describe('shared-folder sandbox', () => {
+  const harness = setupTelegramHarness({ fileSystem: mockFileSystem, secureStore: mockSecureStore });
+  const { deliver, sentTexts } = harness;
+
+  const send = (text) => deliver(buildMessageUpdate(text, { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+
+  beforeEach(() => {
+    mockFileSystem.files.set('file:///docs/', { isDirectory: true });
+    mockFileSystem.files.set('file:///docs/notes.txt', { content: 'notes' });
+    mockFileSystem.files.set('file:///data/secrets.db', { content: 'secret' });
+  });
+
+  it.each([
+    ['/file /data/secrets.db', 'Path is outside the shared folders'],
+    ['/file file:///docs/../data/secrets.db', 'Paths may not contain ".." or "."'],
+    ['/file file:///docs/%2E%2E/data/secrets.db', 'Paths may not contain ".." or "."'],
+    ['/file file:///docs/%2E%2E%2Fdata/secrets.db', 'Paths may not contain ".." or "."'],
+    ['/file file:///docs-old/notes.txt', 'Path is outside the shared folders'],
+    ['/storage /data', 'Path is outside the shared folders'],
+    ['/file docs/notes.txt', 'Invalid path']
+  ])('denies %s', async (command, reason) => {
+    await send(command);
+
+    expect(harness.fake.sentDocuments).toHaveLength(0);
+    expect(sentTexts()).toEqual([expect.stringContaining(`🚫 Access denied. ${reason}`)]);
+    expect(harness.auditService.getEntries().pop()).toMatchObject({ outcome: 'denied_path' });
+  });
+
+  it('sends files with a percent sign in their name', async () => {
+    mockFileSystem.files.set('file:///docs/100%.txt', { content: 'all of it' });
+    mockFileSystem.files.set('file:///docs/a%20b.txt', { content: 'not a space' });
+
+    await send('/file /docs/100%.txt');
+    await send('/file file:///docs/a%20b.txt');
+
+    expect(sentTexts()).toEqual([]);
+    expect(harness.fake.sentDocuments.map(d => d.caption)).toEqual([
+      expect.stringMatching(/^File: 100%\.txt/),
+      expect.stringMatching(/^File: a%20b\.txt/)
+    ]);
+  });
+
+  it('denies links that lead out of a shared folder', async () => {
+    harness.nativeFileSystem.getCanonicalPath.mockImplementation(async (path) =>
+      path.replace('/docs/link', '/data'));
+    mockFileSystem.files.set('file:///docs/link/secrets.db', { content: 'secret' });
+
+    await send('/file file:///docs/link/secrets.db');
+    await send('/file file:///docs/notes.txt');
+
+    expect(sentTexts()).toEqual([expect.stringContaining('🚫 Access denied. Path links outside the shared folders')]);
+    expect(harness.fake.sentDocuments).toHaveLength(1);
+  });
+
+  it('denies file access when links cannot be resolved', async () => {
+    harness.nativeFileSystem.getCanonicalPath.mockRejectedValue(new Error('EACCES'));
+
+    await send('/file file:///docs/notes.txt');
+
+    expect(harness.fake.sentDocuments).toHaveLength(0);
+    expect(sentTexts()).toEqual([expect.stringContaining('🚫 Access denied. Links in this path cannot be checked on this device')]);
+  });
+
+  it('denies file access in builds without the native module', async () => {
+    delete require('react-native').NativeModules.FileSystem;
+    jest.resetModules();
+    const sandbox = require('../sharedFolderService');
+    await sandbox.default.addFolder('file:///docs/');
+
+    await expect(sandbox.default.resolvePath('file:///docs/notes.txt')).rejects.toMatchObject({
+      reason: sandbox.DENIAL_REASONS.UNRESOLVED_LINKS
+    });
+  });
+
+  it('refuses all file access until a folder is shared', async () => {
+    await harness.sharedFolderService.removeFolder('file:///docs');
+    await harness.sharedFolderService.removeFolder('file:///storage/emulated/0');
+
+    await send('/storage');
+
+    expect(sentTexts()).toEqual([expect.stringContaining('No folders are shared on this device')]);
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * End-to-end tests for chunked transfers
+ * Large files reach the fake Bot API server in parts that survive failures and restarts
+ */
+const { buildMessageUpdate } = require('../../../test/fakeBotApi');
+const { createFileSystemFake, createSecureStoreFake } = require('../../../test/expoFakes');
+const { TOKEN, CHAT_ID, ADMIN, setupTelegramHarness } = require('../../../test/telegramHarness');
+
+const mockFileSystem = createFileSystemFake();
+const mockSecureStore = createSecureStoreFake();
+
+jest.mock('expo-file-system', () => mockFileSystem.module);
+jest.mock('expo-secure-store', () => mockSecureStore.module);
+jest.mock('expo-crypto', () => require('../../../test/expoFakes').cryptoModule);
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('../../native-modules/NativeHttpServer', () => require('../../../test/expoFakes').httpServerModule);
+jest.mock('../../services/deviceService', () => require('../../../test/telegramHarness').deviceServiceModule);
+jest.mock('../../services/contactsService', () => require('../../../test/telegramHarness').contactsServiceModule);
+
+describe('chunked transfers', () => {
+  const harness = setupTelegramHarness({ fileSystem: mockFileSystem, secureStore: mockSecureStore });
+  const { deliver, connect } = harness;
+
+  // 26 bytes with every byte value a base64 round trip could break
+  const content = '\u0000\u00ff\u0080binary\r\n' + 'abcdefghijklmno';
+  const path = 'file:///docs/backup.bin';
+
+  const requestFile = () =>
+    deliver(buildMessageUpdate(`/file ${path}`, { chatId: CHAT_ID, from: ADMIN, chatType: 'group' }));
+  const captions = () => harness.fake.sentDocuments.map(d => d.caption);
+
+  // Anything over 20 bytes goes in 10-byte parts
+  const connectChunked = async () => {
+    harness.api.disconnect();
+    harness.api = await connect(TOKEN, { maxUploadSize: 20, partSize: 10 });
+    await harness.api.resumeTransfers();
+    harness.fake.reset();
+  };
+
+  // Make the next uploads fail once the first part has been delivered
+  const failAfterFirstPart = () => {
+    const updateProgress = harness.api.updateTransferProgress.bind(harness.api);
+    jest.spyOn(harness.api, 'updateTransferProgress').mockImplementationOnce(async (...args) => {
+      harness.fake.failNext('sendDocument', { status: 400, description: 'Bad Request: upload failed', times: 3 });
+      return updateProgress(...args);
+    });
+  };
+
+  beforeEach(async () => {
+    mockFileSystem.files.set(path, { content });
+    await connectChunked();
+  });
+
+  it('sends large files in parts with a manifest and in-place progress', async () => {
+    await requestFile();
+
+    expect(captions()).toEqual([
+      'backup.bin · part 1/3',
+      'backup.bin · part 2/3',
+      'backup.bin · part 3/3',
+      expect.stringMatching(/Manifest for 3 parts\. Rebuild with: node reassemble-transfer\.js backup\.bin\.manifest\.json$/)
+    ]);
+
+    expect(harness.fake.sentMessages).toHaveLength(1);
+    expect(harness.fake.editedMessages.map(m => Number(m.message_id))).toEqual(
+      Array(4).fill(harness.fake.sentMessages[0].message_id)
+    );
+    expect(harness.fake.sentMessages[0]).toMatchObject({ parse_mode: 'MarkdownV2' });
+    expect(harness.fake.sentMessages[0].text).toMatch(/^📦 Sending `backup\.bin` \\\(26 B\\\) in 3 parts\n▓{10} 3\/3\n✅ Complete\\\.$/);
+
+    expect(harness.auditService.getEntries().filter(e => e.event === 'file_sent')).toEqual([
+      expect.objectContaining({ filePath: path, bytes: 26, command: 'file', outcome: 'executed' })
+    ]);
+    expect([...mockFileSystem.files.keys()].filter(key => key.startsWith('file:///cache/transfers/'))).toEqual([]);
+  });
+
+  it('produces parts the reassembly script turns back into the file', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const { execFileSync } = require('child_process');
+    const { writeAsStringAsync } = require('expo-file-system');
+
+    await requestFile();
+
+    // Recreate what the chat received from the staged files
+    const dir = fs.mkdtempSync(require('path').join(os.tmpdir(), 'transfer-'));
+    try {
+      writeAsStringAsync.mock.calls
+        .filter(([stagedPath]) => stagedPath.startsWith('file:///cache/transfers/'))
+        .forEach(([stagedPath, data, options]) => {
+          const name = stagedPath.split('/').pop().replace(/^[0-9a-f]+-/, '');
+          fs.writeFileSync(`${dir}/${name}`, Buffer.from(data, options?.encoding === 'base64' ? 'base64' : 'utf8'));
+        });
+
+      const output = execFileSync(process.execPath, [
+        require('path').join(__dirname, '../../../reassemble-transfer.js'),
+        `${dir}/backup.bin.manifest.json`,
+        `${dir}/rebuilt.bin`
+      ]).toString();
+
+      expect(output).toMatch(/checksum OK/);
+      expect(fs.readFileSync(`${dir}/rebuilt.bin`).toString('latin1')).toBe(content);
+
+      // A damaged part is detected
+      fs.appendFileSync(`${dir}/backup.bin.part002`, 'x');
+      expect(() => execFileSync(process.execPath, [
+        require('path').join(__dirname, '../../../reassemble-transfer.js'),
+        `${dir}/backup.bin.manifest.json`,
+        `${dir}/rebuilt.bin`
+      ], { stdio: 'pipe' })).toThrow(/backup\.bin\.part002/);
+
+      // Names that lead out of the folder are refused before anything is read or written
+      const manifest = JSON.parse(fs.readFileSync(`${dir}/backup.bin.manifest.json`, 'utf8'));
+      [
+        { ...manifest, fileName: '../backup.bin' },
+        { ...manifest, parts: [{ ...manifest.parts[0], name: '/etc/passwd' }] }
+      ].forEach(unsafe => {
+        fs.writeFileSync(`${dir}/unsafe.manifest.json`, JSON.stringify(unsafe));
+        expect(() => execFileSync(process.execPath, [
+          require('path').join(__dirname, '../../../reassemble-transfer.js'),
+          `${dir}/unsafe.manifest.json`
+        ], { stdio: 'pipe' })).toThrow(/unsafe (file|part) name/);
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('retries a failed part without resending the others', async () => {
+    harness.fake.failNext('sendDocument', { status: 400, description: 'Bad Request: upload failed', times: 1 });
+
+    await requestFile();
+
+    expect(harness.fake.requestsFor('sendDocument')).toHaveLength(5);
+    expect(captions()).toHaveLength(4);
+    expect(harness.fake.sentMessages[0].text).toMatch(/✅ Complete\\\.$/);
+  });
+
+  it('pauses after repeated failures and resumes after reconnecting', async () => {
+    failAfterFirstPart();
+
+    await requestFile();
+
+    expect(captions()).toEqual(['backup.bin · part 1/3']);
+    expect(harness.fake.sentMessages[0].text).toMatch(/▓+░+ 1\/3\n⏸ Paused/);
+    expect(harness.auditService.getEntries().filter(e => e.event === 'file_sent')).toEqual([]);
+
+    await harness.api.testConnection();
+    await harness.api.resumeTransfers();
+
+    expect(captions().slice(1)).toEqual([
+      'backup.bin · part 2/3',
+      'backup.bin · part 3/3',
+      expect.stringContaining('Manifest for 3 parts')
+    ]);
+    expect(harness.fake.sentMessages).toHaveLength(1);
+    expect(harness.fake.sentMessages[0].text).toMatch(/3\/3\n✅ Complete\\\.$/);
+    expect(harness.auditService.getEntries().filter(e => e.event === 'file_sent')).toEqual([
+      expect.objectContaining({ filePath: path, command: 'file', outcome: 'executed' })
+    ]);
+  });
+
+  it('does not resume a paused transfer after access is revoked', async () => {
+    failAfterFirstPart();
+    await requestFile();
+
+    harness.api.disconnect();
+    await harness.api.clearPendingDeliveries();
+    harness.api = await connect(TOKEN, { maxUploadSize: 20, partSize: 10 });
+    await harness.api.resumeTransfers();
+
+    expect(captions()).toEqual(['backup.bin · part 1/3']);
+    expect([...mockFileSystem.files.keys()].filter(key => key.startsWith('file:///cache/transfers/'))).toEqual([]);
+  });
+
+  it('resumes an interrupted transfer after an app restart', async () => {
+    failAfterFirstPart();
+    await requestFile();
+
+    // A restarted app only has what was persisted
+    const transferService = require('../transferService').default;
+    transferService.loaded = false;
+    transferService.transfers = [];
+    harness.api.disconnect();
+    harness.api = await connect(TOKEN, { maxUploadSize: 20, partSize: 10 });
+    await harness.api.resumeTransfers();
+
+    expect(captions()).toEqual([
+      'backup.bin · part 1/3',
+      'backup.bin · part 2/3',
+      'backup.bin · part 3/3',
+      expect.stringContaining('Manifest for 3 parts')
+    ]);
+  });
+
+  it('abandons a transfer whose file changed while paused', async () => {
+    failAfterFirstPart();
+    await requestFile();
+
+    mockFileSystem.files.set(path, { content: `${content}appended` });
+    await harness.api.resumeTransfers();
+
+    expect(captions()).toEqual(['backup.bin · part 1/3']);
+    expect(harness.fake.sentMessages[0].text).toMatch(/❌ Transfer abandoned: the file changed since it started\\\.$/);
+    expect(harness.auditService.getEntries().filter(e => e.event === 'file_sent')).toEqual([
+      expect.objectContaining({ filePath: path, outcome: 'failed' })
+    ]);
+  });
+});
@@ -0,0 +1,401 @@
+/**
+ * Service for threshold alerts
+ * The owner defines rules over the device readings (battery, free storage,
+ * network type, charger); the readings are checked periodically and a short
+ * Telegram notification is sent when a rule triggers. Threshold rules must
+ * recover past a margin before they can trigger again (hysteresis), and no
+ * rule triggers more often than its cooldown allows.
+ */
+import * as storage from '../utils/storage';
+import logger from '../utils/logger';
+import { getDeviceMetrics } from './deviceService';
+import { formatSize } from './fileService';
+import sessionService from './sessionService';
+
+export const ALERT_TYPES = {
+  BATTERY_BELOW: 'batteryBelow',
+  STORAGE_BELOW: 'storageBelow',
+  NETWORK_CHANGED: 'networkChanged',
+  CHARGER_CONNECTED: 'chargerConnected',
+  CHARGER_DISCONNECTED: 'chargerDisconnected'
+};
+
+// Network types as reported by expo-network
+export const NETWORK_LABELS = {
+  WIFI: 'Wi-Fi',
+  CELLULAR: 'Cellular',
+  ETHERNET: 'Ethernet',
+  NONE: 'No network'
+};
+
+// Ready-made rules offered in the settings
+export const ALERT_PRESETS = [
+  { type: ALERT_TYPES.BATTERY_BELOW, threshold: 15 },
+  { type: ALERT_TYPES.STORAGE_BELOW, threshold: 1024 * 1024 * 1024 },
+  { type: ALERT_TYPES.NETWORK_CHANGED, from: 'WIFI', to: 'CELLULAR' },
+  { type: ALERT_TYPES.CHARGER_CONNECTED }
+];
+
+// How far a reading must recover before a threshold rule re-arms
+const BATTERY_HYSTERESIS = 5; // percentage points
+const STORAGE_HYSTERESIS = 0.1; // fraction of the threshold
+
+export const DEFAULT_COOLDOWN_MINUTES = 30;
+
+// How often the readings are checked (ms)
+const CHECK_INTERVAL = 60 * 1000;
+
+/**
+ * Describe a rule
+ * @param {Object} rule - Alert rule
+ * @returns {string} e.g. "Battery below 15%"
+ */
+export const describeRule = (rule) => {
+  switch (rule.type) {
+    case ALERT_TYPES.BATTERY_BELOW:
+      return `Battery below ${rule.threshold}%`;
+    case ALERT_TYPES.STORAGE_BELOW:
+      return `Free storage below ${formatSize(rule.threshold)}`;
+    case ALERT_TYPES.NETWORK_CHANGED:
+      return `Network changes${rule.from ? ` from ${NETWORK_LABELS[rule.from] || rule.from}` : ''}${rule.to ? ` to ${NETWORK_LABELS[rule.to] || rule.to}` : ''}`;
+    case ALERT_TYPES.CHARGER_CONNECTED:
+      return 'Charger connected';
+    case ALERT_TYPES.CHARGER_DISCONNECTED:
+      return 'Charger disconnected';
+    default:
+      return rule.type;
+  }
+};
+
+/**
+ * Check whether a threshold rule is breached, or has recovered past its margin
+ * @param {Object} rule - Threshold rule
+ * @param {number} value - Reading
+ * @returns {Object} { breached, recovered }
+ */
+const checkThreshold = (rule, value) => {
+  const margin = rule.type === ALERT_TYPES.BATTERY_BELOW ? BATTERY_HYSTERESIS : rule.threshold * STORAGE_HYSTERESIS;
+  return {
+    breached: value < rule.threshold,
+    recovered: value >= rule.threshold + margin
+  };
+};
+
+/**
+ * Work out whether a rule triggers on a new set of readings
+ * @param {Object} rule - Alert rule
+ * @param {Object} state - { armed, previous } for the rule; updated in place
+ * @param {Object} metrics - Readings from getDeviceMetrics
+ * @returns {string|null} Notification text, or null
+ */
+export const evaluateRule = (rule, state, metrics) => {
+  const previous = state.previous;
+  state.previous = metrics;
+
+  switch (rule.type) {
+    case ALERT_TYPES.BATTERY_BELOW:
+    case ALERT_TYPES.STORAGE_BELOW: {
+      const battery = rule.type === ALERT_TYPES.BATTERY_BELOW;
+      const value = battery ? metrics.batteryPercent : metrics.freeStorageBytes;
+      if (value === null || value === undefined) return null;
+
+      const { breached, recovered } = checkThreshold(rule, value);
+      if (recovered) state.armed = true;
+      if (!breached || !state.armed) return null;
+
+      state.armed = false;
+      return battery
+        ? `🪫 Battery low: ${value}% (below ${rule.threshold}%)${metrics.isCharging ? ', charging' : ''}`
+        : `💾 Storage low: ${formatSize(value)} free (below ${formatSize(rule.threshold)})`;
+    }
+
+    case ALERT_TYPES.NETWORK_CHANGED: {
+      const from = previous?.networkType;
+      const to = metrics.networkType;
+      if (!from || !to || from === to) return null;
+      if ((rule.from && rule.from !== from) || (rule.to && rule.to !== to)) return null;
+
+      return `📶 Network changed: ${NETWORK_LABELS[from] || from} → ${NETWORK_LABELS[to] || to}`;
+    }
+
+    case ALERT_TYPES.CHARGER_CONNECTED:
+    case ALERT_TYPES.CHARGER_DISCONNECTED: {
+      const connected = rule.type === ALERT_TYPES.CHARGER_CONNECTED;
+      if (previous?.isCharging == null || metrics.isCharging == null) return null;
+      if (previous.isCharging === metrics.isCharging || metrics.isCharging !== connected) return null;
+
+      const battery = metrics.batteryPercent === null ? '' : ` (battery ${metrics.batteryPercent}%)`;
+      return `${connected ? '🔌 Charger connected' : '🔋 Charger disconnected'}${battery}`;
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Check a rule before it is saved
+ * @param {Object} rule - Alert rule
+ * @returns {Object} Rule with its fields cleaned up
+ */
+const validateRule = (rule) => {
+  if (!Object.values(ALERT_TYPES).includes(rule.type)) {
+    throw new Error('Choose what the alert watches');
+  }
+
+  const threshold = Number(rule.threshold);
+  if (rule.type === ALERT_TYPES.BATTERY_BELOW && !(threshold > 0 && threshold < 100)) {
+    throw new Error('Enter a battery level between 1 and 99%');
+  }
+  if (rule.type === ALERT_TYPES.STORAGE_BELOW && !(threshold > 0)) {
+    throw new Error('Enter the free space to warn below');
+  }
+  if (rule.type === ALERT_TYPES.NETWORK_CHANGED && rule.from && rule.from === rule.to) {
+    throw new Error('Choose two different network types');
+  }
+
+  const cooldownMinutes = Number(rule.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES);
+  if (!(cooldownMinutes >= 0)) {
+    throw new Error('Enter the cooldown in minutes');
+  }
+
+  return {
+    ...rule,
+    threshold: Number.isFinite(threshold) ? threshold : null,
+    from: rule.from || null,
+    to: rule.to || null,
+    cooldownMinutes,
+    enabled: rule.enabled !== false
+  };
+};
+
+class AlertService {
+  constructor() {
+    this.rules = [];
+    this.loaded = false;
+    this.subscribers = [];
+    this.sender = null;
+    this.timer = null;
+    // Per-rule hysteresis state and last readings, kept in memory
+    this.states = new Map();
+    this.checking = null;
+  }
+
+  /**
+   * Load the rules from the app settings
+   * @returns {Promise<Array<Object>>} Rules
+   */
+  async loadRules() {
+    const settings = await storage.getAppSettings() || {};
+    this.rules = Array.isArray(settings.alertRules) ? settings.alertRules : [];
+    this.loaded = true;
+    this.notify();
+    return this.getRules();
+  }
+
+  /**
+   * Load the rules if they have not been loaded yet
+   */
+  async ensureLoaded() {
+    if (!this.loaded) {
+      await this.loadRules();
+    }
+  }
+
+  /**
+   * Save the rules with the app settings
+   */
+  async save() {
+    const settings = await storage.getAppSettings() || {};
+    await storage.saveAppSettings({ ...settings, alertRules: this.rules });
+    this.notify();
+  }
+
+  /**
+   * Get the rules
+   * @returns {Array<Object>} Copy of the rule list
+   */
+  getRules() {
+    return this.rules.map(rule => ({ ...rule }));
+  }
+
+  /**
+   * Add a rule
+   * @param {Object} rule - { type, threshold, from, to, cooldownMinutes }
+   * @returns {Promise<Object>} Saved rule
+   */
+  async addRule(rule) {
+    await this.ensureLoaded();
+
+    const saved = {
+      ...validateRule(rule),
+      id: `alert-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 6)}`,
+      lastFiredAt: null
+    };
+    this.rules = [...this.rules, saved];
+    await this.save();
+
+    logger.info(`Added alert: ${describeRule(saved)}`);
+    return saved;
+  }
+
+  /**
+   * Change a rule
+   * @param {string} id - Rule ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object|null>} Saved rule, or null if there is no such rule
+   */
+  async updateRule(id, changes) {
+    await this.ensureLoaded();
+
+    const existing = this.rules.find(rule => rule.id === id);
+    if (!existing) return null;
+
+    const saved = validateRule({ ...existing, ...changes, id });
+    this.rules = this.rules.map(rule => (rule.id === id ? saved : rule));
+    this.states.delete(id);
+    await this.save();
+    return saved;
+  }
+
+  /**
+   * Delete a rule
+   * @param {string} id - Rule ID
+   * @returns {Promise<boolean>} Whether a rule was removed
+   */
+  async removeRule(id) {
+    await this.ensureLoaded();
+
+    const remaining = this.rules.filter(rule => rule.id !== id);
+    if (remaining.length === this.rules.length) return false;
+
+    this.rules = remaining;
+    this.states.delete(id);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Start checking the readings
+   * @param {Function} send - Sends a message; queues it when offline
+   * @returns {Promise}
+   */
+  async start(send) {
+    await this.ensureLoaded();
+    this.sender = send;
+
+    clearInterval(this.timer);
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL);
+    await this.check();
+  }
+
+  /**
+   * Stop checking the readings
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.sender = null;
+  }
+
+  /**
+   * Take the readings and send an alert for each rule that triggers
+   * @returns {Promise<Array<string>>} Alerts sent
+   */
+  check() {
+    // A slow reading must not overlap the next check
+    if (!this.checking) {
+      this.checking = getDeviceMetrics()
+        .then(metrics => this.evaluate(metrics))
+        .catch(error => {
+          logger.error(`Alert check failed: ${error.message}`);
+          return [];
+        })
+        .finally(() => {
+          this.checking = null;
+        });
+    }
+    return this.checking;
+  }
+
+  /**
+   * Check the rules against a set of readings
+   * @param {Object} metrics - Readings from getDeviceMetrics
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<Array<string>>} Alerts sent
+   */
+  async evaluate(metrics, now = Date.now()) {
+    await this.ensureLoaded();
+    if (!this.sender) return [];
+
+    // Nothing is pushed to the chat once remote access has ended
+    await sessionService.ensureLoaded();
+    if (!sessionService.isActive(now)) return [];
+
+    const alerts = [];
+    let changed = false;
+
+    for (const rule of this.rules) {
+      if (!rule.enabled) continue;
+
+      if (!this.states.has(rule.id)) {
+        this.states.set(rule.id, { armed: true, previous: null });
+      }
+
+      const text = evaluateRule(rule, this.states.get(rule.id), metrics);
+      if (!text) continue;
+
+      if (rule.lastFiredAt != null && now - rule.lastFiredAt < rule.cooldownMinutes * 60 * 1000) {
+        logger.info(`Alert suppressed by its cooldown: ${text}`);
+        continue;
+      }
+
+      rule.lastFiredAt = now;
+      changed = true;
+
+      try {
+        await this.sender(text);
+        alerts.push(text);
+        logger.warning(`Alert: ${text}`);
+      } catch (error) {
+        logger.error(`Failed to send alert: ${error.message}`);
+      }
+    }
+
+    if (changed) {
+      await this.save();
+    }
+    return alerts;
+  }
+
+  /**
+   * Subscribe to alert rule changes
+   * @param {Function} callback - Called with the updated rule list
+   */
+  subscribe(callback) {
+    if (typeof callback === 'function') {
+      this.subscribers.push(callback);
+    }
+  }
+
+  /**
+   * Unsubscribe from alert rule changes
+   * @param {Function} callback - Function to remove from subscribers
+   */
+  unsubscribe(callback) {
+    this.subscribers = this.subscribers.filter(sub => sub !== callback);
+  }
+
+  /**
+   * Notify subscribers of the current rules
+   */
+  notify() {
+    const rules = this.getRules();
+    this.subscribers.forEach(callback => callback(rules));
+  }
+}
+
+// Create a singleton instance
+const alertService = new AlertService();
+
+export default alertService;
@@ -0,0 +1,385 @@
+/**
+ * Service for the tamper-evident audit log
+ * Persists an append-only, hash-chained record of every remote command and
+ * every file sent off the device. The log is kept in numbered segments; only
+ * the newest is ever rewritten, and never if the log could not be read.
+ */
+import * as FileSystem from 'expo-file-system';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils';
+import logger from '../utils/logger';
+import * as storage from '../utils/storage';
+import { createTempFile } from './fileService';
+
+// Directory of log segments on the device (one JSON entry per line)
+const AUDIT_LOG_DIR = `${FileSystem.documentDirectory}audit-log/`;
+
+// Single-file log written by earlier versions; kept as the first segment
+const LEGACY_LOG_PATH = `${FileSystem.documentDirectory}audit-log.jsonl`;
+
+// Entries per segment, bounding the cost of each append
+const SEGMENT_SIZE = 100;
+
+// Segment file names, e.g. segment-000001.jsonl
+const SEGMENT_PATTERN = /^segment-(\d{6})\.jsonl$/;
+
+// Secure storage key for the latest chain head, used to detect truncation
+const AUDIT_HEAD_KEY = storage.KEYS.AUDIT_LOG_HEAD;
+
+// Hash that the first entry chains from
+const GENESIS_HASH = '0'.repeat(64);
+
+// Audit event types
+export const AUDIT_EVENTS = {
+  COMMAND: 'command',
+  FILE_SENT: 'file_sent'
+};
+
+// Command outcomes
+export const AUDIT_OUTCOMES = {
+  EXECUTED: 'executed',
+  FAILED: 'failed',
+  DENIED_ROLE: 'denied_role',
+  DENIED_CONSENT: 'denied_consent',
+  DENIED_PATH: 'denied_path',
+  CONSENT_TIMEOUT: 'consent_timeout',
+  UNAUTHORIZED_CHAT: 'unauthorized_chat',
+  UNKNOWN_COMMAND: 'unknown_command',
+  INVALID_ARGUMENTS: 'invalid_arguments',
+  EXPIRED_BUTTON: 'expired_button',
+  DENIED_PAIRING: 'denied_pairing',
+  DENIED_SESSION: 'denied_session'
+};
+
+/**
+ * Compute the hash of an entry from its content and the previous hash
+ * @param {Object} entry - Entry without its own hash
+ * @returns {string} Hex SHA-256 hash
+ */
+export const hashEntry = (entry) => {
+  const { hash, ...content } = entry;
+  return bytesToHex(sha256(utf8ToBytes(JSON.stringify(content))));
+};
+
+/**
+ * Verify a list of entries forms an unbroken chain
+ * @param {Array} entries - Entries in the order they were written
+ * @param {Object} head - Expected { count, hash } of the last entry (optional)
+ * @returns {Object} { valid, brokenAt, reason }
+ */
+export const verifyEntries = (entries, head = null) => {
+  let prevHash = GENESIS_HASH;
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+
+    if (!entry) {
+      return { valid: false, brokenAt: i + 1, reason: 'Entry is unreadable' };
+    }
+
+    if (entry.seq !== i + 1) {
+      return { valid: false, brokenAt: i + 1, reason: 'Entry missing or out of order' };
+    }
+
+    if (entry.prevHash !== prevHash) {
+      return { valid: false, brokenAt: entry.seq, reason: 'Chain broken: previous hash mismatch' };
+    }
+
+    if (hashEntry(entry) !== entry.hash) {
+      return { valid: false, brokenAt: entry.seq, reason: 'Entry content was modified' };
+    }
+
+    prevHash = entry.hash;
+  }
+
+  if (head && (head.count !== entries.length || head.hash !== prevHash)) {
+    return { valid: false, brokenAt: entries.length + 1, reason: 'Entries removed from the end of the log' };
+  }
+
+  return { valid: true, brokenAt: null, reason: null };
+};
+
+/**
+ * Get the path of a log segment
+ * @param {number} index - Segment number
+ * @returns {string} File path
+ */
+const segmentPath = (index) => `${AUDIT_LOG_DIR}segment-${String(index).padStart(6, '0')}.jsonl`;
+
+/**
+ * Parse one line of the log
+ * @param {string} line - Line as stored
+ * @returns {Object|null} Entry, or null if the line is unreadable
+ */
+const parseLine = (line) => {
+  try {
+    return JSON.parse(line);
+  } catch (parseError) {
+    return null;
+  }
+};
+
+/**
+ * Describe the sender of a command
+ * @param {Object} from - Telegram user object
+ * @returns {Object|null} Sender summary
+ */
+const describeSender = (from) => {
+  if (!from) return null;
+  return {
+    id: from.id,
+    username: from.username || null,
+    name: `${from.first_name || ''} ${from.last_name || ''}`.trim() || null
+  };
+};
+
+class AuditLog {
+  constructor() {
+    this.entries = [];
+    // Newest segment, with its lines exactly as stored
+    this.segment = { index: 1, lines: [] };
+    this.loadError = null;
+    // Whether the last chain head was stored
+    this.headSaved = true;
+    this.loaded = false;
+    this.subscribers = [];
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the log from disk
+   * Unreadable lines are kept as null entries so verify() reports them. If
+   * the log cannot be read at all, nothing is written until it can.
+   * @returns {Promise<Array>} Entries
+   */
+  async load() {
+    try {
+      const dirInfo = await FileSystem.getInfoAsync(AUDIT_LOG_DIR);
+      if (!dirInfo.exists) {
+        await FileSystem.makeDirectoryAsync(AUDIT_LOG_DIR, { intermediates: true });
+      }
+
+      const legacyInfo = await FileSystem.getInfoAsync(LEGACY_LOG_PATH);
+      if (legacyInfo.exists) {
+        await FileSystem.moveAsync({ from: LEGACY_LOG_PATH, to: segmentPath(0) });
+      }
+
+      const names = (await FileSystem.readDirectoryAsync(AUDIT_LOG_DIR))
+        .filter(name => SEGMENT_PATTERN.test(name))
+        .sort();
+
+      const entries = [];
+      let segment = { index: 1, lines: [] };
+      for (const name of names) {
+        const content = await FileSystem.readAsStringAsync(`${AUDIT_LOG_DIR}${name}`);
+        const lines = content.split('\n').filter(line => line.trim());
+        entries.push(...lines.map(parseLine));
+        segment = { index: Number(name.match(SEGMENT_PATTERN)[1]), lines };
+      }
+
+      this.entries = entries;
+      this.segment = segment;
+      this.loadError = null;
+    } catch (error) {
+      logger.error(`Failed to load audit log: ${error.message}`);
+      this.loadError = error;
+    }
+
+    this.loaded = true;
+    this.notify();
+    return this.getEntries();
+  }
+
+  /**
+   * Append an entry to the chain and persist it
+   * @param {Object} data - Entry fields
+   * @returns {Promise<Object|null>} The stored entry
+   */
+  append(data) {
+    // Writes are serialized so the chain never forks
+    const write = this.writeQueue.then(async () => {
+      if (!this.loaded || this.loadError) {
+        await this.load();
+      }
+      if (this.loadError) {
+        throw new Error(`the log could not be read, so it is not written over (${this.loadError.message})`);
+      }
+
+      const last = this.entries[this.entries.length - 1];
+      const entry = {
+        seq: this.entries.length + 1,
+        timestamp: new Date().toISOString(),
+        ...data,
+        prevHash: last?.hash || GENESIS_HASH
+      };
+      entry.hash = hashEntry(entry);
+
+      // A full segment is left as it is and a new one started
+      if (this.segment.lines.length >= SEGMENT_SIZE) {
+        this.segment = { index: this.segment.index + 1, lines: [] };
+      }
+      const lines = [...this.segment.lines, JSON.stringify(entry)];
+      await FileSystem.writeAsStringAsync(segmentPath(this.segment.index), `${lines.join('\n')}\n`);
+      this.segment.lines = lines;
+      this.entries.push(entry);
+
+      // Without secure storage the head is not kept; verify() reports that
+      // instead of mistaking the stale or missing head for tampering
+      this.headSaved = await storage.saveSecure(AUDIT_HEAD_KEY, JSON.stringify({ count: entry.seq, hash: entry.hash }));
+
+      this.notify();
+      return entry;
+    });
+
+    this.writeQueue = write.catch(error => {
+      logger.error(`Failed to write audit entry: ${error.message}`);
+      return null;
+    });
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Record a remote command and its outcome
+   * @param {Object} details - Command details
+   * @param {string} details.command - Command name
+   * @param {Object} details.source - Message or callback query
+   * @param {*} details.params - Command parameters
+   * @param {string} details.outcome - One of AUDIT_OUTCOMES
+   * @param {string} details.error - Error message, if any
+   * @returns {Promise<Object|null>} The stored entry
+   */
+  recordCommand({ command, source = {}, params = null, outcome, error = null }) {
+    const chat = source.chat || source.message?.chat;
+
+    return this.append({
+      event: AUDIT_EVENTS.COMMAND,
+      command,
+      sender: describeSender(source.from),
+      chatId: chat?.id ?? null,
+      params: params ?? null,
+      outcome,
+      error
+    });
+  }
+
+  /**
+   * Record a file sent off the device
+   * @param {Object} details - File details
+   * @param {string} details.filePath - Local file path
+   * @param {number} details.bytes - File size in bytes
+   * @param {string} details.chatId - Destination chat
+   * @param {string} details.command - Command that caused the upload
+   * @param {boolean} details.success - Whether the upload succeeded
+   * @returns {Promise<Object|null>} The stored entry
+   */
+  recordFileSent({ filePath, bytes, chatId, command = null, success = true }) {
+    return this.append({
+      event: AUDIT_EVENTS.FILE_SENT,
+      command,
+      chatId,
+      fileName: filePath.split('/').pop(),
+      filePath,
+      bytes,
+      outcome: success ? AUDIT_OUTCOMES.EXECUTED : AUDIT_OUTCOMES.FAILED
+    });
+  }
+
+  /**
+   * Get all entries in write order
+   * @returns {Array} Entries
+   */
+  getEntries() {
+    return [...this.entries];
+  }
+
+  /**
+   * Check whether the chain head can be kept in secure storage
+   * @returns {boolean}
+   */
+  isHeadAvailable() {
+    const { available, policy } = storage.getSecureStorageStatus();
+    return this.headSaved &&
+      !(available === false && policy !== storage.SECURE_STORAGE_POLICIES.ENCRYPTED_FALLBACK);
+  }
+
+  /**
+   * Verify the chain against the stored head
+   * When the head cannot be stored, only the chain is checked and
+   * `headUnavailable` is set: entries removed from the end go unnoticed.
+   * @returns {Promise<Object>} { valid, brokenAt, reason, headUnavailable }
+   */
+  async verify() {
+    if (!this.loaded || this.loadError) {
+      await this.load();
+    }
+    if (this.loadError) {
+      return { valid: false, brokenAt: null, reason: 'Audit log could not be read', headUnavailable: false };
+    }
+
+    if (!this.isHeadAvailable()) {
+      return { ...verifyEntries(this.entries), headUnavailable: true };
+    }
+
+    const savedHead = await storage.getSecure(AUDIT_HEAD_KEY);
+    let head = null;
+    try {
+      head = typeof savedHead === 'string' ? JSON.parse(savedHead) : savedHead;
+    } catch (parseError) {
+      return { valid: false, brokenAt: null, reason: 'Stored chain head is unreadable', headUnavailable: false };
+    }
+
+    if (!head && this.entries.length > 0) {
+      return { valid: false, brokenAt: null, reason: 'Stored chain head is missing', headUnavailable: false };
+    }
+
+    return { ...verifyEntries(this.entries, head), headUnavailable: false };
+  }
+
+  /**
+   * Export the log and its verification result as a JSON file
+   * @returns {Promise<string>} Path of the exported file
+   */
+  async exportAsJson() {
+    const verification = await this.verify();
+    const content = JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      verification,
+      entries: this.entries
+    }, null, 2);
+
+    const filename = `audit-log-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    return createTempFile(content, filename);
+  }
+
+  /**
+   * Subscribe to new entries
+   * @param {Function} callback - Called with all entries
+   */
+  subscribe(callback) {
+    if (typeof callback === 'function') {
+      this.subscribers.push(callback);
+    }
+  }
+
+  /**
+   * Unsubscribe from new entries
+   * @param {Function} callback - Function to remove from subscribers
+   */
+  unsubscribe(callback) {
+    this.subscribers = this.subscribers.filter(sub => sub !== callback);
+  }
+
+  /**
+   * Notify subscribers of the current entries
+   */
+  notify() {
+    const entries = this.getEntries();
+    this.subscribers.forEach(callback => callback(entries));
+  }
+}
+
+// Create a singleton instance
+const auditService = new AuditLog();
+
+export default auditService;
@@ -0,0 +1,199 @@
+/**
+ * Service for authorizing Telegram users
+ * Keeps the allowlist of user IDs and their roles. The list can only be
+ * changed on the device itself, never through a Telegram command.
+ */
+import logger from '../utils/logger';
+import * as storage from '../utils/storage';
+
+// Available roles
+export const ROLES = {
+  VIEWER: 'viewer',
+  ADMIN: 'admin'
+};
+
+// Role descriptions shown in the settings form
+export const ROLE_DESCRIPTIONS = {
+  viewer: 'Device info only',
+  admin: 'Files, contacts, SMS and screenshots'
+};
+
+// Higher levels include every permission of lower ones
+const ROLE_LEVELS = {
+  viewer: 1,
+  admin: 2
+};
+
+/**
+ * Check whether a role satisfies a required role
+ * @param {string} role - Role the user has
+ * @param {string} requiredRole - Role the command needs
+ * @returns {boolean}
+ */
+export const hasRole = (role, requiredRole) => {
+  return (ROLE_LEVELS[role] || 0) >= (ROLE_LEVELS[requiredRole] || Infinity);
+};
+
+class AuthService {
+  constructor() {
+    this.users = [];
+    this.loaded = false;
+    this.subscribers = [];
+  }
+
+  /**
+   * Load the allowlist from secure storage
+   * @returns {Promise<Array>} Authorized users
+   */
+  async loadUsers() {
+    this.users = await storage.getAuthorizedUsers();
+    this.loaded = true;
+    this.notify();
+    return this.getUsers();
+  }
+
+  /**
+   * Get all authorized users
+   * @returns {Array} Copy of the allowlist
+   */
+  getUsers() {
+    return [...this.users];
+  }
+
+  /**
+   * Add or update an authorized user
+   * @param {Object} user - User details
+   * @param {string|number} user.userId - Telegram user ID
+   * @param {string} user.role - Role to grant
+   * @param {string} user.name - Optional label
+   * @returns {Promise<boolean>} Whether the user was saved
+   */
+  async addUser({ userId, role, name = '' }) {
+    const id = String(userId).trim();
+
+    if (!/^\d+$/.test(id)) {
+      throw new Error('Telegram user IDs are numeric');
+    }
+
+    if (!ROLE_LEVELS[role]) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+
+    await this.ensureLoaded();
+
+    const existing = this.users.find(u => u.userId === id);
+    const entry = {
+      userId: id,
+      role,
+      name: name.trim(),
+      addedAt: existing ? existing.addedAt : new Date().toISOString()
+    };
+
+    this.users = [...this.users.filter(u => u.userId !== id), entry];
+    await storage.saveAuthorizedUsers(this.users);
+
+    logger.info(`Authorized user ${id} as ${role}`);
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Remove a user from the allowlist
+   * @param {string|number} userId - Telegram user ID
+   * @returns {Promise<boolean>} Whether a user was removed
+   */
+  async removeUser(userId) {
+    await this.ensureLoaded();
+
+    const id = String(userId);
+    const remaining = this.users.filter(u => u.userId !== id);
+
+    if (remaining.length === this.users.length) {
+      return false;
+    }
+
+    this.users = remaining;
+    await storage.saveAuthorizedUsers(this.users);
+
+    logger.info(`Removed authorized user ${id}`);
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Load the allowlist if it has not been loaded yet
+   */
+  async ensureLoaded() {
+    if (!this.loaded) {
+      await this.loadUsers();
+    }
+  }
+
+  /**
+   * Get the role of a Telegram user
+   * While the allowlist is empty, the owner of the configured private chat
+   * (whose user ID equals the chat ID) keeps full access.
+   * @param {string|number} userId - Telegram user ID
+   * @param {string|number} ownerChatId - Configured chat ID
+   * @returns {string|null} Role or null if not authorized
+   */
+  getRole(userId, ownerChatId) {
+    if (userId === undefined || userId === null) return null;
+
+    const id = String(userId);
+    const user = this.users.find(u => u.userId === id);
+
+    if (user) return user.role;
+
+    if (this.users.length === 0 && ownerChatId && id === String(ownerChatId)) {
+      return ROLES.ADMIN;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a Telegram user may run a command
+   * @param {Object} from - Telegram user object
+   * @param {string} requiredRole - Role the command needs
+   * @param {string|number} ownerChatId - Configured chat ID
+   * @returns {Promise<Object>} Result with `allowed` and `role`
+   */
+  async authorize(from, requiredRole, ownerChatId) {
+    await this.ensureLoaded();
+
+    const role = this.getRole(from?.id, ownerChatId);
+    return { allowed: Boolean(role) && hasRole(role, requiredRole), role };
+  }
+
+  /**
+   * Subscribe to allowlist changes
+   * @param {Function} callback - Called with the updated user list
+   */
+  subscribe(callback) {
+    if (typeof callback === 'function') {
+      this.subscribers.push(callback);
+    }
+  }
+
+  /**
+   * Unsubscribe from allowlist changes
+   * @param {Function} callback - Function to remove from subscribers
+   */
+  unsubscribe(callback) {
+    this.subscribers = this.subscribers.filter(sub => sub !== callback);
+  }
+
+  /**
+   * Notify subscribers of the current allowlist
+   */
+  notify() {
+    const users = this.getUsers();
+    this.subscribers.forEach(callback => callback(users));
+  }
+}
+
+// Create a singleton instance
+const authService = new AuthService();
+
+export default authService;
@@ -0,0 +1,234 @@
+/**
+ * Service for on-device consent
+ * Asks the device owner to approve remote data exports before they happen
+ */
+import logger from '../utils/logger';
+import * as storage from '../utils/storage';
+
+// Data categories that require approval on the device
+export const CONSENT_CATEGORIES = {
+  SMS: 'sms',
+  CONTACTS: 'contacts',
+  FILES: 'files',
+  SCREEN: 'screen'
+};
+
+// Human readable labels for each category
+const CATEGORY_LABELS = {
+  sms: 'SMS messages',
+  contacts: 'Contacts',
+  files: 'Files and folders',
+  screen: 'Screen contents'
+};
+
+// Time windows the owner can choose to remember an approval for
+export const REMEMBER_OPTIONS = [
+  { label: 'Ask every time', duration: 0 },
+  { label: '15 min', duration: 15 * 60 * 1000 },
+  { label: '1 hour', duration: 60 * 60 * 1000 }
+];
+
+// How long a prompt waits for an answer before it counts as a denial
+export const PROMPT_TIMEOUT = 60 * 1000;
+
+// Storage key for remembered approvals
+const GRANTS_KEY = 'consentGrants';
+
+/**
+ * Get a readable label for a data category
+ * @param {string} category - Consent category
+ * @returns {string} Category label
+ */
+export const getCategoryLabel = (category) => CATEGORY_LABELS[category] || category;
+
+/**
+ * Describe the chat that sent a request
+ * @param {Object} chat - Telegram chat object
+ * @param {Object} from - Telegram user object (optional)
+ * @returns {string} Chat description
+ */
+export const describeChat = (chat, from) => {
+  if (!chat) return 'Unknown chat';
+
+  const name = chat.title ||
+               (chat.username && `@${chat.username}`) ||
+               `${chat.first_name || ''} ${chat.last_name || ''}`.trim() ||
+               'Unnamed chat';
+  const sender = from && from.id !== chat.id
+    ? ` via ${from.username ? `@${from.username}` : from.first_name || from.id}`
+    : '';
+
+  return `${name} (${chat.id})${sender}`;
+};
+
+/**
+ * Get the key a remembered approval is stored under
+ * An approval covers one category for the chat and user it was given to
+ * @param {string} category - Consent category
+ * @param {Object} chat - Telegram chat object
+ * @param {Object} from - Telegram user object (optional)
+ * @returns {string} Grant key
+ */
+export const getGrantKey = (category, chat, from) =>
+  `${chat?.id ?? ''}:${from?.id ?? ''}:${category}`;
+
+class ConsentManager {
+  constructor() {
+    this.pending = [];
+    this.grants = {};
+    this.subscribers = [];
+    this.grantsLoaded = false;
+    this.nextId = 1;
+  }
+
+  /**
+   * Load remembered approvals from storage
+   */
+  async loadGrants() {
+    if (this.grantsLoaded) return;
+
+    const saved = await storage.getFromStorage(GRANTS_KEY);
+    this.grants = saved && typeof saved === 'object' ? saved : {};
+    this.grantsLoaded = true;
+  }
+
+  /**
+   * Check whether a chat and user have an unexpired remembered approval for a category
+   * @param {string} category - Consent category
+   * @param {Object} chat - Telegram chat object
+   * @param {Object} from - Telegram user object (optional)
+   * @returns {boolean}
+   */
+  hasGrant(category, chat, from) {
+    const expiresAt = this.grants[getGrantKey(category, chat, from)];
+    return Boolean(expiresAt && expiresAt > Date.now());
+  }
+
+  /**
+   * Ask the device owner to approve a command
+   * @param {Object} request - Request details
+   * @param {string} request.command - Command name
+   * @param {string} request.category - Consent category
+   * @param {Object} request.chat - Requesting Telegram chat
+   * @param {Object} request.from - Requesting Telegram user
+   * @returns {Promise<Object>} Result with `approved` and `reason`
+   */
+  async requestConsent({ command, category, chat, from }) {
+    await this.loadGrants();
+
+    if (this.hasGrant(category, chat, from)) {
+      logger.info(`Using remembered approval for ${getCategoryLabel(category)} from ${describeChat(chat, from)}`);
+      return { approved: true, reason: 'remembered' };
+    }
+
+    return new Promise(resolve => {
+      const request = {
+        id: this.nextId++,
+        command,
+        category,
+        grantKey: getGrantKey(category, chat, from),
+        categoryLabel: getCategoryLabel(category),
+        chatLabel: describeChat(chat, from),
+        createdAt: Date.now(),
+        expiresAt: Date.now() + PROMPT_TIMEOUT,
+        resolve
+      };
+
+      request.timer = setTimeout(() => {
+        logger.warning(`Approval for /${command} timed out`);
+        this.settle(request, { approved: false, reason: 'timeout' });
+      }, PROMPT_TIMEOUT);
+
+      this.pending.push(request);
+      logger.info(`Waiting for approval: /${command} (${request.categoryLabel})`);
+      this.notify();
+    });
+  }
+
+  /**
+   * Answer a pending request from the device
+   * @param {number} id - Request ID
+   * @param {boolean} approved - Whether the owner approved
+   * @param {number} rememberFor - How long to remember the approval (ms)
+   */
+  async respond(id, approved, rememberFor = 0) {
+    const request = this.pending.find(r => r.id === id);
+    if (!request) return;
+
+    if (approved && rememberFor > 0) {
+      this.grants[request.grantKey] = Date.now() + rememberFor;
+      await storage.saveToStorage(GRANTS_KEY, this.grants);
+    }
+
+    logger.info(`/${request.command} ${approved ? 'approved' : 'denied'} on device`);
+    this.settle(request, { approved, reason: approved ? 'approved' : 'denied' });
+  }
+
+  /**
+   * Resolve a request and remove it from the queue
+   * @param {Object} request - Pending request
+   * @param {Object} result - Result to resolve with
+   */
+  settle(request, result) {
+    clearTimeout(request.timer);
+    this.pending = this.pending.filter(r => r !== request);
+    request.resolve(result);
+    this.notify();
+  }
+
+  /**
+   * Deny every request still waiting for an answer
+   * Used when the device owner revokes remote access
+   */
+  cancelAll() {
+    [...this.pending].forEach(request => this.settle(request, { approved: false, reason: 'cancelled' }));
+  }
+
+  /**
+   * Forget all remembered approvals
+   */
+  async revokeGrants() {
+    this.grants = {};
+    await storage.saveToStorage(GRANTS_KEY, this.grants);
+    logger.info('Remembered approvals cleared');
+  }
+
+  /**
+   * Get the request currently awaiting an answer
+   * @returns {Object|null} Pending request
+   */
+  getCurrentRequest() {
+    return this.pending[0] || null;
+  }
+
+  /**
+   * Subscribe to pending request changes
+   * @param {Function} callback - Called with the current request
+   */
+  subscribe(callback) {
+    if (typeof callback === 'function') {
+      this.subscribers.push(callback);
+    }
+  }
+
+  /**
+   * Unsubscribe from pending request changes
+   * @param {Function} callback - Function to remove from subscribers
+   */
+  unsubscribe(callback) {
+    this.subscribers = this.subscribers.filter(sub => sub !== callback);
+  }
+
+  /**
+   * Notify subscribers of the current request
+   */
+  notify() {
+    const current = this.getCurrentRequest();
+    this.subscribers.forEach(callback => callback(current));
+  }
+}
+
+// Create a singleton instance
+const consentService = new ConsentManager();
+
+export default consentService;
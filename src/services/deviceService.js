@@ -10,6 +10,7 @@ import * as Network from 'expo-network';
 import * as ScreenCapture from 'expo-screen-capture';
 import * as FileSystem from 'expo-file-system';
 import logger from '../utils/logger';
+import { formatSize } from './fileService';
 import NativeScreenCapture from '../native-modules/NativeScreenCapture';
 
 /**
@@ -45,6 +46,20 @@ export const getDeviceInfo = async () => {
       logger.warning(`Cellular info error: ${error.message}`);
     }
     
+    let storageInfo = {};
+    try {
+      const [freeBytes, totalBytes] = await Promise.all([
+        FileSystem.getFreeDiskStorageAsync(),
+        FileSystem.getTotalDiskStorageAsync()
+      ]);
+      storageInfo = {
+        freeStorage: formatSize(freeBytes),
+        totalStorage: formatSize(totalBytes)
+      };
+    } catch (error) {
+      logger.warning(`Storage info error: ${error.message}`);
+    }
+    
     // Calculate uptime in a readable format
     const uptimeSeconds = Device.uptime;
     let uptime = '';
@@ -96,6 +111,9 @@ export const getDeviceInfo = async () => {
       // Power
       batteryLevel,
       
+      // Storage
+      ...storageInfo,
+      
       // Other
       uptime,
       timestamp: new Date().toISOString(),
@@ -155,6 +173,40 @@ export const formatDeviceInfo = (deviceInfo) => {
   - Carrier: ${deviceInfo.carrier || 'Unknown'}`;
 };
 
+/**
+ * Get the raw readings alert rules are checked against
+ * A reading that cannot be taken is null
+ * @returns {Promise<Object>} { batteryPercent, isCharging, freeStorageBytes, networkType, isInternetReachable }
+ */
+export const getDeviceMetrics = async () => {
+  const read = async (label, getValue) => {
+    try {
+      return await getValue();
+    } catch (error) {
+      logger.warning(`${label} reading error: ${error.message}`);
+      return null;
+    }
+  };
+  
+  const [batteryLevel, batteryState, freeStorageBytes, networkState] = await Promise.all([
+    read('Battery', () => Battery.getBatteryLevelAsync()),
+    read('Battery state', () => Battery.getBatteryStateAsync()),
+    read('Storage', () => FileSystem.getFreeDiskStorageAsync()),
+    read('Network', () => Network.getNetworkStateAsync())
+  ]);
+  
+  return {
+    // -1 when the level is not available (e.g. emulators)
+    batteryPercent: batteryLevel !== null && batteryLevel >= 0 ? Math.round(batteryLevel * 100) : null,
+    isCharging: batteryState === null || batteryState === Battery.BatteryState.UNKNOWN
+      ? null
+      : batteryState === Battery.BatteryState.CHARGING || batteryState === Battery.BatteryState.FULL,
+    freeStorageBytes,
+    networkType: networkState?.type ?? null,
+    isInternetReachable: networkState?.isInternetReachable ?? null
+  };
+};
+
 /**
  * Take a screenshot using the native module
  * @returns {Promise<string>} Screenshot file URI
@@ -247,6 +299,7 @@ export const allowScreenshots = async () => {
 export default {
   getDeviceInfo,
   formatDeviceInfo,
+  getDeviceMetrics,
   takeScreenshot,
   areScreenshotsDisabled,
   preventScreenshots,
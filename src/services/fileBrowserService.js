@@ -0,0 +1,266 @@
+/**
+ * Service for the remote file browser
+ * Keeps navigation state (directory, page, sort order, filter) per chat
+ * session and produces paged directory views, confined to the shared folders
+ */
+import logger from '../utils/logger';
+import { getDirectoryContents } from './fileService';
+import sharedFolderService from './sharedFolderService';
+
+// Entries shown per page
+export const PAGE_SIZE = 8;
+
+// Available sort orders
+export const SORT_OPTIONS = {
+  NAME: 'name',
+  SIZE: 'size',
+  DATE: 'date'
+};
+
+// Sessions idle for longer than this start over (ms)
+const SESSION_TTL = 60 * 60 * 1000;
+
+// Maximum directories remembered for "back"
+const MAX_HISTORY = 20;
+
+/**
+ * Make sure a directory path ends with a slash
+ * @param {string} path - Directory path
+ * @returns {string} Normalized path
+ */
+export const normalizeDirectory = (path) => (path.endsWith('/') ? path : `${path}/`);
+
+/**
+ * Get the parent directory of a path
+ * @param {string} path - File or directory path
+ * @returns {string|null} Parent directory, or null at the top
+ */
+export const getParentDirectory = (path) => {
+  const trimmed = path.replace(/\/+$/, '');
+  const index = trimmed.lastIndexOf('/');
+  const parent = index === -1 ? null : trimmed.substring(0, index + 1);
+
+  // Don't climb past the scheme ("file:///")
+  return parent && !/^[a-z]+:\/*$/i.test(parent) ? parent : null;
+};
+
+/**
+ * Sort entries, keeping directories before files
+ * @param {Array} entries - Directory entries
+ * @param {string} sort - One of SORT_OPTIONS
+ * @returns {Array} Sorted copy
+ */
+export const sortEntries = (entries, sort = SORT_OPTIONS.NAME) => {
+  const compare = {
+    [SORT_OPTIONS.NAME]: (a, b) => a.name.localeCompare(b.name),
+    // Largest and newest first
+    [SORT_OPTIONS.SIZE]: (a, b) => (b.size || 0) - (a.size || 0) || a.name.localeCompare(b.name),
+    [SORT_OPTIONS.DATE]: (a, b) => (b.modificationTime || 0) - (a.modificationTime || 0) || a.name.localeCompare(b.name)
+  }[sort] || ((a, b) => a.name.localeCompare(b.name));
+
+  return [...entries].sort((a, b) => {
+    if (a.isDirectory && !b.isDirectory) return -1;
+    if (!a.isDirectory && b.isDirectory) return 1;
+    return compare(a, b);
+  });
+};
+
+/**
+ * Keep directories and files with the given extension
+ * @param {Array} entries - Directory entries
+ * @param {string|null} extension - Extension without the dot, or null for all files
+ * @returns {Array} Filtered entries
+ */
+export const filterByExtension = (entries, extension) => {
+  if (!extension) return entries;
+
+  const suffix = `.${extension.toLowerCase()}`;
+  return entries.filter(entry => entry.isDirectory || entry.name.toLowerCase().endsWith(suffix));
+};
+
+/**
+ * Build the breadcrumb trail of a directory
+ * @param {string} path - Directory path
+ * @param {string|null} top - Directory to stop at, or null to go up to the root
+ * @returns {Array} [{ name, path }] from the top down
+ */
+export const getBreadcrumbs = (path, top = null) => {
+  const crumbs = [];
+  const topDirectory = top && normalizeDirectory(top);
+  let current = normalizeDirectory(path);
+
+  while (current) {
+    const name = current.replace(/\/+$/, '').split('/').pop() || '/';
+    crumbs.unshift({ name, path: current });
+    current = current === topDirectory ? null : getParentDirectory(current);
+  }
+
+  return crumbs;
+};
+
+class FileBrowser {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  /**
+   * Get or create the navigation state of a session
+   * @param {string} sessionId - Session identifier (chat and sender)
+   * @returns {Object} Session state
+   */
+  getSession(sessionId) {
+    this.pruneSessions();
+
+    let session = this.sessions.get(sessionId);
+    if (!session) {
+      // The path is set to the first shared folder when the session is first viewed
+      session = {
+        path: null,
+        history: [],
+        page: 0,
+        sort: SORT_OPTIONS.NAME,
+        extension: null
+      };
+      this.sessions.set(sessionId, session);
+    }
+
+    session.lastUsed = Date.now();
+    return session;
+  }
+
+  /**
+   * Open a directory in a session
+   * @param {string} sessionId - Session identifier
+   * @param {string} path - Directory path, already resolved by sharedFolderService
+   * @returns {Object} Session state
+   */
+  openDirectory(sessionId, path) {
+    const session = this.getSession(sessionId);
+    const directory = normalizeDirectory(path);
+
+    if (directory !== session.path) {
+      session.history = [...session.history, session.path].filter(Boolean).slice(-MAX_HISTORY);
+      session.path = directory;
+    }
+
+    session.page = 0;
+    return session;
+  }
+
+  /**
+   * Return to the previously opened directory, or the parent one
+   * without leaving the shared folder
+   * @param {string} sessionId - Session identifier
+   * @returns {Object} Session state
+   */
+  goBack(sessionId) {
+    const session = this.getSession(sessionId);
+    const previous = session.history.pop();
+    const parent = session.path && getParentDirectory(session.path);
+
+    session.path = previous || (parent && sharedFolderService.findFolder(parent) ? parent : session.path);
+    session.page = 0;
+    return session;
+  }
+
+  /**
+   * Show a page of the current directory
+   * @param {string} sessionId - Session identifier
+   * @param {number} page - Page index (0-based)
+   * @returns {Object} Session state
+   */
+  setPage(sessionId, page) {
+    const session = this.getSession(sessionId);
+    session.page = Math.max(0, Math.floor(page));
+    return session;
+  }
+
+  /**
+   * Change the sort order
+   * @param {string} sessionId - Session identifier
+   * @param {string} sort - One of SORT_OPTIONS
+   * @returns {Object} Session state
+   */
+  setSort(sessionId, sort) {
+    const session = this.getSession(sessionId);
+    session.sort = sort;
+    session.page = 0;
+    return session;
+  }
+
+  /**
+   * Only show files with an extension
+   * @param {string} sessionId - Session identifier
+   * @param {string|null} extension - Extension (with or without the dot), or null to show all
+   * @returns {Object} Session state
+   */
+  setFilter(sessionId, extension) {
+    const session = this.getSession(sessionId);
+    session.extension = extension ? extension.replace(/^\./, '').toLowerCase() : null;
+    session.page = 0;
+    return session;
+  }
+
+  /**
+   * List the current page of a session's directory
+   * A session whose directory is no longer shared starts over at the first shared folder
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object>} { path, entries, page, pageCount, total, sort, extension, breadcrumbs }
+   * @throws {PathAccessError} If no folder is shared or the directory may not be accessed
+   */
+  async getView(sessionId) {
+    const session = this.getSession(sessionId);
+
+    await sharedFolderService.ensureLoaded();
+    if (!session.path || !sharedFolderService.findFolder(session.path)) {
+      session.path = null;
+      session.history = [];
+    }
+
+    const [firstFolder] = sharedFolderService.getFolders();
+    session.path = normalizeDirectory(await sharedFolderService.resolvePath(session.path || firstFolder || ''));
+
+    const contents = await getDirectoryContents(session.path);
+    const entries = sortEntries(filterByExtension(contents, session.extension), session.sort);
+
+    const pageCount = Math.max(1, Math.ceil(entries.length / PAGE_SIZE));
+    session.page = Math.min(session.page, pageCount - 1);
+
+    logger.debug(`Browsing ${session.path} (page ${session.page + 1}/${pageCount})`);
+
+    return {
+      path: session.path,
+      entries: entries.slice(session.page * PAGE_SIZE, (session.page + 1) * PAGE_SIZE),
+      page: session.page,
+      pageCount,
+      total: entries.length,
+      sort: session.sort,
+      extension: session.extension,
+      breadcrumbs: getBreadcrumbs(session.path, sharedFolderService.findFolder(session.path))
+    };
+  }
+
+  /**
+   * Forget sessions that have been idle too long
+   */
+  pruneSessions() {
+    const cutoff = Date.now() - SESSION_TTL;
+    this.sessions.forEach((session, id) => {
+      if (session.lastUsed < cutoff) {
+        this.sessions.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Forget all sessions
+   */
+  clearSessions() {
+    this.sessions.clear();
+  }
+}
+
+// Create a singleton instance
+const fileBrowserService = new FileBrowser();
+
+export default fileBrowserService;
@@ -248,6 +248,18 @@ export const saveToMediaLibrary = async (fileUri) => {
   }
 };
 
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} Formatted size, e.g. "1.5 MB"
+ */
+export const formatSize = (bytes = 0) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+};
+
 export default {
   getDirectoryContents,
   readFileContent,
@@ -256,5 +268,6 @@ export default {
   createTempFile,
   generateCSV,
   shareFile,
-  saveToMediaLibrary
+  saveToMediaLibrary,
+  formatSize
 };
@@ -0,0 +1,300 @@
+/**
+ * Service for pairing Telegram chats with the device
+ * The device shows a short one-time code; only when a Telegram user sends
+ * /pair <code> to the bot is their chat bound to the device and the user
+ * added to the allowlist. Pairings can be removed from either side.
+ */
+import { getRandomBytes } from 'expo-crypto';
+import logger from '../utils/logger';
+import * as storage from '../utils/storage';
+import authService, { ROLES } from './authService';
+
+// Letters and digits that are hard to confuse (no 0/O, 1/I); 32 characters,
+// so a random byte maps onto them without bias
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const CODE_LENGTH = 6;
+
+// How long a code can be redeemed for (ms)
+export const CODE_TTL = 10 * 60 * 1000;
+
+// Wrong codes accepted before the current code is thrown away
+const MAX_ATTEMPTS = 5;
+
+export const PAIRING_ERRORS = {
+  NO_CODE: 'noCode',
+  EXPIRED: 'expired',
+  WRONG_CODE: 'wrongCode',
+  TOO_MANY_ATTEMPTS: 'tooManyAttempts',
+  NO_SENDER: 'noSender'
+};
+
+const PAIRING_MESSAGES = {
+  [PAIRING_ERRORS.NO_CODE]: 'No pairing code is active. Create one in the app settings on the device.',
+  [PAIRING_ERRORS.EXPIRED]: 'This pairing code has expired. Create a new one on the device.',
+  [PAIRING_ERRORS.WRONG_CODE]: 'That pairing code is not valid. Check the code shown on the device.',
+  [PAIRING_ERRORS.TOO_MANY_ATTEMPTS]: 'Too many wrong codes. The code was cancelled; create a new one on the device.',
+  [PAIRING_ERRORS.NO_SENDER]: 'Pairing needs a Telegram user. Send /pair from your own account.'
+};
+
+/**
+ * Error thrown when a pairing code cannot be redeemed
+ */
+export class PairingError extends Error {
+  constructor(reason) {
+    super(PAIRING_MESSAGES[reason]);
+    this.name = 'PairingError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Generate a random pairing code
+ * @returns {string} Code of CODE_LENGTH characters
+ */
+const generateCode = () => {
+  return Array.from(getRandomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+};
+
+/**
+ * Normalize a code as typed in Telegram (case, spaces and dashes ignored)
+ * @param {string} input - Code from the /pair command
+ * @returns {string}
+ */
+export const normalizeCode = (input) => String(input || '').toUpperCase().replace(/[\s-]/g, '');
+
+/**
+ * Compare two codes in time independent of where they differ
+ * @param {string} a - First code
+ * @param {string} b - Second code
+ * @returns {boolean}
+ */
+const codesMatch = (a, b) => {
+  if (a.length !== b.length) return false;
+
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+};
+
+/**
+ * Describe the Telegram user who paired
+ * @param {Object} from - Telegram user object
+ * @returns {string}
+ */
+const describeUser = (from) => {
+  const name = [from.first_name, from.last_name].filter(Boolean).join(' ');
+  return name || (from.username ? `@${from.username}` : String(from.id));
+};
+
+class PairingService {
+  constructor() {
+    this.pairings = [];
+    this.chatId = null;
+    this.pendingCode = null;
+    this.loaded = false;
+    this.subscribers = [];
+  }
+
+  /**
+   * Load the pairings and the bound chat from secure storage
+   * A chat ID saved by a version without pairing is dropped, so that chat
+   * has to pair with /pair like any other.
+   * @returns {Promise<Array>} Pairings
+   */
+  async load() {
+    this.pairings = await storage.getPairings();
+    this.chatId = (await storage.getChatId()) || null;
+    logger.registerSecret(this.chatId, 'chat ID');
+
+    if (this.chatId && this.pairings.length === 0) {
+      logger.warning(`Chat ${this.chatId} was set up without pairing; send /pair with a code from the device to use it again`);
+      this.chatId = null;
+      await storage.clearChatId();
+    }
+    this.loaded = true;
+    this.notify();
+    return this.getPairings();
+  }
+
+  /**
+   * Load the pairings if they have not been loaded yet
+   */
+  async ensureLoaded() {
+    if (!this.loaded) {
+      await this.load();
+    }
+  }
+
+  /**
+   * Get the pairings, oldest first
+   * @returns {Array} Copy of the pairing list
+   */
+  getPairings() {
+    return this.pairings.map(pairing => ({ ...pairing }));
+  }
+
+  /**
+   * Get the code waiting to be redeemed
+   * @param {number} now - Current time (ms)
+   * @returns {Object|null} { code, role, expiresAt }, or null if there is none
+   */
+  getPendingCode(now = Date.now()) {
+    if (this.pendingCode && now >= this.pendingCode.expiresAt) {
+      this.pendingCode = null;
+    }
+    return this.pendingCode ? { ...this.pendingCode } : null;
+  }
+
+  /**
+   * Create a one-time code, replacing any earlier one
+   * @param {string} role - Role granted to the user who redeems it
+   * @param {number} now - Current time (ms)
+   * @returns {Object} { code, role, expiresAt }
+   */
+  createCode(role = ROLES.ADMIN, now = Date.now()) {
+    if (!Object.values(ROLES).includes(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+
+    this.pendingCode = { code: generateCode(), role, expiresAt: now + CODE_TTL, attempts: 0 };
+    logger.info(`Pairing code created for a new ${role}`);
+    return this.getPendingCode(now);
+  }
+
+  /**
+   * Throw away the code waiting to be redeemed
+   */
+  cancelCode() {
+    this.pendingCode = null;
+  }
+
+  /**
+   * Redeem a code sent with /pair, binding the chat and authorizing the sender
+   * A chat other than the bound one takes over the binding; the pairings of the
+   * previous chat are removed.
+   * @param {string} input - Code as typed
+   * @param {Object} message - Telegram message with `chat` and `from`
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<Object>} The new pairing
+   */
+  async redeem(input, { chat, from }, now = Date.now()) {
+    await this.ensureLoaded();
+
+    const pending = this.pendingCode;
+    if (!pending) {
+      throw new PairingError(PAIRING_ERRORS.NO_CODE);
+    }
+    if (now >= pending.expiresAt) {
+      this.pendingCode = null;
+      throw new PairingError(PAIRING_ERRORS.EXPIRED);
+    }
+
+    if (!codesMatch(normalizeCode(input), pending.code)) {
+      this.pendingCode.attempts++;
+      if (this.pendingCode.attempts >= MAX_ATTEMPTS) {
+        this.pendingCode = null;
+        logger.warning('Pairing code cancelled after too many wrong attempts');
+        throw new PairingError(PAIRING_ERRORS.TOO_MANY_ATTEMPTS);
+      }
+      throw new PairingError(PAIRING_ERRORS.WRONG_CODE);
+    }
+
+    if (!from?.id || from.is_bot) {
+      throw new PairingError(PAIRING_ERRORS.NO_SENDER);
+    }
+
+    this.pendingCode = null;
+    const chatId = String(chat.id);
+    logger.registerSecret(chatId, 'chat ID');
+
+    if (this.chatId && this.chatId !== chatId) {
+      logger.warning(`Chat ${chatId} replaces ${this.chatId} as the paired chat`);
+      for (const previous of this.pairings) {
+        await authService.removeUser(previous.userId);
+      }
+      this.pairings = [];
+    }
+
+    const pairing = {
+      chatId,
+      chatTitle: chat.title || describeUser(from),
+      userId: String(from.id),
+      name: describeUser(from),
+      role: pending.role,
+      pairedAt: new Date(now).toISOString()
+    };
+
+    await authService.addUser({ userId: pairing.userId, role: pairing.role, name: pairing.name });
+
+    this.pairings = [...this.pairings.filter(p => p.userId !== pairing.userId), pairing];
+    this.chatId = chatId;
+    await storage.savePairings(this.pairings);
+    await storage.saveChatId(chatId);
+
+    logger.success(`Paired ${pairing.name} in chat ${chatId} as ${pairing.role}`);
+    this.notify();
+    return { ...pairing };
+  }
+
+  /**
+   * Remove a pairing and the user's access
+   * Removing the last pairing unbinds the chat.
+   * @param {string|number} userId - Telegram user ID
+   * @returns {Promise<Object|null>} The removed pairing, or null if there was none
+   */
+  async unpair(userId) {
+    await this.ensureLoaded();
+
+    const id = String(userId);
+    const pairing = this.pairings.find(p => p.userId === id);
+    if (!pairing) return null;
+
+    this.pairings = this.pairings.filter(p => p.userId !== id);
+    await authService.removeUser(id);
+    await storage.savePairings(this.pairings);
+
+    if (this.pairings.length === 0) {
+      this.chatId = null;
+      await storage.clearChatId();
+      logger.info(`Chat ${pairing.chatId} is no longer paired`);
+    }
+
+    logger.info(`Unpaired ${pairing.name}`);
+    this.notify();
+    return pairing;
+  }
+
+  /**
+   * Subscribe to pairing changes
+   * @param {Function} callback - Called with the updated pairing list
+   */
+  subscribe(callback) {
+    if (typeof callback === 'function') {
+      this.subscribers.push(callback);
+    }
+  }
+
+  /**
+   * Unsubscribe from pairing changes
+   * @param {Function} callback - Function to remove from subscribers
+   */
+  unsubscribe(callback) {
+    this.subscribers = this.subscribers.filter(sub => sub !== callback);
+  }
+
+  /**
+   * Notify subscribers of the current pairings
+   */
+  notify() {
+    const pairings = this.getPairings();
+    this.subscribers.forEach(callback => callback(pairings));
+  }
+}
+
+// Create a singleton instance
+const pairingService = new PairingService();
+
+export default pairingService;
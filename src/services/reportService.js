@@ -0,0 +1,440 @@
+/**
+ * Service for scheduled device status reports
+ * The owner picks which getDeviceInfo fields a report shows and when it is
+ * sent (daily or weekly at a local time). Reports are stored with the app
+ * settings. A run missed while the app was not running is made up once if it
+ * is recent, and a report that cannot be sent waits in the outbound queue
+ * without piling up more copies of itself.
+ */
+import * as storage from '../utils/storage';
+import logger from '../utils/logger';
+import { getDeviceInfo } from './deviceService';
+import sessionService from './sessionService';
+import { format, bold, italic } from '../api/messageBuilder';
+
+// Fields a report can show, in display order
+export const REPORT_FIELDS = {
+  deviceName: 'Device',
+  batteryLevel: 'Battery',
+  networkType: 'Network',
+  isInternetReachable: 'Internet',
+  ipAddress: 'IP address',
+  carrier: 'Carrier',
+  freeStorage: 'Free storage',
+  totalStorage: 'Total storage',
+  uptime: 'Uptime',
+  osVersion: 'OS version',
+  appVersion: 'App version'
+};
+
+export const REPORT_FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly'
+};
+
+const FREQUENCY_DAYS = {
+  [REPORT_FREQUENCIES.DAILY]: 1,
+  [REPORT_FREQUENCIES.WEEKLY]: 7
+};
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Ready-made reports offered in the settings
+export const REPORT_PRESETS = [
+  {
+    name: 'Morning status',
+    fields: ['batteryLevel', 'networkType', 'isInternetReachable'],
+    frequency: REPORT_FREQUENCIES.DAILY,
+    time: '08:00'
+  },
+  {
+    name: 'Weekly storage',
+    fields: ['freeStorage', 'totalStorage'],
+    frequency: REPORT_FREQUENCIES.WEEKLY,
+    weekday: 1,
+    time: '09:00'
+  }
+];
+
+// Longest single timer; the schedule is re-checked at least this often (ms)
+const MAX_TIMER_DELAY = 15 * 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an "HH:MM" time
+ * @param {string} time - Local time of day
+ * @returns {Object|null} { hours, minutes }, or null if invalid
+ */
+export const parseTime = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+};
+
+/**
+ * Get the latest time a report was scheduled for, at or before a moment
+ * @param {Object} report - Report
+ * @param {number} now - Moment (ms)
+ * @returns {number} Scheduled time (ms)
+ */
+export const getLastScheduledTime = (report, now) => {
+  const { hours, minutes } = parseTime(report.time);
+  const days = FREQUENCY_DAYS[report.frequency];
+  const slot = new Date(now);
+  slot.setHours(hours, minutes, 0, 0);
+
+  if (report.frequency === REPORT_FREQUENCIES.WEEKLY) {
+    slot.setDate(slot.getDate() - ((slot.getDay() - report.weekday + 7) % 7));
+  }
+  if (slot.getTime() > now) {
+    slot.setDate(slot.getDate() - days);
+  }
+  return slot.getTime();
+};
+
+/**
+ * Get the next time a report is scheduled for, after a moment
+ * @param {Object} report - Report
+ * @param {number} now - Moment (ms)
+ * @returns {number} Scheduled time (ms)
+ */
+export const getNextScheduledTime = (report, now) => {
+  const slot = new Date(getLastScheduledTime(report, now));
+  slot.setDate(slot.getDate() + FREQUENCY_DAYS[report.frequency]);
+  return slot.getTime();
+};
+
+/**
+ * Describe when a report is sent
+ * @param {Object} report - Report
+ * @returns {string} e.g. "Mondays at 09:00"
+ */
+export const describeSchedule = (report) =>
+  report.frequency === REPORT_FREQUENCIES.WEEKLY
+    ? `${WEEKDAYS[report.weekday]}s at ${report.time}`
+    : `Daily at ${report.time}`;
+
+/**
+ * Show one device info value
+ * @param {*} value - Value from getDeviceInfo
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  if (value === true) return 'Yes';
+  if (value === false) return 'No';
+  if (value === undefined || value === null || value === '') return 'unknown';
+  return String(value);
+};
+
+/**
+ * Build the message for a report
+ * @param {Object} report - Report
+ * @param {Object} deviceInfo - Device information
+ * @param {Date} collectedAt - When the information was collected
+ * @returns {FormattedMessage}
+ */
+export const formatReport = (report, deviceInfo, collectedAt = new Date()) => {
+  const lines = Object.keys(REPORT_FIELDS)
+    .filter(field => report.fields.includes(field))
+    .map(field => `• ${REPORT_FIELDS[field]}: ${formatValue(deviceInfo[field])}`)
+    .join('\n');
+
+  return format`📋 ${bold(report.name)}
+${lines}
+
+${italic(`Collected ${collectedAt.toLocaleString()}`)}`;
+};
+
+/**
+ * Check a report before it is saved
+ * @param {Object} report - Report
+ * @returns {Object} Report with its fields cleaned up
+ */
+const validateReport = (report) => {
+  const name = String(report.name || '').trim();
+  const fields = (report.fields || []).filter(field => REPORT_FIELDS[field]);
+
+  if (!name) throw new Error('Give the report a name');
+  if (fields.length === 0) throw new Error('Choose at least one field for the report');
+  if (!FREQUENCY_DAYS[report.frequency]) throw new Error('Choose daily or weekly');
+  if (!parseTime(report.time)) throw new Error('Enter the time as HH:MM, e.g. 08:30');
+
+  const weekday = Number(report.weekday ?? 1);
+  if (report.frequency === REPORT_FREQUENCIES.WEEKLY && !(weekday >= 0 && weekday <= 6)) {
+    throw new Error('Choose a day of the week');
+  }
+
+  const { hours, minutes } = parseTime(report.time);
+  return {
+    ...report,
+    name,
+    fields,
+    weekday,
+    time: `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`,
+    enabled: report.enabled !== false
+  };
+};
+
+class ReportService {
+  constructor() {
+    this.reports = [];
+    this.loaded = false;
+    this.subscribers = [];
+    this.sender = null;
+    this.timer = null;
+    this.online = false;
+    // Reports queued while offline, so one is not queued again before it is sent
+    this.waitingReports = new Set();
+  }
+
+  /**
+   * Load the reports from the app settings
+   * @returns {Promise<Array<Object>>} Reports
+   */
+  async loadReports() {
+    const settings = await storage.getAppSettings() || {};
+    this.reports = Array.isArray(settings.reports) ? settings.reports : [];
+    this.loaded = true;
+    this.notify();
+    return this.getReports();
+  }
+
+  /**
+   * Load the reports if they have not been loaded yet
+   */
+  async ensureLoaded() {
+    if (!this.loaded) {
+      await this.loadReports();
+    }
+  }
+
+  /**
+   * Save the reports with the app settings
+   */
+  async save() {
+    const settings = await storage.getAppSettings() || {};
+    await storage.saveAppSettings({ ...settings, reports: this.reports });
+    this.notify();
+    this.scheduleNext();
+  }
+
+  /**
+   * Get the reports
+   * @returns {Array<Object>} Copy of the report list
+   */
+  getReports() {
+    return this.reports.map(report => ({ ...report }));
+  }
+
+  /**
+   * Add a report
+   * @param {Object} report - { name, fields, frequency, weekday, time }
+   * @returns {Promise<Object>} Saved report
+   */
+  async addReport(report) {
+    await this.ensureLoaded();
+
+    const saved = {
+      ...validateReport(report),
+      id: `report-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 6)}`,
+      createdAt: Date.now(),
+      lastRunAt: null
+    };
+    this.reports = [...this.reports, saved];
+    await this.save();
+
+    logger.info(`Scheduled report "${saved.name}": ${describeSchedule(saved)}`);
+    return saved;
+  }
+
+  /**
+   * Change a report
+   * @param {string} id - Report ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object|null>} Saved report, or null if there is no such report
+   */
+  async updateReport(id, changes) {
+    await this.ensureLoaded();
+
+    const existing = this.reports.find(report => report.id === id);
+    if (!existing) return null;
+
+    const saved = validateReport({ ...existing, ...changes, id });
+    this.reports = this.reports.map(report => (report.id === id ? saved : report));
+    await this.save();
+    return saved;
+  }
+
+  /**
+   * Delete a report
+   * @param {string} id - Report ID
+   * @returns {Promise<boolean>} Whether a report was removed
+   */
+  async removeReport(id) {
+    await this.ensureLoaded();
+
+    const remaining = this.reports.filter(report => report.id !== id);
+    if (remaining.length === this.reports.length) return false;
+
+    this.reports = remaining;
+    this.waitingReports.delete(id);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Start sending reports
+   * @param {Function} send - Sends a message; queues it when offline
+   * @returns {Promise}
+   */
+  async start(send) {
+    await this.ensureLoaded();
+    this.sender = send;
+    await this.runDueReports();
+  }
+
+  /**
+   * Stop sending reports
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.sender = null;
+  }
+
+  /**
+   * Record whether Telegram can be reached
+   * @param {boolean} online - Whether the bot is connected
+   */
+  setOnline(online) {
+    this.online = online;
+    // The outbound queue is flushed on reconnect, taking the waiting reports with it
+    if (online) {
+      this.waitingReports.clear();
+    }
+  }
+
+  /**
+   * Send every report whose time has come
+   * A run missed by more than half its period (e.g. the phone was off
+   * overnight for a daily report) is skipped rather than sent late, as is
+   * a run due after the remote-access session ended.
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<Array<string>>} IDs of the reports sent
+   */
+  async runDueReports(now = Date.now()) {
+    await this.ensureLoaded();
+    if (!this.sender) return [];
+    await sessionService.ensureLoaded();
+
+    const sent = [];
+    let changed = false;
+
+    for (const report of this.reports) {
+      if (!report.enabled) continue;
+
+      const slot = getLastScheduledTime(report, now);
+      if (slot <= (report.lastRunAt ?? report.createdAt)) continue;
+
+      report.lastRunAt = slot;
+      changed = true;
+
+      if (now - slot > (FREQUENCY_DAYS[report.frequency] * DAY) / 2) {
+        logger.warning(`Skipped report "${report.name}" due ${new Date(slot).toLocaleString()}: too late to send`);
+        continue;
+      }
+
+      // Nothing is pushed to the chat once remote access has ended
+      if (!sessionService.isActive(now)) {
+        logger.info(`Skipped report "${report.name}": remote access has ended`);
+        continue;
+      }
+
+      if (!this.online && this.waitingReports.has(report.id)) {
+        logger.info(`Skipped report "${report.name}": the previous one is still waiting to be sent`);
+        continue;
+      }
+
+      if (await this.sendReport(report)) {
+        sent.push(report.id);
+        if (!this.online) {
+          this.waitingReports.add(report.id);
+        }
+      }
+    }
+
+    if (changed) {
+      await this.save();
+    } else {
+      this.scheduleNext(now);
+    }
+    return sent;
+  }
+
+  /**
+   * Collect device info and send one report
+   * @param {Object} report - Report
+   * @returns {Promise<boolean>} Whether the report was sent or queued
+   */
+  async sendReport(report) {
+    try {
+      const deviceInfo = await getDeviceInfo();
+      await this.sender(formatReport(report, deviceInfo));
+      logger.info(`Report "${report.name}" ${this.online ? 'sent' : 'queued until Telegram is reachable'}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to send report "${report.name}": ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Set the timer for the next report
+   * @param {number} now - Current time (ms)
+   */
+  scheduleNext(now = Date.now()) {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const enabled = this.reports.filter(report => report.enabled);
+    if (!this.sender || enabled.length === 0) return;
+
+    const next = Math.min(...enabled.map(report => getNextScheduledTime(report, now)));
+    this.timer = setTimeout(() => this.runDueReports(), Math.min(Math.max(next - now, 0), MAX_TIMER_DELAY));
+  }
+
+  /**
+   * Subscribe to report changes
+   * @param {Function} callback - Called with the updated report list
+   */
+  subscribe(callback) {
+    if (typeof callback === 'function') {
+      this.subscribers.push(callback);
+    }
+  }
+
+  /**
+   * Unsubscribe from report changes
+   * @param {Function} callback - Function to remove from subscribers
+   */
+  unsubscribe(callback) {
+    this.subscribers = this.subscribers.filter(sub => sub !== callback);
+  }
+
+  /**
+   * Notify subscribers of the current reports
+   */
+  notify() {
+    const reports = this.getReports();
+    this.subscribers.forEach(callback => callback(reports));
+  }
+}
+
+// Create a singleton instance
+const reportService = new ReportService();
+
+export default reportService;
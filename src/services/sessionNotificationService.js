@@ -0,0 +1,127 @@
+/**
+ * Service for the "remote session active" notification
+ * Keeps an ongoing notification visible while a Telegram chat can reach the device
+ */
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import logger from '../utils/logger';
+
+// Identifiers used for the session notification
+const CHANNEL_ID = 'remote-session';
+const CATEGORY_ID = 'remote-session';
+const NOTIFICATION_ID = 'remote-session-active';
+
+// Action identifier for the "Disconnect" button
+export const DISCONNECT_ACTION = 'disconnect';
+
+/**
+ * Set up the notification channel, category and permissions
+ * @returns {Promise<boolean>} Whether notifications can be shown
+ */
+export const initializeSessionNotifications = async () => {
+  try {
+    const { status } = await Notifications.requestPermissionsAsync();
+    if (status !== 'granted') {
+      logger.warning('Notification permission not granted, session indicator unavailable');
+      return false;
+    }
+
+    // Show the notification even while the app is in the foreground
+    Notifications.setNotificationHandler({
+      handleNotification: async () => ({
+        shouldShowAlert: true,
+        shouldPlaySound: false,
+        shouldSetBadge: false
+      })
+    });
+
+    if (Platform.OS === 'android') {
+      await Notifications.setNotificationChannelAsync(CHANNEL_ID, {
+        name: 'Remote session',
+        description: 'Shown while a Telegram chat can access this device',
+        importance: Notifications.AndroidImportance.DEFAULT,
+        lockscreenVisibility: Notifications.AndroidNotificationVisibility.PUBLIC,
+        showBadge: false,
+        sound: null
+      });
+    }
+
+    await Notifications.setNotificationCategoryAsync(CATEGORY_ID, [
+      {
+        identifier: DISCONNECT_ACTION,
+        buttonTitle: 'Disconnect',
+        options: { opensAppToForeground: true, isDestructive: true }
+      }
+    ]);
+
+    return true;
+  } catch (error) {
+    logger.error(`Failed to initialize session notifications: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Show or update the ongoing session notification
+ * @param {Object} lastCommand - Last executed command (optional)
+ * @param {string} lastCommand.command - Command name
+ * @param {Date} lastCommand.timestamp - When it was executed
+ * @returns {Promise<boolean>} Whether the notification was shown
+ */
+export const showSessionNotification = async (lastCommand = null) => {
+  try {
+    const body = lastCommand
+      ? `Last command: /${lastCommand.command} at ${lastCommand.timestamp.toLocaleTimeString()}`
+      : 'No commands received yet';
+
+    // Reusing the identifier replaces the previous notification
+    await Notifications.scheduleNotificationAsync({
+      identifier: NOTIFICATION_ID,
+      content: {
+        title: 'Remote session active - Telegram can access this device',
+        body,
+        sticky: true,
+        autoDismiss: false,
+        categoryIdentifier: CATEGORY_ID
+      },
+      trigger: Platform.OS === 'android' ? { channelId: CHANNEL_ID } : null
+    });
+
+    return true;
+  } catch (error) {
+    logger.error(`Failed to show session notification: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Remove the ongoing session notification
+ */
+export const dismissSessionNotification = async () => {
+  try {
+    await Notifications.dismissNotificationAsync(NOTIFICATION_ID);
+  } catch (error) {
+    logger.error(`Failed to dismiss session notification: ${error.message}`);
+  }
+};
+
+/**
+ * Listen for the "Disconnect" action on the session notification
+ * @param {Function} callback - Called when the owner taps Disconnect
+ * @returns {Object} Subscription with a remove() method
+ */
+export const addDisconnectListener = (callback) => {
+  return Notifications.addNotificationResponseReceivedListener(response => {
+    if (response.actionIdentifier === DISCONNECT_ACTION) {
+      callback();
+    }
+  });
+};
+
+export default {
+  initializeSessionNotifications,
+  showSessionNotification,
+  dismissSessionNotification,
+  addDisconnectListener,
+  DISCONNECT_ACTION
+};
@@ -0,0 +1,284 @@
+/**
+ * Service for remote-access sessions
+ * Commands from Telegram only run while the owner has allowed remote access
+ * on the device. A session ends a set number of hours after it was allowed,
+ * or after a set number of minutes without commands, and stays ended until
+ * the owner allows access again in the app.
+ */
+import * as storage from '../utils/storage';
+import logger from '../utils/logger';
+
+export const SESSION_END_REASONS = {
+  DURATION: 'duration',
+  IDLE: 'idle'
+};
+
+// Sessions end unless the owner turns the limits off; a limit of zero is
+// turned off, and with both off sessions never end
+export const DEFAULT_SESSION_LIMITS = {
+  maxHours: 12,
+  idleMinutes: 60
+};
+
+// Limits offered in the settings
+export const SESSION_HOUR_OPTIONS = [0, 1, 4, 12, 24];
+export const SESSION_IDLE_OPTIONS = [0, 15, 30, 60];
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Longest delay setTimeout handles; longer sessions are checked again then
+const MAX_TIMER_DELAY = 24 * HOUR;
+
+/**
+ * Format the time left in a session
+ * @param {number} ms - Milliseconds left
+ * @returns {string} e.g. "2h 05m", "14m" or "<1m"
+ */
+export const formatSessionTime = (ms) => {
+  const minutes = Math.floor(Math.max(0, ms) / MINUTE);
+  if (minutes < 1) return '<1m';
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+};
+
+/**
+ * Check session limits before they are saved
+ * @param {Object} limits - { maxHours, idleMinutes }
+ * @returns {Object} Limits as numbers
+ */
+const validateLimits = (limits = {}) => {
+  const maxHours = Number(limits.maxHours ?? DEFAULT_SESSION_LIMITS.maxHours);
+  const idleMinutes = Number(limits.idleMinutes ?? DEFAULT_SESSION_LIMITS.idleMinutes);
+
+  if (!(maxHours >= 0)) {
+    throw new Error('Enter the session length in hours, or 0 for no limit');
+  }
+  if (!(idleMinutes >= 0)) {
+    throw new Error('Enter the idle time in minutes, or 0 for no limit');
+  }
+  return { maxHours, idleMinutes };
+};
+
+class SessionService {
+  constructor() {
+    this.limits = { ...DEFAULT_SESSION_LIMITS };
+    this.armedAt = null;
+    this.lastActivityAt = null;
+    this.loaded = false;
+    this.subscribers = [];
+    this.timer = null;
+  }
+
+  /**
+   * Load the limits and the current session
+   * Without a saved session (first run), access starts allowed.
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<Object>} Session status, see getStatus
+   */
+  async load(now = Date.now()) {
+    const settings = await storage.getAppSettings() || {};
+    try {
+      this.limits = validateLimits(settings.remoteSession);
+    } catch (error) {
+      logger.warning(`Ignoring invalid session limits: ${error.message}`);
+      this.limits = { ...DEFAULT_SESSION_LIMITS };
+    }
+
+    const session = await storage.getRemoteSession();
+    this.armedAt = session?.armedAt ?? now;
+    this.lastActivityAt = session?.lastActivityAt ?? this.armedAt;
+    this.loaded = true;
+
+    this.scheduleExpiry(now);
+    this.notify(now);
+    return this.getStatus(now);
+  }
+
+  /**
+   * Load the session if it has not been loaded yet
+   */
+  async ensureLoaded() {
+    if (!this.loaded) {
+      await this.load();
+    }
+  }
+
+  /**
+   * Get the session limits
+   * @returns {Object} { maxHours, idleMinutes }
+   */
+  getLimits() {
+    return { ...this.limits };
+  }
+
+  /**
+   * Get the state of the current session
+   * @param {number} now - Current time (ms)
+   * @returns {Object} { active, expiresAt, remaining, reason } where expiresAt and
+   *   remaining are null without limits, and reason says why an ended session ended
+   */
+  getStatus(now = Date.now()) {
+    const armedAt = this.armedAt ?? now;
+    const deadlines = [];
+    if (this.limits.maxHours > 0) {
+      deadlines.push({ at: armedAt + this.limits.maxHours * HOUR, reason: SESSION_END_REASONS.DURATION });
+    }
+    if (this.limits.idleMinutes > 0) {
+      deadlines.push({ at: (this.lastActivityAt ?? armedAt) + this.limits.idleMinutes * MINUTE, reason: SESSION_END_REASONS.IDLE });
+    }
+
+    if (deadlines.length === 0) {
+      return { active: true, expiresAt: null, remaining: null, reason: null };
+    }
+
+    const next = deadlines.reduce((earliest, deadline) => (deadline.at < earliest.at ? deadline : earliest));
+    const active = now < next.at;
+    return {
+      active,
+      expiresAt: next.at,
+      remaining: Math.max(0, next.at - now),
+      reason: active ? null : next.reason
+    };
+  }
+
+  /**
+   * Check whether remote commands may run
+   * @param {number} now - Current time (ms)
+   * @returns {boolean}
+   */
+  isActive(now = Date.now()) {
+    return this.getStatus(now).active;
+  }
+
+  /**
+   * Allow remote access, starting a new session
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<Object>} Session status
+   */
+  async arm(now = Date.now()) {
+    await this.ensureLoaded();
+
+    this.armedAt = now;
+    this.lastActivityAt = now;
+    await this.save();
+
+    const status = this.getStatus(now);
+    logger.info(status.expiresAt === null
+      ? 'Remote access allowed'
+      : `Remote access allowed for ${formatSessionTime(status.remaining)}`);
+
+    this.scheduleExpiry(now);
+    this.notify(now);
+    return status;
+  }
+
+  /**
+   * Record a command, keeping an active session from going idle
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<boolean>} Whether the session is active
+   */
+  async recordActivity(now = Date.now()) {
+    await this.ensureLoaded();
+    if (!this.isActive(now)) return false;
+
+    this.lastActivityAt = now;
+    if (this.limits.idleMinutes > 0) {
+      await this.save();
+      this.scheduleExpiry(now);
+      this.notify(now);
+    }
+    return true;
+  }
+
+  /**
+   * Change the session limits
+   * The new limits start a new session.
+   * @param {Object} limits - { maxHours, idleMinutes }
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<Object>} Saved limits
+   */
+  async setLimits(limits, now = Date.now()) {
+    await this.ensureLoaded();
+
+    this.limits = validateLimits(limits);
+    const settings = await storage.getAppSettings() || {};
+    await storage.saveAppSettings({ ...settings, remoteSession: this.limits });
+
+    await this.arm(now);
+    return this.getLimits();
+  }
+
+  /**
+   * Save the session times
+   */
+  async save() {
+    await storage.saveRemoteSession({ armedAt: this.armedAt, lastActivityAt: this.lastActivityAt });
+  }
+
+  /**
+   * Notify subscribers when the session ends
+   * @param {number} now - Current time (ms)
+   */
+  scheduleExpiry(now = Date.now()) {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const status = this.getStatus(now);
+    if (!status.active || status.expiresAt === null) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      const current = this.getStatus();
+      if (current.active) {
+        this.scheduleExpiry();
+        return;
+      }
+
+      logger.warning(current.reason === SESSION_END_REASONS.IDLE
+        ? 'Remote access ended after a period without commands'
+        : 'Remote access ended; the session reached its time limit');
+      this.notify();
+    }, Math.min(status.remaining, MAX_TIMER_DELAY));
+  }
+
+  /**
+   * Stop watching for the end of the session
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Subscribe to session changes
+   * @param {Function} callback - Called with the session status
+   */
+  subscribe(callback) {
+    if (typeof callback === 'function') {
+      this.subscribers.push(callback);
+    }
+  }
+
+  /**
+   * Unsubscribe from session changes
+   * @param {Function} callback - Function to remove from subscribers
+   */
+  unsubscribe(callback) {
+    this.subscribers = this.subscribers.filter(sub => sub !== callback);
+  }
+
+  /**
+   * Notify subscribers of the session status
+   * @param {number} now - Current time (ms)
+   */
+  notify(now = Date.now()) {
+    const status = this.getStatus(now);
+    this.subscribers.forEach(callback => callback(status));
+  }
+}
+
+// Create a singleton instance
+const sessionService = new SessionService();
+
+export default sessionService;
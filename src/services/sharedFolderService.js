@@ -0,0 +1,281 @@
+/**
+ * Service for the shared-folder sandbox
+ * The device owner picks which folders can be browsed remotely; every path a
+ * command supplies is resolved here and rejected if it could reach anything
+ * outside those folders
+ */
+import logger from '../utils/logger';
+import * as storage from '../utils/storage';
+import { getCanonicalPath } from '../native-modules/NativeFileSystem';
+
+// Why a path was refused
+export const DENIAL_REASONS = {
+  NO_SHARED_FOLDERS: 'no_shared_folders',
+  INVALID_PATH: 'invalid_path',
+  TRAVERSAL: 'traversal',
+  OUTSIDE_SHARED_FOLDERS: 'outside_shared_folders',
+  SYMLINK: 'symlink',
+  UNRESOLVED_LINKS: 'unresolved_links'
+};
+
+// Messages sent to the chat for each reason
+const DENIAL_MESSAGES = {
+  [DENIAL_REASONS.NO_SHARED_FOLDERS]: 'No folders are shared on this device',
+  [DENIAL_REASONS.INVALID_PATH]: 'Invalid path',
+  [DENIAL_REASONS.TRAVERSAL]: 'Paths may not contain ".." or "."',
+  [DENIAL_REASONS.OUTSIDE_SHARED_FOLDERS]: 'Path is outside the shared folders',
+  [DENIAL_REASONS.SYMLINK]: 'Path links outside the shared folders',
+  [DENIAL_REASONS.UNRESOLVED_LINKS]: 'Links in this path cannot be checked on this device'
+};
+
+/**
+ * Error thrown when a path may not be accessed remotely
+ */
+export class PathAccessError extends Error {
+  constructor(reason, path) {
+    super(`${DENIAL_MESSAGES[reason] || 'Access denied'}: ${path}`);
+    this.name = 'PathAccessError';
+    this.reason = reason;
+    this.path = path;
+  }
+}
+
+/**
+ * Convert a path to a file:// URI without a trailing slash
+ * The path is taken as written: "100%.txt" and "a%20b" are file names, not
+ * escapes. Use fromFileUri for URIs received from the file system.
+ * @param {string} path - Path or file:// URI
+ * @returns {string|null} Normalized URI, or null if the path is unusable
+ */
+export const normalizePath = (path) => {
+  if (typeof path !== 'string' || !path.trim()) return null;
+
+  const trimmed = path.trim();
+  if (/[\0\\]/.test(trimmed)) return null;
+
+  const withoutScheme = trimmed.replace(/^file:\/\//i, '');
+  if (!withoutScheme.startsWith('/')) return null;
+
+  return `file://${withoutScheme.replace(/\/{2,}/g, '/').replace(/(.)\/$/, '$1')}`;
+};
+
+/**
+ * Normalize a percent-encoded file:// URI, such as FileSystem.documentDirectory
+ * @param {string} uri - Encoded file:// URI
+ * @returns {string|null} Normalized URI, or null if the URI is unusable
+ */
+export const fromFileUri = (uri) => {
+  try {
+    return normalizePath(decodeURIComponent(uri));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Decode a path segment, keeping it as written if it is not valid encoding
+ * @param {string} segment - Path segment
+ * @returns {string}
+ */
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+};
+
+/**
+ * Check whether a path has "." or ".." segments
+ * Encoded dots count too, since the file system may decode the URI
+ * @param {string} path - Normalized path
+ * @returns {boolean}
+ */
+export const hasTraversal = (path) =>
+  path.replace(/^file:\/\//, '').split('/')
+    .flatMap(segment => decodeSegment(segment).split('/'))
+    .some(segment => segment === '..' || segment === '.');
+
+/**
+ * Check whether a path is a folder or inside it
+ * @param {string} path - Normalized path
+ * @param {string} folder - Normalized folder
+ * @returns {boolean}
+ */
+export const isInsideFolder = (path, folder) =>
+  path === folder || path.startsWith(folder === 'file:///' ? folder : `${folder}/`);
+
+class SharedFolderService {
+  constructor() {
+    this.folders = [];
+    this.loaded = false;
+    this.subscribers = [];
+  }
+
+  /**
+   * Load the shared folders from storage
+   * @returns {Promise<Array<string>>} Shared folders
+   */
+  async loadFolders() {
+    const folders = await storage.getSharedFolders();
+    this.folders = folders.map(normalizePath).filter(Boolean);
+    this.loaded = true;
+    this.notify();
+    return this.getFolders();
+  }
+
+  /**
+   * Load the shared folders if they have not been loaded yet
+   */
+  async ensureLoaded() {
+    if (!this.loaded) {
+      await this.loadFolders();
+    }
+  }
+
+  /**
+   * Get the shared folders
+   * @returns {Array<string>} Copy of the folder list (file:// URIs)
+   */
+  getFolders() {
+    return [...this.folders];
+  }
+
+  /**
+   * Share a folder for remote browsing
+   * @param {string} path - Directory path
+   * @returns {Promise<boolean>} Whether the folder was added
+   */
+  async addFolder(path) {
+    const folder = normalizePath(path);
+
+    if (!folder) {
+      throw new Error('Enter an absolute path, e.g. /storage/emulated/0/Download');
+    }
+
+    if (hasTraversal(folder)) {
+      throw new Error('Shared folders may not contain ".." or "."');
+    }
+
+    await this.ensureLoaded();
+
+    if (this.folders.includes(folder)) {
+      return false;
+    }
+
+    this.folders = [...this.folders, folder];
+    await storage.saveSharedFolders(this.folders);
+
+    logger.info(`Shared folder: ${folder}`);
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Stop sharing a folder
+   * @param {string} folder - Folder as returned by getFolders
+   * @returns {Promise<boolean>} Whether a folder was removed
+   */
+  async removeFolder(folder) {
+    await this.ensureLoaded();
+
+    const remaining = this.folders.filter(f => f !== folder);
+    if (remaining.length === this.folders.length) {
+      return false;
+    }
+
+    this.folders = remaining;
+    await storage.saveSharedFolders(this.folders);
+
+    logger.info(`Stopped sharing folder: ${folder}`);
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Find the shared folder a path belongs to, without touching the file system
+   * @param {string} path - Path or file:// URI
+   * @returns {string|null} Shared folder, or null if the path is not inside one
+   */
+  findFolder(path) {
+    const normalized = normalizePath(path);
+    if (!normalized || hasTraversal(normalized)) return null;
+
+    return this.folders.find(folder => isInsideFolder(normalized, folder)) || null;
+  }
+
+  /**
+   * Resolve a path supplied by a remote command
+   * @param {string} path - Path or file:// URI
+   * @returns {Promise<string>} Normalized path inside a shared folder
+   * @throws {PathAccessError} If the path may not be accessed
+   */
+  async resolvePath(path) {
+    await this.ensureLoaded();
+
+    const deny = (reason) => {
+      const error = new PathAccessError(reason, path);
+      logger.warning(`File access denied (${reason}): ${path}`);
+      throw error;
+    };
+
+    if (this.folders.length === 0) deny(DENIAL_REASONS.NO_SHARED_FOLDERS);
+
+    const normalized = normalizePath(path);
+    if (!normalized) deny(DENIAL_REASONS.INVALID_PATH);
+    if (hasTraversal(normalized)) deny(DENIAL_REASONS.TRAVERSAL);
+
+    const folder = this.findFolder(normalized);
+    if (!folder) deny(DENIAL_REASONS.OUTSIDE_SHARED_FOLDERS);
+
+    // A link inside a shared folder must not lead out of it; a path whose
+    // links cannot be resolved is denied rather than trusted
+    let canonicalPath;
+    let canonicalFolder;
+    try {
+      [canonicalPath, canonicalFolder] = await Promise.all([
+        getCanonicalPath(normalized).then(normalizePath),
+        getCanonicalPath(folder).then(normalizePath)
+      ]);
+    } catch (error) {
+      logger.error(`Failed to resolve links in ${normalized}: ${error.message}`);
+      deny(DENIAL_REASONS.UNRESOLVED_LINKS);
+    }
+    if (!canonicalPath || !canonicalFolder || !isInsideFolder(canonicalPath, canonicalFolder)) {
+      deny(DENIAL_REASONS.SYMLINK);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Subscribe to shared folder changes
+   * @param {Function} callback - Called with the updated folder list
+   */
+  subscribe(callback) {
+    if (typeof callback === 'function') {
+      this.subscribers.push(callback);
+    }
+  }
+
+  /**
+   * Unsubscribe from shared folder changes
+   * @param {Function} callback - Function to remove from subscribers
+   */
+  unsubscribe(callback) {
+    this.subscribers = this.subscribers.filter(sub => sub !== callback);
+  }
+
+  /**
+   * Notify subscribers of the current folders
+   */
+  notify() {
+    const folders = this.getFolders();
+    this.subscribers.forEach(callback => callback(folders));
+  }
+}
+
+// Create a singleton instance
+const sharedFolderService = new SharedFolderService();
+
+export default sharedFolderService;
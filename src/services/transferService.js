@@ -0,0 +1,260 @@
+/**
+ * Service for chunked file transfers
+ * Files over the Bot API upload limit are sent as numbered parts plus a
+ * manifest. The parts already delivered are persisted so an interrupted
+ * transfer resumes where it stopped instead of starting over.
+ * Reassemble with: node reassemble-transfer.js <name>.manifest.json
+ */
+import * as FileSystem from 'expo-file-system';
+import { getRandomBytes } from 'expo-crypto';
+import { bytesToHex } from '@noble/hashes/utils';
+import logger from '../utils/logger';
+import * as storage from '../utils/storage';
+
+// Largest file the Bot API accepts in a single sendDocument
+export const MAX_UPLOAD_SIZE = 50 * 1024 * 1024;
+
+// Size of each part; parts are read into memory, so keep this well below the limit
+export const PART_SIZE = 20 * 1024 * 1024;
+
+// Manifest format understood by the reassembly script
+export const MANIFEST_VERSION = 1;
+
+// Transfer states
+export const TRANSFER_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused'
+};
+
+// Where parts are staged before upload
+const PARTS_DIRECTORY = `${FileSystem.cacheDirectory}transfers/`;
+
+/**
+ * Get the file name of a part
+ * @param {string} fileName - Original file name
+ * @param {number} index - Part index (0-based)
+ * @returns {string} e.g. "backup.zip.part001"
+ */
+export const getPartName = (fileName, index) => `${fileName}.part${String(index + 1).padStart(3, '0')}`;
+
+/**
+ * Get the file name of a transfer's manifest
+ * @param {string} fileName - Original file name
+ * @returns {string} e.g. "backup.zip.manifest.json"
+ */
+export const getManifestName = (fileName) => `${fileName}.manifest.json`;
+
+class TransferService {
+  constructor() {
+    this.transfers = [];
+    this.loaded = false;
+  }
+
+  /**
+   * Load transfer state from storage if it has not been loaded yet
+   */
+  async ensureLoaded() {
+    if (!this.loaded) {
+      this.transfers = await storage.getTransfers();
+      this.loaded = true;
+    }
+  }
+
+  /**
+   * Persist the transfer state
+   */
+  async save() {
+    if (!(await storage.saveTransfers(this.transfers))) {
+      logger.warning('Could not save transfer state; interrupted transfers may restart');
+    }
+  }
+
+  /**
+   * Get a transfer
+   * @param {string} id - Transfer ID
+   * @returns {Object|null} Transfer record
+   */
+  get(id) {
+    return this.transfers.find(t => t.id === id) || null;
+  }
+
+  /**
+   * Get the unfinished transfers to a chat
+   * @param {string} chatId - Chat the transfers were sent to
+   * @returns {Promise<Array>} Transfer records, oldest first
+   */
+  async getPending(chatId) {
+    await this.ensureLoaded();
+    return this.transfers.filter(t => String(t.chatId) === String(chatId));
+  }
+
+  /**
+   * Start a transfer
+   * @param {string} filePath - File to send
+   * @param {Object} options - Transfer options
+   * @param {string} options.chatId - Destination chat
+   * @param {string} options.caption - Caption of the original file
+   * @param {string} options.command - Command that requested the file, for the audit log
+   * @param {number} options.partSize - Part size in bytes
+   * @returns {Promise<Object>} Transfer record
+   */
+  async createTransfer(filePath, { chatId, caption = '', command = null, partSize = PART_SIZE }) {
+    await this.ensureLoaded();
+
+    const info = await FileSystem.getInfoAsync(filePath, { md5: true, size: true });
+    if (!info.exists || info.isDirectory) {
+      throw new Error(`Not a file: ${filePath}`);
+    }
+
+    const transfer = {
+      id: bytesToHex(getRandomBytes(4)),
+      chatId: String(chatId),
+      filePath,
+      fileName: filePath.split('/').pop(),
+      size: info.size,
+      md5: info.md5,
+      modificationTime: info.modificationTime || null,
+      partSize,
+      partCount: Math.max(1, Math.ceil(info.size / partSize)),
+      parts: {},
+      caption,
+      command,
+      progressMessageId: null,
+      status: TRANSFER_STATUS.ACTIVE,
+      createdAt: new Date().toISOString()
+    };
+
+    this.transfers = [...this.transfers, transfer];
+    await this.save();
+
+    logger.info(`Started transfer ${transfer.id}: ${transfer.fileName} in ${transfer.partCount} parts`);
+    return transfer;
+  }
+
+  /**
+   * Update a transfer
+   * @param {string} id - Transfer ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Updated record
+   */
+  async update(id, changes) {
+    this.transfers = this.transfers.map(t => (t.id === id ? { ...t, ...changes } : t));
+    await this.save();
+    return this.get(id);
+  }
+
+  /**
+   * Record a delivered part
+   * @param {string} id - Transfer ID
+   * @param {number} index - Part index
+   * @param {Object} part - { size, md5 }
+   * @returns {Promise<Object>} Updated record
+   */
+  async markPartSent(id, index, part) {
+    const transfer = this.get(id);
+    return this.update(id, { parts: { ...transfer.parts, [index]: part } });
+  }
+
+  /**
+   * Forget a finished or abandoned transfer
+   * @param {string} id - Transfer ID
+   */
+  async remove(id) {
+    this.transfers = this.transfers.filter(t => t.id !== id);
+    await this.save();
+  }
+
+  /**
+   * Forget every unfinished transfer and delete the staged parts
+   */
+  async clear() {
+    await this.ensureLoaded();
+
+    this.transfers = [];
+    await this.save();
+    await this.deleteStagedFile(PARTS_DIRECTORY);
+  }
+
+  /**
+   * Check that the source file is the one the transfer started with
+   * @param {Object} transfer - Transfer record
+   * @returns {Promise<boolean>}
+   */
+  async isSourceUnchanged(transfer) {
+    const info = await FileSystem.getInfoAsync(transfer.filePath, { md5: true, size: true });
+    return info.exists && info.size === transfer.size && info.md5 === transfer.md5;
+  }
+
+  /**
+   * Write one part of the source file to the staging directory
+   * @param {Object} transfer - Transfer record
+   * @param {number} index - Part index
+   * @returns {Promise<Object>} { path, name, size, md5 }
+   */
+  async preparePart(transfer, index) {
+    await FileSystem.makeDirectoryAsync(PARTS_DIRECTORY, { intermediates: true });
+
+    const name = getPartName(transfer.fileName, index);
+    const path = `${PARTS_DIRECTORY}${transfer.id}-${name}`;
+    const position = index * transfer.partSize;
+    const length = Math.min(transfer.partSize, transfer.size - position);
+
+    const data = await FileSystem.readAsStringAsync(transfer.filePath, {
+      encoding: FileSystem.EncodingType.Base64,
+      position,
+      length
+    });
+    await FileSystem.writeAsStringAsync(path, data, { encoding: FileSystem.EncodingType.Base64 });
+
+    const info = await FileSystem.getInfoAsync(path, { md5: true, size: true });
+    if (info.size !== length) {
+      throw new Error(`Part ${index + 1} is ${info.size} bytes, expected ${length}`);
+    }
+
+    return { path, name, size: length, md5: info.md5 };
+  }
+
+  /**
+   * Write the manifest of a completed transfer
+   * @param {Object} transfer - Transfer record with every part sent
+   * @returns {Promise<Object>} { path, name }
+   */
+  async writeManifest(transfer) {
+    await FileSystem.makeDirectoryAsync(PARTS_DIRECTORY, { intermediates: true });
+
+    const name = getManifestName(transfer.fileName);
+    const path = `${PARTS_DIRECTORY}${transfer.id}-${name}`;
+    const manifest = {
+      version: MANIFEST_VERSION,
+      fileName: transfer.fileName,
+      size: transfer.size,
+      md5: transfer.md5,
+      partSize: transfer.partSize,
+      parts: Array.from({ length: transfer.partCount }, (_, index) => ({
+        name: getPartName(transfer.fileName, index),
+        ...transfer.parts[index]
+      })),
+      createdAt: transfer.createdAt
+    };
+
+    await FileSystem.writeAsStringAsync(path, JSON.stringify(manifest, null, 2));
+    return { path, name };
+  }
+
+  /**
+   * Delete a staged part or manifest
+   * @param {string} path - Staged file
+   */
+  async deleteStagedFile(path) {
+    try {
+      await FileSystem.deleteAsync(path, { idempotent: true });
+    } catch (error) {
+      logger.warning(`Could not delete ${path}: ${error.message}`);
+    }
+  }
+}
+
+// Create a singleton instance
+const transferService = new TransferService();
+
+export default transferService;
@@ -0,0 +1,180 @@
+/**
+ * Tests for the authenticated encryption utilities
+ */
+// Survives jest.resetModules() so a "restart" still sees saved keys
+const mockSecureStore = new Map();
+
+jest.mock('expo-secure-store', () => ({
+  setItemAsync: jest.fn(async (key, value) => { mockSecureStore.set(key, value); }),
+  getItemAsync: jest.fn(async (key) => (mockSecureStore.has(key) ? mockSecureStore.get(key) : null)),
+  deleteItemAsync: jest.fn(async (key) => { mockSecureStore.delete(key); })
+}));
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: (count) => new Uint8Array(require('crypto').randomBytes(count))
+}));
+
+// Flip one character of a Base64 string to a different valid character
+const flipBase64Char = (base64, index) => {
+  const replacement = base64[index] === 'A' ? 'B' : 'A';
+  return `${base64.substring(0, index)}${replacement}${base64.substring(index + 1)}`;
+};
+
+describe('encryption', () => {
+  let encryption;
+  let SecureStore;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    mockSecureStore.clear();
+    SecureStore = require('expo-secure-store');
+    encryption = require('../encryption');
+    await encryption.initializeEncryption();
+  });
+
+  it('round-trips text, including non-ASCII characters', () => {
+    const text = 'device-id: 42 • пароль • 🔐';
+    const ciphertext = encryption.encrypt(text);
+
+    expect(ciphertext).not.toContain('device-id');
+    expect(encryption.decrypt(ciphertext)).toBe(text);
+  });
+
+  it('produces versioned ciphertext tagged with the active key', () => {
+    const { activeKeyId } = encryption.getKeyInfo();
+    const [version, keyId] = encryption.encrypt('hello').split(':');
+
+    expect(version).toBe(encryption.CIPHER_VERSION);
+    expect(keyId).toBe(activeKeyId);
+  });
+
+  it('uses a fresh nonce for every encryption', () => {
+    expect(encryption.encrypt('same')).not.toBe(encryption.encrypt('same'));
+  });
+
+  it('keeps the existing empty-input behavior', () => {
+    expect(encryption.encrypt('')).toBe('');
+    expect(encryption.decrypt('')).toBe('');
+  });
+
+  it('stores the keyring in SecureStore and reuses it after restart', async () => {
+    const ciphertext = encryption.encrypt('persisted');
+    expect(SecureStore.setItemAsync).toHaveBeenCalledWith('encryptionKeyring', expect.any(String));
+
+    jest.resetModules();
+    const reloaded = require('../encryption');
+    await reloaded.initializeEncryption();
+
+    expect(reloaded.decrypt(ciphertext)).toBe('persisted');
+  });
+
+  it('refuses to encrypt before the keyring is loaded', () => {
+    jest.resetModules();
+    const fresh = require('../encryption');
+
+    expect(() => fresh.encrypt('text')).toThrow('Encryption not initialized');
+  });
+
+  describe('tampering detection', () => {
+    it('rejects a modified ciphertext body', () => {
+      const [version, keyId, payload] = encryption.encrypt('transfer 100').split(':');
+      const tampered = `${version}:${keyId}:${flipBase64Char(payload, payload.length - 5)}`;
+
+      expect(() => encryption.decrypt(tampered)).toThrow('Ciphertext failed authentication');
+    });
+
+    it('rejects a modified nonce', () => {
+      const [version, keyId, payload] = encryption.encrypt('transfer 100').split(':');
+      const tampered = `${version}:${keyId}:${flipBase64Char(payload, 2)}`;
+
+      expect(() => encryption.decrypt(tampered)).toThrow('Ciphertext failed authentication');
+    });
+
+    it('rejects a truncated ciphertext', () => {
+      const ciphertext = encryption.encrypt('transfer 100');
+
+      expect(() => encryption.decrypt(ciphertext.slice(0, -8))).toThrow();
+    });
+
+    it('rejects a ciphertext moved under another key ID', async () => {
+      const original = encryption.encrypt('secret');
+      const newKeyId = await encryption.rotateKey();
+      const [version, , payload] = original.split(':');
+
+      expect(() => encryption.decrypt(`${version}:${newKeyId}:${payload}`))
+        .toThrow('Ciphertext failed authentication');
+    });
+
+    it('rejects unknown versions and malformed input', () => {
+      const [, keyId, payload] = encryption.encrypt('secret').split(':');
+
+      expect(() => encryption.decrypt(`v0:${keyId}:${payload}`)).toThrow('Unsupported ciphertext version');
+      expect(() => encryption.decrypt('not-a-ciphertext')).toThrow('Malformed ciphertext');
+      expect(() => encryption.decrypt(`v1:${keyId}:`)).toThrow('Malformed ciphertext');
+    });
+
+    it('rejects ciphertext from another install', () => {
+      const foreignKey = encryption.generateKey();
+      const { activeKeyId } = encryption.getKeyInfo();
+      const foreign = encryption.encryptWithKey('secret', foreignKey, activeKeyId);
+
+      expect(() => encryption.decrypt(foreign)).toThrow('Ciphertext failed authentication');
+    });
+  });
+
+  describe('key rotation', () => {
+    it('encrypts with the new key but still decrypts old ciphertext', async () => {
+      const oldCiphertext = encryption.encrypt('before rotation');
+      const oldKeyId = encryption.getKeyInfo().activeKeyId;
+
+      const newKeyId = await encryption.rotateKey();
+
+      expect(newKeyId).not.toBe(oldKeyId);
+      expect(encryption.encrypt('after').split(':')[1]).toBe(newKeyId);
+      expect(encryption.decrypt(oldCiphertext)).toBe('before rotation');
+    });
+
+    it('re-encrypts old ciphertext so retired keys can be removed', async () => {
+      const oldCiphertext = encryption.encrypt('migrate me');
+      const oldKeyId = encryption.getKeyInfo().activeKeyId;
+      await encryption.rotateKey();
+
+      const upgraded = encryption.reencrypt(oldCiphertext);
+
+      expect(await encryption.removeKey(oldKeyId)).toBe(true);
+      expect(encryption.decrypt(upgraded)).toBe('migrate me');
+      expect(() => encryption.decrypt(oldCiphertext)).toThrow(`Unknown encryption key: ${oldKeyId}`);
+    });
+
+    it('never removes the active key', async () => {
+      const { activeKeyId } = encryption.getKeyInfo();
+
+      expect(await encryption.removeKey(activeKeyId)).toBe(false);
+    });
+  });
+
+  describe('fingerprint', () => {
+    it('is stable across calls and key rotation', async () => {
+      const before = encryption.fingerprint('device-123');
+      await encryption.rotateKey();
+
+      expect(encryption.fingerprint('device-123')).toBe(before);
+      expect(before).toHaveLength(16);
+      expect(before).not.toContain('device');
+    });
+
+    it('differs between values', () => {
+      expect(encryption.fingerprint('a')).not.toBe(encryption.fingerprint('b'));
+    });
+  });
+
+  describe('maskSensitive', () => {
+    it('masks the middle of long values', () => {
+      expect(encryption.maskSensitive('1234567890abcdef')).toBe('1234••••••••cdef');
+    });
+
+    it('leaves short values alone', () => {
+      expect(encryption.maskSensitive('12345678')).toBe('12345678');
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests for secret redaction in the logger
+ */
+const TOKEN = '123456789:AAHdqTcvCH1vGWJxfSeofSAs0K5PALDsaw';
+
+describe('logger', () => {
+  let logger;
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    logger = require('../logger').default;
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('scrubs a registered token from Axios request URLs', () => {
+    logger.registerSecret(TOKEN, 'token');
+
+    const entry = logger.error(`Request failed: GET https://api.telegram.org/bot${TOKEN}/getUpdates`);
+
+    expect(entry.text).toBe('Request failed: GET https://api.telegram.org/bot[redacted token]/getUpdates');
+  });
+
+  it('scrubs tokens that were never registered', () => {
+    expect(logger.redact(`baseURL: https://api.telegram.org/bot${TOKEN}`)).not.toContain('AAHdq');
+    expect(logger.redact(`url=%2Fbot${encodeURIComponent(TOKEN)}%2FsendMessage`)).not.toContain('AAHdq');
+  });
+
+  it('scrubs a registered token in URL-encoded form', () => {
+    logger.registerSecret('secret value/with:chars', 'password');
+
+    expect(logger.redact(`q=${encodeURIComponent('secret value/with:chars')}`)).toBe('q=[redacted password]');
+  });
+
+  it('scrubs chat IDs without touching longer numbers', () => {
+    logger.registerSecret(-1001234567, 'chat ID');
+    logger.registerSecret('987654', 'chat ID');
+
+    expect(logger.redact('Paired Ann in chat -1001234567')).toBe('Paired Ann in chat [redacted chat ID]');
+    expect(logger.redact('Message to 987654 failed')).toBe('Message to [redacted chat ID] failed');
+    expect(logger.redact('Sent 19876543 bytes')).toBe('Sent 19876543 bytes');
+  });
+
+  it('scrubs email addresses and phone numbers', () => {
+    expect(logger.redact('Exported jane.doe+work@example.co.uk')).toBe('Exported [redacted email]');
+    expect(logger.redact('Call +1 (555) 123-4567 now')).toBe('Call [redacted phone] now');
+    expect(logger.redact('Call +44 20 7946 0958')).toBe('Call [redacted phone]');
+    expect(logger.redact('Call (555) 123-4567 or 555.123.4567')).toBe('Call [redacted phone] or [redacted phone]');
+  });
+
+  it('leaves ordinary log lines alone', () => {
+    const lines = [
+      'Report sent at 2026-10-19 08:00',
+      'Battery 15% (-3% in 60 min)',
+      'Send /pair ABC234 to @monitor_bot',
+      'Free storage: 1.25 GB'
+    ];
+
+    expect(lines.map(line => logger.redact(line))).toEqual(lines);
+  });
+
+  it('never prints a secret to the console', () => {
+    logger.registerSecret(TOKEN, 'token');
+    logger.info(`Token is ${TOKEN}`);
+
+    expect(console.log).toHaveBeenCalledWith('[INFO] Token is [redacted token]');
+  });
+
+  it('scrubs entries logged before the secret was registered', () => {
+    const subscriber = jest.fn();
+    logger.subscribe(subscriber);
+    logger.info('Bound chat 55512345');
+
+    logger.registerSecret('55512345', 'chat ID');
+
+    expect(logger.getLogs()[0].text).toBe('Bound chat [redacted chat ID]');
+    expect(subscriber).toHaveBeenLastCalledWith([expect.objectContaining({ text: 'Bound chat [redacted chat ID]' })]);
+  });
+
+  it('ignores values too short to redact safely', () => {
+    logger.registerSecret('42', 'chat ID');
+    logger.registerSecret(null, 'chat ID');
+
+    expect(logger.redact('42 items')).toBe('42 items');
+  });
+});
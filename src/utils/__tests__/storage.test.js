@@ -0,0 +1,127 @@
+/**
+ * Tests for secure storage and its fallback policy
+ */
+const mockSecureStore = new Map();
+const mockAsyncStorage = new Map();
+// Set to make every SecureStore call fail, as on devices without a keystore
+const mockSecureStoreBroken = { current: false };
+
+const mockSecureCall = (fn) => jest.fn(async (...args) => {
+  if (mockSecureStoreBroken.current) {
+    throw new Error('Keystore unavailable');
+  }
+  return fn(...args);
+});
+
+jest.mock('expo-secure-store', () => ({
+  isAvailableAsync: jest.fn(async () => true),
+  setItemAsync: mockSecureCall((key, value) => { mockSecureStore.set(key, value); }),
+  getItemAsync: mockSecureCall((key) => (mockSecureStore.has(key) ? mockSecureStore.get(key) : null)),
+  deleteItemAsync: mockSecureCall((key) => { mockSecureStore.delete(key); })
+}));
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  setItem: jest.fn(async (key, value) => { mockAsyncStorage.set(key, value); }),
+  getItem: jest.fn(async (key) => (mockAsyncStorage.has(key) ? mockAsyncStorage.get(key) : null)),
+  removeItem: jest.fn(async (key) => { mockAsyncStorage.delete(key); })
+}));
+
+jest.mock('expo-application', () => ({
+  applicationId: 'com.example.monitor',
+  getAndroidId: () => 'android-id',
+  getIosIdForVendorAsync: async () => 'vendor-id'
+}));
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: (count) => new Uint8Array(require('crypto').randomBytes(count))
+}));
+
+const TOKEN = '123456:ABC-secret-token';
+
+describe('storage', () => {
+  let storage;
+
+  beforeEach(() => {
+    jest.resetModules();
+    mockSecureStore.clear();
+    mockAsyncStorage.clear();
+    mockSecureStoreBroken.current = false;
+    storage = require('../storage');
+  });
+
+  it('keeps secrets in SecureStore when it works', async () => {
+    await expect(storage.saveBotToken(TOKEN)).resolves.toBe(true);
+
+    expect(mockSecureStore.get(storage.KEYS.BOT_TOKEN)).toBe(TOKEN);
+    expect(mockAsyncStorage.has(storage.KEYS.BOT_TOKEN)).toBe(false);
+    await expect(storage.getBotToken()).resolves.toBe(TOKEN);
+  });
+
+  it('refuses to store secrets without SecureStore by default', async () => {
+    mockSecureStoreBroken.current = true;
+
+    await expect(storage.saveBotToken(TOKEN)).resolves.toBe(false);
+
+    expect(mockAsyncStorage.has(storage.KEYS.BOT_TOKEN)).toBe(false);
+    expect(storage.getSecureStorageStatus()).toEqual({
+      available: false,
+      policy: storage.SECURE_STORAGE_POLICIES.REFUSE
+    });
+  });
+
+  it('stores secrets encrypted when the fallback is allowed', async () => {
+    mockSecureStoreBroken.current = true;
+    storage.setSecureStoragePolicy(storage.SECURE_STORAGE_POLICIES.ENCRYPTED_FALLBACK);
+
+    await expect(storage.saveBotToken(TOKEN)).resolves.toBe(true);
+
+    const stored = mockAsyncStorage.get(storage.KEYS.BOT_TOKEN);
+    expect(stored).toBeDefined();
+    expect(stored).not.toContain('secret-token');
+    await expect(storage.getBotToken()).resolves.toBe(TOKEN);
+  });
+
+  it('reports SecureStore as unavailable when the probe fails', async () => {
+    mockSecureStoreBroken.current = true;
+
+    await expect(storage.checkSecureStorage()).resolves.toBe(false);
+    expect(storage.getSecureStorageStatus().available).toBe(false);
+  });
+
+  it('moves plaintext secrets left by older versions into SecureStore', async () => {
+    mockAsyncStorage.set(storage.KEYS.BOT_TOKEN, TOKEN);
+    mockAsyncStorage.set(storage.KEYS.CHAT_ID, '-100200');
+
+    const report = await storage.migrateSecureStorage();
+
+    expect(report.migrated).toEqual([storage.KEYS.BOT_TOKEN, storage.KEYS.CHAT_ID]);
+    expect(report.remaining).toEqual([]);
+    expect(mockAsyncStorage.size).toBe(0);
+    expect(mockSecureStore.get(storage.KEYS.BOT_TOKEN)).toBe(TOKEN);
+  });
+
+  it('does not overwrite a newer SecureStore value with a leftover copy', async () => {
+    mockSecureStore.set(storage.KEYS.BOT_TOKEN, 'newer-token');
+    mockAsyncStorage.set(storage.KEYS.BOT_TOKEN, TOKEN);
+
+    await storage.migrateSecureStorage();
+
+    expect(mockSecureStore.get(storage.KEYS.BOT_TOKEN)).toBe('newer-token');
+    expect(mockAsyncStorage.has(storage.KEYS.BOT_TOKEN)).toBe(false);
+  });
+
+  it('encrypts leftover plaintext when SecureStore is still unusable', async () => {
+    mockSecureStoreBroken.current = true;
+    mockAsyncStorage.set(storage.KEYS.BOT_TOKEN, TOKEN);
+
+    // Refused: the plaintext is reported, not touched
+    await expect(storage.migrateSecureStorage()).resolves.toMatchObject({ remaining: [storage.KEYS.BOT_TOKEN] });
+
+    storage.setSecureStoragePolicy(storage.SECURE_STORAGE_POLICIES.ENCRYPTED_FALLBACK);
+    const report = await storage.migrateSecureStorage();
+
+    expect(report).toEqual({ migrated: [], encrypted: [storage.KEYS.BOT_TOKEN], remaining: [] });
+    expect(mockAsyncStorage.get(storage.KEYS.BOT_TOKEN)).not.toContain('secret-token');
+    await expect(storage.getBotToken()).resolves.toBe(TOKEN);
+  });
+});
@@ -1,37 +1,28 @@
 /**
- * Basic encryption utilities for sensitive data
- * Uses simple XOR encryption for minimal protection
+ * Encryption utilities for sensitive data
+ * Uses XChaCha20-Poly1305 authenticated encryption with a per-install keyring
+ * held in SecureStore
  */
+import * as SecureStore from 'expo-secure-store';
+import { getRandomBytes } from 'expo-crypto';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { bytesToHex, hexToBytes, utf8ToBytes, bytesToUtf8, concatBytes } from '@noble/ciphers/utils';
+import { hmac } from '@noble/hashes/hmac';
+import { sha256 } from '@noble/hashes/sha256';
 
-// Simple XOR encryption key (in production, use a proper encryption library)
-const DEFAULT_KEY = "TelegramMonitorEncryptionKey";
+// Current ciphertext format version
+export const CIPHER_VERSION = 'v1';
 
-/**
- * Simple XOR encryption/decryption
- * @param {string} text - Text to encrypt/decrypt
- * @param {string} key - Encryption key
- * @returns {string} Encrypted/decrypted text
- */
-export const xorEncrypt = (text, key = DEFAULT_KEY) => {
-  if (!text) return '';
-  
-  let result = '';
-  for (let i = 0; i < text.length; i++) {
-    const charCode = text.charCodeAt(i) ^ key.charCodeAt(i % key.length);
-    result += String.fromCharCode(charCode);
-  }
-  return result;
-};
+// SecureStore key holding the keyring
+const KEYRING_STORE_KEY = 'encryptionKeyring';
 
-/**
- * XOR decrypt (same as encrypt)
- * @param {string} text - Text to decrypt
- * @param {string} key - Decryption key
- * @returns {string} Decrypted text
- */
-export const xorDecrypt = (text, key = DEFAULT_KEY) => {
-  return xorEncrypt(text, key);
-};
+// Sizes in bytes
+const KEY_LENGTH = 32;
+const NONCE_LENGTH = 24;
+const KEY_ID_LENGTH = 4;
+
+// Loaded keyring: { activeKeyId, keys: { [keyId]: hexKey }, fingerprintKey }
+let keyring = null;
 
 /**
  * Convert text to Base64
@@ -60,23 +51,254 @@ export const fromBase64 = (base64) => {
 };
 
 /**
- * Encrypt and encode text
+ * Encode bytes as Base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+};
+
+/**
+ * Decode Base64 to bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * Generate a new random 256-bit key
+ * @returns {Uint8Array} Key bytes
+ */
+export const generateKey = () => getRandomBytes(KEY_LENGTH);
+
+/**
+ * Encrypt text with an explicit key
+ * @param {string} text - Text to encrypt
+ * @param {Uint8Array} key - 32-byte key
+ * @param {string} keyId - Identifier stored in the ciphertext header
+ * @returns {string} Ciphertext in the form `v1:<keyId>:<base64 nonce+data>`
+ */
+export const encryptWithKey = (text, key, keyId) => {
+  const header = `${CIPHER_VERSION}:${keyId}`;
+  const nonce = getRandomBytes(NONCE_LENGTH);
+
+  // The header is bound as associated data so it cannot be swapped
+  const sealed = xchacha20poly1305(key, nonce, utf8ToBytes(header))
+    .encrypt(utf8ToBytes(String(text)));
+
+  return `${header}:${bytesToBase64(concatBytes(nonce, sealed))}`;
+};
+
+/**
+ * Split a ciphertext into its parts
+ * @param {string} ciphertext - Ciphertext to parse
+ * @returns {Object} Parsed { version, keyId, header, payload }
+ */
+export const parseCiphertext = (ciphertext) => {
+  const parts = typeof ciphertext === 'string' ? ciphertext.split(':') : [];
+
+  if (parts.length !== 3 || !parts[1] || !parts[2]) {
+    throw new Error('Malformed ciphertext');
+  }
+
+  const [version, keyId, payload] = parts;
+
+  if (version !== CIPHER_VERSION) {
+    throw new Error(`Unsupported ciphertext version: ${version}`);
+  }
+
+  return { version, keyId, header: `${version}:${keyId}`, payload };
+};
+
+/**
+ * Decrypt text with an explicit key
+ * @param {string} ciphertext - Ciphertext produced by encryptWithKey
+ * @param {Uint8Array} key - 32-byte key
+ * @returns {string} Decrypted text
+ * @throws {Error} If the ciphertext was tampered with or the key is wrong
+ */
+export const decryptWithKey = (ciphertext, key) => {
+  const { header, payload } = parseCiphertext(ciphertext);
+
+  let data;
+  try {
+    data = base64ToBytes(payload);
+  } catch (e) {
+    throw new Error('Malformed ciphertext');
+  }
+
+  if (data.length <= NONCE_LENGTH) {
+    throw new Error('Malformed ciphertext');
+  }
+
+  try {
+    const opened = xchacha20poly1305(key, data.subarray(0, NONCE_LENGTH), utf8ToBytes(header))
+      .decrypt(data.subarray(NONCE_LENGTH));
+    return bytesToUtf8(opened);
+  } catch (e) {
+    throw new Error('Ciphertext failed authentication');
+  }
+};
+
+/**
+ * Persist the keyring to SecureStore
+ */
+const saveKeyring = async () => {
+  await SecureStore.setItemAsync(KEYRING_STORE_KEY, JSON.stringify(keyring));
+};
+
+/**
+ * Add a fresh key to the keyring and make it active
+ * @returns {string} New key ID
+ */
+const addKey = () => {
+  let keyId;
+  do {
+    keyId = bytesToHex(getRandomBytes(KEY_ID_LENGTH));
+  } while (keyring.keys[keyId]);
+
+  keyring.keys[keyId] = bytesToHex(generateKey());
+  keyring.activeKeyId = keyId;
+  return keyId;
+};
+
+/**
+ * Load the per-install keyring, creating it on first run
+ * Must be awaited once at startup before encrypt/decrypt are used
+ * @returns {Promise<boolean>} Whether encryption is ready
+ */
+export const initializeEncryption = async () => {
+  if (keyring) return true;
+
+  const saved = await SecureStore.getItemAsync(KEYRING_STORE_KEY);
+
+  if (saved) {
+    keyring = JSON.parse(saved);
+    return true;
+  }
+
+  keyring = { activeKeyId: null, keys: {}, fingerprintKey: bytesToHex(generateKey()) };
+  addKey();
+  await saveKeyring();
+  return true;
+};
+
+/**
+ * Check whether the keyring has been loaded
+ * @returns {boolean}
+ */
+export const isEncryptionReady = () => keyring !== null;
+
+/**
+ * Get the loaded keyring or fail loudly
+ * @returns {Object} Keyring
+ */
+const requireKeyring = () => {
+  if (!keyring) {
+    throw new Error('Encryption not initialized. Call initializeEncryption() first.');
+  }
+  return keyring;
+};
+
+/**
+ * Generate a new active key; older keys stay available for decryption
+ * @returns {Promise<string>} New key ID
+ */
+export const rotateKey = async () => {
+  requireKeyring();
+  const keyId = addKey();
+  await saveKeyring();
+  return keyId;
+};
+
+/**
+ * Remove a retired key from the keyring
+ * Anything still encrypted with it can no longer be decrypted
+ * @param {string} keyId - Key ID to remove
+ * @returns {Promise<boolean>} Whether the key was removed
+ */
+export const removeKey = async (keyId) => {
+  const ring = requireKeyring();
+
+  if (keyId === ring.activeKeyId || !ring.keys[keyId]) {
+    return false;
+  }
+
+  delete ring.keys[keyId];
+  await saveKeyring();
+  return true;
+};
+
+/**
+ * Get the IDs of all keys in the keyring
+ * @returns {Object} { activeKeyId, keyIds }
+ */
+export const getKeyInfo = () => {
+  const ring = requireKeyring();
+  return { activeKeyId: ring.activeKeyId, keyIds: Object.keys(ring.keys) };
+};
+
+/**
+ * Encrypt text with the active install key
  * @param {string} text - Text to encrypt
- * @param {string} key - Encryption key
- * @returns {string} Encrypted and encoded text
+ * @returns {string} Versioned ciphertext
  */
-export const encrypt = (text, key = DEFAULT_KEY) => {
-  return toBase64(xorEncrypt(text, key));
+export const encrypt = (text) => {
+  if (text === null || text === undefined || text === '') return '';
+
+  const ring = requireKeyring();
+  return encryptWithKey(text, hexToBytes(ring.keys[ring.activeKeyId]), ring.activeKeyId);
 };
 
 /**
- * Decode and decrypt text
- * @param {string} encryptedText - Encrypted text
- * @param {string} key - Decryption key
+ * Decrypt text encrypted with any key in the keyring
+ * @param {string} encryptedText - Versioned ciphertext
  * @returns {string} Decrypted text
+ * @throws {Error} If the ciphertext is malformed, tampered with or uses an unknown key
  */
-export const decrypt = (encryptedText, key = DEFAULT_KEY) => {
-  return xorDecrypt(fromBase64(encryptedText), key);
+export const decrypt = (encryptedText) => {
+  if (!encryptedText) return '';
+
+  const ring = requireKeyring();
+  const { keyId } = parseCiphertext(encryptedText);
+
+  if (!ring.keys[keyId]) {
+    throw new Error(`Unknown encryption key: ${keyId}`);
+  }
+
+  return decryptWithKey(encryptedText, hexToBytes(ring.keys[keyId]));
+};
+
+/**
+ * Re-encrypt a ciphertext under the active key
+ * @param {string} encryptedText - Ciphertext to upgrade
+ * @returns {string} Ciphertext using the active key
+ */
+export const reencrypt = (encryptedText) => encrypt(decrypt(encryptedText));
+
+/**
+ * Create a stable, non-reversible identifier for a value
+ * Used to refer to identifiers like the device ID without revealing them
+ * @param {string} value - Value to fingerprint
+ * @param {number} length - Number of hex characters to return
+ * @returns {string} Hex fingerprint
+ */
+export const fingerprint = (value, length = 16) => {
+  const ring = requireKeyring();
+  const mac = hmac(sha256, hexToBytes(ring.fingerprintKey), utf8ToBytes(String(value)));
+  return bytesToHex(mac).substring(0, length);
 };
 
 /**
@@ -87,16 +309,20 @@ export const decrypt = (encryptedText, key = DEFAULT_KEY) => {
  */
 export const maskSensitive = (text, visibleChars = 4) => {
   if (!text || text.length <= visibleChars * 2) return text;
-  
+
   const start = text.substring(0, visibleChars);
   const end = text.substring(text.length - visibleChars);
   const middle = '•'.repeat(Math.min(10, text.length - visibleChars * 2));
-  
+
   return `${start}${middle}${end}`;
 };
 
 export default {
+  initializeEncryption,
   encrypt,
   decrypt,
+  reencrypt,
+  rotateKey,
+  fingerprint,
   maskSensitive
 };
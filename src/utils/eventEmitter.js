@@ -0,0 +1,54 @@
+/**
+ * Minimal event emitter
+ * Lets services publish named events that UI components subscribe to
+ */
+import logger from './logger';
+
+class EventEmitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event arguments
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, listener) {
+    if (typeof listener !== 'function') {
+      return () => {};
+    }
+
+    this.listeners[event] = [...(this.listeners[event] || []), listener];
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Unsubscribe from an event
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener to remove
+   */
+  off(event, listener) {
+    if (!this.listeners[event]) return;
+    this.listeners[event] = this.listeners[event].filter(l => l !== listener);
+  }
+
+  /**
+   * Call every listener of an event
+   * A failing listener is logged and does not stop the others
+   * @param {string} event - Event name
+   * @param {...*} args - Event arguments
+   */
+  emit(event, ...args) {
+    (this.listeners[event] || []).forEach(listener => {
+      try {
+        listener(...args);
+      } catch (error) {
+        logger.error(`Error in ${event} listener: ${error.message}`);
+      }
+    });
+  }
+}
+
+export default EventEmitter;
@@ -1,6 +1,8 @@
 /**
  * Logger utility for the application
- * Provides standardized logging with timestamps and categories
+ * Provides standardized logging with timestamps and categories. Every entry
+ * is scrubbed of registered secrets and anything shaped like a bot token,
+ * phone number or email address before it is kept, shown or printed.
  */
 
 // Log levels and their corresponding colors
@@ -15,10 +17,79 @@ const LOG_LEVELS = {
 // Maximum number of logs to keep
 const MAX_LOGS = 200;
 
+// Shorter values are too likely to appear by chance to be redacted
+const MIN_SECRET_LENGTH = 4;
+
+// Leak shapes redacted whether or not the value was registered
+const REDACTION_PATTERNS = [
+  // Bot tokens, also URL-encoded as in request URLs
+  { label: 'token', pattern: /\d{5,}(?::|%3A)[A-Za-z0-9_-]{30,}/gi },
+  { label: 'email', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g },
+  // International numbers, and national ones written with separators
+  { label: 'phone', pattern: /\+\d{1,3}(?:[\s.-]?\(?\d{2,4}\)?){2,5}\d/g },
+  { label: 'phone', pattern: /\(\d{3}\)\s?\d{3}[\s.-]\d{4}\b|\b\d{3}[.-]\d{3}[.-]\d{4}\b/g }
+];
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to match literally
+ * @returns {string}
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 class Logger {
   constructor() {
     this.logs = [];
     this.subscribers = [];
+    // Registered secret values and what they are, e.g. 'chat ID'
+    this.secrets = new Map();
+  }
+
+  /**
+   * Register a value that must never appear in the logs
+   * Entries already logged are scrubbed too.
+   * @param {string|number} value - Secret value
+   * @param {string} label - What the value is, shown in its place
+   */
+  registerSecret(value, label = 'secret') {
+    const secret = value === null || value === undefined ? '' : String(value);
+    if (secret.length < MIN_SECRET_LENGTH || this.secrets.get(secret) === label) return;
+
+    this.secrets.set(secret, label);
+
+    const scrubbed = this.logs.map(entry => {
+      const text = this.redact(entry.text);
+      return text === entry.text ? entry : { ...entry, text };
+    });
+    if (scrubbed.some((entry, index) => entry !== this.logs[index])) {
+      this.logs = scrubbed;
+      this.subscribers.forEach(callback => callback(this.logs));
+    }
+  }
+
+  /**
+   * Replace registered secrets and known leak shapes in a text
+   * @param {string} text - Text to scrub
+   * @returns {string} Text with each secret replaced by e.g. "[redacted token]"
+   */
+  redact(text) {
+    let result = String(text);
+
+    // Longest first, so a secret containing another is replaced whole
+    const secrets = [...this.secrets.entries()].sort((a, b) => b[0].length - a[0].length);
+    for (const [secret, label] of secrets) {
+      const forms = new Set([secret, encodeURIComponent(secret)]);
+      for (const form of forms) {
+        // Numeric IDs only match whole, not inside longer numbers
+        const pattern = /^-?\d+$/.test(form) ? `(^|\\D)${escapeRegExp(form)}(?!\\d)` : `()${escapeRegExp(form)}`;
+        result = result.replace(new RegExp(pattern, 'g'), `$1[redacted ${label}]`);
+      }
+    }
+
+    for (const { label, pattern } of REDACTION_PATTERNS) {
+      result = result.replace(pattern, `[redacted ${label}]`);
+    }
+    return result;
   }
 
   /**
@@ -29,12 +100,13 @@ class Logger {
    */
   log(message, level = 'INFO') {
     const logLevel = LOG_LEVELS[level.toUpperCase()] || LOG_LEVELS.INFO;
+    const text = this.redact(message);
     
     const timestamp = new Date();
     const logEntry = {
       id: timestamp.getTime(),
       timestamp,
-      text: message,
+      text,
       level: logLevel.label,
       color: logLevel.color,
       formattedTime: timestamp.toLocaleTimeString()
@@ -52,7 +124,7 @@ class Logger {
     this.subscribers.forEach(callback => callback(this.logs));
     
     // Also log to console for debugging
-    console.log(`[${logLevel.label}] ${message}`);
+    console.log(`[${logLevel.label}] ${text}`);
     
     return logEntry;
   }
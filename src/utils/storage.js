@@ -1,41 +1,203 @@
 /**
  * Storage utility for persisting data
- * Uses Expo's SecureStore and AsyncStorage
+ * Uses Expo's SecureStore and AsyncStorage. Secrets only go to AsyncStorage
+ * when SecureStore cannot be used and the policy allows it, and then only
+ * encrypted.
  */
+import { Platform } from 'react-native';
 import * as SecureStore from 'expo-secure-store';
+import * as Application from 'expo-application';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha256';
+import { utf8ToBytes } from '@noble/hashes/utils';
 import logger from './logger';
+import { encryptWithKey, decryptWithKey, parseCiphertext } from './encryption';
 
 // Keys for stored values
-const KEYS = {
+export const KEYS = {
   BOT_TOKEN: 'telegramBotToken',
   CHAT_ID: 'telegramChatId',
-  APP_SETTINGS: 'appSettings'
+  BOT_IDENTITY: 'telegramBotIdentity',
+  AUTHORIZED_USERS: 'authorizedUsers',
+  PAIRINGS: 'pairings',
+  UPDATE_STATE: 'telegramUpdateOffset',
+  SHARED_FOLDERS: 'sharedFolders',
+  TRANSFERS: 'fileTransfers',
+  OUTBOUND_QUEUE: 'outboundQueue',
+  APP_SETTINGS: 'appSettings',
+  AUDIT_LOG_HEAD: 'auditLogHead',
+  REMOTE_SESSION: 'remoteSession'
+};
+
+// Values kept in SecureStore
+const SECURE_KEYS = [
+  KEYS.BOT_TOKEN,
+  KEYS.CHAT_ID,
+  KEYS.BOT_IDENTITY,
+  KEYS.AUTHORIZED_USERS,
+  KEYS.PAIRINGS,
+  KEYS.SHARED_FOLDERS,
+  KEYS.AUDIT_LOG_HEAD
+];
+
+// What happens to a secret when SecureStore cannot be used
+export const SECURE_STORAGE_POLICIES = {
+  // The secret is not stored; it must be entered again after a restart
+  REFUSE: 'refuse',
+  // The secret is stored in AsyncStorage, encrypted with a key derived from
+  // the device ID. Keeps it out of backups and casual reads, but anyone who can
+  // read both the app data and the device ID can decrypt it.
+  ENCRYPTED_FALLBACK: 'encryptedFallback'
+};
+
+// Key ID marking ciphertext made with the derived fallback key
+const FALLBACK_KEY_ID = 'device';
+
+// Fixed salt, so the derived key is specific to this app and purpose
+const FALLBACK_SALT = 'telegram-monitor/secure-storage-fallback/v1';
+
+// Key written and read back to check SecureStore works
+const PROBE_KEY = 'secureStoreProbe';
+
+let securePolicy = SECURE_STORAGE_POLICIES.REFUSE;
+// null until SecureStore has been checked or has failed
+let secureStoreAvailable = null;
+let fallbackKey = null;
+
+/**
+ * Choose what happens to secrets when SecureStore cannot be used
+ * @param {string} policy - One of SECURE_STORAGE_POLICIES; anything else refuses
+ */
+export const setSecureStoragePolicy = (policy) => {
+  securePolicy = Object.values(SECURE_STORAGE_POLICIES).includes(policy)
+    ? policy
+    : SECURE_STORAGE_POLICIES.REFUSE;
+};
+
+/**
+ * Get the secure storage state for the settings
+ * @returns {Object} { available, policy } with available null if not checked yet
+ */
+export const getSecureStorageStatus = () => ({ available: secureStoreAvailable, policy: securePolicy });
+
+/**
+ * Check that SecureStore can store and return a value on this device
+ * @returns {Promise<boolean>} Whether SecureStore is usable
+ */
+export const checkSecureStorage = async () => {
+  try {
+    if (typeof SecureStore?.setItemAsync !== 'function') {
+      secureStoreAvailable = false;
+    } else if (typeof SecureStore.isAvailableAsync === 'function' && !(await SecureStore.isAvailableAsync())) {
+      secureStoreAvailable = false;
+    } else {
+      await SecureStore.setItemAsync(PROBE_KEY, '1');
+      secureStoreAvailable = (await SecureStore.getItemAsync(PROBE_KEY)) === '1';
+      await SecureStore.deleteItemAsync(PROBE_KEY);
+    }
+  } catch (error) {
+    logger.error(`SecureStore check failed: ${error.message}`);
+    secureStoreAvailable = false;
+  }
+
+  if (!secureStoreAvailable) {
+    logger.warning('Secure storage is not available on this device');
+  }
+  return secureStoreAvailable;
+};
+
+/**
+ * Derive the key used for secrets stored outside SecureStore
+ * @returns {Promise<Uint8Array>} 32-byte key
+ */
+const getFallbackKey = async () => {
+  if (!fallbackKey) {
+    const deviceId = Platform.OS === 'android'
+      ? Application.getAndroidId()
+      : await Application.getIosIdForVendorAsync();
+    const secret = `${deviceId || ''}:${Application.applicationId || ''}`;
+    fallbackKey = hkdf(sha256, utf8ToBytes(secret), utf8ToBytes(FALLBACK_SALT), utf8ToBytes('secure-storage'), 32);
+  }
+  return fallbackKey;
+};
+
+/**
+ * Check whether an AsyncStorage value was encrypted with the fallback key
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+const isFallbackCiphertext = (value) => {
+  try {
+    return parseCiphertext(value).keyId === FALLBACK_KEY_ID;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Store a secret outside SecureStore, as far as the policy allows
+ * @param {string} key - Storage key
+ * @param {string} value - Value to store
+ * @returns {Promise<boolean>} Whether the value was stored
+ */
+const saveFallback = async (key, value) => {
+  if (securePolicy !== SECURE_STORAGE_POLICIES.ENCRYPTED_FALLBACK) {
+    logger.error(`Secure storage unavailable; ${key} was not saved`);
+    return false;
+  }
+
+  try {
+    await AsyncStorage.setItem(key, encryptWithKey(value, await getFallbackKey(), FALLBACK_KEY_ID));
+    logger.warning(`Secure storage unavailable; ${key} saved encrypted in app storage`);
+    return true;
+  } catch (error) {
+    logger.error(`Fallback save error (${key}): ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Read a secret stored outside SecureStore
+ * Plaintext left by older versions is still returned; see migrateSecureStorage
+ * @param {string} key - Storage key
+ * @returns {Promise<string|null>} The stored value
+ */
+const getFallback = async (key) => {
+  try {
+    const value = await AsyncStorage.getItem(key);
+    if (value === null || !isFallbackCiphertext(value)) {
+      return value;
+    }
+    return decryptWithKey(value, await getFallbackKey());
+  } catch (error) {
+    logger.error(`Fallback read error (${key}): ${error.message}`);
+    return null;
+  }
 };
 
 /**
  * Save a value securely (for sensitive data)
+ * Falls back to encrypted AsyncStorage only if the policy allows it
  * @param {string} key - Storage key
  * @param {string} value - Value to store
- * @returns {Promise}
+ * @returns {Promise<boolean>} Whether the value was stored
  */
 export const saveSecure = async (key, value) => {
-  try {
-    // Check if we're on a platform that supports SecureStore
-    if (SecureStore && typeof SecureStore.setItemAsync === 'function') {
+  if (secureStoreAvailable !== false && typeof SecureStore?.setItemAsync === 'function') {
+    try {
       await SecureStore.setItemAsync(key, value);
+      // Drop any copy an earlier fallback left behind
+      await AsyncStorage.removeItem(key);
       logger.debug(`Securely saved: ${key}`);
       return true;
-    } else {
-      // Fallback to regular storage if secure storage not available
-      logger.warning(`SecureStore not available, using fallback for ${key}`);
-      return saveToStorage(key, value);
+    } catch (error) {
+      logger.error(`SecureStore save error (${key}): ${error.message}`);
+      secureStoreAvailable = false;
     }
-  } catch (error) {
-    logger.error(`SecureStore save error (${key}): ${error.message}`);
-    // Fallback to regular storage if secure storage fails
-    return saveToStorage(key, value);
   }
+
+  return saveFallback(key, value);
 };
 
 /**
@@ -44,20 +206,95 @@ export const saveSecure = async (key, value) => {
  * @returns {Promise<string>} The stored value
  */
 export const getSecure = async (key) => {
-  try {
-    // Check if we're on a platform that supports SecureStore
-    if (SecureStore && typeof SecureStore.getItemAsync === 'function') {
+  if (secureStoreAvailable !== false && typeof SecureStore?.getItemAsync === 'function') {
+    try {
       const value = await SecureStore.getItemAsync(key);
-      return value;
-    } else {
-      // Fallback to regular storage if secure storage not available
-      logger.warning(`SecureStore not available, using fallback for ${key}`);
-      return getFromStorage(key);
+      if (value !== null) return value;
+    } catch (error) {
+      logger.error(`SecureStore get error (${key}): ${error.message}`);
+      secureStoreAvailable = false;
+    }
+  }
+
+  return getFallback(key);
+};
+
+/**
+ * Move secrets found in AsyncStorage into SecureStore
+ * Older versions silently wrote secrets there in plaintext when SecureStore
+ * failed. If SecureStore is still unusable, plaintext is encrypted with the
+ * fallback key when the policy allows it, and otherwise left for the owner
+ * to deal with.
+ * @returns {Promise<Object>} Keys { migrated, encrypted, remaining }
+ */
+export const migrateSecureStorage = async () => {
+  const report = { migrated: [], encrypted: [], remaining: [] };
+  if (secureStoreAvailable === null) {
+    await checkSecureStorage();
+  }
+
+  for (const key of SECURE_KEYS) {
+    let stored;
+    try {
+      stored = await AsyncStorage.getItem(key);
+    } catch (error) {
+      logger.error(`AsyncStorage get error (${key}): ${error.message}`);
+      continue;
+    }
+    if (stored === null) continue;
+
+    const plaintext = !isFallbackCiphertext(stored);
+
+    if (secureStoreAvailable) {
+      const value = await getFallback(key);
+      try {
+        // A value already in SecureStore is newer than the leftover copy
+        if (value !== null && (await SecureStore.getItemAsync(key)) === null) {
+          await SecureStore.setItemAsync(key, value);
+        }
+        await AsyncStorage.removeItem(key);
+        report.migrated.push(key);
+      } catch (error) {
+        logger.error(`Failed to move ${key} to secure storage: ${error.message}`);
+        report.remaining.push(key);
+      }
+    } else if (plaintext && securePolicy === SECURE_STORAGE_POLICIES.ENCRYPTED_FALLBACK) {
+      if (await saveFallback(key, stored)) {
+        report.encrypted.push(key);
+      } else {
+        report.remaining.push(key);
+      }
+    } else if (plaintext) {
+      report.remaining.push(key);
+    }
+  }
+
+  if (report.migrated.length) {
+    logger.success(`Moved ${report.migrated.length} secret(s) into secure storage`);
+  }
+  if (report.remaining.length) {
+    logger.warning(`${report.remaining.length} secret(s) remain unencrypted in app storage`);
+  }
+  return report;
+};
+
+/**
+ * Delete a securely stored value
+ * Also removes any copy left in AsyncStorage by the fallback path
+ * @param {string} key - Storage key
+ * @returns {Promise}
+ */
+export const deleteSecure = async (key) => {
+  try {
+    if (SecureStore && typeof SecureStore.deleteItemAsync === 'function') {
+      await SecureStore.deleteItemAsync(key);
     }
+    await AsyncStorage.removeItem(key);
+    logger.debug(`Deleted secure value: ${key}`);
+    return true;
   } catch (error) {
-    logger.error(`SecureStore get error (${key}): ${error.message}`);
-    // Fallback to regular storage if secure storage fails
-    return getFromStorage(key);
+    logger.error(`SecureStore delete error (${key}): ${error.message}`);
+    return false;
   }
 };
 
@@ -115,6 +352,36 @@ export const saveBotToken = (token) => saveSecure(KEYS.BOT_TOKEN, token);
  */
 export const getBotToken = () => getSecure(KEYS.BOT_TOKEN);
 
+/**
+ * Remove the saved Telegram bot token
+ * @returns {Promise}
+ */
+export const clearBotToken = () => deleteSecure(KEYS.BOT_TOKEN);
+
+/**
+ * Save the identity of the bot the token was set up for
+ * @param {Object} identity - { id, username, pinnedAt }
+ * @returns {Promise}
+ */
+export const saveBotIdentity = (identity) => saveSecure(KEYS.BOT_IDENTITY, JSON.stringify(identity));
+
+/**
+ * Get the identity of the bot the token was set up for
+ * @returns {Promise<Object|null>} { id, username, pinnedAt }
+ */
+export const getBotIdentity = async () => {
+  const value = await getSecure(KEYS.BOT_IDENTITY);
+  if (!value) return null;
+
+  try {
+    const identity = typeof value === 'string' ? JSON.parse(value) : value;
+    return identity?.id ? identity : null;
+  } catch (error) {
+    logger.error(`Failed to parse bot identity: ${error.message}`);
+    return null;
+  }
+};
+
 /**
  * Save Telegram chat ID
  * @param {string} chatId - Chat ID
@@ -128,6 +395,149 @@ export const saveChatId = (chatId) => saveSecure(KEYS.CHAT_ID, chatId);
  */
 export const getChatId = () => getSecure(KEYS.CHAT_ID);
 
+/**
+ * Remove the saved Telegram chat ID
+ * @returns {Promise}
+ */
+export const clearChatId = () => deleteSecure(KEYS.CHAT_ID);
+
+/**
+ * Save the list of authorized Telegram users
+ * @param {Array} users - Array of { userId, role, name, addedAt }
+ * @returns {Promise}
+ */
+export const saveAuthorizedUsers = (users) => saveSecure(KEYS.AUTHORIZED_USERS, JSON.stringify(users));
+
+/**
+ * Get the list of authorized Telegram users
+ * @returns {Promise<Array>} Authorized users
+ */
+export const getAuthorizedUsers = async () => {
+  const value = await getSecure(KEYS.AUTHORIZED_USERS);
+  if (!value) return [];
+  
+  try {
+    const users = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(users) ? users : [];
+  } catch (error) {
+    logger.error(`Failed to parse authorized users: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Save the chats and users paired with the device
+ * @param {Array} pairings - Array of { chatId, chatTitle, userId, name, role, pairedAt }
+ * @returns {Promise}
+ */
+export const savePairings = (pairings) => saveSecure(KEYS.PAIRINGS, JSON.stringify(pairings));
+
+/**
+ * Get the chats and users paired with the device
+ * @returns {Promise<Array>} Pairings
+ */
+export const getPairings = async () => {
+  const value = await getSecure(KEYS.PAIRINGS);
+  if (!value) return [];
+
+  try {
+    const pairings = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(pairings) ? pairings : [];
+  } catch (error) {
+    logger.error(`Failed to parse pairings: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Save the folders the device owner shares for remote browsing
+ * @param {Array<string>} folders - Directory paths
+ * @returns {Promise}
+ */
+export const saveSharedFolders = (folders) => saveSecure(KEYS.SHARED_FOLDERS, JSON.stringify(folders));
+
+/**
+ * Get the folders shared for remote browsing
+ * @returns {Promise<Array<string>>} Directory paths
+ */
+export const getSharedFolders = async () => {
+  const value = await getSecure(KEYS.SHARED_FOLDERS);
+  if (!value) return [];
+
+  try {
+    const folders = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(folders) ? folders : [];
+  } catch (error) {
+    logger.error(`Failed to parse shared folders: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Save the Telegram update delivery state
+ * @param {Object} state - Delivery state
+ * @param {string} state.botId - Bot the updates belong to (update IDs are per bot)
+ * @param {number} state.updateId - Last acknowledged update ID
+ * @param {Array<number>} state.handledIds - Updates started after the acknowledged one
+ * @returns {Promise<boolean>} Whether the state was saved
+ */
+export const saveUpdateState = ({ botId, updateId, handledIds = [] }) =>
+  saveToStorage(KEYS.UPDATE_STATE, { botId, updateId, handledIds });
+
+/**
+ * Get the Telegram update delivery state
+ * @returns {Promise<Object|null>} { botId, updateId, handledIds }
+ */
+export const getUpdateState = () => getFromStorage(KEYS.UPDATE_STATE, true);
+
+/**
+ * Save the state of chunked file transfers
+ * @param {Array} transfers - Transfer records
+ * @returns {Promise<boolean>} Whether the state was saved
+ */
+export const saveTransfers = (transfers) => saveToStorage(KEYS.TRANSFERS, transfers);
+
+/**
+ * Get the state of chunked file transfers
+ * @returns {Promise<Array>} Transfer records
+ */
+export const getTransfers = async () => {
+  const transfers = await getFromStorage(KEYS.TRANSFERS, true);
+  return Array.isArray(transfers) ? transfers : [];
+};
+
+/**
+ * Save the replies waiting to be delivered
+ * @param {Array} items - Queue items, oldest first
+ * @returns {Promise<boolean>} Whether the queue was saved
+ */
+export const saveOutboundQueue = (items) => saveToStorage(KEYS.OUTBOUND_QUEUE, items);
+
+/**
+ * Get the replies waiting to be delivered
+ * @returns {Promise<Array>} Queue items, oldest first
+ */
+export const getOutboundQueue = async () => {
+  const items = await getFromStorage(KEYS.OUTBOUND_QUEUE, true);
+  return Array.isArray(items) ? items : [];
+};
+
+/**
+ * Save the times of the current remote-access session
+ * @param {Object} session - { armedAt, lastActivityAt } in ms
+ * @returns {Promise<boolean>} Whether the session was saved
+ */
+export const saveRemoteSession = (session) => saveToStorage(KEYS.REMOTE_SESSION, session);
+
+/**
+ * Get the times of the current remote-access session
+ * @returns {Promise<Object|null>} { armedAt, lastActivityAt }, or null if none was saved
+ */
+export const getRemoteSession = async () => {
+  const session = await getFromStorage(KEYS.REMOTE_SESSION, true);
+  return session && typeof session === 'object' ? session : null;
+};
+
 /**
  * Save application settings
  * @param {Object} settings - Settings object
@@ -142,14 +552,37 @@ export const saveAppSettings = (settings) => saveToStorage(KEYS.APP_SETTINGS, se
 export const getAppSettings = () => getFromStorage(KEYS.APP_SETTINGS, true);
 
 export default {
+  setSecureStoragePolicy,
+  getSecureStorageStatus,
+  checkSecureStorage,
+  migrateSecureStorage,
   saveSecure,
   getSecure,
+  deleteSecure,
   saveToStorage,
   getFromStorage,
   saveBotToken,
   getBotToken,
+  clearBotToken,
+  saveBotIdentity,
+  getBotIdentity,
   saveChatId,
   getChatId,
+  clearChatId,
+  saveAuthorizedUsers,
+  getAuthorizedUsers,
+  savePairings,
+  getPairings,
+  saveSharedFolders,
+  getSharedFolders,
+  saveUpdateState,
+  getUpdateState,
+  saveTransfers,
+  getTransfers,
+  saveOutboundQueue,
+  getOutboundQueue,
+  saveRemoteSession,
+  getRemoteSession,
   saveAppSettings,
   getAppSettings,
   KEYS
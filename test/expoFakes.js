@@ -0,0 +1,105 @@
+/**
+ * In-memory stand-ins for the Expo and native modules the app talks to
+ * Like fakeStorage, the stateful fakes keep their data in the test file
+ * rather than the module registry, so files and secure values outlive
+ * jest.resetModules() the way they outlive an app restart.
+ *
+ * Usage from a test file:
+ *   const { createFileSystemFake } = require('../../../test/expoFakes');
+ *   const mockFileSystem = createFileSystemFake();
+ *   jest.mock('expo-file-system', () => mockFileSystem.module);
+ *   jest.mock('expo-crypto', () => require('../../../test/expoFakes').cryptoModule);
+ */
+
+/**
+ * Create an empty file system for expo-file-system
+ * File content is a string with one character per byte
+ * @returns {Object} The files keyed by URI and the module to return from a
+ *   jest.mock factory
+ */
+const createFileSystemFake = () => {
+  const files = new Map();
+
+  const module = {
+    documentDirectory: 'file:///docs/',
+    cacheDirectory: 'file:///cache/',
+    EncodingType: { UTF8: 'utf8', Base64: 'base64' },
+    getInfoAsync: jest.fn(async (path, options = {}) => {
+      const file = files.get(path) || files.get(`${path}/`);
+      if (!file) return { exists: false, isDirectory: false };
+      return {
+        exists: true,
+        isDirectory: Boolean(file.isDirectory),
+        size: file.content ? file.content.length : 0,
+        modificationTime: file.modificationTime,
+        uri: path,
+        ...(options.md5 && {
+          md5: require('crypto').createHash('md5').update(file.content || '', 'latin1').digest('hex')
+        })
+      };
+    }),
+    readAsStringAsync: jest.fn(async (path, { encoding, position = 0, length } = {}) => {
+      const content = (files.get(path)?.content || '').substr(position, length);
+      return encoding === 'base64' ? Buffer.from(content, 'latin1').toString('base64') : content;
+    }),
+    writeAsStringAsync: jest.fn(async (path, content, { encoding } = {}) => {
+      files.set(path, {
+        content: encoding === 'base64' ? Buffer.from(content, 'base64').toString('latin1') : content
+      });
+    }),
+    readDirectoryAsync: jest.fn(async (dir) =>
+      [...files.keys()]
+        .filter(path => path !== dir && path.startsWith(dir))
+        .map(path => path.substring(dir.length).replace(/\/$/, ''))
+        .filter(name => !name.includes('/'))
+    ),
+    makeDirectoryAsync: jest.fn(async () => {}),
+    copyAsync: jest.fn(async ({ from, to }) => { files.set(to, { ...files.get(from) }); }),
+    deleteAsync: jest.fn(async (path) => { files.delete(path); })
+  };
+
+  return { files, module };
+};
+
+/**
+ * Create an empty keyring for expo-secure-store
+ * @returns {Object} The stored values and the module to return from a jest.mock factory
+ */
+const createSecureStoreFake = () => {
+  const values = new Map();
+
+  const module = {
+    setItemAsync: jest.fn(async (key, value) => { values.set(key, value); }),
+    getItemAsync: jest.fn(async (key) => (values.has(key) ? values.get(key) : null)),
+    deleteItemAsync: jest.fn(async (key) => { values.delete(key); })
+  };
+
+  return { values, module };
+};
+
+// expo-crypto backed by Node's random number generator
+const cryptoModule = {
+  getRandomBytes: (count) => new Uint8Array(require('crypto').randomBytes(count))
+};
+
+// The native HTTP server, played by a Node server on the loopback interface
+const httpServerModule = {
+  startHttpServer: jest.fn(async (port, handler) => {
+    const server = require('http').createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', async () => {
+        const response = await handler({ method: req.method, path: req.url, headers: req.headers, body });
+        res.writeHead(response.status);
+        res.end(response.body || '');
+      });
+    });
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', resolve);
+    });
+    return { port: server.address().port, stop: () => new Promise(resolve => server.close(() => resolve())) };
+  })
+};
+
+module.exports = { createFileSystemFake, createSecureStoreFake, cryptoModule, httpServerModule };
@@ -0,0 +1,658 @@
+/**
+ * Fake Telegram Bot API server
+ * A local stand-in for https://api.telegram.org used by the test suite and for
+ * manual testing of the app without a real bot.
+ *
+ * Implements getMe, getUpdates (with long polling), sendMessage, editMessageText,
+ * sendDocument, answerCallbackQuery, setMyCommands and the webhook methods. While a
+ * webhook is set, updates are posted to it instead of being returned by getUpdates. Updates are scripted with pushUpdate() and failures
+ * can be injected with failNext(). Message text is checked against its parse_mode, so badly
+ * escaped formatting is refused as it would be by Telegram.
+ *
+ * Usage from the command line:
+ *   node test/fakeBotApi.js [port] [updates.json]
+ */
+const http = require('http');
+const { URL } = require('url');
+
+const DEFAULT_TOKEN = '123456:TEST-TOKEN';
+
+// Upper bound for long-poll waits so tests never hang
+const MAX_POLL_TIMEOUT = 50;
+
+/**
+ * Parse a multipart/form-data body into its text fields
+ * File parts are reduced to their raw content and filename
+ * @param {string} body - Raw request body
+ * @param {string} contentType - Content-Type header
+ * @returns {Object} Field values keyed by name
+ */
+const parseMultipart = (body, contentType) => {
+  const match = /boundary=([^;]+)/.exec(contentType);
+  if (!match) return {};
+
+  const fields = {};
+  body.split(`--${match[1]}`).forEach(part => {
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) return;
+
+    const headers = part.substring(0, headerEnd);
+    const name = /name="([^"]*)"/.exec(headers);
+    if (!name) return;
+
+    const filename = /filename="([^"]*)"/.exec(headers);
+    const value = part.substring(headerEnd + 4).replace(/\r\n$/, '');
+    fields[name[1]] = filename ? { filename: filename[1], content: value } : value;
+  });
+
+  return fields;
+};
+
+/**
+ * Parse the parameters of a Bot API request
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} body - Raw request body
+ * @param {URL} url - Parsed request URL
+ * @returns {Object} Request parameters
+ */
+const parseParams = (req, body, url) => {
+  const params = Object.fromEntries(url.searchParams.entries());
+  const contentType = req.headers['content-type'] || '';
+
+  if (!body) return params;
+
+  if (contentType.includes('application/json')) {
+    return { ...params, ...JSON.parse(body) };
+  }
+
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return { ...params, ...Object.fromEntries(new URLSearchParams(body).entries()) };
+  }
+
+  if (contentType.includes('multipart/form-data')) {
+    return { ...params, ...parseMultipart(body, contentType) };
+  }
+
+  return params;
+};
+
+/**
+ * Check inline keyboard buttons the way Telegram does
+ * @param {Object|string} replyMarkup - reply_markup parameter
+ * @returns {string|null} Error description, or null if valid
+ */
+const validateReplyMarkup = (replyMarkup) => {
+  const markup = typeof replyMarkup === 'string' ? JSON.parse(replyMarkup) : replyMarkup;
+  const buttons = (markup?.inline_keyboard || []).flat();
+
+  const invalid = buttons.find(button =>
+    button.callback_data !== undefined &&
+    (Buffer.byteLength(String(button.callback_data)) < 1 || Buffer.byteLength(String(button.callback_data)) > 64));
+
+  return invalid ? 'Bad Request: BUTTON_DATA_INVALID' : null;
+};
+
+// Longest message text Telegram accepts, counted after entities are parsed
+const MAX_MESSAGE_LENGTH = 4096;
+
+// Characters MarkdownV2 reserves for formatting
+const MARKDOWN_V2_RESERVED = '_*[]()~`>#+-=|{}.!';
+
+// Tags Telegram supports in HTML messages
+const HTML_TAGS = ['b', 'strong', 'i', 'em', 'u', 'ins', 's', 'strike', 'del', 'code', 'pre', 'a', 'tg-spoiler', 'span', 'blockquote'];
+
+/**
+ * Parse MarkdownV2 text the way Telegram does: reserved characters must be
+ * escaped and every entity closed
+ * @param {string} text - Message text
+ * @returns {string} Text without formatting
+ * @throws {Error} If Telegram would refuse the text
+ */
+const parseMarkdownV2 = (text) => {
+  const fail = (reason) => {
+    throw new Error(`Bad Request: can't parse entities: ${reason}`);
+  };
+  const open = [];
+  let plain = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const top = open[open.length - 1];
+
+    if (char === '\\') {
+      if (i + 1 >= text.length) fail(`Character '\\' at offset ${i} escapes nothing`);
+      plain += text[++i];
+    } else if (top === '```' || top === '`') {
+      if (text.startsWith(top, i)) {
+        open.pop();
+        i += top.length - 1;
+      } else if (char === '`') {
+        fail(`Character '\`' at offset ${i} must be escaped inside code`);
+      } else {
+        plain += char;
+      }
+    } else if (text.startsWith('```', i)) {
+      open.push('```');
+      // The rest of the opening line names the language
+      const lineEnd = text.indexOf('\n', i);
+      i = lineEnd === -1 ? text.length : lineEnd;
+    } else if (char === '`') {
+      open.push('`');
+    } else if ('*_~|'.includes(char)) {
+      const marker = (char === '_' || char === '|') && text[i + 1] === char ? char + char : char;
+      i += marker.length - 1;
+      if (top === marker) {
+        open.pop();
+      } else if (open.includes(marker)) {
+        fail(`Can't find end of entity starting with '${top}'`);
+      } else {
+        open.push(marker);
+      }
+    } else if (char === '[') {
+      open.push('[');
+    } else if (char === ']' && top === '[' && text[i + 1] === '(') {
+      open.pop();
+      const urlEnd = text.slice(i + 2).search(/(^|[^\\])\)/);
+      if (urlEnd === -1) fail(`Can't find end of URL at offset ${i}`);
+      i += urlEnd + (text[i + 2 + urlEnd] === ')' ? 2 : 3);
+    } else if (MARKDOWN_V2_RESERVED.includes(char)) {
+      fail(`Character '${char}' is reserved and must be escaped with the preceding '\\'`);
+    } else {
+      plain += char;
+    }
+  }
+
+  if (open.length > 0) fail(`Can't find end of entity starting with '${open[open.length - 1]}'`);
+  return plain;
+};
+
+/**
+ * Parse HTML text the way Telegram does: only supported tags, and <, > and &
+ * escaped everywhere else
+ * @param {string} text - Message text
+ * @returns {string} Text without formatting
+ * @throws {Error} If Telegram would refuse the text
+ */
+const parseHtml = (text) => {
+  const fail = (reason) => {
+    throw new Error(`Bad Request: can't parse entities: ${reason}`);
+  };
+
+  const withoutTags = text.replace(/<(\/?)([a-z-]+)(\s[^<>]*)?>/g, (tag, closing, name) => {
+    if (!HTML_TAGS.includes(name)) fail(`Unsupported start tag "${name}"`);
+    return '';
+  });
+  if (/[<>]/.test(withoutTags)) fail('Unexpected < or > outside a tag');
+  if (/&(?!(amp|lt|gt|quot|#\d+);)/.test(withoutTags)) fail('Unknown HTML entity');
+
+  return withoutTags.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+};
+
+/**
+ * Check message text the way Telegram does
+ * @param {string} text - Message text
+ * @param {string} parseMode - parse_mode parameter
+ * @returns {string|null} Error description, or null if valid
+ */
+const validateText = (text, parseMode) => {
+  let plain;
+  try {
+    if (parseMode === 'MarkdownV2') {
+      plain = parseMarkdownV2(String(text || ''));
+    } else if (parseMode === 'HTML') {
+      plain = parseHtml(String(text || ''));
+    } else {
+      plain = String(text || '');
+    }
+  } catch (error) {
+    return error.message;
+  }
+
+  if (!plain.trim()) return 'Bad Request: message text is empty';
+  if (plain.length > MAX_MESSAGE_LENGTH) return 'Bad Request: message is too long';
+  return null;
+};
+
+/**
+ * Build a text message update
+ * @param {string} text - Message text
+ * @param {Object} options - { chatId, from, chatType }
+ * @returns {Object} Update without update_id
+ */
+const buildMessageUpdate = (text, { chatId, from, chatType = 'private' } = {}) => ({
+  message: {
+    message_id: Math.floor(Math.random() * 1e6),
+    date: Math.floor(Date.now() / 1000),
+    chat: { id: Number(chatId), type: chatType },
+    from: from || { id: Number(chatId), is_bot: false, first_name: 'Test' },
+    text
+  }
+});
+
+/**
+ * Build a callback query update (inline keyboard button press)
+ * @param {string} data - Callback data
+ * @param {Object} options - { chatId, from, chatType }
+ * @returns {Object} Update without update_id
+ */
+const buildCallbackUpdate = (data, { chatId, from, chatType = 'private' } = {}) => {
+  const sender = from || { id: Number(chatId), is_bot: false, first_name: 'Test' };
+  return {
+    callback_query: {
+      id: String(Math.floor(Math.random() * 1e9)),
+      from: sender,
+      data,
+      message: {
+        message_id: Math.floor(Math.random() * 1e6),
+        date: Math.floor(Date.now() / 1000),
+        chat: { id: Number(chatId), type: chatType }
+      }
+    }
+  };
+};
+
+/**
+ * Create a fake Bot API server
+ * @param {Object} options - Server options
+ * @param {string} options.token - Accepted bot token
+ * @param {Object} options.botInfo - Result returned by getMe
+ * @returns {Object} Server controller
+ */
+const createFakeBotApi = ({ token = DEFAULT_TOKEN, botInfo } = {}) => {
+  const state = {
+    updates: [],
+    nextUpdateId: 1,
+    nextMessageId: 1,
+    requests: [],
+    sentMessages: [],
+    editedMessages: [],
+    sentDocuments: [],
+    answeredCallbacks: [],
+    botCommands: [],
+    failures: {},
+    waiters: [],
+    webhook: null,
+    webhookDelivery: null
+  };
+
+  const bot = botInfo || { id: 123456, is_bot: true, first_name: 'Fake Bot', username: 'fake_test_bot' };
+
+  /**
+   * Wake any getUpdates calls waiting for new updates
+   */
+  const wakeWaiters = () => {
+    const waiters = state.waiters;
+    state.waiters = [];
+    waiters.forEach(wake => wake());
+  };
+
+  /**
+   * Get pending updates at or after an offset, confirming earlier ones
+   * @param {number} offset - First update ID to return
+   * @returns {Array} Updates
+   */
+  const takeUpdates = (offset) => {
+    if (offset) {
+      state.updates = state.updates.filter(u => u.update_id >= offset);
+    }
+    return state.updates;
+  };
+
+  /**
+   * Post pending updates to the webhook in order, stopping at the first failure
+   * Failures are reported by getWebhookInfo, as Telegram does
+   * @returns {Promise}
+   */
+  const deliverToWebhook = async () => {
+    while (state.webhook && state.updates.length > 0) {
+      const webhook = state.webhook;
+      const [update] = state.updates;
+      const status = await new Promise(resolve => {
+        const body = JSON.stringify(update);
+        const request = http.request(webhook.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            ...(webhook.secretToken && { 'X-Telegram-Bot-Api-Secret-Token': webhook.secretToken })
+          }
+        }, res => {
+          res.resume();
+          res.on('end', () => resolve(res.statusCode));
+        });
+        request.on('error', error => resolve(error.message));
+        request.end(body);
+      });
+
+      if (status !== 200) {
+        webhook.lastErrorDate = Math.floor(Date.now() / 1000);
+        webhook.lastErrorMessage = typeof status === 'number' ? `Wrong response from the webhook: ${status}` : status;
+        return;
+      }
+      state.updates = state.updates.filter(u => u !== update);
+    }
+  };
+
+  /**
+   * Start delivering to the webhook unless a delivery is running
+   * @returns {Promise} Resolves when the delivery pass ends
+   */
+  const startWebhookDelivery = () => {
+    if (!state.webhookDelivery) {
+      state.webhookDelivery = deliverToWebhook().finally(() => {
+        state.webhookDelivery = null;
+      });
+    }
+    return state.webhookDelivery;
+  };
+
+  const methods = {
+    getMe: () => bot,
+
+    setWebhook: (params) => {
+      if (!params.url) {
+        throw Object.assign(new Error('Bad Request: bad webhook: URL is required'), { status: 400 });
+      }
+      if (params.secret_token && !/^[A-Za-z0-9_-]{1,256}$/.test(params.secret_token)) {
+        throw Object.assign(new Error('Bad Request: secret token contains unallowed characters'), { status: 400 });
+      }
+
+      state.webhook = { url: params.url, secretToken: params.secret_token, lastErrorDate: null, lastErrorMessage: null };
+      wakeWaiters();
+      startWebhookDelivery();
+      return true;
+    },
+
+    deleteWebhook: () => {
+      state.webhook = null;
+      return true;
+    },
+
+    getWebhookInfo: () => ({
+      url: state.webhook?.url || '',
+      has_custom_certificate: false,
+      pending_update_count: state.updates.length,
+      ...(state.webhook?.lastErrorDate && {
+        last_error_date: state.webhook.lastErrorDate,
+        last_error_message: state.webhook.lastErrorMessage
+      })
+    }),
+
+    getUpdates: async (params) => {
+      if (state.webhook) {
+        throw Object.assign(
+          new Error("Conflict: can't use getUpdates method while webhook is active; use deleteWebhook to delete the webhook first"),
+          { status: 409 }
+        );
+      }
+
+      const offset = Number(params.offset || 0);
+      const timeout = Math.min(Number(params.timeout || 0), MAX_POLL_TIMEOUT);
+      let updates = takeUpdates(offset);
+
+      if (updates.length === 0 && timeout > 0) {
+        await new Promise(resolve => {
+          const timer = setTimeout(resolve, timeout * 1000);
+          state.waiters.push(() => {
+            clearTimeout(timer);
+            resolve();
+          });
+        });
+        updates = takeUpdates(offset);
+      }
+
+      const limit = Number(params.limit || 100);
+      return updates.slice(0, limit);
+    },
+
+    sendMessage: (params) => {
+      const markupError = validateReplyMarkup(params.reply_markup) || validateText(params.text, params.parse_mode);
+      if (markupError) {
+        throw Object.assign(new Error(markupError), { status: 400 });
+      }
+
+      const message = {
+        message_id: state.nextMessageId++,
+        date: Math.floor(Date.now() / 1000),
+        chat: { id: Number(params.chat_id) },
+        text: params.text,
+        reply_markup: params.reply_markup
+      };
+      state.sentMessages.push({ ...params, message_id: message.message_id });
+      return message;
+    },
+
+    editMessageText: (params) => {
+      const sent = state.sentMessages.find(m => m.message_id === Number(params.message_id));
+      if (!sent) {
+        throw Object.assign(new Error('Bad Request: message to edit not found'), { status: 400 });
+      }
+      if (sent.text === params.text) {
+        throw Object.assign(new Error('Bad Request: message is not modified'), { status: 400 });
+      }
+      const textError = validateText(params.text, params.parse_mode);
+      if (textError) {
+        throw Object.assign(new Error(textError), { status: 400 });
+      }
+
+      sent.text = params.text;
+      state.editedMessages.push(params);
+      return { message_id: sent.message_id, chat: { id: Number(params.chat_id) }, text: params.text };
+    },
+
+    sendDocument: (params) => {
+      const message = {
+        message_id: state.nextMessageId++,
+        date: Math.floor(Date.now() / 1000),
+        chat: { id: Number(params.chat_id) },
+        caption: params.caption,
+        document: { file_name: params.document?.filename || String(params.document) }
+      };
+      state.sentDocuments.push({ ...params, message_id: message.message_id });
+      return message;
+    },
+
+    answerCallbackQuery: (params) => {
+      state.answeredCallbacks.push(params);
+      return true;
+    },
+
+    setMyCommands: (params) => {
+      const commands = typeof params.commands === 'string' ? JSON.parse(params.commands) : params.commands;
+      state.botCommands.splice(0, state.botCommands.length, ...commands);
+      return true;
+    }
+  };
+
+  /**
+   * Send a Bot API JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {Object} payload - Response body
+   */
+  const respond = (res, status, payload) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const url = new URL(req.url, 'http://localhost');
+      const match = /^\/bot([^/]+)\/([A-Za-z]+)$/.exec(url.pathname);
+
+      if (!match) {
+        respond(res, 404, { ok: false, error_code: 404, description: 'Not Found' });
+        return;
+      }
+
+      const [, requestToken, method] = match;
+
+      if (requestToken !== token) {
+        respond(res, 401, { ok: false, error_code: 401, description: 'Unauthorized' });
+        return;
+      }
+
+      let params;
+      try {
+        params = parseParams(req, body, url);
+      } catch (error) {
+        respond(res, 400, { ok: false, error_code: 400, description: `Bad Request: ${error.message}` });
+        return;
+      }
+
+      state.requests.push({ method, params, headers: req.headers });
+
+      // Scripted failures take priority over normal handling
+      const failure = state.failures[method];
+      if (failure && failure.times > 0) {
+        failure.times -= 1;
+        respond(res, failure.status, {
+          ok: false,
+          error_code: failure.status,
+          description: failure.description,
+          ...(failure.retryAfter !== undefined && { parameters: { retry_after: failure.retryAfter } })
+        });
+        return;
+      }
+
+      if (!methods[method]) {
+        respond(res, 404, { ok: false, error_code: 404, description: 'Not Found: method not found' });
+        return;
+      }
+
+      try {
+        respond(res, 200, { ok: true, result: await methods[method](params) });
+      } catch (error) {
+        const status = error.status || 500;
+        respond(res, status, { ok: false, error_code: status, description: error.message });
+      }
+    });
+  });
+
+  return {
+    token,
+    botInfo: bot,
+    requests: state.requests,
+    sentMessages: state.sentMessages,
+    editedMessages: state.editedMessages,
+    sentDocuments: state.sentDocuments,
+    answeredCallbacks: state.answeredCallbacks,
+    botCommands: state.botCommands,
+    url: null,
+
+    /**
+     * Start listening
+     * @param {number} port - Port, or 0 for a random free port
+     * @returns {Promise<string>} Base URL to use instead of https://api.telegram.org
+     */
+    start(port = 0) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+          this.url = `http://127.0.0.1:${server.address().port}`;
+          resolve(this.url);
+        });
+      });
+    },
+
+    /**
+     * Stop listening and release waiting long polls
+     * @returns {Promise}
+     */
+    stop() {
+      wakeWaiters();
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+
+    /**
+     * Queue an update for getUpdates
+     * @param {Object} update - Update, update_id is assigned if missing
+     * @returns {Object} Queued update
+     */
+    pushUpdate(update) {
+      const queued = { update_id: state.nextUpdateId++, ...update };
+      state.updates.push(queued);
+      wakeWaiters();
+      if (state.webhook) {
+        startWebhookDelivery();
+      }
+      return queued;
+    },
+
+    /**
+     * Post pending updates to the webhook, as Telegram retries failed deliveries
+     * @returns {Promise} Resolves when the delivery pass ends
+     */
+    deliverWebhookUpdates() {
+      return startWebhookDelivery();
+    },
+
+    /**
+     * Get the registered webhook
+     * @returns {Object|null} { url, secretToken, lastErrorDate, lastErrorMessage }
+     */
+    get webhook() {
+      return state.webhook;
+    },
+
+    /**
+     * Make the next calls to a method fail
+     * @param {string} method - Bot API method
+     * @param {Object} options - { status, description, retryAfter, times }
+     */
+    failNext(method, { status = 500, description = 'Internal Server Error', retryAfter, times = 1 } = {}) {
+      state.failures[method] = { status, description, retryAfter, times };
+    },
+
+    /**
+     * Get the requests made to a method
+     * @param {string} method - Bot API method
+     * @returns {Array} Requests
+     */
+    requestsFor(method) {
+      return state.requests.filter(r => r.method === method);
+    },
+
+    /**
+     * Clear recorded traffic, pending updates and failures
+     */
+    reset() {
+      state.updates.length = 0;
+      state.requests.length = 0;
+      state.sentMessages.length = 0;
+      state.editedMessages.length = 0;
+      state.sentDocuments.length = 0;
+      state.answeredCallbacks.length = 0;
+      state.botCommands.length = 0;
+      state.failures = {};
+    }
+  };
+};
+
+module.exports = {
+  createFakeBotApi,
+  buildMessageUpdate,
+  buildCallbackUpdate,
+  validateText,
+  DEFAULT_TOKEN
+};
+
+// Run standalone: node test/fakeBotApi.js [port] [updates.json]
+if (require.main === module) {
+  const port = Number(process.argv[2] || 8081);
+  const fake = createFakeBotApi();
+
+  fake.start(port).then(url => {
+    console.log(`Fake Bot API listening on ${url}`);
+    console.log(`Bot token: ${fake.token}`);
+
+    if (process.argv[3]) {
+      const updates = JSON.parse(require('fs').readFileSync(process.argv[3], 'utf8'));
+      updates.forEach(update => fake.pushUpdate(update));
+      console.log(`Queued ${updates.length} scripted updates`);
+    }
+  });
+}
@@ -0,0 +1,83 @@
+/**
+ * In-memory stand-in for src/utils/storage
+ * Values are kept in a Map under the same keys the app uses, so service tests
+ * can seed and inspect what a service saved. The Map belongs to the test file
+ * rather than the module registry, so saved values outlive jest.resetModules()
+ * the way stored data outlives an app restart.
+ *
+ * Usage from a test file:
+ *   const { createFakeStorage } = require('../../../test/fakeStorage');
+ *   const mockStorage = createFakeStorage();
+ *   jest.mock('../../utils/storage', () => mockStorage.module);
+ */
+
+// Keys of the values the fake supports, as in src/utils/storage
+const KEYS = {
+  CHAT_ID: 'telegramChatId',
+  AUTHORIZED_USERS: 'authorizedUsers',
+  PAIRINGS: 'pairings',
+  APP_SETTINGS: 'appSettings',
+  AUDIT_LOG_HEAD: 'auditLogHead',
+  REMOTE_SESSION: 'remoteSession'
+};
+
+const SECURE_STORAGE_POLICIES = {
+  REFUSE: 'refuse',
+  ENCRYPTED_FALLBACK: 'encryptedFallback'
+};
+
+/**
+ * Create an empty fake storage
+ * @returns {Object} The stored values, the secure storage status, reset() and
+ *   the module to return from a jest.mock factory
+ */
+const createFakeStorage = () => {
+  const values = new Map();
+  const secureStatus = { available: true, policy: SECURE_STORAGE_POLICIES.REFUSE };
+
+  const get = (key, fallback = null) => (values.has(key) ? values.get(key) : fallback);
+  const save = async (key, value) => { values.set(key, value); };
+
+  // Secure values are refused like on a device without a keyring
+  const saveSecure = async (key, value) => {
+    if (!secureStatus.available) return false;
+    values.set(key, value);
+    return true;
+  };
+
+  const module = {
+    KEYS,
+    SECURE_STORAGE_POLICIES,
+    getSecureStorageStatus: () => ({ ...secureStatus }),
+    saveSecure,
+    getSecure: async (key) => get(key),
+    deleteSecure: async (key) => { values.delete(key); },
+    saveToStorage: save,
+    getFromStorage: async (key) => get(key),
+    saveChatId: (chatId) => saveSecure(KEYS.CHAT_ID, chatId),
+    getChatId: async () => get(KEYS.CHAT_ID),
+    clearChatId: async () => { values.delete(KEYS.CHAT_ID); },
+    saveAuthorizedUsers: (users) => saveSecure(KEYS.AUTHORIZED_USERS, users),
+    getAuthorizedUsers: async () => get(KEYS.AUTHORIZED_USERS, []),
+    savePairings: (pairings) => saveSecure(KEYS.PAIRINGS, pairings),
+    getPairings: async () => get(KEYS.PAIRINGS, []),
+    saveRemoteSession: (session) => save(KEYS.REMOTE_SESSION, session),
+    getRemoteSession: async () => get(KEYS.REMOTE_SESSION),
+    saveAppSettings: (settings) => save(KEYS.APP_SETTINGS, settings),
+    getAppSettings: async () => get(KEYS.APP_SETTINGS)
+  };
+
+  /**
+   * Forget every value and make secure storage available again
+   * @param {Object} seed - Values to start with, keyed by storage key
+   */
+  const reset = (seed = {}) => {
+    values.clear();
+    Object.entries(seed).forEach(([key, value]) => values.set(key, value));
+    secureStatus.available = true;
+  };
+
+  return { values, secureStatus, reset, module };
+};
+
+module.exports = { createFakeStorage, KEYS };
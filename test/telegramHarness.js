@@ -0,0 +1,151 @@
+/**
+ * Shared setup for the end-to-end tests
+ * Connects a TelegramAPI with every command handler to a fresh fake Bot API
+ * server before each test, with an admin and a viewer in a paired group chat
+ * and two shared folders. The device owner approves every consent prompt
+ * unless a test says otherwise.
+ *
+ * Usage from a test file, after mocking the modules listed in expoFakes:
+ *   const harness = setupTelegramHarness({ fileSystem: mockFileSystem, secureStore: mockSecureStore });
+ *   const { deliver, connect, sentTexts } = harness;
+ *
+ * The app modules are loaded again for each test, so use the services on the
+ * harness (harness.auditService, ...) rather than requiring them at the top.
+ */
+const { createFakeBotApi } = require('./fakeBotApi');
+
+const TOKEN = '123456:TEST-TOKEN';
+const CHAT_ID = '-1001234';
+const ADMIN = { id: 42, is_bot: false, first_name: 'Admin', username: 'admin' };
+const VIEWER = { id: 77, is_bot: false, first_name: 'Viewer', username: 'viewer' };
+
+// Device details without the Expo device modules
+const deviceServiceModule = {
+  formatDeviceInfo: (info) => `📱 Device: ${info.deviceName}`,
+  takeScreenshot: jest.fn(async () => null)
+};
+
+// An address book with one contact
+const contactsServiceModule = {
+  getAllContacts: jest.fn(async () => [{ name: 'Ada Lovelace' }]),
+  contactsToCSV: jest.fn(() => 'Name\nAda Lovelace'),
+  formatContact: jest.fn((contact) => contact.name)
+};
+
+/**
+ * Register the hooks that connect the app to a fake Bot API for each test
+ * @param {Object} fakes - Fakes the test file mocked the Expo modules with
+ * @param {Object} fakes.fileSystem - From createFileSystemFake
+ * @param {Object} fakes.secureStore - From createSecureStoreFake
+ * @returns {Object} The harness: the connected API, the fake server, the
+ *   services and the command dependencies, refreshed before each test
+ */
+const setupTelegramHarness = ({ fileSystem, secureStore }) => {
+  const harness = {};
+
+  // Queue an update on the server and run one pass of the update loop,
+  // letting any command parked for approval finish
+  harness.deliver = async (update) => {
+    harness.fake.pushUpdate(update);
+    const updates = await harness.api.pollOnce();
+    await harness.api.waitForParkedCommands();
+    return updates;
+  };
+
+  // Create and connect an API instance, waiting for its getMe check
+  harness.connect = async (token = TOKEN, { webhook, chatId = CHAT_ID, ...options } = {}) => {
+    const { TelegramAPI } = harness;
+    const instance = new TelegramAPI({ apiBaseUrl: harness.fake.url, retryDelay: 1, pollTimeout: 0, ...options });
+    harness.registerCommandHandlers(instance, harness.deps);
+    instance.setWebhookConfig(webhook);
+
+    await instance.initialize(token, chatId);
+    // Updates are delivered explicitly by each test
+    instance.stopUpdatePolling();
+
+    return instance;
+  };
+
+  harness.sentTexts = () => harness.fake.sentMessages.map(m => m.text);
+
+  // Answer consent prompts as if the device owner tapped a button
+  harness.answerConsent = (request) => {
+    if (request) {
+      harness.consentService.respond(request.id, harness.consentAnswer);
+    }
+  };
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  beforeEach(async () => {
+    jest.resetModules();
+    fileSystem.files.clear();
+    secureStore.values.clear();
+    await require('@react-native-async-storage/async-storage').clear();
+
+    // The native FileSystem module, on a file system without links
+    harness.nativeFileSystem = { getCanonicalPath: jest.fn(async (path) => path) };
+    require('react-native').NativeModules.FileSystem = harness.nativeFileSystem;
+
+    ({ TelegramAPI: harness.TelegramAPI } = require('../src/api/telegramAPI'));
+    ({ registerCommandHandlers: harness.registerCommandHandlers } = require('../src/api/commandHandlers'));
+    harness.authService = require('../src/services/authService').default;
+    harness.auditService = require('../src/services/auditService').default;
+    harness.consentService = require('../src/services/consentService').default;
+    harness.sharedFolderService = require('../src/services/sharedFolderService').default;
+    harness.sessionService = require('../src/services/sessionService').default;
+
+    harness.fake = createFakeBotApi({ token: TOKEN });
+    await harness.fake.start();
+
+    harness.consentAnswer = true;
+    harness.consentService.subscribe(harness.answerConsent);
+
+    await harness.authService.addUser({ userId: String(ADMIN.id), role: 'admin', name: 'Admin' });
+    await harness.authService.addUser({ userId: String(VIEWER.id), role: 'viewer', name: 'Viewer' });
+    await harness.sharedFolderService.addFolder('file:///docs/');
+    await harness.sharedFolderService.addFolder('/storage/emulated/0');
+
+    harness.deps = {
+      refreshDeviceInfo: jest.fn(async () => ({ deviceName: 'Test Phone' })),
+      sms: {
+        isAvailable: true,
+        hasPermission: true,
+        getSmsMessages: jest.fn(async () => [{ body: 'hello' }]),
+        formatSmsAsCSV: jest.fn(async () => {
+          fileSystem.files.set('file:///cache/sms.csv', { content: 'body\nhello' });
+          return 'file:///cache/sms.csv';
+        }),
+        formatSmsAsText: jest.fn(() => 'hello')
+      }
+    };
+
+    harness.api = await harness.connect();
+    harness.fake.reset();
+  });
+
+  afterEach(async () => {
+    harness.consentService.unsubscribe(harness.answerConsent);
+    harness.api.disconnect();
+    harness.sessionService.stop();
+    await harness.fake.stop();
+  });
+
+  return harness;
+};
+
+module.exports = {
+  TOKEN,
+  CHAT_ID,
+  ADMIN,
+  VIEWER,
+  deviceServiceModule,
+  contactsServiceModule,
+  setupTelegramHarness
+};